@@ -0,0 +1,52 @@
+// ===================================
+// capture-processor.js
+// - AudioWorklet: 입력 원시 샘플을 블록 단위로 메인 스레드에 전달 (녹음 / 프리롤 링버퍼 / 레벨 미터)
+// - CSP(default-src 'self')에서 blob: 스크립트를 쓸 수 없어 별도 파일로 둠
+// ===================================
+const CAPTURE_BLOCK_FRAMES = 4096; // 128 프레임 렌더 퀀텀의 배수
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  // processorOptions.blockFrames: 블록 크기 (미터처럼 자주 갱신해야 할 때 더 작게)
+  constructor(options) {
+    super();
+    const requested = options && options.processorOptions && options.processorOptions.blockFrames;
+    this.blockFrames = requested >= 128 ? requested : CAPTURE_BLOCK_FRAMES;
+    this.buffers = null;
+    this.filled = 0;
+    this.active = true;
+    this.port.onmessage = (e) => {
+      if (e.data === 'stop') this.active = false;
+    };
+  }
+
+  // 모은 블록을 메인 스레드로 전송 (ArrayBuffer 소유권 이전)
+  // endFrame: 블록 마지막 샘플 다음의 컨텍스트 프레임 번호
+  flush(endFrame) {
+    if (!this.buffers || this.filled === 0) return;
+    const channels = this.buffers.map(b => b.subarray(0, this.filled).slice());
+    this.port.postMessage({ channels, endFrame }, channels.map(c => c.buffer));
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return this.active;
+
+    // 채널 수가 바뀌면 지금까지 모은 블록을 보내고 다시 할당
+    if (!this.buffers || this.buffers.length !== input.length) {
+      this.flush(currentFrame);
+      this.buffers = input.map(() => new Float32Array(this.blockFrames));
+    }
+
+    const frames = input[0].length;
+    for (let ch = 0; ch < input.length; ch++) {
+      this.buffers[ch].set(input[ch], this.filled);
+    }
+    this.filled += frames;
+    if (this.filled + frames > this.blockFrames) this.flush(currentFrame + frames);
+
+    return this.active;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
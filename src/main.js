@@ -2,9 +2,24 @@
 // main.js
 // - Electron 메인 프로세스
 // - 윈도우 생성, 미디어 권한 처리
+// - v4.1: 파일 저장/열기 IPC (대화상자에서 사용자가 고른 경로만 읽기/쓰기 허용)
 // ===================================
-const { app, BrowserWindow, session } = require('electron');
+const { app, BrowserWindow, session, ipcMain, dialog } = require('electron');
 const path = require('path');
+const fs = require('fs/promises');
+
+// 대화상자를 통해 승인된 경로 (렌더러가 임의 경로에 접근하지 못하도록)
+// dirs: 폴더 선택 대화상자로 고른 폴더 - 바로 아래 파일은 쓰기 허용 (자동 캡처 저장 등)
+const approvedPaths = {
+  read: new Set(),
+  write: new Set(),
+  dirs: new Set()
+};
+
+function isWriteAllowed(filePath) {
+  if (approvedPaths.write.has(filePath)) return true;
+  return approvedPaths.dirs.has(path.dirname(path.resolve(filePath)));
+}
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -20,6 +35,68 @@ function createWindow() {
   win.loadFile(path.join(__dirname, 'renderer.html'));
 }
 
+// 렌더러에서 받은 데이터(string | ArrayBuffer | TypedArray) → Buffer
+function toBuffer(data) {
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Unsupported data type');
+}
+
+function registerFileHandlers() {
+  // 저장 대화상자 → 선택한 경로 (취소 시 null)
+  ipcMain.handle('dialog:save', async (event, options = {}) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showSaveDialog(win, {
+      title: options.title,
+      defaultPath: options.defaultPath,
+      filters: options.filters
+    });
+    if (result.canceled || !result.filePath) return null;
+    approvedPaths.write.add(result.filePath);
+    approvedPaths.read.add(result.filePath);
+    return result.filePath;
+  });
+
+  // 열기 대화상자 → 선택한 경로 배열 (취소 시 빈 배열)
+  ipcMain.handle('dialog:open', async (event, options = {}) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showOpenDialog(win, {
+      title: options.title,
+      filters: options.filters,
+      properties: options.multiple ? ['openFile', 'multiSelections'] : ['openFile']
+    });
+    if (result.canceled) return [];
+    result.filePaths.forEach(p => approvedPaths.read.add(p));
+    return result.filePaths;
+  });
+
+  // 폴더 선택 대화상자 → 선택한 폴더 (취소 시 null)
+  ipcMain.handle('dialog:openDirectory', async (event, options = {}) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showOpenDialog(win, {
+      title: options.title,
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    const dir = path.resolve(result.filePaths[0]);
+    approvedPaths.dirs.add(dir);
+    return dir;
+  });
+
+  ipcMain.handle('fs:writeFile', async (_event, filePath, data) => {
+    if (!isWriteAllowed(filePath)) throw new Error(`Write not allowed: ${filePath}`);
+    await fs.writeFile(filePath, toBuffer(data));
+    approvedPaths.read.add(filePath);
+    return true;
+  });
+
+  ipcMain.handle('fs:readFile', async (_event, filePath, encoding) => {
+    if (!approvedPaths.read.has(filePath)) throw new Error(`Read not allowed: ${filePath}`);
+    return fs.readFile(filePath, encoding || undefined);
+  });
+}
+
 app.whenReady().then(async () => {
   // 마이크 권한 허용(필요 시)
   const ses = session.defaultSession;
@@ -30,6 +107,7 @@ app.whenReady().then(async () => {
     callback(false);
   });
 
+  registerFileHandlers();
   createWindow();
 
   app.on('activate', function () {
@@ -1,10 +1,19 @@
 // ===================================
 // preload.js
 // - 렌더러에서 필요한 최소 브릿지 제공
-// - 현재 예제는 DOM/웹 API로 충분해서 빈 래퍼
+// - v4.1: 저장/열기 대화상자 + 승인된 경로 읽기/쓰기 (main.js IPC)
 // ===================================
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  // 필요한 경우 IPC 정의 가능
+  // { title, defaultPath, filters } → 경로 | null
+  showSaveDialog: (options) => ipcRenderer.invoke('dialog:save', options),
+  // { title, filters, multiple } → 경로 배열
+  showOpenDialog: (options) => ipcRenderer.invoke('dialog:open', options),
+  // { title } → 폴더 경로 | null (폴더 안 파일 쓰기 허용)
+  showDirectoryDialog: (options) => ipcRenderer.invoke('dialog:openDirectory', options),
+  // data: string | ArrayBuffer | TypedArray
+  writeFile: (filePath, data) => ipcRenderer.invoke('fs:writeFile', filePath, data),
+  // encoding 지정 시 문자열, 없으면 Uint8Array
+  readFile: (filePath, encoding) => ipcRenderer.invoke('fs:readFile', filePath, encoding)
 });
@@ -11,8 +11,8 @@
 // - 디바이스 선택: enumerateDevices → audioinput 목록 바인딩
 // - Start: getUserMedia({audio:{deviceId}}) → AudioContext → 소스
 // - 청취 경로: source → (선택 시) HPF → LPF → gainOut → destination
-// - 분석 경로: source → analyser (FFT), source → timeAnalyser (time-domain)
-// - 스펙트럼 피크홀드: peakBins[] 저장, 프레임마다 decay 적용
+// - 분석 경로: source → visualAnalyser (다운믹스 FFT), source → channelSplitter → channelAnalysers[ch] (채널별 FFT/스코프)
+// - 스펙트럼 피크홀드: peakBins[] 저장, 모드에 따라 무한 유지 / 유지 후 decay / 주기적 리셋
 // - 드래그 선택: specCanvas에서 mousedown/move/up으로 [x1,x2] 저장 → 주파수 환산
 
 const inputSelect = document.getElementById('inputSelect');
@@ -46,7 +46,19 @@ const timelineGauge = document.getElementById('timelineGauge');
 const timelineGaugeCtx = timelineGauge ? timelineGauge.getContext('2d') : null;
 const currentTime = document.getElementById('currentTime');
 const totalTime = document.getElementById('totalTime');
-const loadingModal = document.getElementById('loadingModal');
+
+// v4.1: 오실로스코프 UI 요소
+const scopeCanvas = document.getElementById('scopeCanvas');
+const scopeCtx = scopeCanvas.getContext('2d');
+const scopeTimeDiv = document.getElementById('scopeTimeDiv');
+const scopeVoltDiv = document.getElementById('scopeVoltDiv');
+const scopeTrigMode = document.getElementById('scopeTrigMode');
+const scopeTrigEdge = document.getElementById('scopeTrigEdge');
+const scopeTrigSource = document.getElementById('scopeTrigSource');
+const scopeTrigLevel = document.getElementById('scopeTrigLevel');
+const btnScopeArm = document.getElementById('btnScopeArm');
+const scopeTrigState = document.getElementById('scopeTrigState');
+const scopeLegend = document.getElementById('scopeLegend');
 
 // 캔버스 크기 동적 설정
 function resizeCanvas() {
@@ -74,9 +86,13 @@ let mediaStream = null;
 let sourceNode = null;
 
 let analyser = null;
-let timeAnalyser = null;
+let timeAnalyser = null; // 채널 0의 time-domain 분석기 (channelAnalysers[0])
 let visualAnalyser = null; // 시각화 전용 AnalyserNode (오디오 출력과 분리)
 
+// v4.1: 채널별 분석 (source → channelSplitter → channelAnalysers[ch], 스코프/채널 스펙트럼 공통)
+let channelSplitter = null;
+let channelAnalysers = [];
+
 // v4.0: 통합 오디오 소스 관리
 let currentSourceNode = null; // 현재 활성 소스 (마이크 또는 파일)
 let inputMode = 'none'; // 'realtime', 'file', 'none'
@@ -89,11 +105,10 @@ let fileBuffer = null;
 let isRealtimeActive = false; // 실시간 모드 활성 상태
 
 let gainOut = null;
-let highpass = null;
-let lowpass = null;
 
 let outputEnabled = false;
 let peakBins = null;
+let latestSpectrumDb = null; // v4.1: 마지막 스펙트럼 프레임 (스펙트로그램 등에서 사용)
 let lastFrameTime = 0; // v4.0: 0으로 초기화하여 drawLoop 시작 조건 활성화
 
 // 볼륨 제어
@@ -103,12 +118,15 @@ let volumeLevel = 1.0; // 0.0 ~ 10.0 (0% ~ 1000%)
 let dragging = false;
 let dragStartX = null;
 let dragEndX = null;
-let selectedBandHz = null; // {lo, hi}
-let selectedBandPixels = null; // {x1, x2} - 원시 픽셀 좌표
+let selectedBandHz = null; // {lo, hi} - v4.1: 선택된 대역 (bandState.bands 중 하나)
 
 // Analyser 설정
-const FFT_SIZE = 2048; // 1024/2048/4096 등
-const SMOOTHING_TIME_CONSTANT = 0.0; // 실시간 반응
+const FFT_SIZE = 2048; // 기본값 (v4.1: 설정에서 256~32768 변경, spectrumSettings 참고)
+
+// v4.1: 채널 설정 (스코프/멀티채널 공통)
+const MAX_CHANNELS = 8;
+const CHANNEL_COLORS = ['#ffd54f', '#4db6ac', '#81c784', '#ba68c8', '#4dd0e1', '#f06292', '#dce775', '#a1887f'];
+const TIME_ANALYSER_SIZE = 32768; // AnalyserNode 최대 버퍼 (48kHz에서 약 680ms)
 
 // 초기화: 입력 디바이스 나열
 async function populateInputDevices() {
@@ -124,24 +142,28 @@ async function populateInputDevices() {
     });
 }
 
+// v4.1: 선택한 입력 장치 열기 (실시간 입력, A/B 비교의 라이브 입력 공통)
+function openInputStream() {
+  const deviceId = inputSelect.value || undefined;
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      deviceId: deviceId ? { exact: deviceId } : undefined,
+      channelCount: { ideal: MAX_CHANNELS }, // v4.1: 장치가 지원하는 만큼 (최대 8채널)
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+      sampleRate: 48000
+    }
+  });
+}
+
 // v4.0: 실시간 오디오 입력 시작 (통합 구조)
 async function startAudio() {
   try {
     // 현재 입력 중지
     stopCurrentInput();
 
-    const deviceId = inputSelect.value || undefined;
-
-    mediaStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        deviceId: deviceId ? { exact: deviceId } : undefined,
-        channelCount: 2,
-        echoCancellation: false,
-        noiseSuppression: false,
-        autoGainControl: false,
-        sampleRate: 48000
-      }
-    });
+    mediaStream = await openInputStream();
 
     // 오디오 컨텍스트 초기화 (필요시)
     if (!audioCtx) {
@@ -165,6 +187,11 @@ async function startAudio() {
     currentSourceNode = realtimeSourceNode;
     inputMode = 'realtime';
     connectAudioPipeline();
+
+    // v4.1: 녹음/프리롤 캡처 연결 (AudioWorklet 모듈은 처음 한 번만 로드)
+    resetCaptureRings();
+    resetMeters();
+    attachCaptureNode();
     
     // UI 상태 업데이트
     switchToRealtimeInput();
@@ -198,31 +225,32 @@ function initializeAudioNodes() {
     gainOut.gain.value = outputEnabled ? volumeLevel : 0.0;
   }
 
-  if (!highpass) {
-    highpass = audioCtx.createBiquadFilter();
-    highpass.type = 'highpass';
-    highpass.frequency.value = 20;
-    highpass.Q.value = 0.707;
-  }
-
-  if (!lowpass) {
-    lowpass = audioCtx.createBiquadFilter();
-    lowpass.type = 'lowpass';
-    lowpass.frequency.value = 20000;
-    lowpass.Q.value = 0.707;
-  }
-
   if (!visualAnalyser) {
     visualAnalyser = audioCtx.createAnalyser();
-    visualAnalyser.fftSize = FFT_SIZE;
-    visualAnalyser.smoothingTimeConstant = SMOOTHING_TIME_CONSTANT;
-    console.log('v4.0: visualAnalyser created with FFT size:', FFT_SIZE);
+    // v4.1: FFT는 직접 계산하므로 원시 샘플 버퍼를 최대 크기로 확보
+    visualAnalyser.fftSize = TIME_ANALYSER_SIZE;
+    visualAnalyser.smoothingTimeConstant = 0;
+    console.log('v4.1: visualAnalyser created with buffer size:', TIME_ANALYSER_SIZE);
   }
 
   // 하위 호환성을 위한 analyser
   if (!analyser) {
     analyser = visualAnalyser;
   }
+
+  // v4.1: 채널 분리 + 채널별 분석기 (스코프, 채널별 스펙트럼 공통)
+  if (!channelSplitter) {
+    channelSplitter = audioCtx.createChannelSplitter(MAX_CHANNELS);
+    channelAnalysers = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      const a = audioCtx.createAnalyser();
+      a.fftSize = TIME_ANALYSER_SIZE;
+      a.smoothingTimeConstant = 0;
+      channelSplitter.connect(a, ch);
+      channelAnalysers.push(a);
+    }
+    timeAnalyser = channelAnalysers[0];
+  }
 }
 
 // v4.0: 통합 오디오 파이프라인 (실시간/파일 모드 공통)
@@ -231,24 +259,16 @@ function connectAudioPipeline() {
 
   // 기존 연결 해제
   try {
-    if (highpass) highpass.disconnect();
-    if (lowpass) lowpass.disconnect();
+    disconnectBandGraph();
+    disconnectEqChain();
     if (gainOut) gainOut.disconnect();
     if (visualAnalyser) visualAnalyser.disconnect();
     if (currentSourceNode) currentSourceNode.disconnect();
   } catch (e) {}
 
   // v4.0: 통합 실시간 오디오 파이프라인 (AnalyserNode 제거)
-  // 출력 경로: 선택 대역이 있으면 HPF→LPF 경유, 없으면 바로
-  if (selectedBandHz) {
-    highpass.frequency.value = Math.max(10, selectedBandHz.lo);
-    lowpass.frequency.value = Math.max(highpass.frequency.value + 10, selectedBandHz.hi);
-    currentSourceNode.connect(highpass);
-    highpass.connect(lowpass);
-    lowpass.connect(gainOut);
-  } else {
-    currentSourceNode.connect(gainOut);
-  }
+  // 출력 경로: v4.1 대역 그래프 → 파라메트릭 EQ → gainOut (비어 있으면 바로)
+  connectBandGraph(currentSourceNode, connectEqChain(gainOut));
 
   // 볼륨 적용
   gainOut.gain.value = outputEnabled ? volumeLevel : 0.0;
@@ -257,8 +277,13 @@ function connectAudioPipeline() {
 
   // v4.0: 시각화는 별도 파이프라인 (오디오 출력에 영향 없음)
   currentSourceNode.connect(visualAnalyser);
+  if (channelSplitter) {
+    currentSourceNode.connect(channelSplitter);
+  }
+  connectCaptureNode(); // v4.1: 녹음용 원시 입력 (실시간 모드에서만)
+  connectMeterNode();   // v4.1: 레벨/라우드니스 미터 (실시간/파일 공통)
   console.log(`v4.0: Unified audio pipeline connected (mode: ${inputMode})`);
-  console.log(`v4.0: visualAnalyser connected, FFT size: ${visualAnalyser.fftSize}`);
+  console.log(`v4.1: visualAnalyser connected, FFT size: ${spectrumSettings.fftSize}`);
 }
 
 // 하위 호환성을 위한 래퍼 함수
@@ -271,24 +296,17 @@ function switchToRealtimeMode() {
   // v4.0: 파일 재생이 진행 중이라면 먼저 정지
   if (isPlaying && inputMode === 'file') {
     console.log('v4.0: Stopping file playback before switching to realtime mode');
-    if (fileSourceNode) {
-      try {
-        fileSourceNode.disconnect();
-        fileSourceNode.stop();
-      } catch (e) {
-        console.warn('v4.0: Error stopping fileSourceNode in mode switch:', e);
-      }
-      fileSourceNode = null;
-    }
-    isPlaying = false;
-    stopTimeUpdate();
+    transport.stop();
   }
+  // v4.1: A/B 비교는 음원재생 모드에서만 (라이브 입력 B도 닫음)
+  if (compareState.enabled) setCompareEnabled(false);
   
   // UI 모드 전환
   btnModeRealtime.classList.add('active');
   btnModeFile.classList.remove('active');
   realtimeControls.style.display = 'flex';
   fileControls.style.display = 'none';
+  overviewRow.style.display = 'none'; // v4.1: 파형 개요는 음원재생 모드에서만
   
   // 입력 모드 상태
   if (inputMode !== 'realtime') {
@@ -303,6 +321,7 @@ function switchToRealtimeMode() {
     console.log(`v4.0: Volume synchronized to realtime mode: ${gainOut.gain.value} (${volumeLevel * 100}%)`);
   }
   
+  updateAmplitudeInputs(); // v4.1: 장치별 보정값 표시 갱신
   console.log('v4.0: Switched to realtime mode (UI)');
 }
 
@@ -318,6 +337,7 @@ function switchToFileMode() {
   btnModeRealtime.classList.remove('active');
   realtimeControls.style.display = 'none';
   fileControls.style.display = 'flex';
+  overviewRow.style.display = '';
   
   // 파일이 로드되지 않은 경우 버튼 비활성화
   if (!fileBuffer) {
@@ -343,6 +363,7 @@ function switchToFileMode() {
     }
   }
   
+  updateAmplitudeInputs(); // v4.1: 파일 모드 보정값 표시 갱신
   console.log('v4.0: Switched to file mode (UI)');
 }
 
@@ -355,17 +376,6 @@ function switchToFileInput() {
   switchToFileMode();
 }
 
-// v4.0: 로딩 모달 제어 함수
-function showLoadingModal() {
-  loadingModal.style.display = 'flex';
-  console.log('v4.0: Loading modal shown');
-}
-
-function hideLoadingModal() {
-  loadingModal.style.display = 'none';
-  console.log('v4.0: Loading modal hidden');
-}
-
 // v4.0: 현재 활성 오디오 소스에 볼륨 즉시 적용
 function updateCurrentVolume() {
   if (gainOut && currentSourceNode) {
@@ -414,26 +424,327 @@ function drawTimelineGauge(progressPercent) {
   ctx.stroke();
 }
 
-// v4.0: 현재 타임라인 진행률 반환
-function getCurrentTimelineProgress() {
-  return currentTimelineProgress;
+// ===================================
+// v4.1: 재생 트랜스포트 (음원재생 모드)
+// - 재생 위치 = audioCtx.currentTime 기준 (소스 시작 시각 + 시작 위치), 반복 구간은 접어서 계산
+// - 출력 GainNode 하나를 파이프라인 소스로 두고, 재생/이동 때는 그 앞의 버퍼 소스만 교체
+//   (이전 소스는 페이드 아웃, 새 소스는 페이드 인 → 재생 중 스크럽해도 클릭 없음)
+// - 이벤트: 'position'(초, drawLoop 프레임마다 + 이동/정지 시), 'state'(재생 여부), 'ended'
+// - 재생 속도: 실제로 재생하는 버퍼(원본 또는 시간 늘이기 결과)와 그 배율, 소스 playbackRate를 따로 둠
+//   위치는 항상 원본 파일 기준 초
+// - 레인: 소스 → 레인 A/B (tap → gain) → 출력. 비교 버퍼를 두면 B 레인에서 같은 시각에 함께 재생
+//   (어느 레인을 들을지는 레인 gain으로, 분석은 tap에서 - A/B 비교 참고)
+// ===================================
+
+const TRANSPORT_FADE_SECONDS = 0.008;
+
+function createTransport() {
+  let output = null;      // 파이프라인에 연결되는 GainNode (컨텍스트마다 하나)
+  let lanes = null;       // { A, B }: { tap, gain }
+  let buffer = null;      // 원본 (위치/길이 기준)
+  let playBuffer = null;  // 실제 재생 버퍼
+  let scale = 1;          // 재생 버퍼 초 / 원본 초
+  let sourceRate = 1;     // 소스 playbackRate
+  let compare = null;     // { buffer, offset } B 레인 버퍼 (offset: A 위치에 더할 초)
+  let voice = null;       // { source, gain, compare } 지금 재생 중인 버퍼 소스 (compare: B 레인 { source, gain })
+  let playing = false;
+  let anchorTime = 0;     // voice를 시작한 컨텍스트 시각
+  let anchorOffset = 0;   // 그때의 파일 위치 (초)
+  let pausedAt = 0;       // 멈춘 상태의 위치 (초)
+  let loopRange = null;   // { start, end } | null
+  let dirty = true;       // 다음 tick()에서 위치를 알려야 함
+  const listeners = { position: [], state: [], ended: [] };
+
+  function emit(type, value) {
+    listeners[type].forEach(fn => fn(value));
+  }
+
+  function duration() {
+    return buffer ? buffer.duration : 0;
+  }
+
+  function getOutput() {
+    if (!output || output.context !== audioCtx) {
+      output = audioCtx.createGain();
+      lanes = {};
+      ['A', 'B'].forEach(slot => {
+        const tap = audioCtx.createGain();
+        const gain = audioCtx.createGain();
+        tap.connect(gain);
+        gain.connect(output);
+        lanes[slot] = { tap, gain };
+      });
+    }
+    return output;
+  }
+
+  function getLane(slot) {
+    getOutput();
+    return lanes[slot];
+  }
+
+  // 반복 구간 끝을 넘은 위치를 구간 안으로 접음 (AudioBufferSourceNode와 같은 규칙)
+  function fold(t) {
+    if (loopRange && t >= loopRange.end) {
+      return loopRange.start + (t - loopRange.start) % (loopRange.end - loopRange.start);
+    }
+    return t;
+  }
+
+  function getTime() {
+    if (!playing) return pausedAt;
+    return Math.min(duration(), fold(anchorOffset + (audioCtx.currentTime - anchorTime) * sourceRate / scale));
+  }
+
+  function clampOffset(t) {
+    let offset = Math.max(0, Math.min(duration(), t));
+    // 반복 구간 뒤에서 시작하면 구간 시작으로 (소스의 반복 동작이 구현마다 다름)
+    if (loopRange && offset >= loopRange.end) offset = loopRange.start;
+    // 끝에서 다시 재생하면 처음부터
+    if (!loopRange && offset >= duration()) offset = 0;
+    return offset;
+  }
+
+  // loop: 버퍼 초 단위 { start, end } | null
+  function createVoiceSource(buf, rate, loop, slot, fade, now) {
+    const source = audioCtx.createBufferSource();
+    source.buffer = buf;
+    source.playbackRate.value = rate;
+    if (loop) {
+      source.loop = true;
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+    const gain = audioCtx.createGain();
+    source.connect(gain);
+    gain.connect(getLane(slot).tap);
+    if (fade) {
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(1, now + TRANSPORT_FADE_SECONDS);
+    }
+    return { source, gain };
+  }
+
+  // B 레인: 원본 버퍼를 A와 같은 실제 속도로 (시간 늘이기 없이), A 위치 + offset에서
+  // (A/B 비교는 1×·음높이 이동 없음에서만 켜지므로 B와 A의 음높이가 같음)
+  function startCompareVoice(offset, fade, now) {
+    const rate = sourceRate / scale;
+    const pos = offset + compare.offset;
+    const dur = compare.buffer.duration;
+    let loop = null;
+    if (loopRange) {
+      const start = Math.max(0, loopRange.start + compare.offset);
+      const end = Math.min(dur, loopRange.end + compare.offset);
+      if (end > start) loop = { start, end };
+    }
+    if (pos >= dur && !loop) return null;
+    const part = createVoiceSource(compare.buffer, rate, loop, 'B', fade, now);
+    // B가 A보다 늦게 시작하는 구간이면 그만큼 기다렸다가 처음부터
+    if (pos < 0) part.source.start(now - pos / rate, 0);
+    else part.source.start(now, loop && pos >= loop.end ? loop.start : Math.min(pos, dur));
+    part.source.onended = () => part.gain.disconnect();
+    return part;
+  }
+
+  function startVoice(offset, fade) {
+    const now = audioCtx.currentTime;
+    const loop = loopRange ? { start: loopRange.start * scale, end: loopRange.end * scale } : null;
+    const { source, gain } = createVoiceSource(playBuffer, sourceRate, loop, 'A', fade, now);
+    source.start(now, Math.min(offset * scale, playBuffer.duration));
+    source.onended = () => {
+      // 이동/정지로 교체된 소스의 ended는 무시
+      if (!voice || voice.source !== source) return;
+      if (voice.compare) releaseVoicePart(voice.compare, false); // A가 끝나면 B도 멈춤
+      voice = null;
+      gain.disconnect();
+      playing = false;
+      pausedAt = duration(); // 끝에 머묾 - 다시 재생하면 처음부터
+      dirty = true;
+      emit('state', false);
+      emit('ended');
+    };
+    anchorTime = now;
+    anchorOffset = offset;
+    voice = { source, gain, compare: compare ? startCompareVoice(offset, fade, now) : null };
+  }
+
+  function releaseVoice(fade) {
+    if (!voice) return;
+    const parts = voice.compare ? [voice, voice.compare] : [voice];
+    voice = null;
+    parts.forEach(part => releaseVoicePart(part, fade));
+  }
+
+  function releaseVoicePart({ source, gain }, fade) {
+    source.onended = () => gain.disconnect();
+    try {
+      if (fade) {
+        const now = audioCtx.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(0, now + TRANSPORT_FADE_SECONDS);
+        source.stop(now + TRANSPORT_FADE_SECONDS);
+      } else {
+        source.stop();
+      }
+    } catch (e) {
+      console.warn('v4.1: Transport voice stop error:', e);
+    }
+  }
+
+  return {
+    getOutput,
+    getLane,
+    getTime,
+    isPlaying: () => playing,
+
+    on(type, fn) {
+      listeners[type].push(fn);
+    },
+
+    // 새 버퍼 (정지, 처음으로)
+    load(newBuffer) {
+      const was = playing;
+      releaseVoice(false);
+      buffer = newBuffer;
+      playBuffer = newBuffer;
+      scale = 1;
+      sourceRate = 1;
+      playing = false;
+      pausedAt = 0;
+      loopRange = null;
+      dirty = true;
+      if (was) emit('state', false);
+    },
+
+    play() {
+      if (!buffer || !audioCtx || playing) return;
+      startVoice(clampOffset(pausedAt), true);
+      playing = true;
+      dirty = true;
+      emit('state', true);
+    },
+
+    pause() {
+      if (!playing) return;
+      pausedAt = getTime();
+      releaseVoice(true);
+      playing = false;
+      dirty = true;
+      emit('state', false);
+    },
+
+    stop() {
+      const was = playing;
+      releaseVoice(true);
+      playing = false;
+      pausedAt = 0;
+      dirty = true;
+      if (was) emit('state', false);
+    },
+
+    // 재생 중이면 멈추지 않고 교차 페이드로 새 위치에서 계속
+    seek(t) {
+      if (!buffer) return;
+      if (playing) {
+        releaseVoice(true);
+        startVoice(clampOffset(t), true);
+      } else {
+        pausedAt = Math.max(0, Math.min(duration(), t));
+      }
+      dirty = true;
+      emit('position', getTime());
+      dirty = false;
+    },
+
+    // range: { start, end } | null - 재생 중이면 지금 위치에서 새 반복 설정으로 이어서 재생
+    setLoop(range) {
+      const t = getTime();
+      loopRange = range && range.end - range.start > 0 ? { start: range.start, end: range.end } : null;
+      if (playing) {
+        releaseVoice(true);
+        startVoice(clampOffset(t), true);
+      }
+    },
+
+    // 재생 버퍼/배율/소스 속도 교체 - 재생 중이면 지금 위치에서 이어서
+    // (버퍼가 같으면 소스 속도만 바꿔 끊김 없이, 다르면 교차 페이드)
+    setPlayback(nextBuffer, nextScale, nextRate) {
+      if (!buffer) return;
+      const t = getTime();
+      const sameBuffer = nextBuffer === playBuffer && nextScale === scale;
+      playBuffer = nextBuffer;
+      scale = nextScale;
+      sourceRate = nextRate;
+      if (!playing) return;
+      if (sameBuffer && voice) {
+        anchorTime = audioCtx.currentTime;
+        anchorOffset = t;
+        voice.source.playbackRate.setValueAtTime(sourceRate, anchorTime);
+        if (voice.compare) voice.compare.source.playbackRate.setValueAtTime(sourceRate / scale, anchorTime);
+      } else {
+        releaseVoice(true);
+        startVoice(clampOffset(t), true);
+      }
+    },
+
+    // B 레인 버퍼 (null이면 해제) - 재생 중이면 지금 위치에서 두 레인을 함께 다시 시작
+    setCompare(compareBuffer, offset) {
+      compare = compareBuffer ? { buffer: compareBuffer, offset: offset || 0 } : null;
+      if (!playing) return;
+      const t = getTime();
+      releaseVoice(true);
+      startVoice(clampOffset(t), true);
+    },
+
+    // drawLoop에서 프레임마다 호출
+    tick() {
+      if (!buffer || (!playing && !dirty)) return;
+      dirty = false;
+      emit('position', getTime());
+    }
+  };
 }
 
+const transport = createTransport();
+
+// 재생 위치 → 게이지 / 시간 표시
+transport.on('position', t => {
+  if (!fileDuration) return;
+  drawTimelineGauge(Math.min(100, t / fileDuration * 100));
+  currentTime.textContent = formatTime(t);
+});
+
+// 재생 상태 → 버튼
+transport.on('state', playing => {
+  isPlaying = playing;
+  btnPlay.disabled = playing;
+  btnPause.disabled = !playing;
+  btnStop.disabled = !playing && transport.getTime() === 0;
+});
+
+transport.on('ended', () => {
+  statusEl.textContent = 'Playback finished';
+  console.log('v4.1: File playback reached the end');
+});
+
 function stopCurrentInput() {
   if (inputMode === 'realtime' && realtimeSourceNode) {
+    // v4.1: 녹음/자동 캡처 중이면 지금까지 받은 분량으로 마무리
+    if (recorderState.recording) stopRecording();
+    if (autoCaptureState.pending) finishCaptureEvent();
+    btnRecord.disabled = true;
+
     // 실시간 입력 중지
     if (mediaStream) {
       mediaStream.getTracks().forEach(t => t.stop());
     }
     realtimeSourceNode = null;
   } else if (inputMode === 'file' && fileSourceNode) {
-    // 파일 재생 중지
-    if (fileSourceNode) {
-      fileSourceNode.disconnect();
-      fileSourceNode.stop();
-      fileSourceNode = null;
-    }
-    isPlaying = false;
+    // 파일 재생 중지 (v4.1: 트랜스포트 출력은 다음 재생 때 다시 연결)
+    transport.stop();
+    fileSourceNode.disconnect();
+    fileSourceNode = null;
   }
   
   currentSourceNode = null;
@@ -478,6 +789,18 @@ function drawLoop(t) {
   }
 
   drawSpectrum(dt);
+  drawScope();
+  if (inputMode === 'realtime' && isRealtimeActive) {
+    pushSpectrogramRow(latestSpectrumDb, t);
+  }
+  drawSpectrogram();
+  drawMeters();
+  updateDistortionAnalysis(t);
+  drawDistortion();
+  drawMeasurement();
+  updateCompareLoudness();
+  transport.tick();
+  drawOverview();
 
   requestAnimationFrame(drawLoop);
 }
@@ -500,19 +823,24 @@ function drawSpectrum(dt) {
     sctx.scale(dpr, dpr);
   }
 
-  // 그리드와 축을 그리고 플롯 영역 정보를 받아옴 (실제 크기 사용)
-  const plotArea = drawSpecGridAndAxes(sctx, rect.width, rect.height);
-
   // v4.0: 시각화 전용 AnalyserNode 사용 (오디오 출력과 분리)
   if (!visualAnalyser) {
     // 분석기가 없으면 빈 스펙트럼만 그리기
+    drawSpecGridAndAxes(sctx, rect.width, rect.height);
     console.warn('v4.0: visualAnalyser not available, drawing empty spectrum');
     return;
   }
   
-  const n = visualAnalyser.frequencyBinCount;
-  const freqData = new Float32Array(n);
-  visualAnalyser.getFloatFrequencyData(freqData);
+  // v4.1: 원시 샘플에 직접 FFT (윈도우/오버랩/평균 적용)
+  const freqData = updateSpectrumAnalysis();
+  const n = freqData.length;
+  latestSpectrumDb = freqData;
+
+  // v4.1: 연속 자동 스케일 (0.5초마다)
+  if (AMPLITUDE_CONFIG.auto && performance.now() - AMPLITUDE_CONFIG.lastAutoTime > 500) {
+    AMPLITUDE_CONFIG.lastAutoTime = performance.now();
+    autoscaleAmplitude();
+  }
   
   // v4.0: 파일 모드에서 오디오 데이터 확인
   if (inputMode === 'file' && isPlaying) {
@@ -522,77 +850,102 @@ function drawSpectrum(dt) {
     }
   }
 
-  if (!peakBins || peakBins.length !== n) {
-    peakBins = new Float32Array(n);
-    for (let i = 0; i < n; i++) peakBins[i] = -120.0;
-  }
+  // Peak-Hold/평균/최소 홀드 데이터 업데이트 (v4.1: 모드별 감쇠/자동 리셋)
+  updateHoldTraces(freqData, dt, spectrumClock.newFrames > 0);
+  updateSpectrumChannelLegend(getSourceChannelCount());
 
-  // Peak-Hold 데이터 업데이트 - 최대치가 내려오지 않고 새로운 최대값만 갱신
-  for (let i = 0; i < n; i++) {
-    const cur = freqData[i];
-    if (!peakBins || peakBins[i] === undefined) {
-      peakBins = new Float32Array(n);
-      for (let j = 0; j < n; j++) peakBins[j] = -120.0;
-    }
-    // 새로운 최대값만 갱신 (감쇠 없음)
-    peakBins[i] = Math.max(cur, peakBins[i]);
-  }
+  renderSpectrumPlot(sctx, rect.width, rect.height, freqData, true);
+}
+
+// v4.1: 스펙트럼 플롯 렌더링 (화면/이미지 내보내기 공통)
+// interactive=false 이면 드래그 영역과 커서 표시는 생략
+function renderSpectrumPlot(ctx, width, height, freqData, interactive) {
+  // 그리드와 축을 그리고 플롯 영역 정보를 받아옴 (실제 크기 사용)
+  const plotArea = drawSpecGridAndAxes(ctx, width, height);
+
+  // v4.1: 평균 / 최소 홀드 트레이스 (실시간 라인 아래에 깔림)
+  drawHoldTraces(ctx, plotArea);
   
   // Realtime 라인 그리기 (스플라인 곡선)
-  const realtimePoints = [];
-  for (let i = 0; i < n; i++) {
-    const db = freqData[i];
-    const x = plotArea.plotX + hzToCanvasXFromBin(i, n, plotArea.plotWidth);
-    const y = plotArea.plotY + dbToY(db, plotArea.plotHeight);
-    realtimePoints.push({ x, y });
-  }
-  drawSmoothCurve(sctx, realtimePoints, '#64b5f6', 1.2);
+  const realtimePoints = buildSpectrumPoints(freqData, plotArea);
+  drawSmoothCurve(ctx, realtimePoints, '#64b5f6', 1.2);
   
   // Peak-Hold 라인 그리기 (스플라인 곡선)
-  const peakPoints = [];
-  for (let i = 0; i < n; i++) {
-    const db = peakBins[i];
-    const x = plotArea.plotX + hzToCanvasXFromBin(i, n, plotArea.plotWidth);
-    const y = plotArea.plotY + dbToY(db, plotArea.plotHeight);
-    peakPoints.push({ x, y });
-  }
-  drawSmoothCurve(sctx, peakPoints, '#e57373', 1.5);
+  const peakPoints = buildSpectrumPoints(peakBins, plotArea);
+  drawSmoothCurve(ctx, peakPoints, '#e57373', 1.5);
+
+  // v4.1: 채널별 / Mid·Side·L−R 트레이스
+  drawChannelTraces(ctx, plotArea);
+  drawCompareTraces(ctx, plotArea); // v4.1: A/B 비교
+
+  // v4.1: 기준 스펙트럼 오버레이 / 차이 트레이스
+  drawReferenceTraces(ctx, plotArea, freqData);
 
   // 드래그/선택 영역 렌더링
-  if (dragStartX !== null && dragEndX !== null) {
+  if (interactive && dragStartX !== null && dragEndX !== null) {
     // 파란색 드래그 영역은 원시 픽셀 좌표를 직접 사용 (정확한 마우스 위치)
     const x1 = Math.min(dragStartX, dragEndX);
     const x2 = Math.max(dragStartX, dragEndX);
     
     // 플롯 영역 내에서만 렌더링
     if (x1 >= plotArea.plotX && x2 <= plotArea.plotX + plotArea.plotWidth) {
-      sctx.fillStyle = 'rgba(100, 181, 246, 0.15)';
-      sctx.fillRect(x1, plotArea.plotY, x2 - x1, plotArea.plotHeight);
-      sctx.strokeStyle = '#90caf9';
-      sctx.lineWidth = 1;
-      sctx.strokeRect(x1 + 0.5, plotArea.plotY + 0.5, (x2 - x1) - 1, plotArea.plotHeight - 1);
+      ctx.fillStyle = 'rgba(100, 181, 246, 0.15)';
+      ctx.fillRect(x1, plotArea.plotY, x2 - x1, plotArea.plotHeight);
+      ctx.strokeStyle = '#90caf9';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x1 + 0.5, plotArea.plotY + 0.5, (x2 - x1) - 1, plotArea.plotHeight - 1);
     }
   }
-  if (selectedBandHz && selectedBandPixels) {
-    // 원시 픽셀 좌표를 직접 사용하여 파란색 영역과 정확히 일치
-    const x1 = selectedBandPixels.x1;
-    const x2 = selectedBandPixels.x2;
-    
-    sctx.fillStyle = 'rgba(76, 175, 80, 0.14)';
-    sctx.fillRect(x1, plotArea.plotY, x2 - x1, plotArea.plotHeight);
-    sctx.strokeStyle = '#66bb6a';
-    sctx.strokeRect(x1 + 0.5, plotArea.plotY + 0.5, (x2 - x1) - 1, plotArea.plotHeight - 1);
-    sctx.fillStyle = '#c8e6c9';
-    sctx.font = '12px system-ui';
-    sctx.textAlign = 'left';
-    sctx.fillText(`${Math.round(selectedBandHz.lo)} Hz ~ ${Math.round(selectedBandHz.hi)} Hz`, x1 + 6, plotArea.plotY + 16);
-  }
+  // v4.1: 대역들 (축 모드/범위가 바뀌어도 같은 대역을 가리키도록 주파수에서 다시 계산)
+  drawBands(ctx, plotArea);
+  drawEqOverlay(ctx, plotArea, interactive);
+
+  // v4.1: 마커/피크/커서 표시
+  drawSpectrumOverlays(ctx, plotArea, freqData, interactive);
 }
 
 
+// v4.1: 빈 → 곡선 점 변환 (같은 픽셀 열에 몰리는 고주파 빈은 최대값 하나로 합침)
+// hzData를 주면 균일 빈 대신 해당 주파수 배열 사용 (기준 스펙트럼 등, 오름차순)
+function buildSpectrumPoints(dbData, plotArea, hzData) {
+  const n = dbData.length;
+  const points = [];
+  let colX = -1;
+  let colMax = -Infinity;
+  let colPx = 0;
+  const binHz = getSpectrumNyquist() / n;
+  for (let i = 0; i < n; i++) {
+    // 표시 범위 밖의 빈은 가장자리에 쌓이지 않도록 제외
+    const hz = hzData ? hzData[i] : i * binHz;
+    if (hz < FREQUENCY_CONFIG.minFreq || hz > FREQUENCY_CONFIG.maxFreq) continue;
+    const px = hzToCanvasX(hz, plotArea.plotWidth);
+    const col = Math.floor(px);
+    if (col !== colX) {
+      if (colX >= 0) {
+        points.push({ x: plotArea.plotX + colPx, y: plotArea.plotY + dbToY(colMax, plotArea.plotHeight) });
+      }
+      colX = col;
+      colMax = dbData[i];
+      colPx = px;
+    } else if (dbData[i] > colMax) {
+      colMax = dbData[i];
+    }
+  }
+  if (colX >= 0) {
+    points.push({ x: plotArea.plotX + colPx, y: plotArea.plotY + dbToY(colMax, plotArea.plotHeight) });
+  }
+  return points;
+}
+
 function dbToY(db, height) {
-  const minDb = -120, maxDb = 0;
-  const norm = (db - minDb) / (maxDb - minDb);
+  const { minDb, maxDb } = AMPLITUDE_CONFIG;
+  let norm;
+  if (AMPLITUDE_CONFIG.unit === 'linear') {
+    // v4.1: 선형 크기 (0 ~ 10^(maxDb/20))
+    norm = Math.pow(10, (db - maxDb) / 20);
+  } else {
+    norm = (db - minDb) / (maxDb - minDb);
+  }
   const y = height - Math.max(0, Math.min(1, norm)) * height;
   return y;
 }
@@ -629,13 +982,26 @@ function drawSmoothCurve(ctx, points, color, lineWidth) {
 
 // ===================================
 // v4.0.1: 통일된 주파수 변환 모듈
+// v4.1: 축 모드(log/linear/mel/bark/custom) + 편집 가능한 표시 범위(min/max)
+// - 모든 변환은 warp(hz) 공간에서 [warp(min), warp(max)] → [0, width] 선형 매핑
+// - hzToCanvasX/canvasXToHz는 서로 정확한 역변환 (대역 선택, 스펙트로그램 공통)
 // ===================================
 
 // 전역 주파수 설정 (모든 변환에서 동일하게 사용)
 const FREQUENCY_CONFIG = {
-  values: [0, 50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 2000, 5000, 10000],
-  maxFreq: 10000,
-  minFreq: 0
+  mode: 'log', // 'log' | 'linear' | 'mel' | 'bark' | 'custom'
+  // custom 모드의 구간 경계 (구간마다 같은 폭, 구간 내부는 로그 보간)
+  values: [0, 50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 2000, 5000, 10000, 20000],
+  maxFreq: 20000,
+  minFreq: 20
+};
+
+const FREQUENCY_AXIS_MODES = {
+  log: { label: 'Log', floor: 1, defaultMin: 20 },
+  linear: { label: 'Linear', floor: 0, defaultMin: 0 },
+  mel: { label: 'Mel', floor: 0, defaultMin: 0 },
+  bark: { label: 'Bark', floor: 0, defaultMin: 0 },
+  custom: { label: 'Custom', floor: 0, defaultMin: 0 }
 };
 
 // 로그 스케일 변환을 위한 캐시된 값들
@@ -652,193 +1018,9322 @@ function initFrequencyModule() {
   }
 }
 
-// 주파수 → X좌표 변환 (통일된 로직)
-function hzToCanvasX(hz, width) {
+function getNyquist() {
+  return (audioCtx ? audioCtx.sampleRate : 48000) / 2;
+}
+
+// custom 모드: 구간 인덱스 기반 위치 (0 ~ values.length-1)
+function customWarp(hz) {
   initFrequencyModule();
-  
   const { values } = FREQUENCY_CONFIG;
   const { logFreqs } = FREQUENCY_CACHE;
-  
-  // 범위 체크
   if (hz <= values[0]) return 0;
-  if (hz >= values[values.length - 1]) return width;
-  
-  // 로그 스케일 변환
-  const logHz = hz === 0 ? 0 : Math.log10(hz);
-  
-  // 구간 찾기 및 보간
+  if (hz >= values[values.length - 1]) return values.length - 1;
+  const logHz = Math.log10(hz);
   for (let i = 0; i < logFreqs.length - 1; i++) {
-    const f1 = logFreqs[i];
-    const f2 = logFreqs[i + 1];
-    
-    if (logHz >= f1 && logHz <= f2) {
-      const ratio = (logHz - f1) / (f2 - f1);
-      const x1 = (i / (logFreqs.length - 1)) * width;
-      const x2 = ((i + 1) / (logFreqs.length - 1)) * width;
-      return x1 + ratio * (x2 - x1);
+    if (logHz >= logFreqs[i] && logHz <= logFreqs[i + 1]) {
+      return i + (logHz - logFreqs[i]) / (logFreqs[i + 1] - logFreqs[i]);
     }
   }
-  
-  return 0;
+  return 0; // 0 ~ 1 Hz 구간
 }
 
-// X좌표 → 주파수 변환 (정확한 역변환)
-function canvasXToHz(x, width) {
+function customUnwarp(u) {
   initFrequencyModule();
-  
   const { values } = FREQUENCY_CONFIG;
   const { logFreqs } = FREQUENCY_CACHE;
+  if (u <= 0) return values[0];
+  if (u >= values.length - 1) return values[values.length - 1];
+  const i = Math.floor(u);
+  const logHz = logFreqs[i] + (u - i) * (logFreqs[i + 1] - logFreqs[i]);
+  return logHz === 0 ? 0 : Math.pow(10, logHz);
+}
+
+// 주파수 → 축 공간 값
+function frequencyWarp(hz) {
+  switch (FREQUENCY_CONFIG.mode) {
+    case 'linear': return hz;
+    case 'mel': return 2595 * Math.log10(1 + hz / 700);
+    case 'bark': return (26.81 * hz) / (1960 + hz) - 0.53; // Traunmüller
+    case 'custom': return customWarp(hz);
+    case 'log':
+    default: return Math.log10(Math.max(hz, FREQUENCY_AXIS_MODES.log.floor));
+  }
+}
+
+// 축 공간 값 → 주파수
+function frequencyUnwarp(u) {
+  switch (FREQUENCY_CONFIG.mode) {
+    case 'linear': return u;
+    case 'mel': return 700 * (Math.pow(10, u / 2595) - 1);
+    case 'bark': return (1960 * (u + 0.53)) / (26.28 - u);
+    case 'custom': return customUnwarp(u);
+    case 'log':
+    default: return Math.pow(10, u);
+  }
+}
+
+// 주파수 → X좌표 변환 (통일된 로직)
+function hzToCanvasX(hz, width) {
+  const { minFreq, maxFreq } = FREQUENCY_CONFIG;
   
   // 범위 체크
-  if (x <= 0) return values[0];
-  if (x >= width) return values[values.length - 1];
+  if (hz <= minFreq) return 0;
+  if (hz >= maxFreq) return width;
   
-  // 구간 찾기 및 역보간
-  for (let i = 0; i < logFreqs.length - 1; i++) {
-    const x1 = (i / (logFreqs.length - 1)) * width;
-    const x2 = ((i + 1) / (logFreqs.length - 1)) * width;
-    
-    if (x >= x1 && x <= x2) {
-      const ratio = (x - x1) / (x2 - x1);
-      const logF1 = logFreqs[i];
-      const logF2 = logFreqs[i + 1];
-      const logHz = logF1 + ratio * (logF2 - logF1);
-      
-      return logHz === 0 ? 0 : Math.pow(10, logHz);
-    }
-  }
+  const u0 = frequencyWarp(minFreq);
+  const u1 = frequencyWarp(maxFreq);
+  return ((frequencyWarp(hz) - u0) / (u1 - u0)) * width;
+}
+
+// X좌표 → 주파수 변환 (정확한 역변환)
+function canvasXToHz(x, width) {
+  const { minFreq, maxFreq } = FREQUENCY_CONFIG;
+  
+  // 범위 체크
+  if (x <= 0) return minFreq;
+  if (x >= width) return maxFreq;
   
-  return values[0];
+  const u0 = frequencyWarp(minFreq);
+  const u1 = frequencyWarp(maxFreq);
+  return frequencyUnwarp(u0 + (x / width) * (u1 - u0));
 }
 
 // FFT 빈 인덱스 → X좌표 변환
 function hzToCanvasXFromBin(binIndex, totalBins, width) {
-  const ny = (audioCtx ? audioCtx.sampleRate : 48000) / 2;
+  const ny = getNyquist();
   const freq = (binIndex / totalBins) * ny;
   return hzToCanvasX(freq, width);
 }
 
-// 그리드용 주파수 값들 반환 (필터링된)
-function getGridFrequencyValues() {
-  const ny = (audioCtx ? audioCtx.sampleRate : 48000) / 2;
-  return FREQUENCY_CONFIG.values.filter(f => f <= ny);
+// 1-2-5 단계의 보기 좋은 간격
+function niceStep(raw) {
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  if (norm <= 1) return mag;
+  if (norm <= 2) return 2 * mag;
+  if (norm <= 5) return 5 * mag;
+  return 10 * mag;
 }
 
-// 이벤트: 출력 토글, 선택 해제
-btnOutput.addEventListener('click', () => {
-  outputEnabled = !outputEnabled;
-  btnOutput.classList.toggle('on', outputEnabled);
-  btnOutput.textContent = outputEnabled ? 'Output: ON' : 'Output: OFF';
-  
-  // v4.0: 현재 활성 오디오 소스에 즉시 적용
-  updateCurrentVolume();
-  console.log(`Output toggled: ${outputEnabled}, gain: ${gainOut ? gainOut.gain.value : 'N/A'}, volumeLevel: ${volumeLevel}`);
-});
-
-btnClear.addEventListener('click', () => {
-  clearBand();
-});
+// 그리드용 주파수 값들 반환 (현재 축 모드/범위 기준)
+function getGridFrequencyValues() {
+  const { mode, minFreq, maxFreq } = FREQUENCY_CONFIG;
+  const inRange = f => f >= minFreq && f <= maxFreq;
 
-// 스펙트럼 마우스 이벤트
-specCanvas.addEventListener('mousedown', (e) => {
-  const rect = specCanvas.getBoundingClientRect();
-  const mouseX = e.clientX - rect.left;
-  
-  // drawSpecGridAndAxes와 동일한 패딩 사용 (좌측 라벨 영역 제거)
-  const padding = { top: 10, right: 10, bottom: 40, left: 0 };
-  const plotX = padding.left;
-  const plotWidth = rect.width - padding.left - padding.right;
-  
-  // 마우스가 플롯 영역 내에 있는지 확인
-  if (mouseX >= plotX && mouseX <= plotX + plotWidth) {
-    if (e.button === 0) { // 좌클릭 - 드래그 선택
-      dragging = true;
-      dragStartX = mouseX;
-      dragEndX = mouseX;
-    } else if (e.button === 2) { // 우클릭 - Max Peak 리셋
-      e.preventDefault();
-      resetMaxPeaks();
+  if (mode === 'custom') {
+    const values = FREQUENCY_CONFIG.values.filter(inRange);
+    if (values.length >= 4) return values;
+  } else if (mode !== 'linear') {
+    // log/mel/bark: 10의 거듭제곱마다 1-2-5
+    const values = [];
+    const startExp = Math.floor(Math.log10(Math.max(1, minFreq)));
+    for (let e = startExp; Math.pow(10, e) <= maxFreq; e++) {
+      [1, 2, 5].forEach(m => {
+        const f = m * Math.pow(10, e);
+        if (inRange(f)) values.push(f);
+      });
     }
+    if (values.length >= 4) return values;
   }
-});
 
-window.addEventListener('mousemove', (e) => {
-  if (!dragging) return;
-  const rect = specCanvas.getBoundingClientRect();
-  const mouseX = e.clientX - rect.left;
-  
-  // drawSpecGridAndAxes와 동일한 패딩 사용 (좌측 라벨 영역 제거)
-  const padding = { top: 10, right: 10, bottom: 40, left: 0 };
-  const plotX = padding.left;
-  const plotWidth = rect.width - padding.left - padding.right;
-  
-  dragEndX = Math.max(plotX, Math.min(plotX + plotWidth, mouseX));
-});
+  // linear (또는 확대되어 눈금이 부족할 때)
+  const step = niceStep((maxFreq - minFreq) / 8);
+  const values = [];
+  for (let f = Math.ceil(minFreq / step) * step; f <= maxFreq; f += step) {
+    values.push(+f.toFixed(6));
+  }
+  return values;
+}
 
-window.addEventListener('mouseup', (e) => {
-  if (!dragging) return;
-  dragging = false;
+// 축 라벨 (1500 → 1.5k)
+function formatHzLabel(f) {
+  if (f >= 1000) return `${+(f / 1000).toFixed(2)}k`;
+  return `${+f.toFixed(1)}`;
+}
 
-  if (dragStartX !== null && dragEndX !== null) {
-    const rect = specCanvas.getBoundingClientRect();
-    // v4.0.1: 통일된 패딩 사용 (drawSpecGridAndAxes와 동일)
-    const padding = { top: 10, right: 10, bottom: 40, left: 0 };
-    const plotX = padding.left;
-    const plotWidth = rect.width - padding.left - padding.right;
-    
-    // 초록색 영역과 동일한 방식으로 좌표 계산
-    const x1 = Math.min(dragStartX, dragEndX);
-    const x2 = Math.max(dragStartX, dragEndX);
-    
-    if (x1 >= plotX && x2 <= plotX + plotWidth && x2 - x1 >= 5) { // 최소 5픽셀 드래그
-      // 주파수 변환 없이 원시 픽셀 좌표만 사용
-      selectedBandPixels = { x1, x2 }; // 원시 픽셀 좌표 저장
-      
-      // v4.0.1: 정확한 주파수 계산 (통일된 변환 함수 사용)
-      const plotX1 = x1 - plotX;
-      const plotX2 = x2 - plotX;
-      const lo = canvasXToHz(plotX1, plotWidth);
-      const hi = canvasXToHz(plotX2, plotWidth);
-      selectedBandHz = { lo, hi }; // 필터링용으로만 사용
-      
-      statusEl.textContent = `Band selected: ${Math.round(lo)} Hz ~ ${Math.round(hi)} Hz`;
-      connectGraph(); // HPF/LPF 갱신
-    } else {
-      // 드래그가 아닌 단순 클릭 - Clear Band
-      clearBand();
-    }
+// 표시 범위 설정 (모드별 하한/나이퀴스트로 제한)
+function setFrequencyRange(minHz, maxHz) {
+  const floor = FREQUENCY_AXIS_MODES[FREQUENCY_CONFIG.mode].floor;
+  const ny = getNyquist();
+  let lo = Math.max(floor, Math.min(minHz, ny));
+  let hi = Math.max(floor, Math.min(maxHz, ny));
+  if (hi - lo < 1) {
+    hi = Math.min(ny, lo + 1);
+    lo = hi - 1;
   }
-  dragStartX = dragEndX = null;
-});
+  FREQUENCY_CONFIG.minFreq = lo;
+  FREQUENCY_CONFIG.maxFreq = hi;
+  freqMinInput.value = Math.round(lo * 10) / 10;
+  freqMaxInput.value = Math.round(hi);
+  invalidateSpectrogramColumns();
+}
 
-// 우클릭 컨텍스트 메뉴 방지
-specCanvas.addEventListener('contextmenu', (e) => {
-  e.preventDefault();
-});
+function setFrequencyAxisMode(mode) {
+  if (!FREQUENCY_AXIS_MODES[mode]) return;
+  FREQUENCY_CONFIG.mode = mode;
+  freqAxisSelect.value = mode;
+  resetFrequencyRange();
+}
 
-// Max Peak 리셋 함수
-function resetMaxPeaks() {
-  if (peakBins) {
-    for (let i = 0; i < peakBins.length; i++) {
-      peakBins[i] = -120.0;
-    }
-  }
-  statusEl.textContent = 'Max peaks reset - new recording started';
+function resetFrequencyRange() {
+  setFrequencyRange(FREQUENCY_AXIS_MODES[FREQUENCY_CONFIG.mode].defaultMin, getNyquist());
 }
 
-// Clear Band 함수
-function clearBand() {
-  selectedBandHz = null;
-  selectedBandPixels = null;
-  dragStartX = dragEndX = null;
-  connectGraph(); // 전체 통과로 복귀
-  statusEl.textContent = 'Band selection cleared';
+// 휠 확대/축소: 커서 위치의 주파수를 고정하고 축 공간에서 범위를 조정
+function zoomFrequencyAxis(anchorX, width, factor) {
+  const u0 = frequencyWarp(FREQUENCY_CONFIG.minFreq);
+  const u1 = frequencyWarp(FREQUENCY_CONFIG.maxFreq);
+  const ua = u0 + (anchorX / width) * (u1 - u0);
+  const uLo = frequencyWarp(FREQUENCY_AXIS_MODES[FREQUENCY_CONFIG.mode].floor);
+  const uHi = frequencyWarp(getNyquist());
+  const n0 = Math.max(uLo, ua - (ua - u0) * factor);
+  const n1 = Math.min(uHi, ua + (u1 - ua) * factor);
+  setFrequencyRange(frequencyUnwarp(n0), frequencyUnwarp(n1));
 }
 
-// 볼륨 게이지 그리기 함수
-function drawVolumeGauge(volumePercent) {
-  const canvas = volumeGauge;
-  const ctx = gaugeCtx;
+// 드래그 이동: dx 픽셀만큼 축 공간에서 평행 이동 (범위 폭 유지)
+function panFrequencyAxis(dx, width) {
+  const u0 = frequencyWarp(FREQUENCY_CONFIG.minFreq);
+  const u1 = frequencyWarp(FREQUENCY_CONFIG.maxFreq);
+  const uLo = frequencyWarp(FREQUENCY_AXIS_MODES[FREQUENCY_CONFIG.mode].floor);
+  const uHi = frequencyWarp(getNyquist());
+  let shift = -(dx / width) * (u1 - u0);
+  shift = Math.max(uLo - u0, Math.min(uHi - u1, shift));
+  setFrequencyRange(frequencyUnwarp(u0 + shift), frequencyUnwarp(u1 + shift));
+}
+
+const freqAxisSelect = document.getElementById('freqAxisSelect');
+const freqMinInput = document.getElementById('freqMinInput');
+const freqMaxInput = document.getElementById('freqMaxInput');
+const btnFreqReset = document.getElementById('btnFreqReset');
+
+function initFrequencyAxisControls() {
+  Object.keys(FREQUENCY_AXIS_MODES).forEach(mode => {
+    const opt = document.createElement('option');
+    opt.value = mode;
+    opt.textContent = FREQUENCY_AXIS_MODES[mode].label;
+    freqAxisSelect.appendChild(opt);
+  });
+  freqAxisSelect.value = FREQUENCY_CONFIG.mode;
+
+  freqAxisSelect.addEventListener('change', () => setFrequencyAxisMode(freqAxisSelect.value));
+  const applyRange = () => {
+    const lo = parseFloat(freqMinInput.value);
+    const hi = parseFloat(freqMaxInput.value);
+    if (!isNaN(lo) && !isNaN(hi) && hi > lo) {
+      setFrequencyRange(lo, hi);
+    } else {
+      setFrequencyRange(FREQUENCY_CONFIG.minFreq, FREQUENCY_CONFIG.maxFreq);
+    }
+  };
+  freqMinInput.addEventListener('change', applyRange);
+  freqMaxInput.addEventListener('change', applyRange);
+  btnFreqReset.addEventListener('click', resetFrequencyRange);
+
+  setFrequencyRange(FREQUENCY_CONFIG.minFreq, FREQUENCY_CONFIG.maxFreq);
+}
+
+// ===================================
+// v4.1: 진폭 축 (표시 범위, 자동 스케일, 단위)
+// - 내부 데이터는 항상 dBFS, 표시할 때만 단위 오프셋을 더함
+// - dBV/dBu/dB SPL은 입력 장치별 보정값(0 dBFS = N dBV / N dB SPL)으로 환산
+// ===================================
+
+const SPECTRUM_DB_FLOOR = -200;  // 피크 리셋 등 "값 없음"에 쓰는 바닥값
+const DBU_PER_DBV = 2.2185;      // 0 dBu = 0.7746 V
+const CALIBRATION_STORAGE_KEY = 'audioScope.calibration';
+
+const AMPLITUDE_UNITS = {
+  dBFS: { label: 'dBFS' },
+  dBV: { label: 'dBV', calibration: 'dbv' },
+  dBu: { label: 'dBu', calibration: 'dbv' },
+  dBSPL: { label: 'dB SPL', calibration: 'spl' },
+  linear: { label: 'Linear (FS)' }
+};
+
+const AMPLITUDE_CONFIG = {
+  minDb: -120,  // 표시 범위 (dBFS 기준)
+  maxDb: 0,
+  unit: 'dBFS',
+  auto: false,        // 연속 자동 스케일
+  lastAutoTime: 0
+};
+
+const DEFAULT_CALIBRATION = { dbv: 0, spl: 120 };
+let calibrationTable = loadCalibrationTable();
+
+function loadCalibrationTable() {
+  try {
+    return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveCalibrationTable() {
+  try {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrationTable));
+  } catch (e) {
+    console.warn('v4.1: Could not save calibration:', e);
+  }
+}
+
+// 보정값은 입력 장치별로 저장 (파일 재생은 'file' 하나)
+function getCalibrationKey() {
+  if (inputMode === 'file') return 'file';
+  return inputSelect.value || 'default';
+}
+
+function getCalibration() {
+  return Object.assign({}, DEFAULT_CALIBRATION, calibrationTable[getCalibrationKey()]);
+}
+
+// dBFS → 현재 단위로 더할 값
+function getAmplitudeOffset(unit) {
+  const cal = getCalibration();
+  switch (unit || AMPLITUDE_CONFIG.unit) {
+    case 'dBV': return cal.dbv;
+    case 'dBu': return cal.dbv + DBU_PER_DBV;
+    case 'dBSPL': return cal.spl;
+    default: return 0;
+  }
+}
+
+function getAmplitudeUnitLabel() {
+  return AMPLITUDE_UNITS[AMPLITUDE_CONFIG.unit].label;
+}
+
+// 현재 단위로 값 표기 (커서 표시 등에서 사용)
+function formatAmplitude(dbfs, digits) {
+  const d = digits === undefined ? 1 : digits;
+  if (AMPLITUDE_CONFIG.unit === 'linear') {
+    const mag = Math.pow(10, dbfs / 20);
+    return mag >= 0.001 ? mag.toFixed(4) : mag.toExponential(2);
+  }
+  return `${(dbfs + getAmplitudeOffset()).toFixed(d)} ${getAmplitudeUnitLabel()}`;
+}
+
+// Y축 눈금: [{ db(dBFS), label, major }]
+function getAmplitudeGridValues() {
+  const ticks = [];
+  if (AMPLITUDE_CONFIG.unit === 'linear') {
+    const top = Math.pow(10, AMPLITUDE_CONFIG.maxDb / 20);
+    const step = niceStep(top / 5);
+    for (let v = 0; v <= top * 1.0001; v += step / 2) {
+      const major = Math.abs(v / step - Math.round(v / step)) < 1e-6;
+      ticks.push({ db: v > 0 ? 20 * Math.log10(v) : -Infinity, label: +v.toPrecision(3) + '', major });
+    }
+    return ticks;
+  }
+  const offset = getAmplitudeOffset();
+  const span = AMPLITUDE_CONFIG.maxDb - AMPLITUDE_CONFIG.minDb;
+  const major = [1, 2, 5, 10, 20, 50].find(s => span / s <= 14) || 50;
+  const minor = major / 2;
+  const lo = AMPLITUDE_CONFIG.minDb + offset;
+  const hi = AMPLITUDE_CONFIG.maxDb + offset;
+  for (let v = Math.ceil(lo / minor) * minor; v <= hi + 1e-9; v += minor) {
+    const isMajor = Math.abs(v / major - Math.round(v / major)) < 1e-6;
+    ticks.push({ db: v - offset, label: `${+v.toFixed(1)}`, major: isMajor });
+  }
+  return ticks;
+}
+
+function setAmplitudeRange(minDb, maxDb) {
+  if (!(maxDb - minDb >= 1)) return;
+  AMPLITUDE_CONFIG.minDb = Math.max(-240, minDb);
+  AMPLITUDE_CONFIG.maxDb = Math.min(60, maxDb);
+  updateAmplitudeInputs();
+}
+
+// 잡음 바닥(10% 백분위)과 피크에 맞춰 범위 설정 (10 dB 단위로 반올림)
+function autoscaleAmplitude() {
+  const data = latestSpectrumDb;
+  if (!data || data.length === 0) return;
+  const binHz = getSpectrumNyquist() / data.length;
+  const values = [];
+  let peak = -Infinity;
+  for (let i = 1; i < data.length; i++) {
+    const hz = i * binHz;
+    if (hz < FREQUENCY_CONFIG.minFreq || hz > FREQUENCY_CONFIG.maxFreq) continue;
+    values.push(data[i]);
+    if (data[i] > peak) peak = data[i];
+    if (peakBins && peakBins[i] > peak) peak = peakBins[i];
+  }
+  if (values.length === 0 || peak <= SPECTRUM_DB_FLOOR) return;
+  values.sort((a, b) => a - b);
+  const floor = values[Math.floor(values.length * 0.1)];
+  const lo = Math.floor(floor / 10) * 10 - 10;
+  const hi = Math.ceil(peak / 10) * 10 + 10;
+  setAmplitudeRange(lo, Math.max(lo + 20, hi));
+}
+
+// Ctrl+휠: 커서 위치를 고정한 세로 확대/축소
+function zoomAmplitudeAxis(anchorY, height, factor) {
+  const { minDb, maxDb } = AMPLITUDE_CONFIG;
+  const anchorDb = maxDb - (anchorY / height) * (maxDb - minDb);
+  setAmplitudeRange(anchorDb - (anchorDb - minDb) * factor, anchorDb + (maxDb - anchorDb) * factor);
+}
+
+const ampUnitSelect = document.getElementById('ampUnitSelect');
+const ampCalInput = document.getElementById('ampCalInput');
+const ampCalLabel = document.getElementById('ampCalLabel');
+const ampTopInput = document.getElementById('ampTopInput');
+const ampRangeInput = document.getElementById('ampRangeInput');
+const btnAmpFit = document.getElementById('btnAmpFit');
+const btnAmpAuto = document.getElementById('btnAmpAuto');
+
+function updateAmplitudeInputs() {
+  const unit = AMPLITUDE_UNITS[AMPLITUDE_CONFIG.unit];
+  const offset = AMPLITUDE_CONFIG.unit === 'linear' ? 0 : getAmplitudeOffset();
+  ampTopInput.value = +(AMPLITUDE_CONFIG.maxDb + offset).toFixed(1);
+  ampRangeInput.value = +(AMPLITUDE_CONFIG.maxDb - AMPLITUDE_CONFIG.minDb).toFixed(1);
+
+  ampCalLabel.style.display = unit.calibration ? '' : 'none';
+  if (unit.calibration) {
+    const cal = getCalibration();
+    ampCalInput.value = cal[unit.calibration];
+    ampCalLabel.lastChild.textContent = unit.calibration === 'spl' ? ' dB SPL' : ' dBV';
+  }
+}
+
+function initAmplitudeControls() {
+  Object.keys(AMPLITUDE_UNITS).forEach(unit => {
+    const opt = document.createElement('option');
+    opt.value = unit;
+    opt.textContent = AMPLITUDE_UNITS[unit].label;
+    ampUnitSelect.appendChild(opt);
+  });
+  ampUnitSelect.value = AMPLITUDE_CONFIG.unit;
+
+  ampUnitSelect.addEventListener('change', () => {
+    AMPLITUDE_CONFIG.unit = ampUnitSelect.value;
+    updateAmplitudeInputs();
+  });
+  ampCalInput.addEventListener('change', () => {
+    const unit = AMPLITUDE_UNITS[AMPLITUDE_CONFIG.unit];
+    const v = parseFloat(ampCalInput.value);
+    if (!unit.calibration || isNaN(v)) return;
+    const key = getCalibrationKey();
+    calibrationTable[key] = Object.assign({}, calibrationTable[key], { [unit.calibration]: v });
+    saveCalibrationTable();
+    updateAmplitudeInputs();
+    statusEl.textContent = `Calibration saved: 0 dBFS = ${v}${ampCalLabel.lastChild.textContent}`;
+  });
+  const applyRange = () => {
+    const offset = AMPLITUDE_CONFIG.unit === 'linear' ? 0 : getAmplitudeOffset();
+    const top = parseFloat(ampTopInput.value) - offset;
+    const span = parseFloat(ampRangeInput.value);
+    if (!isNaN(top) && span >= 1) {
+      setAmplitudeRange(top - span, top);
+    } else {
+      updateAmplitudeInputs();
+    }
+  };
+  ampTopInput.addEventListener('change', applyRange);
+  ampRangeInput.addEventListener('change', applyRange);
+  btnAmpFit.addEventListener('click', autoscaleAmplitude);
+  btnAmpAuto.addEventListener('click', () => {
+    AMPLITUDE_CONFIG.auto = !AMPLITUDE_CONFIG.auto;
+    btnAmpAuto.classList.toggle('on', AMPLITUDE_CONFIG.auto);
+  });
+  // 장치가 바뀌면 해당 장치의 보정값 표시
+  inputSelect.addEventListener('change', updateAmplitudeInputs);
+
+  updateAmplitudeInputs();
+}
+
+// ===================================
+// v4.1: 오실로스코프 (time-domain 파형)
+// - currentSourceNode → channelSplitter → channelAnalysers[ch]
+// - 트리거: rising/falling 엣지, 레벨, auto/normal/single 모드
+// - 트리거 지점은 화면 가운데, 서브샘플 보간으로 흔들림 제거
+// ===================================
+
+const SCOPE_TIME_DIVS = [0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05]; // 초/div
+const SCOPE_VOLT_DIVS = [0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.25, 0.5]; // 풀스케일(1.0)/div
+const SCOPE_H_DIVS = 10;
+const SCOPE_V_DIVS = 8;
+
+const scopeState = {
+  timeDiv: 0.001,
+  voltDiv: 0.25,
+  mode: 'auto',      // 'auto' | 'normal' | 'single'
+  edge: 'rising',    // 'rising' | 'falling'
+  level: 0,
+  source: 0,         // 트리거 소스 채널
+  armed: true,       // single 모드에서 다음 트리거 대기 여부
+  channelCount: 0,   // 현재 범례에 표시된 채널 수
+  channelVisible: new Array(MAX_CHANNELS).fill(true),
+  frame: null        // { data: Float32Array[], offset, windowLen, triggered }
+};
+
+let scopeBuffers = null;
+
+// 캔버스 픽셀 크기를 표시 크기(DPR 반영)에 맞추고 CSS 픽셀 크기를 반환
+function fitCanvasToDisplay(canvas, ctx) {
+  const rect = canvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(rect.width * dpr);
+  const h = Math.round(rect.height * dpr);
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  return { width: rect.width, height: rect.height };
+}
+
+// 현재 소스의 채널 수 (파일: 버퍼 채널 수, 실시간: 트랙 설정)
+function getSourceChannelCount() {
+  if (inputMode === 'file' && fileBuffer) {
+    return Math.min(MAX_CHANNELS, fileBuffer.numberOfChannels);
+  }
+  if (inputMode === 'realtime' && mediaStream) {
+    const track = mediaStream.getAudioTracks()[0];
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    return Math.min(MAX_CHANNELS, settings.channelCount || 2);
+  }
+  return 1;
+}
+
+function formatScopeTime(seconds) {
+  if (seconds < 0.001) return `${Math.round(seconds * 1e6)} µs`;
+  return `${+(seconds * 1000).toFixed(2)} ms`;
+}
+
+function initScopeControls() {
+  SCOPE_TIME_DIVS.forEach(v => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = formatScopeTime(v);
+    scopeTimeDiv.appendChild(opt);
+  });
+  scopeTimeDiv.value = scopeState.timeDiv;
+
+  SCOPE_VOLT_DIVS.forEach(v => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = `${v}`;
+    scopeVoltDiv.appendChild(opt);
+  });
+  scopeVoltDiv.value = scopeState.voltDiv;
+
+  scopeTimeDiv.addEventListener('change', () => {
+    scopeState.timeDiv = parseFloat(scopeTimeDiv.value);
+    scopeState.frame = null;
+  });
+  scopeVoltDiv.addEventListener('change', () => {
+    scopeState.voltDiv = parseFloat(scopeVoltDiv.value);
+  });
+  scopeTrigMode.addEventListener('change', () => {
+    scopeState.mode = scopeTrigMode.value;
+    scopeState.armed = true;
+  });
+  scopeTrigEdge.addEventListener('change', () => {
+    scopeState.edge = scopeTrigEdge.value;
+  });
+  scopeTrigSource.addEventListener('change', () => {
+    scopeState.source = parseInt(scopeTrigSource.value, 10) || 0;
+  });
+  scopeTrigLevel.addEventListener('input', () => {
+    const v = parseFloat(scopeTrigLevel.value);
+    if (!isNaN(v)) scopeState.level = Math.max(-1, Math.min(1, v));
+  });
+  btnScopeArm.addEventListener('click', () => {
+    scopeState.armed = true;
+    if (scopeState.mode === 'single') {
+      setScopeTrigState('Armed', 'armed');
+    }
+  });
+
+  updateScopeChannelUI(1);
+}
+
+function setScopeTrigState(text, cls) {
+  if (scopeTrigState.textContent !== text) scopeTrigState.textContent = text;
+  scopeTrigState.className = 'trig-state' + (cls ? ' ' + cls : '');
+}
+
+// 채널 수가 바뀌면 범례(표시 토글)와 트리거 소스 목록을 다시 만듦
+function updateScopeChannelUI(channels) {
+  if (scopeState.channelCount === channels) return;
+  scopeState.channelCount = channels;
+
+  scopeLegend.innerHTML = '';
+  scopeTrigSource.innerHTML = '';
+  for (let ch = 0; ch < channels; ch++) {
+    const item = document.createElement('span');
+    item.className = 'channel-toggle' + (scopeState.channelVisible[ch] ? '' : ' off');
+    item.innerHTML = `<span class="legend-box" style="background:${CHANNEL_COLORS[ch]}"></span>CH${ch + 1}`;
+    item.title = '클릭: 표시/숨김';
+    item.addEventListener('click', () => {
+      scopeState.channelVisible[ch] = !scopeState.channelVisible[ch];
+      item.classList.toggle('off', !scopeState.channelVisible[ch]);
+    });
+    scopeLegend.appendChild(item);
+
+    const opt = document.createElement('option');
+    opt.value = ch;
+    opt.textContent = `CH${ch + 1}`;
+    scopeTrigSource.appendChild(opt);
+  }
+  scopeState.source = Math.min(scopeState.source, channels - 1);
+  scopeTrigSource.value = scopeState.source;
+}
+
+// 트리거 위치 탐색: 가장 최근 엣지를 찾아 서브샘플 위치 반환 (없으면 null)
+// pre/post: 트리거 앞뒤로 확보해야 하는 샘플 수
+function findScopeTrigger(data, pre, post) {
+  const level = scopeState.level;
+  const rising = scopeState.edge === 'rising';
+  for (let i = data.length - post; i > pre; i--) {
+    const a = data[i - 1];
+    const b = data[i];
+    const crossed = rising ? (a < level && b >= level) : (a > level && b <= level);
+    if (crossed) {
+      const frac = (b === a) ? 0 : (level - a) / (b - a);
+      return (i - 1) + frac;
+    }
+  }
+  return null;
+}
+
+function captureScopeFrame(channels) {
+  if (scopeState.mode === 'single' && !scopeState.armed) {
+    setScopeTrigState('Stopped', 'stopped');
+    return;
+  }
+
+  const n = TIME_ANALYSER_SIZE;
+  if (!scopeBuffers) {
+    scopeBuffers = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) scopeBuffers.push(new Float32Array(n));
+  }
+  for (let ch = 0; ch < channels; ch++) {
+    channelAnalysers[ch].getFloatTimeDomainData(scopeBuffers[ch]);
+  }
+
+  const windowLen = Math.min(n - 4, Math.round(SCOPE_H_DIVS * scopeState.timeDiv * audioCtx.sampleRate));
+  const half = Math.floor(windowLen / 2);
+  const src = Math.min(scopeState.source, channels - 1);
+  const trigPos = findScopeTrigger(scopeBuffers[src], half + 1, windowLen - half + 2);
+
+  let start;
+  let offset = 0;
+  if (trigPos !== null) {
+    start = Math.floor(trigPos) - half;
+    offset = trigPos - Math.floor(trigPos);
+  } else if (scopeState.mode === 'auto') {
+    start = n - windowLen - 1;
+  } else {
+    // normal/single: 트리거가 없으면 마지막 화면 유지
+    setScopeTrigState('Armed', 'armed');
+    return;
+  }
+
+  const data = [];
+  for (let ch = 0; ch < channels; ch++) {
+    data.push(scopeBuffers[ch].slice(start, start + windowLen + 2));
+  }
+  scopeState.frame = { data, offset, windowLen, triggered: trigPos !== null };
+
+  if (trigPos !== null) {
+    if (scopeState.mode === 'single') {
+      scopeState.armed = false;
+      setScopeTrigState('Stopped', 'stopped');
+    } else {
+      setScopeTrigState("Trig'd", 'triggered');
+    }
+  } else {
+    setScopeTrigState('Auto', '');
+  }
+}
+
+function drawScopeGrid(ctx, width, height) {
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+
+  const minor = 'rgba(220,220,220,0.12)';
+  const major = 'rgba(220,220,220,0.35)';
+
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= SCOPE_H_DIVS; i++) {
+    const x = Math.round((i / SCOPE_H_DIVS) * width) + 0.5;
+    ctx.strokeStyle = (i === SCOPE_H_DIVS / 2) ? major : minor;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+  }
+  for (let i = 0; i <= SCOPE_V_DIVS; i++) {
+    const y = Math.round((i / SCOPE_V_DIVS) * height) + 0.5;
+    ctx.strokeStyle = (i === SCOPE_V_DIVS / 2) ? major : minor;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  // 중앙 축의 보조 눈금 (div당 5칸)
+  ctx.strokeStyle = major;
+  const cx = Math.round(width / 2) + 0.5;
+  const cy = Math.round(height / 2) + 0.5;
+  for (let i = 0; i < SCOPE_H_DIVS * 5; i++) {
+    const x = Math.round((i / (SCOPE_H_DIVS * 5)) * width) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x, cy - 3);
+    ctx.lineTo(x, cy + 3);
+    ctx.stroke();
+  }
+  for (let i = 0; i < SCOPE_V_DIVS * 5; i++) {
+    const y = Math.round((i / (SCOPE_V_DIVS * 5)) * height) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(cx - 3, y);
+    ctx.lineTo(cx + 3, y);
+    ctx.stroke();
+  }
+}
+
+function scopeValueToY(v, height) {
+  const pxPerUnit = (height / SCOPE_V_DIVS) / scopeState.voltDiv;
+  return height / 2 - v * pxPerUnit;
+}
+
+// 한 채널 파형 그리기 (샘플이 픽셀보다 많으면 픽셀당 min/max 엔벨로프)
+function drawScopeTrace(ctx, samples, offset, windowLen, width, height, color) {
+  const samplesPerPx = windowLen / width;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.2;
+  ctx.beginPath();
+
+  if (samplesPerPx > 2) {
+    for (let px = 0; px < width; px++) {
+      const i0 = Math.floor(px * samplesPerPx + offset);
+      const i1 = Math.min(samples.length, Math.floor((px + 1) * samplesPerPx + offset) + 1);
+      let min = Infinity, max = -Infinity;
+      for (let i = i0; i < i1; i++) {
+        const v = samples[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      ctx.moveTo(px + 0.5, scopeValueToY(max, height));
+      ctx.lineTo(px + 0.5, scopeValueToY(min, height) + 1);
+    }
+  } else {
+    for (let i = 0; i < samples.length; i++) {
+      const x = ((i - offset) / windowLen) * width;
+      const y = scopeValueToY(samples[i], height);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
+
+function drawScope() {
+  const { width, height } = fitCanvasToDisplay(scopeCanvas, scopeCtx);
+  if (width < 2 || height < 2) return; // 패널이 접혀 있음
+
+  const ctx = scopeCtx;
+  drawScopeGrid(ctx, width, height);
+
+  if (!audioCtx || channelAnalysers.length === 0) return;
+
+  const channels = getSourceChannelCount();
+  updateScopeChannelUI(channels);
+  captureScopeFrame(channels);
+
+  const frame = scopeState.frame;
+  if (frame) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.clip();
+    for (let ch = 0; ch < frame.data.length; ch++) {
+      if (!scopeState.channelVisible[ch]) continue;
+      drawScopeTrace(ctx, frame.data[ch], frame.offset, frame.windowLen, width, height, CHANNEL_COLORS[ch]);
+    }
+    ctx.restore();
+  }
+
+  // 트리거 레벨(우측 화살표)과 트리거 위치(상단 마커)
+  const trigColor = CHANNEL_COLORS[Math.min(scopeState.source, channels - 1)];
+  const ty = scopeValueToY(scopeState.level, height);
+  ctx.fillStyle = trigColor;
+  ctx.beginPath();
+  ctx.moveTo(width, ty);
+  ctx.lineTo(width - 8, ty - 5);
+  ctx.lineTo(width - 8, ty + 5);
+  ctx.closePath();
+  ctx.fill();
+  ctx.beginPath();
+  ctx.moveTo(width / 2 - 5, 0);
+  ctx.lineTo(width / 2 + 5, 0);
+  ctx.lineTo(width / 2, 8);
+  ctx.closePath();
+  ctx.fill();
+
+  // 눈금 정보
+  ctx.fillStyle = '#cfd2d6';
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${formatScopeTime(scopeState.timeDiv)}/div   ${scopeState.voltDiv}/div`, 6, height - 4);
+  ctx.textAlign = 'right';
+  const edgeMark = scopeState.edge === 'rising' ? '↗' : '↘';
+  ctx.fillText(`CH${Math.min(scopeState.source, channels - 1) + 1} ${edgeMark} ${scopeState.level.toFixed(2)}`, width - 12, height - 4);
+}
+
+// 접기/펼치기 버튼 (data-target: 접을 컨테이너 id)
+function setupCollapseButtons() {
+  document.querySelectorAll('.collapse-btn[data-target]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const container = document.getElementById(btn.dataset.target);
+      if (!container) return;
+      const collapsed = container.classList.toggle('collapsed');
+      btn.classList.toggle('collapsed', collapsed);
+      btn.textContent = collapsed ? '+' : '−';
+      const section = btn.closest('.canvas-col');
+      if (section) section.classList.toggle('collapsed', collapsed);
+      // 줄 안의 패널이 모두 접히면 줄 자체도 줄임
+      const row = btn.closest('.view-row');
+      if (row) {
+        const allCollapsed = Array.from(row.children).every(c => c.classList.contains('collapsed'));
+        row.classList.toggle('collapsed', allCollapsed);
+      }
+    });
+  });
+}
+
+initScopeControls();
+setupCollapseButtons();
+
+// ===================================
+// v4.1: FFT 유틸리티 (radix-2, in-place)
+// ===================================
+
+const FFT_TABLE_CACHE = {};
+
+// 크기별 비트 반전/회전인자 테이블 (한 번만 계산)
+function getFftTables(size) {
+  if (FFT_TABLE_CACHE[size]) return FFT_TABLE_CACHE[size];
+  const bits = Math.round(Math.log2(size));
+  const rev = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    rev[i] = r;
+  }
+  const cos = new Float32Array(size / 2);
+  const sin = new Float32Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos(-2 * Math.PI * i / size);
+    sin[i] = Math.sin(-2 * Math.PI * i / size);
+  }
+  FFT_TABLE_CACHE[size] = { rev, cos, sin };
+  return FFT_TABLE_CACHE[size];
+}
+
+// 복소 FFT (re/im 배열을 그대로 덮어씀, size는 2의 거듭제곱)
+function fftInPlace(re, im) {
+  const size = re.length;
+  const { rev, cos, sin } = getFftTables(size);
+
+  for (let i = 0; i < size; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let len = 2; len <= size; len <<= 1) {
+    const half = len >> 1;
+    const step = size / len;
+    for (let i = 0; i < size; i += len) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = i + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// 윈도우 함수 (크기/종류별 캐시, sum은 진폭 보정용 coherent gain)
+const WINDOW_CACHE = {};
+function getWindow(type, size) {
+  const key = `${type}|${size}`;
+  if (WINDOW_CACHE[key]) return WINDOW_CACHE[key];
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = (2 * Math.PI * i) / size;
+    switch (type) {
+      case 'rectangular':
+        w[i] = 1;
+        break;
+      case 'blackman-harris':
+        w[i] = 0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x);
+        break;
+      case 'flattop':
+        w[i] = 0.21557895 - 0.41663158 * Math.cos(x) + 0.277263158 * Math.cos(2 * x)
+          - 0.083578947 * Math.cos(3 * x) + 0.006947368 * Math.cos(4 * x);
+        break;
+      case 'hann':
+      default:
+        w[i] = 0.5 - 0.5 * Math.cos(x);
+        break;
+    }
+  }
+  let sum = 0;
+  for (let i = 0; i < size; i++) sum += w[i];
+  WINDOW_CACHE[key] = { w, sum };
+  return WINDOW_CACHE[key];
+}
+
+// frame(길이 size) → outPower(길이 size/2, 진폭² / 풀스케일 사인 = 1.0)
+function computePowerSpectrum(frame, outPower, windowType, re, im) {
+  const size = frame.length;
+  const { w, sum } = getWindow(windowType, size);
+  re = re || new Float32Array(size);
+  im = im || new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    re[i] = frame[i] * w[i];
+    im[i] = 0;
+  }
+  fftInPlace(re, im);
+  const n = size / 2;
+  const scale = 2 / sum;
+  for (let k = 0; k < n; k++) {
+    const amp = Math.sqrt(re[k] * re[k] + im[k] * im[k]) * (k === 0 ? scale / 2 : scale);
+    outPower[k] = amp * amp;
+  }
+  return outPower;
+}
+
+function powerToDb(p) {
+  return p > 1e-20 ? 10 * Math.log10(p) : -200;
+}
+
+// frame(길이 size) → outDb(길이 size/2, dBFS)
+function computeSpectrumDb(frame, outDb, windowType) {
+  const power = computePowerSpectrum(frame, new Float32Array(frame.length / 2), windowType || spectrumSettings.window);
+  for (let k = 0; k < power.length; k++) outDb[k] = powerToDb(power[k]);
+  return outDb;
+}
+
+// ===================================
+// v4.1: 스펙트럼 분석 엔진
+// - visualAnalyser의 원시 샘플(getFloatTimeDomainData)에 직접 FFT 적용
+// - FFT 크기 256~32768, 윈도우, 오버랩(hop), 평균 모드 설정
+// - 샘플 위치는 audioCtx.currentTime 기준, 화면 프레임 사이에 쌓인 hop만큼 FFT 반복
+// ===================================
+
+const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const MAX_FRAMES_PER_UPDATE = 64;
+// 분석기 버퍼(최대 32768)보다 긴 샘플 히스토리: 최대 FFT 크기 프레임도 hop마다 잘리지 않도록 2배 유지
+const SPECTRUM_HISTORY_SIZE = FFT_SIZES[FFT_SIZES.length - 1] * 2;
+
+const spectrumSettings = {
+  fftSize: FFT_SIZE,
+  window: 'hann',       // 'hann' | 'blackman-harris' | 'flattop' | 'rectangular'
+  overlap: 0.5,         // 0 ~ 0.875
+  averaging: 'none',    // 'none' | 'exponential' | 'linear' | 'max'
+  avgCount: 8           // exponential: 시정수(프레임), linear/max: 프레임 수
+};
+
+// 트레이스별 FFT/평균 상태
+function createSpectrumEngine() {
+  return {
+    frame: null,
+    re: null,
+    im: null,
+    power: null,
+    avgPower: null,       // exponential/none 결과
+    history: [],          // linear/max용 최근 프레임
+    historyIdx: 0,
+    frameCount: 0,
+    outDb: null
+  };
+}
+
+const spectrumEngine = createSpectrumEngine(); // 다운믹스(visualAnalyser) 트레이스
+const channelEngines = {};                     // v4.1: 'ch0'~'ch7', 'mid', 'side', 'diff'
+
+// 공통 샘플 시계와 원시 샘플 버퍼
+const spectrumClock = {
+  lastFramePos: null,   // 마지막 FFT 프레임 끝 샘플 위치
+  newFrames: 0,         // 마지막 updateSpectrumAnalysis 호출에서 새로 계산한 프레임 수
+  mixBuf: null,
+  channelBufs: [],
+  history: {},          // 소스 키('mix', 'ch0'~, 'abA'/'abB') → { data, pos }
+  readBuf: null
+};
+
+// 분석기의 최신 샘플 중 지난 호출 이후 새로 들어온 부분만 히스토리 끝에 이어 붙임
+// (히스토리 끝 = now 위치, 길이 SPECTRUM_HISTORY_SIZE)
+function readSampleHistory(key, analyser, now) {
+  const clock = spectrumClock;
+  const bufLen = analyser.fftSize;
+  if (!clock.readBuf || clock.readBuf.length !== bufLen) clock.readBuf = new Float32Array(bufLen);
+  let h = clock.history[key];
+  if (!h) h = clock.history[key] = { data: new Float32Array(SPECTRUM_HISTORY_SIZE), pos: null };
+  const n = h.pos === null ? -1 : now - h.pos;
+  if (n === 0) return h.data;
+
+  analyser.getFloatTimeDomainData(clock.readBuf);
+  if (n < 0 || n > bufLen) {
+    // 처음이거나 분석기 버퍼보다 긴 공백 → 히스토리를 새로 채움
+    h.data.fill(0);
+    h.data.set(clock.readBuf, SPECTRUM_HISTORY_SIZE - bufLen);
+  } else {
+    h.data.copyWithin(0, n);
+    h.data.set(clock.readBuf.subarray(bufLen - n), SPECTRUM_HISTORY_SIZE - n);
+  }
+  h.pos = now;
+  return h.data;
+}
+
+function resetEngineBuffers(e) {
+  const size = spectrumSettings.fftSize;
+  const n = size / 2;
+  e.frame = new Float32Array(size);
+  e.re = new Float32Array(size);
+  e.im = new Float32Array(size);
+  e.power = new Float32Array(n);
+  e.avgPower = new Float64Array(n);
+  e.history = [];
+  e.historyIdx = 0;
+  e.frameCount = 0;
+  e.outDb = new Float32Array(n).fill(SPECTRUM_DB_FLOOR);
+}
+
+function resetSpectrumEngine() {
+  resetEngineBuffers(spectrumEngine);
+  Object.keys(channelEngines).forEach(key => resetEngineBuffers(channelEngines[key]));
+  spectrumClock.lastFramePos = null;
+}
+
+function getChannelEngine(key) {
+  if (!channelEngines[key]) {
+    channelEngines[key] = createSpectrumEngine();
+    resetEngineBuffers(channelEngines[key]);
+  }
+  return channelEngines[key];
+}
+
+// 새 프레임 power를 평균 모드에 따라 누적
+function accumulateSpectrumFrame(e, power) {
+  const n = power.length;
+  const mode = spectrumSettings.averaging;
+  const count = Math.max(1, spectrumSettings.avgCount);
+  e.frameCount++;
+
+  if (mode === 'exponential') {
+    const alpha = e.frameCount === 1 ? 1 : 1 / count;
+    for (let k = 0; k < n; k++) e.avgPower[k] += alpha * (power[k] - e.avgPower[k]);
+  } else if (mode === 'linear' || mode === 'max') {
+    if (e.history.length < count) {
+      e.history.push(new Float32Array(power));
+    } else {
+      e.history[e.historyIdx].set(power);
+      e.historyIdx = (e.historyIdx + 1) % count;
+    }
+  } else {
+    e.avgPower.set(power);
+  }
+}
+
+function finalizeSpectrumOutput(e) {
+  const n = e.outDb.length;
+  const mode = spectrumSettings.averaging;
+
+  if (mode === 'linear' || mode === 'max') {
+    const frames = e.history;
+    if (frames.length === 0) return;
+    for (let k = 0; k < n; k++) {
+      let acc = 0;
+      for (let f = 0; f < frames.length; f++) {
+        const v = frames[f][k];
+        if (mode === 'max') {
+          if (v > acc) acc = v;
+        } else {
+          acc += v;
+        }
+      }
+      e.outDb[k] = powerToDb(mode === 'max' ? acc : acc / frames.length);
+    }
+  } else {
+    for (let k = 0; k < n; k++) e.outDb[k] = powerToDb(e.avgPower[k]);
+  }
+}
+
+// 트레이스 키에 해당하는 프레임을 원시 샘플 버퍼에서 채움
+function fillTraceFrame(key, frame, start) {
+  const size = frame.length;
+  const bufs = spectrumClock.channelBufs;
+  if (key === 'mix') {
+    frame.set(spectrumClock.mixBuf.subarray(start, start + size));
+  } else if (key.startsWith('ch')) {
+    frame.set(bufs[parseInt(key.slice(2), 10)].subarray(start, start + size));
+  } else if (COMPARE_TRACES[key]) {
+    frame.set(compareState.bufs[key].subarray(start, start + size));
+  } else {
+    const l = bufs[0];
+    const r = bufs[1];
+    for (let i = 0; i < size; i++) {
+      const a = l[start + i];
+      const b = r[start + i];
+      frame[i] = key === 'mid' ? (a + b) * 0.5 : (key === 'side' ? (a - b) * 0.5 : a - b);
+    }
+  }
+}
+
+// 마지막 호출 이후 쌓인 샘플에 대해 hop 간격으로 FFT 수행, 결과 dB 배열 반환
+// (채널별 트레이스는 channelEngines[key].outDb에 함께 갱신)
+function updateSpectrumAnalysis() {
+  const size = spectrumSettings.fftSize;
+  if (!spectrumEngine.frame || spectrumEngine.frame.length !== size) resetSpectrumEngine();
+  spectrumClock.newFrames = 0;
+  if (!visualAnalyser || !audioCtx) return spectrumEngine.outDb;
+
+  const sr = audioCtx.sampleRate;
+  const hop = Math.max(1, Math.round(size * (1 - spectrumSettings.overlap)));
+  const now = Math.round(audioCtx.currentTime * sr);
+  const bufLen = visualAnalyser.fftSize;
+  const clock = spectrumClock;
+
+  if (clock.lastFramePos === null || now < clock.lastFramePos || now - clock.lastFramePos > bufLen) {
+    clock.lastFramePos = now - hop;
+  }
+
+  const positions = [];
+  for (let p = clock.lastFramePos + hop; p <= now; p += hop) positions.push(p);
+  if (positions.length === 0) return spectrumEngine.outDb;
+  clock.lastFramePos = positions[positions.length - 1];
+  clock.newFrames = positions.length;
+
+  // 필요한 소스의 원시 샘플만 가져옴
+  const traces = [{ key: 'mix', engine: spectrumEngine }];
+  getActiveChannelTraceKeys().forEach(key => traces.push({ key, engine: getChannelEngine(key) }));
+  getCompareTraceKeys().forEach(key => traces.push({ key, engine: getChannelEngine(key) })); // v4.1: A/B 레인
+
+  clock.mixBuf = readSampleHistory('mix', visualAnalyser, now);
+  const neededChannels = new Set();
+  traces.forEach(t => {
+    if (t.key.startsWith('ch')) neededChannels.add(parseInt(t.key.slice(2), 10));
+    else if (DERIVED_TRACES[t.key]) { neededChannels.add(0); neededChannels.add(1); }
+  });
+  if (getCompareTraceKeys().length) readCompareSamples(now);
+  neededChannels.forEach(ch => {
+    clock.channelBufs[ch] = readSampleHistory('ch' + ch, channelAnalysers[ch], now);
+  });
+
+  const first = Math.max(0, positions.length - MAX_FRAMES_PER_UPDATE);
+  traces.forEach(({ key, engine }) => {
+    if (!engine.frame || engine.frame.length !== size) resetEngineBuffers(engine);
+    for (let i = first; i < positions.length; i++) {
+      const start = SPECTRUM_HISTORY_SIZE - (now - positions[i]) - size;
+      if (start < 0) continue; // 히스토리 밖 (너무 오래된 프레임)
+      fillTraceFrame(key, engine.frame, start);
+      computePowerSpectrum(engine.frame, engine.power, spectrumSettings.window, engine.re, engine.im);
+      accumulateSpectrumFrame(engine, engine.power);
+    }
+    finalizeSpectrumOutput(engine);
+  });
+  return spectrumEngine.outDb;
+}
+
+// ===================================
+// v4.1: 채널별 스펙트럼 트레이스
+// - CH1~CH8: channelSplitter → channelAnalysers[ch]
+// - Mid (L+R)/2, Side (L−R)/2, Difference L−R: 채널 0/1에서 계산
+// ===================================
+
+const DERIVED_TRACES = {
+  mid: { label: 'Mid', color: '#eeeeee' },
+  side: { label: 'Side', color: '#ff8a65' },
+  diff: { label: 'L−R', color: '#ce93d8' }
+};
+
+const spectrumTraceState = {
+  channelCount: 0,
+  visible: {} // key → bool (기본: 모두 숨김, 다운믹스만 표시)
+};
+
+const spectrumChannelLegend = document.getElementById('spectrumChannelLegend');
+
+function getActiveChannelTraceKeys() {
+  const channels = spectrumTraceState.channelCount;
+  return Object.keys(spectrumTraceState.visible).filter(key => {
+    if (!spectrumTraceState.visible[key]) return false;
+    if (key.startsWith('ch')) return parseInt(key.slice(2), 10) < channels;
+    return channels >= 2;
+  });
+}
+
+function getTraceColor(key) {
+  if (key.startsWith('ch')) return CHANNEL_COLORS[parseInt(key.slice(2), 10)];
+  return DERIVED_TRACES[key].color;
+}
+
+function getTraceLabel(key) {
+  if (key.startsWith('ch')) {
+    const ch = parseInt(key.slice(2), 10);
+    if (spectrumTraceState.channelCount === 2) return ch === 0 ? 'L' : 'R';
+    return `CH${ch + 1}`;
+  }
+  return DERIVED_TRACES[key].label;
+}
+
+// 채널 수가 바뀌면 범례 토글을 다시 만듦
+function updateSpectrumChannelLegend(channels) {
+  if (spectrumTraceState.channelCount === channels) return;
+  spectrumTraceState.channelCount = channels;
+
+  const keys = [];
+  for (let ch = 0; ch < channels; ch++) keys.push(`ch${ch}`);
+  if (channels >= 2) keys.push('mid', 'side', 'diff');
+
+  spectrumChannelLegend.innerHTML = '';
+  keys.forEach(key => {
+    const item = document.createElement('span');
+    item.className = 'channel-toggle' + (spectrumTraceState.visible[key] ? '' : ' off');
+    item.innerHTML = `<span class="legend-box" style="background:${getTraceColor(key)}"></span>${getTraceLabel(key)}`;
+    item.title = '클릭: 표시/숨김';
+    item.addEventListener('click', () => {
+      spectrumTraceState.visible[key] = !spectrumTraceState.visible[key];
+      item.classList.toggle('off', !spectrumTraceState.visible[key]);
+      if (spectrumTraceState.visible[key]) resetEngineBuffers(getChannelEngine(key));
+    });
+    spectrumChannelLegend.appendChild(item);
+  });
+}
+
+// 표시 중인 채널/파생 트레이스 그리기
+function drawChannelTraces(ctx, plotArea) {
+  getActiveChannelTraceKeys().forEach(key => {
+    const engine = channelEngines[key];
+    if (!engine || !engine.outDb) return;
+    drawSmoothCurve(ctx, buildSpectrumPoints(engine.outDb, plotArea), getTraceColor(key), 1.1);
+  });
+}
+
+const fftSizeSelect = document.getElementById('fftSizeSelect');
+const fftWindowSelect = document.getElementById('fftWindowSelect');
+const fftOverlapSelect = document.getElementById('fftOverlapSelect');
+const fftAveragingSelect = document.getElementById('fftAveragingSelect');
+const fftAvgCount = document.getElementById('fftAvgCount');
+const fftResolution = document.getElementById('fftResolution');
+
+function updateFftResolutionLabel() {
+  const sr = audioCtx ? audioCtx.sampleRate : 48000;
+  const binHz = sr / spectrumSettings.fftSize;
+  const frameMs = (spectrumSettings.fftSize / sr) * 1000;
+  fftResolution.textContent = `Δf ${binHz < 10 ? binHz.toFixed(2) : binHz.toFixed(1)} Hz · ${frameMs.toFixed(1)} ms`;
+}
+
+function initSpectrumSettingsControls() {
+  FFT_SIZES.forEach(size => {
+    const opt = document.createElement('option');
+    opt.value = size;
+    opt.textContent = size;
+    fftSizeSelect.appendChild(opt);
+  });
+  fftSizeSelect.value = spectrumSettings.fftSize;
+  fftWindowSelect.value = spectrumSettings.window;
+  fftOverlapSelect.value = spectrumSettings.overlap;
+  fftAveragingSelect.value = spectrumSettings.averaging;
+  fftAvgCount.value = spectrumSettings.avgCount;
+
+  fftSizeSelect.addEventListener('change', () => {
+    spectrumSettings.fftSize = parseInt(fftSizeSelect.value, 10);
+    resetSpectrumEngine();
+    resetMaxPeaks();
+    updateFftResolutionLabel();
+  });
+  fftWindowSelect.addEventListener('change', () => {
+    spectrumSettings.window = fftWindowSelect.value;
+    resetSpectrumEngine();
+  });
+  fftOverlapSelect.addEventListener('change', () => {
+    spectrumSettings.overlap = parseFloat(fftOverlapSelect.value);
+  });
+  fftAveragingSelect.addEventListener('change', () => {
+    spectrumSettings.averaging = fftAveragingSelect.value;
+    fftAvgCount.disabled = spectrumSettings.averaging === 'none';
+    resetSpectrumEngine();
+  });
+  fftAvgCount.addEventListener('change', () => {
+    const v = parseInt(fftAvgCount.value, 10);
+    if (v >= 1) {
+      spectrumSettings.avgCount = Math.min(256, v);
+      resetSpectrumEngine();
+    }
+  });
+
+  fftAvgCount.disabled = spectrumSettings.averaging === 'none';
+  resetSpectrumEngine();
+  updateFftResolutionLabel();
+}
+
+initSpectrumSettingsControls();
+
+// ===================================
+// v4.1: 스펙트로그램 (waterfall)
+// - 가로축: 스펙트럼과 같은 hzToCanvasX 주파수 축
+// - 실시간: 최근 N분을 링버퍼에 저장, 위쪽이 최신, 휠/슬라이더로 과거 탐색
+// - 파일: 로드 시 fileBuffer 전체를 미리 계산, 위→아래가 파일 처음→끝, 클릭으로 이동
+// ===================================
+
+const sgramCanvas = document.getElementById('sgramCanvas');
+const sgramCtx = sgramCanvas.getContext('2d');
+const sgramColormap = document.getElementById('sgramColormap');
+const sgramDbMin = document.getElementById('sgramDbMin');
+const sgramDbMax = document.getElementById('sgramDbMax');
+const sgramHistory = document.getElementById('sgramHistory');
+const sgramScrub = document.getElementById('sgramScrub');
+const btnSgramLive = document.getElementById('btnSgramLive');
+const sgramPosition = document.getElementById('sgramPosition');
+
+const SGRAM_ROW_RATE = 30;          // 실시간 저장 속도 (rows/s)
+const SGRAM_MAX_STORED_BINS = 4096; // 행당 저장 빈 수 상한 (초과 시 max-pooling)
+const SGRAM_DB_FLOOR = -160;        // 양자화 범위: -160 ~ 0 dB → 0 ~ 255
+const SGRAM_FILE_FFT_SIZE = 4096;
+const SGRAM_FILE_MAX_ROWS = 2400;
+const SGRAM_PADDING = { top: 4, right: 10, bottom: 18, left: 0 };
+
+const SGRAM_COLORMAPS = {
+  inferno: [[0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99], [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]],
+  viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+  magma: [[0, 0, 4], [59, 15, 112], [140, 41, 129], [222, 73, 104], [254, 159, 109], [252, 253, 191]],
+  jet: [[0, 0, 131], [0, 60, 170], [5, 255, 255], [255, 255, 0], [250, 0, 0], [128, 0, 0]],
+  gray: [[0, 0, 0], [255, 255, 255]]
+};
+
+const sgramState = {
+  colormap: 'inferno',
+  dbMin: -120,
+  dbMax: 0,
+  // 실시간 링버퍼
+  capacity: 0,
+  rows: [],
+  rowTimes: null,
+  head: 0,          // 다음에 쓸 위치
+  count: 0,
+  binHz: 0,         // 저장 행의 빈 간격 (Hz)
+  lastRowTime: 0,
+  viewOffset: 0,    // 최신 행으로부터 몇 행 이전을 맨 위에 표시할지 (0 = Live)
+  // 파일 전체 스펙트로그램
+  file: null,       // { rows: Uint8Array[], binHz, duration }
+  playheadTime: 0,  // 재생 위치 (초, 트랜스포트 'position' 이벤트)
+  fileToken: 0,
+  // 렌더링 캐시
+  lut: null,        // q(0~255) → RGBA(Uint32)
+  lutKey: '',
+  columns: null,    // 픽셀 열 → [j0, j1) 저장 빈 범위
+  columnsKey: '',
+  image: null,
+  offscreen: document.createElement('canvas')
+};
+
+function dbToSgramQ(db) {
+  const q = Math.round((db - SGRAM_DB_FLOOR) * 255 / -SGRAM_DB_FLOOR);
+  return q < 0 ? 0 : (q > 255 ? 255 : q);
+}
+
+function sgramQToDb(q) {
+  return SGRAM_DB_FLOOR + q * -SGRAM_DB_FLOOR / 255;
+}
+
+// dB 배열 → 저장용 Uint8 행 (빈이 많으면 구간 최대값으로 축소)
+function quantizeSpectrumRow(dbData) {
+  const n = dbData.length;
+  const len = Math.min(n, SGRAM_MAX_STORED_BINS);
+  const row = new Uint8Array(len);
+  const ratio = n / len;
+  for (let j = 0; j < len; j++) {
+    const i0 = Math.floor(j * ratio);
+    const i1 = Math.max(i0 + 1, Math.floor((j + 1) * ratio));
+    let max = -Infinity;
+    for (let i = i0; i < i1; i++) if (dbData[i] > max) max = dbData[i];
+    row[j] = dbToSgramQ(max);
+  }
+  return row;
+}
+
+function resetSpectrogramHistory() {
+  const minutes = parseFloat(sgramHistory.value) || 5;
+  sgramState.capacity = Math.round(minutes * 60 * SGRAM_ROW_RATE);
+  sgramState.rows = new Array(sgramState.capacity);
+  sgramState.rowTimes = new Float64Array(sgramState.capacity);
+  sgramState.head = 0;
+  sgramState.count = 0;
+  setSpectrogramViewOffset(0);
+}
+
+// 실시간 프레임을 일정 속도로 링버퍼에 추가
+function pushSpectrogramRow(dbData, nowMs) {
+  if (!dbData || !audioCtx) return;
+  if (nowMs - sgramState.lastRowTime < 1000 / SGRAM_ROW_RATE) return;
+  sgramState.lastRowTime = nowMs;
+
+  const row = quantizeSpectrumRow(dbData);
+  const binHz = (audioCtx.sampleRate / 2) / row.length;
+  if (sgramState.binHz !== binHz) {
+    // 빈 간격이 바뀌면 이전 기록과 섞을 수 없으므로 초기화
+    resetSpectrogramHistory();
+    sgramState.binHz = binHz;
+  }
+
+  sgramState.rows[sgramState.head] = row;
+  sgramState.rowTimes[sgramState.head] = nowMs / 1000;
+  sgramState.head = (sgramState.head + 1) % sgramState.capacity;
+  sgramState.count = Math.min(sgramState.count + 1, sgramState.capacity);
+
+  // 과거 탐색 중이면 보고 있는 화면이 밀리지 않도록 오프셋 유지
+  if (sgramState.viewOffset > 0) {
+    setSpectrogramViewOffset(sgramState.viewOffset + 1);
+  }
+  sgramScrub.max = Math.max(0, sgramState.count - 1);
+}
+
+// 최신 행 기준 age번째 이전 행
+function getSpectrogramHistoryRow(age) {
+  if (age < 0 || age >= sgramState.count) return null;
+  const idx = (sgramState.head - 1 - age + sgramState.capacity * 2) % sgramState.capacity;
+  return sgramState.rows[idx];
+}
+
+function setSpectrogramViewOffset(offset) {
+  const maxOffset = Math.max(0, sgramState.count - 1);
+  sgramState.viewOffset = Math.max(0, Math.min(maxOffset, Math.round(offset)));
+  sgramScrub.value = sgramState.viewOffset;
+  const live = sgramState.viewOffset === 0;
+  btnSgramLive.classList.toggle('on', live);
+  if (live) {
+    sgramPosition.textContent = 'Live';
+  } else {
+    sgramPosition.textContent = `-${(sgramState.viewOffset / SGRAM_ROW_RATE).toFixed(1)} s`;
+  }
+}
+
+// 파일 전체 스펙트로그램 계산 (UI가 멈추지 않도록 나눠서 처리)
+async function buildFileSpectrogram(buffer) {
+  const token = ++sgramState.fileToken;
+  sgramState.file = null;
+
+  const size = SGRAM_FILE_FFT_SIZE;
+  const total = buffer.length;
+  const hop = Math.max(size / 4, Math.ceil(total / SGRAM_FILE_MAX_ROWS));
+  const rowCount = Math.max(1, Math.ceil(total / hop));
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+
+  const frame = new Float32Array(size);
+  const dbData = new Float32Array(size / 2);
+  const rows = new Array(rowCount);
+
+  for (let r = 0; r < rowCount; r++) {
+    const start = r * hop - size / 2;
+    for (let i = 0; i < size; i++) {
+      const idx = start + i;
+      let v = 0;
+      if (idx >= 0 && idx < total) {
+        for (let ch = 0; ch < channels.length; ch++) v += channels[ch][idx];
+        v /= channels.length;
+      }
+      frame[i] = v;
+    }
+    rows[r] = quantizeSpectrumRow(computeSpectrumDb(frame, dbData));
+
+    if (r % 64 === 63) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (token !== sgramState.fileToken) return; // 다른 파일이 로드됨
+      sgramPosition.textContent = `분석 중... ${Math.round((r / rowCount) * 100)}%`;
+    }
+  }
+
+  sgramState.file = {
+    rows,
+    binHz: (buffer.sampleRate / 2) / rows[0].length,
+    duration: buffer.duration
+  };
+  sgramPosition.textContent = formatTime(buffer.duration);
+  console.log(`v4.1: File spectrogram built (${rowCount} rows, hop ${hop})`);
+}
+
+function buildColormapLut() {
+  const key = `${sgramState.colormap}|${sgramState.dbMin}|${sgramState.dbMax}`;
+  if (sgramState.lutKey === key) return sgramState.lut;
+
+  const stops = SGRAM_COLORMAPS[sgramState.colormap] || SGRAM_COLORMAPS.inferno;
+  const lut = new Uint32Array(256);
+  const range = Math.max(1, sgramState.dbMax - sgramState.dbMin);
+  for (let q = 0; q < 256; q++) {
+    const norm = Math.max(0, Math.min(1, (sgramQToDb(q) - sgramState.dbMin) / range));
+    const pos = norm * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(pos));
+    const f = pos - i;
+    const c0 = stops[i], c1 = stops[i + 1];
+    const r = Math.round(c0[0] + (c1[0] - c0[0]) * f);
+    const g = Math.round(c0[1] + (c1[1] - c0[1]) * f);
+    const b = Math.round(c0[2] + (c1[2] - c0[2]) * f);
+    lut[q] = (255 << 24) | (b << 16) | (g << 8) | r; // little-endian RGBA
+  }
+  sgramState.lut = lut;
+  sgramState.lutKey = key;
+  return lut;
+}
+
+// 픽셀 열마다 대응하는 저장 빈 범위 (주파수 축 변환 결과 캐시)
+function getSpectrogramColumns(width, rowLen, binHz) {
+  const key = `${width}|${rowLen}|${binHz}`;
+  if (sgramState.columnsKey === key) return sgramState.columns;
+
+  const cols = new Uint32Array(width * 2);
+  for (let x = 0; x < width; x++) {
+    const hz0 = canvasXToHz(x, width);
+    const hz1 = canvasXToHz(x + 1, width);
+    const j0 = Math.min(rowLen - 1, Math.max(0, Math.floor(hz0 / binHz)));
+    const j1 = Math.min(rowLen, Math.max(j0 + 1, Math.ceil(hz1 / binHz)));
+    cols[x * 2] = j0;
+    cols[x * 2 + 1] = j1;
+  }
+  sgramState.columns = cols;
+  sgramState.columnsKey = key;
+  return cols;
+}
+
+function invalidateSpectrogramColumns() {
+  sgramState.columnsKey = '';
+}
+
+function getSpectrogramPlotArea(width, height) {
+  return {
+    plotX: SGRAM_PADDING.left,
+    plotY: SGRAM_PADDING.top,
+    plotWidth: Math.max(1, Math.floor(width - SGRAM_PADDING.left - SGRAM_PADDING.right)),
+    plotHeight: Math.max(1, Math.floor(height - SGRAM_PADDING.top - SGRAM_PADDING.bottom))
+  };
+}
+
+function drawSpectrogram() {
+  const { width, height } = fitCanvasToDisplay(sgramCanvas, sgramCtx);
+  if (width < 2 || height < 2) return;
+
+  const ctx = sgramCtx;
+  const area = getSpectrogramPlotArea(width, height);
+  const fileView = inputMode === 'file' && sgramState.file;
+
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+
+  // 표시할 행 선택: rowAt(y) → Uint8Array | null
+  let rowAt;
+  let binHz;
+  if (fileView) {
+    const rows = sgramState.file.rows;
+    binHz = sgramState.file.binHz;
+    rowAt = (y) => rows[Math.min(rows.length - 1, Math.floor((y / area.plotHeight) * rows.length))];
+  } else {
+    binHz = sgramState.binHz;
+    rowAt = (y) => getSpectrogramHistoryRow(sgramState.viewOffset + y);
+  }
+
+  const sample = fileView ? sgramState.file.rows[0] : getSpectrogramHistoryRow(0);
+  if (sample && binHz > 0) {
+    const lut = buildColormapLut();
+    const cols = getSpectrogramColumns(area.plotWidth, sample.length, binHz);
+    const off = sgramState.offscreen;
+    if (off.width !== area.plotWidth || off.height !== area.plotHeight) {
+      off.width = area.plotWidth;
+      off.height = area.plotHeight;
+      sgramState.image = null;
+    }
+    const octx = off.getContext('2d');
+    if (!sgramState.image) sgramState.image = octx.createImageData(area.plotWidth, area.plotHeight);
+    const pixels = new Uint32Array(sgramState.image.data.buffer);
+    const bg = lut[0];
+
+    for (let y = 0; y < area.plotHeight; y++) {
+      const row = rowAt(y);
+      const base = y * area.plotWidth;
+      if (!row) {
+        pixels.fill(bg, base, base + area.plotWidth);
+        continue;
+      }
+      for (let x = 0; x < area.plotWidth; x++) {
+        const j0 = cols[x * 2];
+        const j1 = cols[x * 2 + 1];
+        let q = row[j0];
+        for (let j = j0 + 1; j < j1; j++) if (row[j] > q) q = row[j];
+        pixels[base + x] = lut[q];
+      }
+    }
+    octx.putImageData(sgramState.image, 0, 0);
+    ctx.drawImage(off, area.plotX, area.plotY);
+  }
+
+  drawSpectrogramAxes(ctx, area, width, height, fileView);
+}
+
+function drawSpectrogramAxes(ctx, area, width, height, fileView) {
+  const label = '#cfd2d6';
+  ctx.font = '11px system-ui, sans-serif';
+
+  // 주파수 그리드 (스펙트럼과 같은 값/위치)
+  const freqs = getGridFrequencyValues();
+  let lastLabelX = -Infinity;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let i = 0; i < freqs.length; i++) {
+    const f = freqs[i];
+    const x = area.plotX + hzToCanvasX(f, area.plotWidth);
+    ctx.strokeStyle = 'rgba(220,220,220,0.15)';
+    ctx.beginPath();
+    ctx.moveTo(Math.round(x) + 0.5, area.plotY);
+    ctx.lineTo(Math.round(x) + 0.5, area.plotY + area.plotHeight);
+    ctx.stroke();
+    if (x - lastLabelX >= 35 || i === freqs.length - 1) {
+      ctx.fillStyle = label;
+      ctx.fillText(formatHzLabel(f), x, area.plotY + area.plotHeight + 3);
+      lastLabelX = x;
+    }
+  }
+
+  // 시간 라벨 (좌측 안쪽)
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  if (fileView) {
+    const duration = sgramState.file.duration;
+    const step = niceTimeStep(duration / Math.max(1, area.plotHeight / 40));
+    for (let t = 0; t <= duration; t += step) {
+      const y = area.plotY + (t / duration) * area.plotHeight;
+      ctx.fillStyle = label;
+      ctx.fillText(formatTime(t), area.plotX + 4, y);
+    }
+    // 재생 위치
+    const y = area.plotY + Math.min(1, sgramState.playheadTime / duration) * area.plotHeight;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(area.plotX, Math.round(y) + 0.5);
+    ctx.lineTo(area.plotX + area.plotWidth, Math.round(y) + 0.5);
+    ctx.stroke();
+  } else {
+    const visibleSec = area.plotHeight / SGRAM_ROW_RATE;
+    const step = niceTimeStep(visibleSec / Math.max(1, area.plotHeight / 40));
+    const topSec = sgramState.viewOffset / SGRAM_ROW_RATE;
+    const first = Math.ceil(topSec / step) * step;
+    for (let t = first; t <= topSec + visibleSec; t += step) {
+      const y = area.plotY + (t - topSec) * SGRAM_ROW_RATE;
+      ctx.fillStyle = label;
+      ctx.fillText(`-${+t.toFixed(1)}s`, area.plotX + 4, y);
+    }
+  }
+}
+
+function niceTimeStep(raw) {
+  const steps = [0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+  for (let i = 0; i < steps.length; i++) if (steps[i] >= raw) return steps[i];
+  return steps[steps.length - 1];
+}
+
+function initSpectrogramControls() {
+  transport.on('position', t => {
+    sgramState.playheadTime = t;
+  });
+  sgramColormap.addEventListener('change', () => {
+    sgramState.colormap = sgramColormap.value;
+  });
+  const applyDbRange = () => {
+    const lo = parseFloat(sgramDbMin.value);
+    const hi = parseFloat(sgramDbMax.value);
+    if (!isNaN(lo) && !isNaN(hi) && hi > lo) {
+      sgramState.dbMin = lo;
+      sgramState.dbMax = hi;
+    }
+  };
+  sgramDbMin.addEventListener('change', applyDbRange);
+  sgramDbMax.addEventListener('change', applyDbRange);
+  sgramHistory.addEventListener('change', () => {
+    resetSpectrogramHistory();
+    statusEl.textContent = `Spectrogram history: ${sgramHistory.value} min`;
+  });
+  sgramScrub.addEventListener('input', () => {
+    setSpectrogramViewOffset(parseInt(sgramScrub.value, 10) || 0);
+  });
+  btnSgramLive.addEventListener('click', () => setSpectrogramViewOffset(0));
+
+  // 휠: 실시간 모드에서 과거 탐색 (1초 단위)
+  sgramCanvas.addEventListener('wheel', (e) => {
+    if (inputMode === 'file' && sgramState.file) return;
+    e.preventDefault();
+    const delta = Math.sign(e.deltaY) * SGRAM_ROW_RATE;
+    setSpectrogramViewOffset(sgramState.viewOffset + delta);
+  }, { passive: false });
+
+  // 클릭: 파일 모드에서 해당 시점으로 이동
+  sgramCanvas.addEventListener('click', (e) => {
+    if (inputMode !== 'file' || !sgramState.file) return;
+    const rect = sgramCanvas.getBoundingClientRect();
+    const area = getSpectrogramPlotArea(rect.width, rect.height);
+    const y = e.clientY - rect.top - area.plotY;
+    const progress = Math.max(0, Math.min(100, (y / area.plotHeight) * 100));
+    seekToPosition(progress);
+  });
+
+  resetSpectrogramHistory();
+}
+
+initSpectrogramControls();
+initFrequencyAxisControls();
+initAmplitudeControls();
+
+// ===================================
+// v4.1: 피크홀드 모드 / 평균 / 최소 홀드 트레이스
+// - infinite: 새 최대값만 갱신 (기존 동작)
+// - decay: 최대값을 holdTime초 유지한 뒤 decayRate dB/s로 감쇠
+// - reset: resetInterval초마다 자동 리셋
+// - average: 리셋 이후 누적 평균 (power 도메인), min-hold: 리셋 이후 최소값
+// ===================================
+
+const peakHoldSettings = {
+  mode: 'infinite',   // 'infinite' | 'decay' | 'reset'
+  holdTime: 1.0,      // 초 (decay)
+  decayRate: 20,      // dB/s (decay)
+  resetInterval: 5,   // 초 (reset)
+  showAverage: false,
+  showMin: false
+};
+
+const holdTraces = {
+  peakAge: null,      // 빈별 최대값 유지 시간 (초)
+  minBins: null,
+  avgPowerSum: null,
+  avgCount: 0,
+  avgDb: null,
+  lastReset: 0
+};
+
+const peakHoldMode = document.getElementById('peakHoldMode');
+const peakHoldParam = document.getElementById('peakHoldParam');
+const peakHoldTime = document.getElementById('peakHoldTime');
+const peakHoldTimeUnit = document.getElementById('peakHoldTimeUnit');
+const peakHoldParamUnit = document.getElementById('peakHoldParamUnit');
+const legendAverage = document.getElementById('legendAverage');
+const legendMin = document.getElementById('legendMin');
+
+function allocateHoldTraces(n) {
+  peakBins = new Float32Array(n).fill(SPECTRUM_DB_FLOOR);
+  holdTraces.peakAge = new Float32Array(n);
+  holdTraces.minBins = new Float32Array(n).fill(Infinity);
+  holdTraces.avgPowerSum = new Float64Array(n);
+  holdTraces.avgDb = new Float32Array(n).fill(SPECTRUM_DB_FLOOR);
+  holdTraces.avgCount = 0;
+  holdTraces.lastReset = performance.now();
+}
+
+// 피크/평균/최소 홀드 모두 초기화 (배열 크기 유지)
+function resetHoldTraces() {
+  if (!peakBins) return;
+  allocateHoldTraces(peakBins.length);
+}
+
+// 피크/최소/평균 누적은 새 FFT 프레임이 있을 때만 (화면 프레임 속도와 무관하게),
+// decay 감쇠는 경과 시간(dt) 기준으로 매 호출 진행
+function updateHoldTraces(freqData, dt, hasNewFrame) {
+  const n = freqData.length;
+  if (!peakBins || peakBins.length !== n || !holdTraces.minBins || holdTraces.minBins.length !== n) {
+    allocateHoldTraces(n);
+  }
+
+  if (peakHoldSettings.mode === 'reset' &&
+      performance.now() - holdTraces.lastReset >= peakHoldSettings.resetInterval * 1000) {
+    resetHoldTraces();
+  }
+
+  const step = Math.min(0.1, Math.max(0, dt || 0)); // 탭 전환 등으로 dt가 튀는 것 방지
+  const decay = peakHoldSettings.mode === 'decay';
+  const age = holdTraces.peakAge;
+  const minBins = holdTraces.minBins;
+  const sum = holdTraces.avgPowerSum;
+  if (hasNewFrame) holdTraces.avgCount++;
+
+  for (let i = 0; i < n; i++) {
+    const cur = freqData[i];
+    if (hasNewFrame && cur >= peakBins[i]) {
+      peakBins[i] = cur;
+      age[i] = 0;
+    } else if (decay) {
+      age[i] += step;
+      if (age[i] > peakHoldSettings.holdTime) {
+        peakBins[i] = Math.max(cur, peakBins[i] - peakHoldSettings.decayRate * step);
+      }
+    }
+    if (!hasNewFrame) continue;
+    if (cur < minBins[i]) minBins[i] = cur;
+    sum[i] += Math.pow(10, cur / 10);
+  }
+
+  if (hasNewFrame && peakHoldSettings.showAverage && holdTraces.avgCount > 0) {
+    for (let i = 0; i < n; i++) holdTraces.avgDb[i] = powerToDb(sum[i] / holdTraces.avgCount);
+  }
+}
+
+function drawHoldTraces(ctx, plotArea) {
+  if (peakHoldSettings.showAverage && holdTraces.avgDb) {
+    drawSmoothCurve(ctx, buildSpectrumPoints(holdTraces.avgDb, plotArea), '#81c784', 1.3);
+  }
+  if (peakHoldSettings.showMin && holdTraces.minBins) {
+    drawSmoothCurve(ctx, buildSpectrumPoints(holdTraces.minBins, plotArea), '#90a4ae', 1.0);
+  }
+}
+
+function updatePeakHoldParamUI() {
+  const mode = peakHoldSettings.mode;
+  peakHoldParam.style.display = mode === 'infinite' ? 'none' : '';
+  peakHoldParamUnit.style.display = mode === 'infinite' ? 'none' : '';
+  peakHoldTime.style.display = mode === 'decay' ? '' : 'none';
+  peakHoldTimeUnit.style.display = mode === 'decay' ? '' : 'none';
+  peakHoldTime.value = peakHoldSettings.holdTime;
+  if (mode === 'decay') {
+    peakHoldParam.value = peakHoldSettings.decayRate;
+    peakHoldParamUnit.textContent = 'dB/s';
+  } else if (mode === 'reset') {
+    peakHoldParam.value = peakHoldSettings.resetInterval;
+    peakHoldParamUnit.textContent = 's';
+  }
+}
+
+function initPeakHoldControls() {
+  peakHoldMode.value = peakHoldSettings.mode;
+  peakHoldMode.addEventListener('change', () => {
+    peakHoldSettings.mode = peakHoldMode.value;
+    holdTraces.lastReset = performance.now();
+    updatePeakHoldParamUI();
+  });
+  peakHoldParam.addEventListener('change', () => {
+    const v = parseFloat(peakHoldParam.value);
+    if (!(v > 0)) {
+      updatePeakHoldParamUI();
+      return;
+    }
+    if (peakHoldSettings.mode === 'decay') peakHoldSettings.decayRate = v;
+    else if (peakHoldSettings.mode === 'reset') peakHoldSettings.resetInterval = v;
+  });
+  peakHoldTime.addEventListener('change', () => {
+    const v = parseFloat(peakHoldTime.value);
+    if (v >= 0 && v <= 60) peakHoldSettings.holdTime = v;
+    peakHoldTime.value = peakHoldSettings.holdTime;
+  });
+
+  const bindToggle = (el, key) => {
+    el.classList.toggle('off', !peakHoldSettings[key]);
+    el.addEventListener('click', () => {
+      peakHoldSettings[key] = !peakHoldSettings[key];
+      el.classList.toggle('off', !peakHoldSettings[key]);
+    });
+  };
+  bindToggle(legendAverage, 'showAverage');
+  bindToggle(legendMin, 'showMin');
+
+  updatePeakHoldParamUI();
+}
+
+initPeakHoldControls();
+
+// ===================================
+// v4.1: 다중 대역 (이름, solo / mute / gain, 통과·제거)
+// - pass 대역: HPF(lo)→LPF(hi)→gain 가지를 병렬로 합침 (pass 대역이 없으면 원신호)
+// - reject 대역: LPF(lo) + HPF(hi) 합 → gain, 위 결과에 직렬로 적용 (gain = 대역 밖 신호 레벨)
+// - solo가 하나라도 있으면 solo 대역만, 없으면 mute 아닌 대역만 적용
+// - 스펙트럼에서 대역 안쪽 드래그: 이동, 가장자리 드래그: 크기 조절
+// - 경계 필터: Butterworth / Linkwitz-Riley 2차 구간 직렬(12~96 dB/oct) 또는 선형 위상 FIR
+// ===================================
+
+const MAX_BANDS = 8;
+const BAND_COLORS = ['#66bb6a', '#ffa726', '#29b6f6', '#ec407a', '#ab47bc', '#d4e157', '#26a69a', '#8d6e63'];
+const BAND_EDGE_GRAB_PX = 5;
+const BAND_MIN_HZ = 10;
+// FIR은 기울기 대신 커널 길이로 가파름 조절 (홀수 길이, 지연 = (N-1)/2 샘플)
+const BAND_FIR_TAPS = [511, 1023, 2047, 4095, 8191, 16383];
+const BAND_FIR_TRANSITION = 5.5;        // Blackman 창 전이 대역폭 ≈ 5.5·fs/N
+const BAND_KERNEL_DRAG_INTERVAL = 100;  // ms, 드래그 중 응답 곡선용 커널 재설계 간격
+
+const bandFilterConfig = {
+  type: 'butterworth', // 'butterworth' | 'linkwitz' | 'fir'
+  slope: 12,           // dB/oct (IIR)
+  firTaps: 2047,       // 커널 길이 (FIR)
+  showResponse: true
+};
+
+const bandState = {
+  bands: [],        // { id, name, lo, hi, mode: 'pass'|'reject', gainDb, solo, mute, color, nodes }
+  nextId: 1,
+  graphNodes: [],   // 현재 그래프에 만든 노드 (재구성 시 해제)
+  drag: null        // { band, kind: 'move'|'lo'|'hi', startX, loX, hiX }
+};
+
+const bandList = document.getElementById('bandList');
+
+function clampBandRange(lo, hi) {
+  const maxHz = getNyquist() * 0.99;
+  lo = Math.max(BAND_MIN_HZ, Math.min(maxHz - BAND_MIN_HZ, lo));
+  hi = Math.max(lo + BAND_MIN_HZ, Math.min(maxHz, hi));
+  return { lo, hi };
+}
+
+function addBand(lo, hi) {
+  if (bandState.bands.length >= MAX_BANDS) {
+    statusEl.textContent = `Band limit reached (${MAX_BANDS})`;
+    return null;
+  }
+  const used = bandState.bands.map(b => b.color);
+  const band = {
+    id: bandState.nextId,
+    name: `Band ${bandState.nextId}`,
+    ...clampBandRange(lo, hi),
+    mode: 'pass',
+    gainDb: 0,
+    solo: false,
+    mute: false,
+    color: BAND_COLORS.find(c => !used.includes(c)) || BAND_COLORS[0],
+    nodes: null
+  };
+  bandState.nextId++;
+  bandState.bands.push(band);
+  selectBand(band);
+  connectGraph();
+  statusEl.textContent = `${band.name}: ${Math.round(band.lo)} Hz ~ ${Math.round(band.hi)} Hz`;
+  return band;
+}
+
+function removeBand(band) {
+  bandState.bands = bandState.bands.filter(b => b !== band);
+  if (selectedBandHz === band) selectBand(null);
+  else updateBandListUI();
+  connectGraph();
+}
+
+function selectBand(band) {
+  selectedBandHz = band;
+  updateBandListUI();
+}
+
+// solo가 있으면 solo 대역만, 없으면 mute 아닌 대역
+function getActiveBands() {
+  const soloed = bandState.bands.filter(b => b.solo);
+  return soloed.length ? soloed : bandState.bands.filter(b => !b.mute);
+}
+
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+// 경계 필터 하나를 이루는 2차 구간들의 Q
+// - Butterworth N차: Q_k = 1 / (2 sin((2k-1)π / 2N)), k = 1..N/2
+// - Linkwitz-Riley N차: Butterworth N/2차를 두 번 직렬 (LR2는 Q 0.5 한 구간)
+// - 반환값은 선형 Q, BiquadFilterNode lowpass/highpass의 Q는 dB 단위라 qToDb로 변환
+function getBandSectionQs(type, slope) {
+  const order = slope / 6;
+  const butterworth = (n) => {
+    const qs = [];
+    for (let k = 1; k <= n / 2; k++) qs.push(1 / (2 * Math.sin((2 * k - 1) * Math.PI / (2 * n))));
+    return qs;
+  };
+  if (type === 'linkwitz') {
+    if (order === 2) return [0.5];
+    const half = butterworth(order / 2);
+    return [...half, ...half];
+  }
+  return butterworth(order);
+}
+
+function qToDb(q) {
+  return 20 * Math.log10(q);
+}
+
+// 대역 경계 필터 하나 (2차 구간 직렬, input/output 노드와 주파수 설정 함수)
+function createBandFilter(type, freq) {
+  const sections = getBandSectionQs(bandFilterConfig.type, bandFilterConfig.slope).map(q => {
+    const f = audioCtx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = freq;
+    f.Q.value = qToDb(q);
+    bandState.graphNodes.push(f);
+    return f;
+  });
+  for (let i = 1; i < sections.length; i++) sections[i - 1].connect(sections[i]);
+  return {
+    input: sections[0],
+    output: sections[sections.length - 1],
+    setFrequency(hz) {
+      sections.forEach(f => f.frequency.setTargetAtTime(hz, audioCtx.currentTime, 0.01));
+    }
+  };
+}
+
+// 선형 위상 FIR 커널 (Blackman 창 sinc 대역 통과, reject는 단위 임펄스에서 뺌)
+function designBandKernel(lo, hi, mode, taps, sampleRate) {
+  const h = new Float32Array(taps);
+  const mid = (taps - 1) / 2;
+  const fl = lo / sampleRate;
+  const fh = hi / sampleRate;
+  for (let n = 0; n < taps; n++) {
+    const m = n - mid;
+    const w = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (taps - 1));
+    const bp = m === 0 ? 2 * (fh - fl) : (Math.sin(2 * Math.PI * fh * m) - Math.sin(2 * Math.PI * fl * m)) / (Math.PI * m);
+    h[n] = w * bp;
+  }
+  if (mode === 'reject') {
+    for (let n = 0; n < taps; n++) h[n] = -h[n];
+    h[mid] += 1;
+  }
+  return h;
+}
+
+// 대역별 FIR 커널과 크기 응답 캐시 (범위/모드/길이가 바뀔 때만 다시 계산)
+// 드래그 중에는 BAND_KERNEL_DRAG_INTERVAL마다만 다시 설계 (그 사이엔 직전 커널 사용)
+function getBandKernel(band) {
+  const taps = bandFilterConfig.firTaps;
+  const sampleRate = getNyquist() * 2;
+  const key = `${band.lo}|${band.hi}|${band.mode}|${taps}|${sampleRate}`;
+  if (band.fir && band.fir.key === key) return band.fir;
+  if (band.fir && bandState.drag && bandState.drag.band === band &&
+      performance.now() - band.fir.time < BAND_KERNEL_DRAG_INTERVAL) {
+    return band.fir;
+  }
+
+  const kernel = designBandKernel(band.lo, band.hi, band.mode, taps, sampleRate);
+  let size = 1;
+  while (size < taps * 2) size <<= 1;
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  re.set(kernel);
+  fftInPlace(re, im);
+  const magDb = new Float32Array(size / 2 + 1);
+  for (let k = 0; k <= size / 2; k++) {
+    magDb[k] = 20 * Math.log10(Math.max(Math.hypot(re[k], im[k]), 1e-10));
+  }
+  band.fir = { key, kernel, magDb, binHz: sampleRate / size, time: performance.now() };
+  return band.fir;
+}
+
+function createBandConvolver(band) {
+  const conv = audioCtx.createConvolver();
+  conv.normalize = false;
+  bandState.graphNodes.push(conv);
+  const setKernel = () => {
+    const { kernel } = getBandKernel(band);
+    const buffer = audioCtx.createBuffer(1, kernel.length, audioCtx.sampleRate);
+    buffer.copyToChannel(kernel, 0);
+    conv.buffer = buffer;
+  };
+  setKernel();
+  return { input: conv, output: conv, setKernel };
+}
+
+function buildBandNodes(band) {
+  const gain = audioCtx.createGain();
+  gain.gain.value = dbToGain(band.gainDb);
+  bandState.graphNodes.push(gain);
+  if (bandFilterConfig.type === 'fir') {
+    const fir = createBandConvolver(band);
+    fir.output.connect(gain);
+    band.nodes = { inputs: [fir.input], output: gain, gain, setRange: fir.setKernel };
+  } else if (band.mode === 'reject') {
+    const below = createBandFilter('lowpass', band.lo);
+    const above = createBandFilter('highpass', band.hi);
+    below.output.connect(gain);
+    above.output.connect(gain);
+    band.nodes = {
+      inputs: [below.input, above.input], output: gain, gain,
+      setRange() { below.setFrequency(band.lo); above.setFrequency(band.hi); }
+    };
+  } else {
+    const hp = createBandFilter('highpass', band.lo);
+    const lp = createBandFilter('lowpass', band.hi);
+    hp.output.connect(lp.input);
+    lp.output.connect(gain);
+    band.nodes = {
+      inputs: [hp.input], output: gain, gain,
+      setRange() { hp.setFrequency(band.lo); lp.setFrequency(band.hi); }
+    };
+  }
+}
+
+function disconnectBandGraph() {
+  bandState.graphNodes.forEach(node => {
+    try { node.disconnect(); } catch (e) {}
+  });
+  bandState.graphNodes = [];
+  bandState.bands.forEach(b => { b.nodes = null; });
+}
+
+function connectBandGraph(source, dest) {
+  disconnectBandGraph();
+  if (bandState.bands.length === 0) {
+    source.connect(dest);
+    return;
+  }
+
+  const active = getActiveBands();
+  const pass = active.filter(b => b.mode === 'pass');
+  const reject = active.filter(b => b.mode === 'reject');
+  active.forEach(buildBandNodes);
+
+  let node;
+  if (pass.length > 0) {
+    node = audioCtx.createGain();
+    bandState.graphNodes.push(node);
+    pass.forEach(b => {
+      b.nodes.inputs.forEach(input => source.connect(input));
+      b.nodes.output.connect(node);
+    });
+  } else if (bandState.bands.some(b => b.mode === 'pass') && !bandState.bands.some(b => b.solo)) {
+    // pass 대역이 모두 mute → 무음 (reject 대역은 무음에 적용되므로 연결할 것이 없음)
+    return;
+  } else {
+    node = source; // pass 대역이 없거나 solo가 reject 대역뿐 → 원신호에 reject만 적용
+  }
+
+  reject.forEach(b => {
+    b.nodes.inputs.forEach(input => node.connect(input));
+    node = b.nodes.output;
+  });
+  node.connect(dest);
+}
+
+// 드래그/게인 변경: 그래프 재구성 없이 파라미터만 갱신
+function updateBandParams(band) {
+  if (!band.nodes) return;
+  // FIR 커널은 드래그가 끝날 때 한 번만 교체
+  if (!(bandFilterConfig.type === 'fir' && bandState.drag)) band.nodes.setRange();
+  band.nodes.gain.gain.setTargetAtTime(dbToGain(band.gainDb), audioCtx.currentTime, 0.01);
+}
+
+// 마우스 위치의 대역 찾기 (선택된 대역·가장자리 우선)
+function hitTestBand(px, plotWidth) {
+  const ordered = selectedBandHz ? [selectedBandHz, ...bandState.bands.filter(b => b !== selectedBandHz)] : bandState.bands;
+  for (const band of ordered) {
+    const loX = hzToCanvasX(band.lo, plotWidth);
+    const hiX = hzToCanvasX(band.hi, plotWidth);
+    if (Math.abs(px - loX) <= BAND_EDGE_GRAB_PX) return { band, kind: 'lo' };
+    if (Math.abs(px - hiX) <= BAND_EDGE_GRAB_PX) return { band, kind: 'hi' };
+  }
+  for (const band of ordered) {
+    if (px > hzToCanvasX(band.lo, plotWidth) && px < hzToCanvasX(band.hi, plotWidth)) return { band, kind: 'move' };
+  }
+  return null;
+}
+
+function startBandDrag(hit, mouseX) {
+  const rect = specCanvas.getBoundingClientRect();
+  const plotWidth = rect.width - 10;
+  selectBand(hit.band);
+  bandState.drag = {
+    band: hit.band,
+    kind: hit.kind,
+    startX: mouseX,
+    loX: hzToCanvasX(hit.band.lo, plotWidth),
+    hiX: hzToCanvasX(hit.band.hi, plotWidth)
+  };
+}
+
+// 이동은 화면상 폭(축 모드 기준)을 유지
+function updateBandDrag(mouseX, plotWidth) {
+  const d = bandState.drag;
+  const dx = mouseX - d.startX;
+  let loX = d.loX;
+  let hiX = d.hiX;
+  if (d.kind === 'move') {
+    const shift = Math.max(-loX, Math.min(plotWidth - hiX, dx));
+    loX += shift;
+    hiX += shift;
+  } else if (d.kind === 'lo') {
+    loX = Math.max(0, Math.min(hiX - 1, loX + dx));
+  } else {
+    hiX = Math.min(plotWidth, Math.max(loX + 1, hiX + dx));
+  }
+  Object.assign(d.band, clampBandRange(canvasXToHz(loX, plotWidth), canvasXToHz(hiX, plotWidth)));
+  updateBandParams(d.band);
+  updateBandListUI();
+}
+
+function endBandDrag() {
+  const band = bandState.drag.band;
+  bandState.drag = null;
+  updateBandParams(band);
+  statusEl.textContent = `${band.name}: ${Math.round(band.lo)} Hz ~ ${Math.round(band.hi)} Hz`;
+}
+
+// --- 필터 응답 (getFrequencyResponse) ---
+
+let responseFilter = null;
+const responseBuffers = { hz: null, mag: null, phase: null, re: null, im: null, re2: null, im2: null };
+
+// 응답 계산 전용 BiquadFilterNode (그래프에 연결하지 않음, 오디오 시작 전에도 사용)
+function getResponseFilter() {
+  const sampleRate = getNyquist() * 2;
+  if (!responseFilter || responseFilter.context.sampleRate !== sampleRate) {
+    const ctx = audioCtx || new OfflineAudioContext(1, 1, sampleRate);
+    responseFilter = ctx.createBiquadFilter();
+  }
+  return responseFilter;
+}
+
+function getResponseBuffers(n) {
+  if (!responseBuffers.hz || responseBuffers.hz.length !== n) {
+    Object.keys(responseBuffers).forEach(key => { responseBuffers[key] = new Float32Array(n); });
+  }
+  return responseBuffers;
+}
+
+// 경계 필터의 복소 응답 = 2차 구간 응답들의 곱
+function getEdgeResponse(type, freq, hz, re, im) {
+  const f = getResponseFilter();
+  const { mag, phase } = responseBuffers;
+  re.fill(1);
+  im.fill(0);
+  f.type = type;
+  f.frequency.value = freq;
+  getBandSectionQs(bandFilterConfig.type, bandFilterConfig.slope).forEach(q => {
+    f.Q.value = qToDb(q);
+    f.getFrequencyResponse(hz, mag, phase);
+    for (let i = 0; i < hz.length; i++) {
+      const hr = mag[i] * Math.cos(phase[i]);
+      const hIm = mag[i] * Math.sin(phase[i]);
+      const r = re[i] * hr - im[i] * hIm;
+      im[i] = re[i] * hIm + im[i] * hr;
+      re[i] = r;
+    }
+  });
+}
+
+// 대역 하나의 크기 응답 (dB, 대역 게인 포함)
+function computeBandResponse(band, hz, outDb) {
+  const n = hz.length;
+  if (bandFilterConfig.type === 'fir') {
+    const { magDb, binHz } = getBandKernel(band);
+    for (let i = 0; i < n; i++) {
+      const pos = Math.min(hz[i] / binHz, magDb.length - 1);
+      const k = Math.floor(pos);
+      const t = pos - k;
+      const next = Math.min(k + 1, magDb.length - 1);
+      outDb[i] = magDb[k] + (magDb[next] - magDb[k]) * t + band.gainDb;
+    }
+    return;
+  }
+
+  const { re, im, re2, im2 } = responseBuffers;
+  if (band.mode === 'reject') {
+    getEdgeResponse('lowpass', band.lo, hz, re, im);
+    getEdgeResponse('highpass', band.hi, hz, re2, im2);
+    for (let i = 0; i < n; i++) { re[i] += re2[i]; im[i] += im2[i]; }
+  } else {
+    getEdgeResponse('highpass', band.lo, hz, re, im);
+    getEdgeResponse('lowpass', band.hi, hz, re2, im2);
+    for (let i = 0; i < n; i++) {
+      const r = re[i] * re2[i] - im[i] * im2[i];
+      im[i] = re[i] * im2[i] + im[i] * re2[i];
+      re[i] = r;
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    outDb[i] = 20 * Math.log10(Math.max(Math.hypot(re[i], im[i]), 1e-10)) + band.gainDb;
+  }
+}
+
+// 응답 곡선: 0 dB를 플롯 위쪽 끝에 맞추고 스펙트럼과 같은 dB 눈금 사용
+function drawBandResponse(ctx, plotArea, band) {
+  const step = 2;
+  const count = Math.max(2, Math.floor(plotArea.plotWidth / step) + 1);
+  const bufs = getResponseBuffers(count);
+  const nyquist = getNyquist();
+  for (let i = 0; i < count; i++) {
+    bufs.hz[i] = Math.max(1, Math.min(nyquist, canvasXToHz(i * step, plotArea.plotWidth)));
+  }
+  const respDb = new Float32Array(count);
+  computeBandResponse(band, bufs.hz, respDb);
+
+  const top = AMPLITUDE_CONFIG.maxDb;
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push({
+      x: plotArea.plotX + Math.min(i * step, plotArea.plotWidth),
+      y: plotArea.plotY + dbToY(top + respDb[i], plotArea.plotHeight)
+    });
+  }
+  drawSmoothCurve(ctx, points, band.color, 1.5);
+}
+
+function drawBands(ctx, plotArea) {
+  const soloActive = bandState.bands.some(b => b.solo);
+  bandState.bands.forEach(band => {
+    const x1 = plotArea.plotX + hzToCanvasX(band.lo, plotArea.plotWidth);
+    const x2 = plotArea.plotX + hzToCanvasX(band.hi, plotArea.plotWidth);
+    const selected = band === selectedBandHz;
+    const inactive = soloActive ? !band.solo : band.mute;
+
+    ctx.globalAlpha = inactive ? 0.35 : 1;
+    ctx.fillStyle = band.color;
+    ctx.globalAlpha *= band.mode === 'reject' ? 0.08 : 0.14;
+    ctx.fillRect(x1, plotArea.plotY, x2 - x1, plotArea.plotHeight);
+    ctx.globalAlpha = inactive ? 0.35 : 1;
+    ctx.strokeStyle = band.color;
+    ctx.lineWidth = selected ? 2 : 1;
+    ctx.setLineDash(band.mode === 'reject' ? [4, 3] : []);
+    ctx.strokeRect(x1 + 0.5, plotArea.plotY + 0.5, (x2 - x1) - 1, plotArea.plotHeight - 1);
+    ctx.setLineDash([]);
+
+    const flags = `${band.mode === 'reject' ? ' ⊘' : ''}${band.solo ? ' S' : ''}${band.mute ? ' M' : ''}`;
+    const gain = band.gainDb ? ` ${band.gainDb > 0 ? '+' : ''}${band.gainDb} dB` : '';
+    ctx.fillStyle = band.color;
+    ctx.font = '12px system-ui';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(`${band.name}${flags}${gain}`, x1 + 6, plotArea.plotY + 16);
+    ctx.fillText(`${Math.round(band.lo)} ~ ${Math.round(band.hi)} Hz`, x1 + 6, plotArea.plotY + 30);
+    if (bandFilterConfig.showResponse) drawBandResponse(ctx, plotArea, band);
+    ctx.globalAlpha = 1;
+  });
+}
+
+// FIR 길이 선택지: 현재 샘플레이트 기준 전이 대역폭과 지연을 함께 표시
+function getFirLengthLabel(taps) {
+  const sampleRate = getNyquist() * 2;
+  const transitionHz = BAND_FIR_TRANSITION * sampleRate / taps;
+  const latencyMs = (taps - 1) / 2 / sampleRate * 1000;
+  return `${taps} taps · Δ${transitionHz.toFixed(0)} Hz · ${latencyMs.toFixed(1)} ms`;
+}
+
+function updateFirLengthOptions(select) {
+  select.innerHTML = '';
+  BAND_FIR_TAPS.forEach(taps => {
+    const opt = document.createElement('option');
+    opt.value = String(taps);
+    opt.textContent = getFirLengthLabel(taps);
+    select.appendChild(opt);
+  });
+  select.value = String(bandFilterConfig.firTaps);
+}
+
+// 필터 종류/기울기(IIR)·길이(FIR) 선택 (변경 시 그래프 재구성)
+function initBandFilterControls() {
+  const typeSelect = document.getElementById('bandFilterType');
+  const slopeSelect = document.getElementById('bandFilterSlope');
+  const firSelect = document.getElementById('bandFirLength');
+  const btnResponse = document.getElementById('btnBandResponse');
+
+  const updateVisibility = () => {
+    const fir = bandFilterConfig.type === 'fir';
+    slopeSelect.style.display = fir ? 'none' : '';
+    firSelect.style.display = fir ? '' : 'none';
+  };
+
+  const apply = () => {
+    bandFilterConfig.type = typeSelect.value;
+    bandFilterConfig.slope = parseInt(slopeSelect.value, 10);
+    bandFilterConfig.firTaps = parseInt(firSelect.value, 10);
+    updateVisibility();
+    connectGraph();
+    if (bandFilterConfig.type === 'fir') {
+      statusEl.textContent = `Band filter: linear-phase FIR, ${getFirLengthLabel(bandFilterConfig.firTaps)} latency`;
+    } else {
+      statusEl.textContent = `Band filter: ${typeSelect.options[typeSelect.selectedIndex].text}, ${bandFilterConfig.slope} dB/oct`;
+    }
+  };
+
+  typeSelect.value = bandFilterConfig.type;
+  slopeSelect.value = String(bandFilterConfig.slope);
+  updateFirLengthOptions(firSelect);
+  updateVisibility();
+  btnResponse.classList.toggle('on', bandFilterConfig.showResponse);
+  typeSelect.addEventListener('change', apply);
+  slopeSelect.addEventListener('change', apply);
+  firSelect.addEventListener('change', apply);
+  firSelect.addEventListener('focus', () => updateFirLengthOptions(firSelect)); // 샘플레이트 변경 반영
+  btnResponse.addEventListener('click', () => {
+    bandFilterConfig.showResponse = !bandFilterConfig.showResponse;
+    btnResponse.classList.toggle('on', bandFilterConfig.showResponse);
+  });
+}
+
+// 대역 목록 (이름, 모드, 게인, S/M, 삭제)
+function updateBandListUI() {
+  if (bandState.drag && bandList.childElementCount === bandState.bands.length) {
+    // 드래그 중에는 범위 표시만 갱신 (입력 포커스 유지)
+    bandState.bands.forEach((band, i) => {
+      const range = bandList.children[i].querySelector('.band-range');
+      if (range) range.textContent = `${Math.round(band.lo)}–${Math.round(band.hi)} Hz`;
+    });
+    return;
+  }
+
+  bandList.innerHTML = '';
+  bandList.style.display = bandState.bands.length ? '' : 'none';
+  bandState.bands.forEach(band => {
+    const item = document.createElement('span');
+    item.className = 'band-item' + (band === selectedBandHz ? ' selected' : '');
+    item.style.borderColor = band.color;
+    item.addEventListener('mousedown', () => {
+      // 목록을 다시 만들지 않고 강조만 옮김 (누른 입력란 유지)
+      selectedBandHz = band;
+      Array.from(bandList.children).forEach(el => el.classList.toggle('selected', el === item));
+    });
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'band-name';
+    name.value = band.name;
+    name.addEventListener('change', () => {
+      band.name = name.value.trim() || `Band ${band.id}`;
+      name.value = band.name;
+    });
+
+    const range = document.createElement('span');
+    range.className = 'band-range';
+    range.textContent = `${Math.round(band.lo)}–${Math.round(band.hi)} Hz`;
+
+    const mode = document.createElement('select');
+    mode.innerHTML = '<option value="pass">Pass</option><option value="reject">Reject</option>';
+    mode.value = band.mode;
+    mode.title = 'Pass: 대역만 통과, Reject: 대역 제거';
+    mode.addEventListener('change', () => {
+      band.mode = mode.value;
+      connectGraph();
+    });
+
+    const gain = document.createElement('input');
+    gain.type = 'number';
+    gain.step = '1';
+    gain.min = '-60';
+    gain.max = '24';
+    gain.value = band.gainDb;
+    gain.title = 'Gain (dB)';
+    gain.addEventListener('change', () => {
+      const v = parseFloat(gain.value);
+      if (Number.isFinite(v)) band.gainDb = Math.max(-60, Math.min(24, v));
+      gain.value = band.gainDb;
+      updateBandParams(band);
+    });
+
+    const makeToggle = (label, key, title) => {
+      const btn = document.createElement('button');
+      btn.className = 'toggle' + (band[key] ? ' on' : '');
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', () => {
+        band[key] = !band[key];
+        btn.classList.toggle('on', band[key]);
+        connectGraph();
+      });
+      return btn;
+    };
+
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = '대역 삭제';
+    remove.addEventListener('click', () => removeBand(band));
+
+    item.append(name, range, mode, gain, 'dB',
+      makeToggle('S', 'solo', 'Solo'), makeToggle('M', 'mute', 'Mute'), remove);
+    bandList.appendChild(item);
+  });
+}
+
+// Delete/Backspace: 선택된 대역 삭제 (입력란 포커스 중에는 무시)
+window.addEventListener('keydown', (e) => {
+  if ((e.key !== 'Delete' && e.key !== 'Backspace') || !selectedBandHz || eqState.editing) return;
+  const tag = document.activeElement && document.activeElement.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+  e.preventDefault();
+  removeBand(selectedBandHz);
+});
+
+// 대역 위에서 커서 모양 (이동/크기 조절)
+specCanvas.addEventListener('mousemove', (e) => {
+  if (bandState.drag || dragging || panningAxis) return;
+  const rect = specCanvas.getBoundingClientRect();
+  if (eqState.editing) {
+    // EQ 편집 중: 노드 위 이동 커서, 빈 곳은 노드 추가
+    const node = hitTestEqNode(e.clientX - rect.left, e.clientY - rect.top - 10, rect.width - 10, rect.height - 50);
+    specCanvas.style.cursor = node ? 'move' : 'copy';
+    return;
+  }
+  const hit = hitTestBand(e.clientX - rect.left, rect.width - 10);
+  specCanvas.style.cursor = hit ? (hit.kind === 'move' ? 'move' : 'ew-resize') : '';
+});
+
+updateBandListUI();
+initBandFilterControls();
+
+// ===================================
+// v4.1: 파라메트릭 EQ (출력 경로: 대역 그래프 → EQ → gainOut)
+// - 스펙트럼 위 노드 드래그: x = 주파수, y = 게인, 휠 = Q (Edit 켠 상태)
+// - 세로 눈금: 플롯 가운데 0 dB, 위/아래 끝 ±EQ_DISPLAY_RANGE_DB
+// - 프리셋: 내장 + 사용자(localStorage), 파일 내보내기에는 biquad 계수 포함
+// ===================================
+
+const MAX_EQ_NODES = 10;
+const EQ_DISPLAY_RANGE_DB = 24;
+const EQ_HANDLE_RADIUS = 7;
+const EQ_CURVE_COLOR = '#ffee58';
+const EQ_PRESET_STORAGE_KEY = 'audioScope.eqPresets';
+const EQ_PRESET_FORMAT = 'audioscope-eq';
+const EQ_TYPES = {
+  peaking: { label: 'Peak', gain: true, q: true },
+  lowshelf: { label: 'Low shelf', gain: true, q: false },   // BiquadFilterNode 셸프는 Q 무시 (S = 1 고정)
+  highshelf: { label: 'High shelf', gain: true, q: false },
+  notch: { label: 'Notch', gain: false, q: true },
+  highpass: { label: 'HP', gain: false, q: true },
+  lowpass: { label: 'LP', gain: false, q: true }
+};
+const EQ_BUILTIN_PRESETS = [
+  { name: 'Flat', nodes: [] },
+  { name: 'Low cut 80 Hz', nodes: [{ type: 'highpass', freq: 80, gainDb: 0, q: Math.SQRT1_2 }] },
+  { name: 'Voice presence', nodes: [
+    { type: 'highpass', freq: 100, gainDb: 0, q: Math.SQRT1_2 },
+    { type: 'peaking', freq: 300, gainDb: -3, q: 1.4 },
+    { type: 'peaking', freq: 3000, gainDb: 3, q: 1 }
+  ] },
+  { name: 'Loudness', nodes: [
+    { type: 'lowshelf', freq: 100, gainDb: 6, q: Math.SQRT1_2 },
+    { type: 'highshelf', freq: 8000, gainDb: 4, q: Math.SQRT1_2 }
+  ] },
+  { name: 'Hum notch 50/60 Hz', nodes: [
+    { type: 'notch', freq: 50, gainDb: 0, q: 10 },
+    { type: 'notch', freq: 60, gainDb: 0, q: 10 }
+  ] }
+];
+
+const eqState = {
+  enabled: true,
+  editing: false,
+  nodes: [],        // { id, type, freq, gainDb, q, filter }
+  nextId: 1,
+  selectedId: null,
+  drag: null,       // { node }
+  newType: 'peaking',
+  userPresets: loadEqPresets()
+};
+
+const btnEqEnable = document.getElementById('btnEqEnable');
+const btnEqEdit = document.getElementById('btnEqEdit');
+const eqNodeType = document.getElementById('eqNodeType');
+const eqNodeInfo = document.getElementById('eqNodeInfo');
+const btnEqRemove = document.getElementById('btnEqRemove');
+const eqPresetSelect = document.getElementById('eqPresetSelect');
+const eqPresetName = document.getElementById('eqPresetName');
+
+function loadEqPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(EQ_PRESET_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveEqPresets() {
+  try {
+    localStorage.setItem(EQ_PRESET_STORAGE_KEY, JSON.stringify(eqState.userPresets));
+  } catch (e) {
+    console.warn('v4.1: Could not save EQ presets:', e);
+  }
+}
+
+function getSelectedEqNode() {
+  return eqState.nodes.find(n => n.id === eqState.selectedId) || null;
+}
+
+function clampEqNode(node) {
+  node.freq = Math.max(10, Math.min(getNyquist() * 0.99, node.freq));
+  node.gainDb = EQ_TYPES[node.type].gain ? Math.max(-EQ_DISPLAY_RANGE_DB, Math.min(EQ_DISPLAY_RANGE_DB, node.gainDb)) : 0;
+  node.q = Math.max(0.1, Math.min(30, node.q));
+}
+
+function addEqNode(params) {
+  if (eqState.nodes.length >= MAX_EQ_NODES) {
+    statusEl.textContent = `EQ node limit reached (${MAX_EQ_NODES})`;
+    return null;
+  }
+  const node = { id: eqState.nextId++, type: 'peaking', freq: 1000, gainDb: 0, q: Math.SQRT1_2, ...params, filter: null };
+  if (!EQ_TYPES[node.type]) node.type = 'peaking';
+  clampEqNode(node);
+  eqState.nodes.push(node);
+  eqState.selectedId = node.id;
+  connectGraph();
+  updateEqUI();
+  return node;
+}
+
+function removeEqNode(node) {
+  eqState.nodes = eqState.nodes.filter(n => n !== node);
+  if (eqState.selectedId === node.id) eqState.selectedId = null;
+  connectGraph();
+  updateEqUI();
+}
+
+function setEqNodes(nodes) {
+  eqState.nodes = [];
+  eqState.selectedId = null;
+  nodes.slice(0, MAX_EQ_NODES).forEach(n => {
+    const node = { id: eqState.nextId++, type: n.type, freq: +n.freq, gainDb: +n.gainDb || 0, q: +n.q || Math.SQRT1_2, filter: null };
+    if (!EQ_TYPES[node.type] || !Number.isFinite(node.freq)) return;
+    clampEqNode(node);
+    eqState.nodes.push(node);
+  });
+  connectGraph();
+  updateEqUI();
+}
+
+// 모델 → BiquadFilterNode (lowpass/highpass의 Q는 dB 단위)
+function setEqFilterParams(filter, node, smooth) {
+  filter.type = node.type;
+  const q = node.type === 'highpass' || node.type === 'lowpass' ? qToDb(node.q) : node.q;
+  if (smooth) {
+    const t = filter.context.currentTime;
+    filter.frequency.setTargetAtTime(node.freq, t, 0.01);
+    filter.gain.setTargetAtTime(node.gainDb, t, 0.01);
+    filter.Q.setTargetAtTime(q, t, 0.01);
+  } else {
+    filter.frequency.value = node.freq;
+    filter.gain.value = node.gainDb;
+    filter.Q.value = q;
+  }
+}
+
+function disconnectEqChain() {
+  eqState.nodes.forEach(node => {
+    if (node.filter) {
+      try { node.filter.disconnect(); } catch (e) {}
+      node.filter = null;
+    }
+  });
+}
+
+// EQ 직렬 체인을 dest 앞에 연결하고 입력 노드를 반환 (꺼져 있거나 비어 있으면 dest)
+function connectEqChain(dest) {
+  disconnectEqChain();
+  if (!eqState.enabled || eqState.nodes.length === 0) return dest;
+  eqState.nodes.forEach(node => {
+    node.filter = audioCtx.createBiquadFilter();
+    setEqFilterParams(node.filter, node, false);
+  });
+  for (let i = 1; i < eqState.nodes.length; i++) eqState.nodes[i - 1].filter.connect(eqState.nodes[i].filter);
+  eqState.nodes[eqState.nodes.length - 1].filter.connect(dest);
+  return eqState.nodes[0].filter;
+}
+
+function updateEqNode(node) {
+  clampEqNode(node);
+  if (node.filter) setEqFilterParams(node.filter, node, true);
+  updateEqUI();
+}
+
+// --- RBJ biquad 계수 (Web Audio 명세와 같은 식, a0로 정규화) ---
+// y[n] = b0 x[n] + b1 x[n-1] + b2 x[n-2] - a1 y[n-1] - a2 y[n-2]
+function getEqBiquadCoefficients(node, sampleRate) {
+  const w0 = 2 * Math.PI * node.freq / sampleRate;
+  const cos = Math.cos(w0);
+  const sin = Math.sin(w0);
+  const A = Math.pow(10, node.gainDb / 40);
+  const alphaQ = sin / (2 * node.q);
+  const alphaS = sin / 2 * Math.SQRT2; // S = 1
+  const sqA2 = 2 * Math.sqrt(A) * alphaS;
+  let b0, b1, b2, a0, a1, a2;
+  switch (node.type) {
+    case 'lowpass':
+      b0 = (1 - cos) / 2; b1 = 1 - cos; b2 = (1 - cos) / 2;
+      a0 = 1 + alphaQ; a1 = -2 * cos; a2 = 1 - alphaQ;
+      break;
+    case 'highpass':
+      b0 = (1 + cos) / 2; b1 = -(1 + cos); b2 = (1 + cos) / 2;
+      a0 = 1 + alphaQ; a1 = -2 * cos; a2 = 1 - alphaQ;
+      break;
+    case 'notch':
+      b0 = 1; b1 = -2 * cos; b2 = 1;
+      a0 = 1 + alphaQ; a1 = -2 * cos; a2 = 1 - alphaQ;
+      break;
+    case 'lowshelf':
+      b0 = A * ((A + 1) - (A - 1) * cos + sqA2);
+      b1 = 2 * A * ((A - 1) - (A + 1) * cos);
+      b2 = A * ((A + 1) - (A - 1) * cos - sqA2);
+      a0 = (A + 1) + (A - 1) * cos + sqA2;
+      a1 = -2 * ((A - 1) + (A + 1) * cos);
+      a2 = (A + 1) + (A - 1) * cos - sqA2;
+      break;
+    case 'highshelf':
+      b0 = A * ((A + 1) + (A - 1) * cos + sqA2);
+      b1 = -2 * A * ((A - 1) + (A + 1) * cos);
+      b2 = A * ((A + 1) + (A - 1) * cos - sqA2);
+      a0 = (A + 1) - (A - 1) * cos + sqA2;
+      a1 = 2 * ((A - 1) - (A + 1) * cos);
+      a2 = (A + 1) - (A - 1) * cos - sqA2;
+      break;
+    default: // peaking
+      b0 = 1 + alphaQ * A; b1 = -2 * cos; b2 = 1 - alphaQ * A;
+      a0 = 1 + alphaQ / A; a1 = -2 * cos; a2 = 1 - alphaQ / A;
+  }
+  return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+}
+
+// --- 응답 곡선 / 화면 좌표 ---
+
+function eqGainToY(gainDb, plotHeight) {
+  const norm = 0.5 - gainDb / (2 * EQ_DISPLAY_RANGE_DB);
+  return Math.max(0, Math.min(1, norm)) * plotHeight;
+}
+
+function eqYToGain(y, plotHeight) {
+  return (0.5 - y / plotHeight) * 2 * EQ_DISPLAY_RANGE_DB;
+}
+
+function getEqHandlePos(node, plotWidth, plotHeight) {
+  return {
+    x: hzToCanvasX(node.freq, plotWidth),
+    y: eqGainToY(EQ_TYPES[node.type].gain ? node.gainDb : 0, plotHeight)
+  };
+}
+
+// 노드들의 합성 크기 응답 (dB) - 응답 전용 BiquadFilterNode로 getFrequencyResponse
+function computeEqResponse(nodes, hz, outDb) {
+  const f = getResponseFilter();
+  const { mag, phase } = responseBuffers;
+  outDb.fill(0);
+  nodes.forEach(node => {
+    setEqFilterParams(f, node, false);
+    f.getFrequencyResponse(hz, mag, phase);
+    for (let i = 0; i < hz.length; i++) outDb[i] += 20 * Math.log10(Math.max(mag[i], 1e-10));
+  });
+}
+
+function drawEqCurve(ctx, plotArea, nodes, color, lineWidth) {
+  const step = 2;
+  const count = Math.max(2, Math.floor(plotArea.plotWidth / step) + 1);
+  const bufs = getResponseBuffers(count);
+  const nyquist = getNyquist();
+  for (let i = 0; i < count; i++) {
+    bufs.hz[i] = Math.max(1, Math.min(nyquist, canvasXToHz(i * step, plotArea.plotWidth)));
+  }
+  const respDb = new Float32Array(count);
+  computeEqResponse(nodes, bufs.hz, respDb);
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push({
+      x: plotArea.plotX + Math.min(i * step, plotArea.plotWidth),
+      y: plotArea.plotY + eqGainToY(respDb[i], plotArea.plotHeight)
+    });
+  }
+  drawSmoothCurve(ctx, points, color, lineWidth);
+}
+
+function drawEqOverlay(ctx, plotArea, interactive) {
+  const editing = interactive && eqState.editing;
+  if (!editing && (!eqState.enabled || eqState.nodes.length === 0)) return;
+
+  ctx.save();
+  if (editing) {
+    // 0 dB 기준선과 눈금 표시
+    const y0 = Math.round(plotArea.plotY + plotArea.plotHeight / 2) + 0.5;
+    ctx.strokeStyle = 'rgba(255,238,88,0.35)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 4]);
+    ctx.beginPath();
+    ctx.moveTo(plotArea.plotX, y0);
+    ctx.lineTo(plotArea.plotX + plotArea.plotWidth, y0);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = 'rgba(255,238,88,0.7)';
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`EQ 0 dB (±${EQ_DISPLAY_RANGE_DB} dB)`, plotArea.plotX + plotArea.plotWidth - 4, y0 - 2);
+  }
+
+  if (eqState.nodes.length > 0) {
+    ctx.globalAlpha = eqState.enabled ? 1 : 0.4;
+    const selected = getSelectedEqNode();
+    if (editing && selected && eqState.nodes.length > 1) {
+      ctx.setLineDash([4, 3]);
+      drawEqCurve(ctx, plotArea, [selected], 'rgba(255,238,88,0.5)', 1);
+      ctx.setLineDash([]);
+    }
+    drawEqCurve(ctx, plotArea, eqState.nodes, EQ_CURVE_COLOR, 2);
+  }
+
+  if (editing) {
+    ctx.globalAlpha = 1;
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    eqState.nodes.forEach((node, i) => {
+      const pos = getEqHandlePos(node, plotArea.plotWidth, plotArea.plotHeight);
+      const x = plotArea.plotX + pos.x;
+      const y = plotArea.plotY + pos.y;
+      const isSelected = node.id === eqState.selectedId;
+      ctx.beginPath();
+      ctx.arc(x, y, EQ_HANDLE_RADIUS, 0, Math.PI * 2);
+      ctx.fillStyle = isSelected ? EQ_CURVE_COLOR : 'rgba(40,40,40,0.85)';
+      ctx.fill();
+      ctx.strokeStyle = EQ_CURVE_COLOR;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      ctx.fillStyle = isSelected ? '#222' : EQ_CURVE_COLOR;
+      ctx.fillText(String(i + 1), x, y + 0.5);
+    });
+  }
+  ctx.restore();
+}
+
+// --- 마우스 (mousedown/mousemove/mouseup/wheel 핸들러에서 호출, py는 플롯 위쪽 기준) ---
+
+function hitTestEqNode(px, py, plotWidth, plotHeight) {
+  for (let i = eqState.nodes.length - 1; i >= 0; i--) {
+    const pos = getEqHandlePos(eqState.nodes[i], plotWidth, plotHeight);
+    if (Math.hypot(px - pos.x, py - pos.y) <= EQ_HANDLE_RADIUS + 2) return eqState.nodes[i];
+  }
+  return null;
+}
+
+function startEqDrag(px, py, plotWidth, plotHeight) {
+  let node = hitTestEqNode(px, py, plotWidth, plotHeight);
+  if (!node) {
+    node = addEqNode({
+      type: eqState.newType,
+      freq: canvasXToHz(px, plotWidth),
+      gainDb: Math.round(eqYToGain(py, plotHeight) * 10) / 10
+    });
+    if (!node) return;
+  }
+  eqState.selectedId = node.id;
+  eqState.drag = { node };
+  updateEqUI();
+}
+
+function updateEqDrag(px, py, plotWidth, plotHeight) {
+  const node = eqState.drag.node;
+  node.freq = canvasXToHz(Math.max(0, Math.min(plotWidth, px)), plotWidth);
+  if (EQ_TYPES[node.type].gain) node.gainDb = Math.round(eqYToGain(py, plotHeight) * 10) / 10;
+  updateEqNode(node);
+}
+
+// 휠: 노드 위에서만 Q 조절 (처리했으면 true)
+function adjustEqNodeQ(px, py, plotWidth, plotHeight, deltaY) {
+  const node = hitTestEqNode(px, py, plotWidth, plotHeight);
+  if (!node) return false;
+  eqState.selectedId = node.id;
+  if (!EQ_TYPES[node.type].q) {
+    statusEl.textContent = 'Shelf slope is fixed (S = 1)';
+    updateEqUI();
+    return true;
+  }
+  node.q = Math.round(node.q * (deltaY > 0 ? 1 / 1.12 : 1.12) * 1000) / 1000;
+  updateEqNode(node);
+  return true;
+}
+
+// --- 프리셋 ---
+
+function getEqPresetNodes() {
+  return eqState.nodes.map(({ type, freq, gainDb, q }) => ({ type, freq: Math.round(freq * 10) / 10, gainDb, q }));
+}
+
+function eqPresetToJson(name) {
+  const sampleRate = getNyquist() * 2;
+  const nodes = getEqPresetNodes();
+  return JSON.stringify({
+    format: EQ_PRESET_FORMAT,
+    version: 1,
+    name,
+    sampleRate,
+    nodes,
+    // 펌웨어 이식용: 위 순서대로 직렬, a0 = 1 정규화
+    biquads: nodes.map(n => getEqBiquadCoefficients(n, sampleRate))
+  }, null, 2);
+}
+
+function parseEqPresetJson(text) {
+  const data = JSON.parse(text);
+  if (data.format !== EQ_PRESET_FORMAT || !Array.isArray(data.nodes)) {
+    throw new Error('Not an EQ preset file');
+  }
+  return data;
+}
+
+function updateEqPresetSelect() {
+  eqPresetSelect.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = '—';
+  eqPresetSelect.appendChild(placeholder);
+  const addGroup = (label, names, prefix) => {
+    if (names.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = prefix + name;
+      opt.textContent = name;
+      group.appendChild(opt);
+    });
+    eqPresetSelect.appendChild(group);
+  };
+  addGroup('Built-in', EQ_BUILTIN_PRESETS.map(p => p.name), 'builtin:');
+  addGroup('User', Object.keys(eqState.userPresets).sort(), 'user:');
+}
+
+function applyEqPreset(value) {
+  if (!value) return;
+  const name = value.replace(/^(builtin|user):/, '');
+  const nodes = value.startsWith('builtin:')
+    ? (EQ_BUILTIN_PRESETS.find(p => p.name === name) || {}).nodes
+    : eqState.userPresets[name];
+  if (!nodes) return;
+  setEqNodes(nodes);
+  if (value.startsWith('user:')) eqPresetName.value = name;
+  statusEl.textContent = `EQ preset: ${name}`;
+}
+
+function saveEqUserPreset() {
+  const name = eqPresetName.value.trim() || `Preset ${Object.keys(eqState.userPresets).length + 1}`;
+  eqState.userPresets[name] = getEqPresetNodes();
+  saveEqPresets();
+  updateEqPresetSelect();
+  eqPresetSelect.value = 'user:' + name;
+  eqPresetName.value = name;
+  statusEl.textContent = `EQ preset saved: ${name}`;
+}
+
+function deleteEqUserPreset() {
+  const value = eqPresetSelect.value;
+  if (!value.startsWith('user:')) return;
+  const name = value.slice(5);
+  delete eqState.userPresets[name];
+  saveEqPresets();
+  updateEqPresetSelect();
+  statusEl.textContent = `EQ preset deleted: ${name}`;
+}
+
+function exportEqPreset() {
+  const name = eqPresetName.value.trim() || 'eq';
+  return saveFileViaDialog({
+    title: 'Export EQ preset',
+    defaultPath: `${name}.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  }, () => eqPresetToJson(name), 'EQ preset');
+}
+
+async function importEqPreset() {
+  if (!window.electronAPI) return;
+  try {
+    const paths = await window.electronAPI.showOpenDialog({
+      title: 'Import EQ preset',
+      filters: [{ name: 'EQ preset', extensions: ['json'] }],
+      multiple: false
+    });
+    if (!paths.length) return;
+    const data = parseEqPresetJson(await window.electronAPI.readFile(paths[0], 'utf8'));
+    const name = data.name || paths[0].split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    setEqNodes(data.nodes);
+    eqState.userPresets[name] = getEqPresetNodes();
+    saveEqPresets();
+    updateEqPresetSelect();
+    eqPresetSelect.value = 'user:' + name;
+    eqPresetName.value = name;
+    statusEl.textContent = `EQ preset imported: ${name}`;
+  } catch (err) {
+    console.error('v4.1: EQ preset import error:', err);
+    statusEl.textContent = `Error importing EQ preset: ${err.message}`;
+  }
+}
+
+// --- UI ---
+
+function formatEqNode(node) {
+  const hz = node.freq >= 1000 ? `${(node.freq / 1000).toFixed(2)} kHz` : `${Math.round(node.freq)} Hz`;
+  const info = EQ_TYPES[node.type];
+  return [
+    hz,
+    info.gain ? `${node.gainDb > 0 ? '+' : ''}${node.gainDb.toFixed(1)} dB` : null,
+    info.q ? `Q ${node.q.toFixed(2)}` : null
+  ].filter(Boolean).join(' · ');
+}
+
+function updateEqUI() {
+  const node = getSelectedEqNode();
+  const index = node ? eqState.nodes.indexOf(node) + 1 : 0;
+  eqNodeType.value = node ? node.type : eqState.newType;
+  eqNodeInfo.textContent = node ? `#${index} ${formatEqNode(node)}` : `${eqState.nodes.length} node(s)`;
+  btnEqRemove.disabled = !node;
+}
+
+function initEqControls() {
+  Object.entries(EQ_TYPES).forEach(([value, info]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = info.label;
+    eqNodeType.appendChild(opt);
+  });
+
+  btnEqEnable.classList.toggle('on', eqState.enabled);
+  btnEqEnable.addEventListener('click', () => {
+    eqState.enabled = !eqState.enabled;
+    btnEqEnable.classList.toggle('on', eqState.enabled);
+    connectGraph();
+    statusEl.textContent = eqState.enabled ? 'EQ enabled' : 'EQ bypassed';
+  });
+  btnEqEdit.addEventListener('click', () => {
+    eqState.editing = !eqState.editing;
+    btnEqEdit.classList.toggle('on', eqState.editing);
+    specCanvas.style.cursor = '';
+    if (eqState.editing) statusEl.textContent = 'EQ edit: 클릭 = 노드 추가, 드래그 = 주파수/게인, 휠 = Q, Delete = 삭제';
+  });
+  // 선택한 노드의 종류 변경 (선택이 없으면 새 노드 종류)
+  eqNodeType.addEventListener('change', () => {
+    eqState.newType = eqNodeType.value;
+    const node = getSelectedEqNode();
+    if (node) {
+      node.type = eqNodeType.value;
+      updateEqNode(node);
+    }
+  });
+  btnEqRemove.addEventListener('click', () => {
+    const node = getSelectedEqNode();
+    if (node) removeEqNode(node);
+  });
+  document.getElementById('btnEqReset').addEventListener('click', () => {
+    setEqNodes([]);
+    statusEl.textContent = 'EQ reset to flat';
+  });
+
+  eqPresetSelect.addEventListener('change', () => applyEqPreset(eqPresetSelect.value));
+  document.getElementById('btnEqPresetSave').addEventListener('click', saveEqUserPreset);
+  document.getElementById('btnEqPresetDelete').addEventListener('click', deleteEqUserPreset);
+  document.getElementById('btnEqExport').addEventListener('click', exportEqPreset);
+  document.getElementById('btnEqImport').addEventListener('click', importEqPreset);
+
+  // Delete/Backspace: 편집 중 선택된 노드 삭제
+  window.addEventListener('keydown', (e) => {
+    if ((e.key !== 'Delete' && e.key !== 'Backspace') || !eqState.editing) return;
+    const tag = document.activeElement && document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+    const node = getSelectedEqNode();
+    if (!node) return;
+    e.preventDefault();
+    removeEqNode(node);
+  });
+
+  updateEqPresetSelect();
+  updateEqUI();
+}
+
+initEqControls();
+
+// ===================================
+// v4.1: 파일 저장 공통 (main 프로세스 저장 대화상자 경유, preload.js electronAPI)
+// ===================================
+
+// build(filePath)는 선택한 확장자에 맞는 데이터(string | ArrayBuffer | TypedArray, Promise 가능)를 반환
+async function saveFileViaDialog(options, build, what) {
+  if (!window.electronAPI) {
+    statusEl.textContent = 'File saving is not available';
+    return null;
+  }
+  try {
+    const filePath = await window.electronAPI.showSaveDialog(options);
+    if (!filePath) return null;
+    const data = await build(filePath);
+    await window.electronAPI.writeFile(filePath, data);
+    statusEl.textContent = `Saved ${what}: ${filePath}`;
+    return filePath;
+  } catch (err) {
+    console.error(`Save ${what} error:`, err);
+    statusEl.textContent = `Error saving ${what}: ${err.message}`;
+    return null;
+  }
+}
+
+// ===================================
+// v4.1: 기준 스펙트럼 (reference)
+// - 현재 프레임/피크홀드/평균을 이름 붙여 스냅샷, JSON/CSV로 저장·불러오기
+// - 여러 기준을 점선으로 겹쳐 그리고, 하나를 골라 "현재 − 기준" 차이 트레이스 표시
+//   (차이 0 dB = 세로 범위 중앙)
+// ===================================
+
+const MAX_REFERENCES = 8;
+const REFERENCE_COLORS = ['#f48fb1', '#80cbc4', '#ffcc80', '#9fa8da', '#c5e1a5', '#bcaaa4', '#fff59d', '#b39ddb'];
+const REFERENCE_FORMAT = 'audioscope-reference';
+const REFERENCE_DIFF_COLOR = '#ffab40';
+
+const referenceState = {
+  refs: [],    // { id, name, hz: Float32Array, db: Float32Array, color, visible, meta, resampled }
+  nextId: 1,
+  diffId: null,
+  diffDb: null
+};
+
+const refSourceSelect = document.getElementById('refSourceSelect');
+const refNameInput = document.getElementById('refNameInput');
+const btnRefSnapshot = document.getElementById('btnRefSnapshot');
+const btnRefLoad = document.getElementById('btnRefLoad');
+const refDiffSelect = document.getElementById('refDiffSelect');
+const referenceList = document.getElementById('referenceList');
+
+function getReference(id) {
+  return referenceState.refs.find(r => r.id === id) || null;
+}
+
+function addReference(name, hz, db, meta) {
+  if (referenceState.refs.length >= MAX_REFERENCES) {
+    statusEl.textContent = `Reference limit reached (${MAX_REFERENCES})`;
+    return null;
+  }
+  const used = referenceState.refs.map(r => r.color);
+  const color = REFERENCE_COLORS.find(c => !used.includes(c)) || REFERENCE_COLORS[0];
+  const ref = {
+    id: referenceState.nextId++,
+    name,
+    hz,
+    db,
+    color,
+    visible: true,
+    meta: meta || {},
+    resampled: null
+  };
+  referenceState.refs.push(ref);
+  updateReferenceUI();
+  return ref;
+}
+
+function removeReference(id) {
+  referenceState.refs = referenceState.refs.filter(r => r.id !== id);
+  if (referenceState.diffId === id) referenceState.diffId = null;
+  updateReferenceUI();
+}
+
+// 스냅샷 대상 트레이스 (current / peak / average)
+function getReferenceSourceData(source) {
+  if (source === 'peak') return peakBins;
+  if (source === 'average') {
+    if (!holdTraces.avgPowerSum || holdTraces.avgCount === 0) return null;
+    return holdTraces.avgPowerSum.map(p => powerToDb(p / holdTraces.avgCount));
+  }
+  return latestSpectrumDb;
+}
+
+function snapshotReference() {
+  const source = refSourceSelect.value;
+  const data = getReferenceSourceData(source);
+  if (!data || data.length === 0) {
+    statusEl.textContent = 'No spectrum to snapshot';
+    return;
+  }
+  const binHz = getSpectrumNyquist() / data.length;
+  const hz = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) hz[i] = i * binHz;
+  const name = refNameInput.value.trim() || `Ref ${referenceState.nextId}`;
+  const ref = addReference(name, hz, Float32Array.from(data), {
+    source,
+    createdAt: new Date().toISOString(),
+    sampleRate: audioCtx ? audioCtx.sampleRate : null,
+    fftSize: spectrumSettings.fftSize,
+    window: spectrumSettings.window
+  });
+  if (ref) {
+    refNameInput.value = '';
+    statusEl.textContent = `Reference "${name}" captured (${source})`;
+  }
+}
+
+// 현재 빈 격자로 리샘플 (주파수 선형 보간, 범위 밖은 양끝 값 유지) - 빈 수/나이퀴스트가 같으면 캐시 사용
+function getResampledReference(ref, n, nyquist) {
+  const cache = ref.resampled;
+  if (cache && cache.n === n && cache.nyquist === nyquist) return cache.db;
+  const out = new Float32Array(n);
+  const binHz = nyquist / n;
+  const last = ref.hz.length - 1;
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    const f = i * binHz;
+    while (j < last - 1 && ref.hz[j + 1] < f) j++;
+    if (f <= ref.hz[0]) {
+      out[i] = ref.db[0];
+    } else if (f >= ref.hz[last]) {
+      out[i] = ref.db[last];
+    } else {
+      const t = (f - ref.hz[j]) / (ref.hz[j + 1] - ref.hz[j]);
+      out[i] = ref.db[j] + (ref.db[j + 1] - ref.db[j]) * t;
+    }
+  }
+  ref.resampled = { n, nyquist, db: out };
+  return out;
+}
+
+function drawReferenceTraces(ctx, plotArea, freqData) {
+  ctx.setLineDash([6, 3]);
+  referenceState.refs.forEach(ref => {
+    if (!ref.visible) return;
+    drawSmoothCurve(ctx, buildSpectrumPoints(ref.db, plotArea, ref.hz), ref.color, 1.2);
+  });
+  ctx.setLineDash([]);
+
+  const ref = getReference(referenceState.diffId);
+  if (!ref || !freqData || freqData.length === 0) return;
+
+  const n = freqData.length;
+  const refDb = getResampledReference(ref, n, getSpectrumNyquist());
+  if (!referenceState.diffDb || referenceState.diffDb.length !== n) {
+    referenceState.diffDb = new Float32Array(n);
+  }
+  const center = (AMPLITUDE_CONFIG.minDb + AMPLITUDE_CONFIG.maxDb) / 2;
+  const diff = referenceState.diffDb;
+  for (let i = 0; i < n; i++) diff[i] = center + (freqData[i] - refDb[i]);
+
+  // 0 dB 기준선
+  const y0 = Math.round(plotArea.plotY + dbToY(center, plotArea.plotHeight)) + 0.5;
+  ctx.strokeStyle = 'rgba(255,171,64,0.5)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([2, 4]);
+  ctx.beginPath();
+  ctx.moveTo(plotArea.plotX, y0);
+  ctx.lineTo(plotArea.plotX + plotArea.plotWidth, y0);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  drawSmoothCurve(ctx, buildSpectrumPoints(diff, plotArea), REFERENCE_DIFF_COLOR, 1.3);
+  ctx.fillStyle = REFERENCE_DIFF_COLOR;
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(`Δ vs ${ref.name} (0 dB)`, plotArea.plotX + 4, y0 - 2);
+}
+
+// --- 직렬화 ---
+
+function referenceToJson(ref) {
+  return JSON.stringify({
+    format: REFERENCE_FORMAT,
+    version: 1,
+    name: ref.name,
+    unit: 'dBFS',
+    ...ref.meta,
+    frequencies: Array.from(ref.hz, f => Math.round(f * 1000) / 1000),
+    levels: Array.from(ref.db, d => Math.round(d * 100) / 100)
+  }, null, 2);
+}
+
+function referenceToCsv(ref) {
+  const lines = [`# name: ${ref.name}`];
+  Object.keys(ref.meta).forEach(key => {
+    if (ref.meta[key] !== null && ref.meta[key] !== undefined) lines.push(`# ${key}: ${ref.meta[key]}`);
+  });
+  lines.push('frequency_hz,level_dbfs');
+  for (let i = 0; i < ref.hz.length; i++) {
+    lines.push(`${ref.hz[i].toFixed(3)},${ref.db[i].toFixed(2)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// 주파수 오름차순 정렬 + 중복 주파수 제거
+function normalizeReferencePoints(points) {
+  const valid = points.filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]) && p[0] >= 0);
+  valid.sort((a, b) => a[0] - b[0]);
+  const unique = valid.filter((p, i) => i === 0 || p[0] > valid[i - 1][0]);
+  if (unique.length < 2) throw new Error('reference needs at least 2 points');
+  return {
+    hz: Float32Array.from(unique, p => p[0]),
+    db: Float32Array.from(unique, p => p[1])
+  };
+}
+
+function parseReferenceJson(text, fallbackName) {
+  const obj = JSON.parse(text);
+  let points;
+  if (Array.isArray(obj.frequencies) && Array.isArray(obj.levels)) {
+    points = obj.frequencies.map((f, i) => [Number(f), Number(obj.levels[i])]);
+  } else if (Array.isArray(obj.points)) {
+    points = obj.points.map(p => [Number(p[0]), Number(p[1])]);
+  } else {
+    throw new Error('missing frequencies/levels');
+  }
+  const { name, frequencies, levels, points: _points, format, version, ...meta } = obj;
+  return { name: name || fallbackName, meta, ...normalizeReferencePoints(points) };
+}
+
+// 주석(#) 줄은 메타데이터, 숫자가 아닌 줄(헤더)은 무시, 앞의 두 열 = 주파수, dB
+function parseReferenceCsv(text, fallbackName) {
+  let name = fallbackName;
+  const meta = {};
+  const points = [];
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    if (trimmed.startsWith('#')) {
+      const m = trimmed.match(/^#\s*([\w-]+)\s*:\s*(.*)$/);
+      if (m) {
+        if (m[1] === 'name') name = m[2];
+        else meta[m[1]] = m[2];
+      }
+      return;
+    }
+    const cols = trimmed.split(/[,;\t]/).map(c => parseFloat(c));
+    if (cols.length >= 2 && Number.isFinite(cols[0]) && Number.isFinite(cols[1])) {
+      points.push([cols[0], cols[1]]);
+    }
+  });
+  return { name, meta, ...normalizeReferencePoints(points) };
+}
+
+function saveReference(ref) {
+  return saveFileViaDialog({
+    title: 'Save reference spectrum',
+    defaultPath: `${ref.name}.json`,
+    filters: [
+      { name: 'JSON', extensions: ['json'] },
+      { name: 'CSV', extensions: ['csv'] }
+    ]
+  }, filePath => (/\.csv$/i.test(filePath) ? referenceToCsv(ref) : referenceToJson(ref)), 'reference');
+}
+
+async function loadReferences() {
+  if (!window.electronAPI) return;
+  try {
+    const paths = await window.electronAPI.showOpenDialog({
+      title: 'Load reference spectra',
+      filters: [{ name: 'Reference spectrum', extensions: ['json', 'csv', 'txt'] }],
+      multiple: true
+    });
+    let loaded = 0;
+    for (const filePath of paths) {
+      const baseName = filePath.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+      try {
+        const text = await window.electronAPI.readFile(filePath, 'utf8');
+        const parsed = /\.json$/i.test(filePath)
+          ? parseReferenceJson(text, baseName)
+          : parseReferenceCsv(text, baseName);
+        if (!addReference(parsed.name, parsed.hz, parsed.db, parsed.meta)) break;
+        loaded++;
+      } catch (err) {
+        console.error('Reference load error:', filePath, err);
+        statusEl.textContent = `Error loading ${baseName}: ${err.message}`;
+      }
+    }
+    if (loaded > 0) statusEl.textContent = `Loaded ${loaded} reference(s)`;
+  } catch (err) {
+    console.error('Reference load error:', err);
+    statusEl.textContent = `Error loading references: ${err.message}`;
+  }
+}
+
+// 범례 목록 + 차이 대상 선택 갱신
+function updateReferenceUI() {
+  referenceList.innerHTML = '';
+  referenceState.refs.forEach(ref => {
+    const item = document.createElement('span');
+    item.className = 'ref-item';
+
+    const toggle = document.createElement('span');
+    toggle.className = 'channel-toggle' + (ref.visible ? '' : ' off');
+    toggle.title = '클릭: 표시/숨김';
+    toggle.innerHTML = `<span class="legend-box" style="background:${ref.color}"></span>`;
+    toggle.appendChild(document.createTextNode(ref.name));
+    toggle.addEventListener('click', () => {
+      ref.visible = !ref.visible;
+      toggle.classList.toggle('off', !ref.visible);
+    });
+
+    const btnSave = document.createElement('button');
+    btnSave.textContent = '💾';
+    btnSave.title = 'JSON/CSV로 저장';
+    btnSave.disabled = !window.electronAPI;
+    btnSave.addEventListener('click', () => saveReference(ref));
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '×';
+    btnRemove.title = '삭제';
+    btnRemove.addEventListener('click', () => removeReference(ref.id));
+
+    item.append(toggle, btnSave, btnRemove);
+    referenceList.appendChild(item);
+  });
+
+  refDiffSelect.innerHTML = '<option value="">Off</option>';
+  referenceState.refs.forEach(ref => {
+    const opt = document.createElement('option');
+    opt.value = String(ref.id);
+    opt.textContent = ref.name;
+    refDiffSelect.appendChild(opt);
+  });
+  refDiffSelect.value = referenceState.diffId ? String(referenceState.diffId) : '';
+}
+
+function initReferenceControls() {
+  btnRefSnapshot.addEventListener('click', snapshotReference);
+  btnRefLoad.addEventListener('click', loadReferences);
+  btnRefLoad.disabled = !window.electronAPI;
+  refDiffSelect.addEventListener('change', () => {
+    referenceState.diffId = refDiffSelect.value ? parseInt(refDiffSelect.value, 10) : null;
+  });
+  updateReferenceUI();
+}
+
+initReferenceControls();
+
+// ===================================
+// v4.1: 스펙트럼 내보내기
+// - 데이터: 현재 프레임 / 피크홀드 / 평균 → CSV 또는 JSON (bin, 주파수, dBFS)
+// - 이미지: renderSpectrumPlot()을 오프스크린 캔버스(PNG) 또는 SVG 기록 컨텍스트로 다시 그림
+// ===================================
+
+const SPECTRUM_EXPORT_FORMAT = 'audioscope-spectrum';
+
+const btnExportData = document.getElementById('btnExportData');
+const btnExportImage = document.getElementById('btnExportImage');
+const exportImageWidth = document.getElementById('exportImageWidth');
+
+function getExportTimestamp(date) {
+  return (date || new Date()).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+// 내보낼 트레이스 모음 (평균은 표시 여부와 무관하게 누적 전력에서 계산)
+function collectSpectrumExportTraces() {
+  if (!latestSpectrumDb || latestSpectrumDb.length === 0) return null;
+  const n = latestSpectrumDb.length;
+  return {
+    n,
+    binHz: getSpectrumNyquist() / n,
+    current: latestSpectrumDb,
+    peak: peakBins && peakBins.length === n ? peakBins : null,
+    average: getReferenceSourceData('average')
+  };
+}
+
+function getSpectrumExportMeta(traces) {
+  return {
+    createdAt: new Date().toISOString(),
+    source: inputMode,
+    fileName: inputMode === 'file' ? fileName.textContent : null,
+    sampleRate: audioCtx ? audioCtx.sampleRate : null,
+    fftSize: spectrumSettings.fftSize,
+    window: spectrumSettings.window,
+    overlap: spectrumSettings.overlap,
+    averaging: spectrumSettings.averaging,
+    binHz: traces.binHz,
+    unit: 'dBFS'
+  };
+}
+
+function spectrumToCsv(traces) {
+  const meta = getSpectrumExportMeta(traces);
+  const lines = Object.keys(meta)
+    .filter(key => meta[key] !== null && meta[key] !== undefined)
+    .map(key => `# ${key}: ${meta[key]}`);
+  const cols = ['bin', 'frequency_hz', 'current_dbfs'];
+  if (traces.peak) cols.push('peak_hold_dbfs');
+  if (traces.average) cols.push('average_dbfs');
+  lines.push(cols.join(','));
+  for (let i = 0; i < traces.n; i++) {
+    const row = [i, (i * traces.binHz).toFixed(3), traces.current[i].toFixed(2)];
+    if (traces.peak) row.push(traces.peak[i].toFixed(2));
+    if (traces.average) row.push(traces.average[i].toFixed(2));
+    lines.push(row.join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// extraMeta: 메타데이터 추가/덮어쓰기 (자동 캡처 이벤트 등)
+function spectrumToJson(traces, extraMeta) {
+  const round = arr => Array.from(arr, v => Math.round(v * 100) / 100);
+  const out = {
+    format: SPECTRUM_EXPORT_FORMAT,
+    version: 1,
+    ...getSpectrumExportMeta(traces),
+    ...extraMeta,
+    bins: Array.from({ length: traces.n }, (_, i) => i),
+    frequencies: Array.from({ length: traces.n }, (_, i) => Math.round(i * traces.binHz * 1000) / 1000),
+    traces: { current: round(traces.current) }
+  };
+  if (traces.peak) out.traces.peakHold = round(traces.peak);
+  if (traces.average) out.traces.average = round(traces.average);
+  return JSON.stringify(out, null, 2);
+}
+
+function exportSpectrumData() {
+  const traces = collectSpectrumExportTraces();
+  if (!traces) {
+    statusEl.textContent = 'No spectrum to export';
+    return;
+  }
+  // 대화상자가 열려 있는 동안 값이 바뀌지 않도록 미리 복사
+  traces.current = Float32Array.from(traces.current);
+  if (traces.peak) traces.peak = Float32Array.from(traces.peak);
+  saveFileViaDialog({
+    title: 'Export spectrum data',
+    defaultPath: `spectrum-${getExportTimestamp()}.csv`,
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'JSON', extensions: ['json'] }
+    ]
+  }, filePath => (/\.json$/i.test(filePath) ? spectrumToJson(traces) : spectrumToCsv(traces)), 'spectrum data');
+}
+
+// --- SVG 기록 컨텍스트 (renderSpectrumPlot에서 쓰는 CanvasRenderingContext2D 부분집합) ---
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// 'rgba(r,g,b,a)' → { color: 'rgb(r,g,b)', opacity: a } (rgba를 못 읽는 SVG 뷰어 대비)
+function svgPaint(style) {
+  const m = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(String(style));
+  if (m) return { color: `rgb(${m[1]},${m[2]},${m[3]})`, opacity: parseFloat(m[4]) };
+  return { color: String(style), opacity: 1 };
+}
+
+function createSvgContext(width, height) {
+  const measureCtx = document.createElement('canvas').getContext('2d');
+  const elements = [];
+  const stack = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let path = '';
+
+  const num = v => String(Math.round(v * 100) / 100);
+  const point = (x, y) => `${num(matrix[0] * x + matrix[2] * y + matrix[4])} ${num(matrix[1] * x + matrix[3] * y + matrix[5])}`;
+  const transform = (a, b, c, d, e, f) => {
+    const [m0, m1, m2, m3, m4, m5] = matrix;
+    matrix = [m0 * a + m2 * b, m1 * a + m3 * b, m0 * c + m2 * d, m1 * c + m3 * d, m0 * e + m2 * f + m4, m1 * e + m3 * f + m5];
+  };
+  const fillAttrs = (style, alpha) => {
+    const p = svgPaint(style);
+    const opacity = num(p.opacity * alpha);
+    return `fill="${escapeXml(p.color)}"` + (opacity < 1 ? ` fill-opacity="${opacity}"` : '');
+  };
+
+  const ctx = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    lineDash: [],
+    globalAlpha: 1,
+
+    save() {
+      stack.push({
+        matrix: matrix.slice(),
+        globalAlpha: this.globalAlpha,
+        fillStyle: this.fillStyle,
+        strokeStyle: this.strokeStyle,
+        lineWidth: this.lineWidth,
+        font: this.font,
+        textAlign: this.textAlign,
+        textBaseline: this.textBaseline,
+        lineDash: this.lineDash
+      });
+    },
+    restore() {
+      const state = stack.pop();
+      if (!state) return;
+      matrix = state.matrix;
+      delete state.matrix;
+      Object.assign(this, state);
+    },
+    translate(x, y) { transform(1, 0, 0, 1, x, y); },
+    scale(x, y) { transform(x, 0, 0, y, 0, 0); },
+    rotate(a) { transform(Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0); },
+    setLineDash(segments) { this.lineDash = segments.slice(); },
+
+    beginPath() { path = ''; },
+    moveTo(x, y) { path += `M${point(x, y)}`; },
+    lineTo(x, y) { path += `L${point(x, y)}`; },
+    bezierCurveTo(x1, y1, x2, y2, x, y) { path += `C${point(x1, y1)} ${point(x2, y2)} ${point(x, y)}`; },
+    closePath() { path += 'Z'; },
+    rect(x, y, w, h) {
+      path += `M${point(x, y)}L${point(x + w, y)}L${point(x + w, y + h)}L${point(x, y + h)}Z`;
+    },
+    stroke() {
+      if (!path) return;
+      const p = svgPaint(this.strokeStyle);
+      let attrs = `fill="none" stroke="${escapeXml(p.color)}" stroke-width="${num(this.lineWidth)}"`;
+      const opacity = num(p.opacity * this.globalAlpha);
+      if (opacity < 1) attrs += ` stroke-opacity="${opacity}"`;
+      if (this.lineDash.length) attrs += ` stroke-dasharray="${this.lineDash.join(' ')}"`;
+      elements.push(`<path d="${path}" ${attrs}/>`);
+    },
+    fill() {
+      if (path) elements.push(`<path d="${path}" ${fillAttrs(this.fillStyle, this.globalAlpha)}/>`);
+    },
+    fillRect(x, y, w, h) {
+      const saved = path;
+      this.beginPath();
+      this.rect(x, y, w, h);
+      this.fill();
+      path = saved;
+    },
+    strokeRect(x, y, w, h) {
+      const saved = path;
+      this.beginPath();
+      this.rect(x, y, w, h);
+      this.stroke();
+      path = saved;
+    },
+    measureText(text) {
+      measureCtx.font = this.font;
+      return measureCtx.measureText(text);
+    },
+    fillText(text, x, y) {
+      const fm = /([\d.]+)px\s+(.+)$/.exec(this.font);
+      const size = fm ? fm[1] : '10';
+      const family = fm ? fm[2] : 'sans-serif';
+      const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+      const baseline = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' }[this.textBaseline];
+      let attrs = `x="${num(x)}" y="${num(y)}" font-size="${size}" font-family="${escapeXml(family)}" text-anchor="${anchor}"`;
+      if (baseline) attrs += ` dominant-baseline="${baseline}"`;
+      attrs += ` transform="matrix(${matrix.map(num).join(' ')})" ${fillAttrs(this.fillStyle, this.globalAlpha)}`;
+      elements.push(`<text ${attrs}>${escapeXml(text)}</text>`);
+    },
+
+    // outWidth/outHeight: 문서 크기 (viewBox는 그린 좌표계 그대로)
+    toSvg(outWidth, outHeight) {
+      return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${outWidth}" height="${outHeight}" viewBox="0 0 ${num(width)} ${num(height)}">\n` +
+        elements.join('\n') + '\n</svg>\n';
+    }
+  };
+  return ctx;
+}
+
+// 화면과 같은 레이아웃(CSS 크기)으로 그리고 가로 outWidth 픽셀로 확대
+function renderSpectrumImage(isSvg, outWidth) {
+  const rect = specCanvas.getBoundingClientRect();
+  const width = Math.max(1, rect.width);
+  const height = Math.max(1, rect.height);
+  const scale = outWidth / width;
+  const outHeight = Math.round(height * scale);
+
+  if (isSvg) {
+    const svgCtx = createSvgContext(width, height);
+    renderSpectrumPlot(svgCtx, width, height, latestSpectrumDb, false);
+    return svgCtx.toSvg(outWidth, outHeight);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = outWidth;
+  canvas.height = outHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  renderSpectrumPlot(ctx, width, height, latestSpectrumDb, false);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('PNG encoding failed'));
+        return;
+      }
+      blob.arrayBuffer().then(resolve, reject);
+    }, 'image/png');
+  });
+}
+
+function exportSpectrumImage() {
+  if (!latestSpectrumDb || latestSpectrumDb.length === 0) {
+    statusEl.textContent = 'No spectrum to export';
+    return;
+  }
+  const outWidth = parseInt(exportImageWidth.value, 10) || 1920;
+  saveFileViaDialog({
+    title: 'Export spectrum image',
+    defaultPath: `spectrum-${getExportTimestamp()}.png`,
+    filters: [
+      { name: 'PNG image', extensions: ['png'] },
+      { name: 'SVG vector', extensions: ['svg'] }
+    ]
+  }, filePath => renderSpectrumImage(/\.svg$/i.test(filePath), outWidth), 'spectrum image');
+}
+
+function initExportControls() {
+  btnExportData.addEventListener('click', exportSpectrumData);
+  btnExportImage.addEventListener('click', exportSpectrumImage);
+  btnExportData.disabled = !window.electronAPI;
+  btnExportImage.disabled = !window.electronAPI;
+}
+
+initExportControls();
+
+// ===================================
+// v4.1: 오디오 파일 인코더 (WAV / FLAC)
+// - channels: Float32Array[] (-1 ~ 1), 반환: ArrayBuffer (FLAC은 Promise)
+// ===================================
+
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_MAX_PARTITION_ORDER = 8;
+
+// float → 부호 있는 정수 (클리핑 포함)
+function floatToInt(v, bits) {
+  const scale = Math.pow(2, bits - 1);
+  const s = Math.round(v * scale);
+  return s >= scale ? scale - 1 : (s < -scale ? -scale : s);
+}
+
+// bitDepth: 16 | 24 | 32 (32 = IEEE float)
+function encodeWav(channels, sampleRate, bitDepth) {
+  const numCh = channels.length;
+  const frames = numCh ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numCh * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeStr = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeStr(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeStr(8, 'WAVE');
+  writeStr(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, bitDepth === 32 ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+  view.setUint16(22, numCh, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeStr(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < numCh; ch++) {
+      const v = channels[ch][i];
+      if (bitDepth === 32) {
+        view.setFloat32(offset, v, true);
+      } else if (bitDepth === 24) {
+        const s = floatToInt(v, 24);
+        view.setUint8(offset, s & 0xff);
+        view.setUint8(offset + 1, (s >> 8) & 0xff);
+        view.setUint8(offset + 2, (s >> 16) & 0xff);
+      } else {
+        view.setInt16(offset, floatToInt(v, 16), true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
+
+// --- FLAC (고정 예측기 0~4차 + Rice 부호화, 독립 채널) ---
+
+const FLAC_CRC8_TABLE = new Uint8Array(256);
+const FLAC_CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let c8 = i;
+  let c16 = i << 8;
+  for (let b = 0; b < 8; b++) {
+    c8 = (c8 & 0x80) ? ((c8 << 1) ^ 0x07) & 0xff : (c8 << 1) & 0xff;
+    c16 = (c16 & 0x8000) ? ((c16 << 1) ^ 0x8005) & 0xffff : (c16 << 1) & 0xffff;
+  }
+  FLAC_CRC8_TABLE[i] = c8;
+  FLAC_CRC16_TABLE[i] = c16;
+}
+
+function createBitWriter(initialBytes) {
+  let bytes = new Uint8Array(initialBytes);
+  let pos = 0;      // 바이트 위치
+  let acc = 0;      // 아직 바이트로 내보내지 않은 비트 (최대 31비트)
+  let accBits = 0;
+
+  const pushByte = (b) => {
+    if (pos >= bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[pos++] = b;
+  };
+
+  return {
+    // value의 하위 n비트 기록 (n ≤ 32, 음수는 2의 보수)
+    write(value, n) {
+      if (n > 24) {
+        this.write(Math.floor(value / 65536), n - 16);
+        this.write(value & 0xffff, 16);
+        return;
+      }
+      acc = (acc << n) | (value & ((1 << n) - 1));
+      accBits += n;
+      while (accBits >= 8) {
+        accBits -= 8;
+        pushByte((acc >>> accBits) & 0xff);
+      }
+      acc &= (1 << accBits) - 1;
+    },
+    // q개의 0 다음 1
+    writeUnary(q) {
+      while (q >= 24) {
+        this.write(0, 24);
+        q -= 24;
+      }
+      this.write(1, q + 1);
+    },
+    alignByte() {
+      if (accBits > 0) this.write(0, 8 - accBits);
+    },
+    get length() { return pos; },
+    bytes() { return bytes; }
+  };
+}
+
+function flacCrc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = FLAC_CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+function flacCrc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ FLAC_CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+// 프레임 번호 등에 쓰는 UTF-8 형식 정수
+function writeFlacUtf8(w, value) {
+  if (value < 0x80) {
+    w.write(value, 8);
+    return;
+  }
+  let extra = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+  const lead = (0xff << (7 - extra)) & 0xff;
+  w.write(lead | Math.floor(value / Math.pow(2, 6 * extra)), 8);
+  while (extra-- > 0) {
+    w.write(0x80 | (Math.floor(value / Math.pow(2, 6 * extra)) & 0x3f), 8);
+  }
+}
+
+function fixedResidual(x, order, out) {
+  const n = x.length;
+  for (let i = order; i < n; i++) {
+    switch (order) {
+      case 0: out[i] = x[i]; break;
+      case 1: out[i] = x[i] - x[i - 1]; break;
+      case 2: out[i] = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+      case 3: out[i] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+      default: out[i] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4]; break;
+    }
+  }
+}
+
+const zigzag = v => (v >= 0 ? 2 * v : -2 * v - 1);
+
+// 합계로 추정한 Rice 비용이 최소인 파라미터 (bits ≈ count·(k+1) + sum/2^k)
+function bestRiceParam(sum, count, maxParam) {
+  let best = { k: 0, bits: Infinity };
+  for (let k = 0; k <= maxParam; k++) {
+    const bits = count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+    if (bits < best.bits) best = { k, bits };
+    else break;
+  }
+  return best;
+}
+
+// 가장 잘게 나눈 파티션 합계를 한 번 구하고, 두 개씩 합치며 파티션 차수별 비용 비교
+function planResidual(res, blockSize, order, maxParam, paramBits) {
+  let maxOrder = 0;
+  while (maxOrder < FLAC_MAX_PARTITION_ORDER &&
+         blockSize % (1 << (maxOrder + 1)) === 0 &&
+         (blockSize >> (maxOrder + 1)) > order) {
+    maxOrder++;
+  }
+
+  let parts = 1 << maxOrder;
+  let len = blockSize >> maxOrder;
+  let sums = new Float64Array(parts);
+  for (let p = 0; p < parts; p++) {
+    let sum = 0;
+    for (let i = p === 0 ? order : p * len; i < (p + 1) * len; i++) sum += zigzag(res[i]);
+    sums[p] = sum;
+  }
+
+  let best = null;
+  for (let po = maxOrder; po >= 0; po--) {
+    const params = [];
+    let bits = 6;
+    for (let p = 0; p < parts; p++) {
+      const r = bestRiceParam(sums[p], p === 0 ? len - order : len, maxParam);
+      params.push(r.k);
+      bits += paramBits + r.bits;
+    }
+    if (!best || bits < best.bits) best = { partitionOrder: po, params, bits };
+    if (po > 0) {
+      const merged = new Float64Array(parts / 2);
+      for (let p = 0; p < merged.length; p++) merged[p] = sums[2 * p] + sums[2 * p + 1];
+      sums = merged;
+      parts /= 2;
+      len *= 2;
+    }
+  }
+  return best;
+}
+
+function writeFlacSubframe(w, x, bps) {
+  const n = x.length;
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = x[i] === x[0];
+  if (constant) {
+    w.write(0, 8); // 0 + 000000(CONSTANT) + 0
+    w.write(x[0], bps);
+    return;
+  }
+
+  // 고정 예측기 차수 선택 (Rice 파라미터 4비트로 부족하면 5비트 방식 사용)
+  const res = new Float64Array(n);
+  let best = null;
+  for (let order = 0; order <= 4 && order < n; order++) {
+    fixedResidual(x, order, res);
+    const plan = planResidual(res, n, order, 30, 5);
+    const total = order * bps + plan.bits;
+    if (!best || total < best.total) best = { order, plan, total };
+  }
+  if (best.total >= n * bps) {
+    w.write(0x02, 8); // VERBATIM
+    for (let i = 0; i < n; i++) w.write(x[i], bps);
+    return;
+  }
+
+  const { order, plan } = best;
+  fixedResidual(x, order, res);
+  w.write(0x10 | (order << 1), 8); // 0 + 001xxx(FIXED) + 0
+  for (let i = 0; i < order; i++) w.write(x[i], bps);
+
+  const wide = plan.params.some(k => k > 14);
+  const paramBits = wide ? 5 : 4;
+  w.write(wide ? 1 : 0, 2);
+  w.write(plan.partitionOrder, 4);
+  const len = n >> plan.partitionOrder;
+  plan.params.forEach((k, p) => {
+    w.write(k, paramBits);
+    const div = Math.pow(2, k);
+    for (let i = p === 0 ? order : p * len; i < (p + 1) * len; i++) {
+      const u = zigzag(res[i]);
+      const q = Math.floor(u / div);
+      w.writeUnary(q);
+      if (k > 0) w.write(u - q * div, k);
+    }
+  });
+}
+
+const FLAC_SAMPLE_RATE_CODES = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+
+// bitDepth: 16 | 24 (긴 녹음에서 UI가 멈추지 않도록 64프레임마다 양보, onProgress(0~1))
+async function encodeFlac(channels, sampleRate, bitDepth, onProgress) {
+  const numCh = channels.length;
+  const frames = numCh ? channels[0].length : 0;
+  const w = createBitWriter(Math.max(1024, frames * numCh * bitDepth / 8 + 1024));
+
+  // "fLaC" + STREAMINFO (마지막 메타데이터 블록)
+  [0x66, 0x4c, 0x61, 0x43].forEach(b => w.write(b, 8));
+  w.write(1, 1);
+  w.write(0, 7);
+  w.write(34, 24);
+  w.write(FLAC_BLOCK_SIZE, 16);
+  w.write(FLAC_BLOCK_SIZE, 16);
+  w.write(0, 24); // 최소/최대 프레임 크기: 미상
+  w.write(0, 24);
+  w.write(sampleRate, 20);
+  w.write(numCh - 1, 3);
+  w.write(bitDepth - 1, 5);
+  w.write(Math.floor(frames / Math.pow(2, 32)), 4);
+  w.write(frames >>> 0, 32);
+  for (let i = 0; i < 4; i++) w.write(0, 32); // MD5: 미계산
+
+  const rateCode = FLAC_SAMPLE_RATE_CODES[sampleRate] || 0;
+  const sizeCode = bitDepth === 24 ? 6 : 4;
+  const block = new Int32Array(FLAC_BLOCK_SIZE);
+  let frameNumber = 0;
+  for (let start = 0; start < frames; start += FLAC_BLOCK_SIZE) {
+    const size = Math.min(FLAC_BLOCK_SIZE, frames - start);
+    const frameStart = w.length;
+    w.write(0x3ffe, 14); // sync
+    w.write(0, 1);
+    w.write(0, 1);       // 고정 블록 크기
+    w.write(7, 4);       // 블록 크기: 헤더 끝 16비트
+    w.write(rateCode, 4);
+    w.write(numCh - 1, 4);
+    w.write(sizeCode, 3);
+    w.write(0, 1);
+    writeFlacUtf8(w, frameNumber++);
+    w.write(size - 1, 16);
+    w.write(flacCrc8(w.bytes(), frameStart, w.length), 8);
+
+    for (let ch = 0; ch < numCh; ch++) {
+      const x = block.subarray(0, size);
+      const src = channels[ch];
+      for (let i = 0; i < size; i++) x[i] = floatToInt(src[start + i], bitDepth);
+      writeFlacSubframe(w, x, bitDepth);
+    }
+    w.alignByte();
+    w.write(flacCrc16(w.bytes(), frameStart, w.length), 16);
+
+    if (frameNumber % 64 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (onProgress) onProgress(start / frames);
+    }
+  }
+  return w.bytes().slice(0, w.length).buffer;
+}
+
+// ===================================
+// v4.1: 실시간 입력 녹음 (WAV 16/24/32f, FLAC 16/24)
+// - capture-processor.js(AudioWorklet)가 원시 입력을 블록 단위로 전달 (대역 필터/볼륨 이전)
+// - 프리롤 링버퍼에 최근 N초를 항상 보관했다가 녹음 시작 시 앞에 붙임
+// - 정지 → 저장 대화상자 → 인코딩 → main 프로세스에서 쓰기, 결과는 바로 음원재생 모드로 열 수 있음
+// ===================================
+
+const RECORD_FORMATS = {
+  wav16: { ext: 'wav', name: 'WAV', bits: 16 },
+  wav24: { ext: 'wav', name: 'WAV', bits: 24 },
+  wav32: { ext: 'wav', name: 'WAV', bits: 32 },
+  flac16: { ext: 'flac', name: 'FLAC', bits: 16 },
+  flac24: { ext: 'flac', name: 'FLAC', bits: 24 }
+};
+const MAX_PREROLL_SECONDS = 30;
+
+const recorderState = {
+  node: null,           // AudioWorkletNode
+  modulePromise: null,
+  format: 'wav24',
+  preRoll: createSampleRing(3),
+  recording: false,
+  chunks: [],           // 블록별 채널 배열
+  frames: 0,
+  lastRecording: null   // { buffer: AudioBuffer, name }
+};
+
+const btnRecord = document.getElementById('btnRecord');
+const recFormat = document.getElementById('recFormat');
+const recPreRoll = document.getElementById('recPreRoll');
+const recTime = document.getElementById('recTime');
+const btnRecOpen = document.getElementById('btnRecOpen');
+
+// capture-processor 모듈 로드 (녹음/레벨 미터 공통, 처음 한 번만)
+function loadCaptureModule() {
+  if (!recorderState.modulePromise) {
+    recorderState.modulePromise = audioCtx.audioWorklet.addModule('capture-processor.js');
+  }
+  return recorderState.modulePromise;
+}
+
+async function attachCaptureNode() {
+  try {
+    await loadCaptureModule();
+  } catch (err) {
+    recorderState.modulePromise = null;
+    console.error('v4.1: Capture worklet load error:', err);
+    statusEl.textContent = `Recording unavailable: ${err.message}`;
+    return;
+  }
+  if (!recorderState.node) {
+    recorderState.node = new AudioWorkletNode(audioCtx, 'capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0
+    });
+    recorderState.node.port.onmessage = (e) => handleCaptureBlock(e.data.channels, e.data.endFrame);
+  }
+  connectCaptureNode();
+}
+
+// connectAudioPipeline()이 소스의 연결을 모두 끊으므로 매번 다시 연결
+function connectCaptureNode() {
+  if (!recorderState.node || inputMode !== 'realtime' || !realtimeSourceNode) return;
+  realtimeSourceNode.connect(recorderState.node);
+  btnRecord.disabled = false;
+}
+
+// v4.1: 원시 입력 링버퍼 (녹음 프리롤, 자동 캡처 프리트리거 공통)
+function createSampleRing(seconds) {
+  return { seconds, bufs: null, pos: 0, filled: 0 };
+}
+
+function resetSampleRing(ring) {
+  ring.bufs = null;
+  ring.pos = 0;
+  ring.filled = 0;
+}
+
+function writeSampleRing(ring, channels) {
+  const size = Math.round(ring.seconds * audioCtx.sampleRate);
+  if (size === 0) return;
+  if (!ring.bufs || ring.bufs.length !== channels.length || ring.bufs[0].length !== size) {
+    ring.bufs = channels.map(() => new Float32Array(size));
+    ring.pos = 0;
+    ring.filled = 0;
+  }
+  const frames = channels[0].length;
+  let pos = ring.pos;
+  for (let i = 0; i < frames; i++) {
+    for (let ch = 0; ch < channels.length; ch++) ring.bufs[ch][pos] = channels[ch][i];
+    if (++pos === size) pos = 0;
+  }
+  ring.pos = pos;
+  ring.filled = Math.min(size, ring.filled + frames);
+}
+
+// 링버퍼 내용을 시간 순서대로 꺼냄
+function readSampleRing(ring) {
+  const { bufs, pos, filled } = ring;
+  if (!bufs || filled === 0) return null;
+  const size = bufs[0].length;
+  const start = (pos - filled + size) % size;
+  return bufs.map(buf => {
+    const out = new Float32Array(filled);
+    const first = Math.min(filled, size - start);
+    out.set(buf.subarray(start, start + first), 0);
+    if (first < filled) out.set(buf.subarray(0, filled - first), first);
+    return out;
+  });
+}
+
+// 새 입력 스트림 시작 시 이전 스트림 샘플이 섞이지 않도록 비움
+function resetCaptureRings() {
+  resetSampleRing(recorderState.preRoll);
+  resetSampleRing(autoCaptureState.ring);
+}
+
+function handleCaptureBlock(channels, endFrame) {
+  if (inputMode !== 'realtime' || !isRealtimeActive || !channels.length) return;
+  writeSampleRing(recorderState.preRoll, channels);
+  processAutoCapture(channels);
+  processMeasureCapture(channels, endFrame);
+  processTransferCapture(channels);
+  if (recorderState.recording) {
+    recorderState.chunks.push(channels);
+    recorderState.frames += channels[0].length;
+    recTime.textContent = `● ${formatTime(recorderState.frames / audioCtx.sampleRate)}`;
+  }
+}
+
+function startRecording() {
+  if (!recorderState.node || inputMode !== 'realtime' || !isRealtimeActive) return;
+  const pre = readSampleRing(recorderState.preRoll);
+  recorderState.chunks = pre ? [pre] : [];
+  recorderState.frames = pre ? pre[0].length : 0;
+  recorderState.recording = true;
+  btnRecord.classList.add('on');
+  btnRecord.textContent = '⏹ Stop Rec';
+  recTime.textContent = `● ${formatTime(recorderState.frames / audioCtx.sampleRate)}`;
+  statusEl.textContent = `Recording (pre-roll ${(recorderState.frames / audioCtx.sampleRate).toFixed(1)} s)`;
+}
+
+// 블록들을 하나의 AudioBuffer로 (도중에 채널 수가 바뀐 블록은 없는 채널을 0으로)
+function assembleChunks(chunks, frames) {
+  if (frames === 0) return null;
+  const numCh = Math.max(...chunks.map(c => c.length));
+  const buffer = audioCtx.createBuffer(numCh, frames, audioCtx.sampleRate);
+  for (let ch = 0; ch < numCh; ch++) {
+    const out = buffer.getChannelData(ch);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      if (chunk[ch]) out.set(chunk[ch], offset);
+      offset += chunk[0].length;
+    });
+  }
+  return buffer;
+}
+
+async function stopRecording() {
+  if (!recorderState.recording) return;
+  recorderState.recording = false;
+  btnRecord.classList.remove('on');
+  btnRecord.textContent = '⏺ Rec';
+
+  const buffer = assembleChunks(recorderState.chunks, recorderState.frames);
+  recorderState.chunks = [];
+  recorderState.frames = 0;
+  if (!buffer) {
+    recTime.textContent = '';
+    return;
+  }
+  const rec = { buffer, name: `rec-${getExportTimestamp()}` };
+  recorderState.lastRecording = rec;
+  btnRecOpen.disabled = false;
+  recTime.textContent = formatTime(buffer.duration);
+  await saveRecording(rec);
+}
+
+function encodeRecording(buffer, format, onProgress) {
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  if (format.ext === 'flac') return encodeFlac(channels, buffer.sampleRate, format.bits, onProgress);
+  return encodeWav(channels, buffer.sampleRate, format.bits);
+}
+
+async function saveRecording(rec) {
+  const format = RECORD_FORMATS[recorderState.format];
+  const filePath = await saveFileViaDialog({
+    title: 'Save recording',
+    defaultPath: `${rec.name}.${format.ext}`,
+    filters: [{ name: `${format.name} ${format.bits === 32 ? '32-bit float' : `${format.bits}-bit`}`, extensions: [format.ext] }]
+  }, () => {
+    statusEl.textContent = 'Encoding recording...';
+    return encodeRecording(rec.buffer, format, p => {
+      statusEl.textContent = `Encoding recording... ${Math.round(p * 100)}%`;
+    });
+  }, 'recording');
+  if (filePath) rec.name = filePath.split(/[\\/]/).pop();
+}
+
+function openLastRecording() {
+  const rec = recorderState.lastRecording;
+  if (!rec) return;
+  // 실시간 입력은 switchToFileMode()에서 정지, 재생 중인 파일만 여기서 정지
+  if (inputMode === 'file') stopCurrentInput();
+  openBufferInFileMode(rec.buffer, rec.name);
+  statusEl.textContent = `Recording opened: ${rec.name} (${formatTime(rec.buffer.duration)})`;
+}
+
+function initRecorderControls() {
+  recFormat.value = recorderState.format;
+  recPreRoll.value = recorderState.preRoll.seconds;
+  btnRecord.disabled = true;
+  btnRecOpen.disabled = true;
+
+  btnRecord.addEventListener('click', () => {
+    if (recorderState.recording) stopRecording();
+    else startRecording();
+  });
+  recFormat.addEventListener('change', () => {
+    recorderState.format = recFormat.value;
+  });
+  recPreRoll.addEventListener('change', () => {
+    const v = parseFloat(recPreRoll.value);
+    if (v >= 0) {
+      recorderState.preRoll.seconds = Math.min(MAX_PREROLL_SECONDS, v);
+      resetSampleRing(recorderState.preRoll);
+    }
+    recPreRoll.value = recorderState.preRoll.seconds;
+  });
+  btnRecOpen.addEventListener('click', openLastRecording);
+}
+
+initRecorderControls();
+
+// ===================================
+// v4.1: 레벨/대역 트리거 자동 캡처
+// - 캡처 블록(약 85 ms)마다 광대역 RMS 또는 Arm 시점에 고정한 대역의 에너지를 임계값과 비교
+//   (대역 에너지는 블록 전체를 50% 겹친 프레임으로 훑어 최대값 사용)
+// - 넘으면 프리트리거 링버퍼 + 포스트 구간을 클립으로 모으고 그 순간의 스펙트럼을 함께 보관
+// - 이벤트가 끝난 뒤에는 레벨이 임계값 − 히스테리시스 아래로 내려가야 다시 트리거
+// - 이벤트 목록에서 음원재생 모드로 다시 열거나 기준 스펙트럼으로 추가, 폴더를 지정하면 자동 저장
+// ===================================
+
+const MAX_CAPTURE_EVENTS_IN_MEMORY = 50; // 오래된 이벤트는 클립을 메모리에서 내림 (저장된 파일은 유지)
+const TRIGGER_BAND_FFT_MAX = 4096;
+const TRIGGER_HYSTERESIS_DB = 6;
+
+const autoCaptureState = {
+  armed: false,
+  source: 'rms',        // 'rms' | 'band'
+  band: null,           // Arm 시점의 대역 사본 { lo, hi } (source 'band')
+  thresholdDb: -30,
+  rearmPending: false,  // 이벤트 후 레벨이 히스테리시스 아래로 내려갈 때까지 대기
+  postSeconds: 2,
+  ring: createSampleRing(1),
+  pending: null,        // 포스트 구간 수집 중인 이벤트 { event, chunks, frames, targetFrames }
+  level: -Infinity,
+  lastReadout: 0,
+  events: [],           // 최신 이벤트가 앞
+  nextId: 1,
+  folder: null
+};
+
+const trigSource = document.getElementById('trigSource');
+const trigThreshold = document.getElementById('trigThreshold');
+const trigPre = document.getElementById('trigPre');
+const trigPost = document.getElementById('trigPost');
+const btnTrigArm = document.getElementById('btnTrigArm');
+const trigStatus = document.getElementById('trigStatus');
+const trigLevel = document.getElementById('trigLevel');
+const btnTrigFolder = document.getElementById('btnTrigFolder');
+const trigFolder = document.getElementById('trigFolder');
+const btnTrigClear = document.getElementById('btnTrigClear');
+const eventList = document.getElementById('eventList');
+
+function setTrigStatus(text, cls) {
+  trigStatus.textContent = text;
+  trigStatus.className = 'trig-state' + (cls ? ` ${cls}` : '');
+}
+
+// 광대역 RMS (모든 채널 평균 전력, dBFS RMS)
+function measureBroadbandLevel(channels) {
+  let sum = 0;
+  let count = 0;
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    count += data.length;
+  });
+  return powerToDb(count ? sum / count : 0);
+}
+
+// 대역 에너지 (다운믹스 FFT, 창의 등가 잡음 대역폭으로 나눠 RMS dBFS로 환산 - 광대역 RMS와 같은 기준)
+// 블록 전체를 50% 겹친 프레임으로 훑어 가장 큰 프레임 값을 반환 (블록 앞쪽 과도음도 놓치지 않도록)
+function measureBandLevel(channels, band) {
+  const length = channels[0].length;
+  let size = 256;
+  while (size * 2 <= Math.min(TRIGGER_BAND_FFT_MAX, length)) size *= 2;
+  if (size > length) return SPECTRUM_DB_FLOOR;
+
+  const { w, sum } = getWindow('hann', size);
+  let sumSq = 0;
+  for (let i = 0; i < size; i++) sumSq += w[i] * w[i];
+  const enbw = size * sumSq / (sum * sum);
+  const binHz = audioCtx.sampleRate / size;
+  const k0 = Math.max(0, Math.floor(band.lo / binHz));
+  const k1 = Math.min(size / 2 - 1, Math.max(k0, Math.ceil(band.hi / binHz)));
+
+  const frame = new Float32Array(size);
+  const power = new Float32Array(size / 2);
+  const hop = size / 2;
+  let maxP = 0;
+  // 마지막 프레임은 블록 끝에 맞춤
+  for (let offset = 0; ; offset = Math.min(offset + hop, length - size)) {
+    for (let i = 0; i < size; i++) {
+      let v = 0;
+      for (let ch = 0; ch < channels.length; ch++) v += channels[ch][offset + i];
+      frame[i] = v / channels.length;
+    }
+    computePowerSpectrum(frame, power, 'hann');
+    let p = 0;
+    for (let k = k0; k <= k1; k++) p += power[k];
+    if (p > maxP) maxP = p;
+    if (offset === length - size) break;
+  }
+  return powerToDb(maxP / enbw / 2);
+}
+
+// Arm 중에는 Arm 시점에 고정한 대역, 아니면 현재 선택 대역 (레벨 표시용)
+function getTriggerBand() {
+  const st = autoCaptureState;
+  return st.armed ? st.band : selectedBandHz;
+}
+
+function measureTriggerLevel(channels) {
+  if (autoCaptureState.source === 'band') {
+    const band = getTriggerBand();
+    return band ? measureBandLevel(channels, band) : null;
+  }
+  return measureBroadbandLevel(channels);
+}
+
+function processAutoCapture(channels) {
+  const st = autoCaptureState;
+  const level = measureTriggerLevel(channels);
+  st.level = level === null ? -Infinity : level;
+
+  if (st.pending) {
+    st.pending.chunks.push(channels);
+    st.pending.frames += channels[0].length;
+    if (st.pending.frames >= st.pending.targetFrames) finishCaptureEvent();
+  } else if (st.rearmPending) {
+    // 이벤트 직후: 레벨이 충분히 내려가야 다시 트리거 (지속 신호로 연속 이벤트가 생기지 않도록)
+    if (level === null || level < st.thresholdDb - TRIGGER_HYSTERESIS_DB) {
+      st.rearmPending = false;
+      if (st.armed) setTrigStatus('Armed', 'armed');
+    }
+  } else if (st.armed && level !== null && level >= st.thresholdDb) {
+    startCaptureEvent(level, channels);
+  }
+  // 트리거 블록은 포스트 구간에 들어가므로 링버퍼에는 나중에 기록
+  writeSampleRing(st.ring, channels);
+
+  // 레벨 표시는 너무 자주 바꾸지 않음
+  const now = performance.now();
+  if (now - st.lastReadout > 200) {
+    st.lastReadout = now;
+    trigLevel.textContent = level === null ? 'no band selected' : `${level.toFixed(1)} dBFS`;
+  }
+}
+
+function startCaptureEvent(level, channels) {
+  const st = autoCaptureState;
+  const pre = readSampleRing(st.ring);
+  const sr = audioCtx.sampleRate;
+  const preFrames = pre ? pre[0].length : 0;
+  const event = {
+    id: st.nextId++,
+    time: new Date(),
+    level,
+    source: st.source,
+    band: st.source === 'band' && st.band ? { lo: st.band.lo, hi: st.band.hi } : null,
+    thresholdDb: st.thresholdDb,
+    preSeconds: preFrames / sr,
+    spectrum: latestSpectrumDb ? Float32Array.from(latestSpectrumDb) : null,
+    spectrumBinHz: latestSpectrumDb ? getNyquist() / latestSpectrumDb.length : 0,
+    buffer: null,
+    filePath: null
+  };
+  st.pending = {
+    event,
+    chunks: pre ? [pre, channels] : [channels],
+    frames: preFrames + channels[0].length,
+    targetFrames: preFrames + Math.round(st.postSeconds * sr)
+  };
+  setTrigStatus('Triggered', 'triggered');
+}
+
+function finishCaptureEvent() {
+  const st = autoCaptureState;
+  const { event, chunks, frames } = st.pending;
+  st.pending = null;
+  st.rearmPending = true;
+  event.buffer = assembleChunks(chunks, frames);
+  st.events.unshift(event);
+  st.events.slice(MAX_CAPTURE_EVENTS_IN_MEMORY).forEach(e => { e.buffer = null; });
+  setTrigStatus(st.armed ? 'Re-arming' : 'Idle', st.armed ? 'armed' : '');
+  statusEl.textContent = `Capture event #${event.id}: ${event.level.toFixed(1)} dBFS`;
+  renderEventList();
+  if (st.folder) saveCaptureEvent(event);
+}
+
+function getEventBaseName(event) {
+  return `event-${event.id}-${getExportTimestamp(event.time)}`;
+}
+
+// 지정 폴더에 클립(WAV 24-bit)과 스펙트럼(JSON) 저장
+async function saveCaptureEvent(event) {
+  const dir = autoCaptureState.folder;
+  if (!dir || !event.buffer) return;
+  const sep = dir.includes('\\') ? '\\' : '/';
+  const base = `${dir}${sep}${getEventBaseName(event)}`;
+  try {
+    const channels = [];
+    for (let ch = 0; ch < event.buffer.numberOfChannels; ch++) channels.push(event.buffer.getChannelData(ch));
+    await window.electronAPI.writeFile(`${base}.wav`, encodeWav(channels, event.buffer.sampleRate, 24));
+    event.filePath = `${base}.wav`;
+    if (event.spectrum) {
+      const traces = { n: event.spectrum.length, binHz: event.spectrumBinHz, current: event.spectrum, peak: null, average: null };
+      await window.electronAPI.writeFile(`${base}-spectrum.json`, spectrumToJson(traces, {
+        createdAt: event.time.toISOString(),
+        trigger: {
+          source: event.source,
+          band: event.band,
+          thresholdDb: event.thresholdDb,
+          levelDb: Math.round(event.level * 100) / 100,
+          preSeconds: event.preSeconds
+        }
+      }));
+    }
+    renderEventList();
+  } catch (err) {
+    console.error('v4.1: Capture event save error:', err);
+    statusEl.textContent = `Error saving capture event: ${err.message}`;
+  }
+}
+
+// 메모리에 클립이 없으면 저장된 파일을 읽어 디코딩
+async function openCaptureEvent(event) {
+  try {
+    let buffer = event.buffer;
+    if (!buffer && event.filePath) {
+      const bytes = await window.electronAPI.readFile(event.filePath);
+      buffer = await audioCtx.decodeAudioData(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    }
+    if (!buffer) {
+      statusEl.textContent = `Capture event #${event.id} is no longer available`;
+      return;
+    }
+    if (inputMode === 'file') stopCurrentInput();
+    openBufferInFileMode(buffer, `${getEventBaseName(event)}.wav`);
+    statusEl.textContent = `Capture event #${event.id} opened (${formatTime(buffer.duration)})`;
+  } catch (err) {
+    console.error('v4.1: Capture event open error:', err);
+    statusEl.textContent = `Error opening capture event: ${err.message}`;
+  }
+}
+
+function addEventSpectrumAsReference(event) {
+  if (!event.spectrum) return;
+  const hz = new Float32Array(event.spectrum.length);
+  for (let i = 0; i < hz.length; i++) hz[i] = i * event.spectrumBinHz;
+  addReference(`Event ${event.id}`, hz, Float32Array.from(event.spectrum), {
+    source: 'capture-event',
+    createdAt: event.time.toISOString()
+  });
+}
+
+function renderEventList() {
+  eventList.innerHTML = '';
+  if (autoCaptureState.events.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = '이벤트 없음';
+    eventList.appendChild(empty);
+    return;
+  }
+  autoCaptureState.events.forEach(event => {
+    const li = document.createElement('li');
+    const info = document.createElement('span');
+    info.className = 'event-info';
+    const what = event.band ? `${Math.round(event.band.lo)}–${Math.round(event.band.hi)} Hz` : 'RMS';
+    info.textContent = `#${event.id}  ${event.time.toLocaleTimeString()}  ${event.level.toFixed(1)} dBFS  ${what}`;
+    if (event.filePath) info.title = event.filePath;
+
+    const btnOpen = document.createElement('button');
+    btnOpen.textContent = '▶ Open';
+    btnOpen.title = '음원재생 모드로 열기';
+    btnOpen.disabled = !event.buffer && !event.filePath;
+    btnOpen.addEventListener('click', () => openCaptureEvent(event));
+
+    const btnRef = document.createElement('button');
+    btnRef.textContent = 'Ref';
+    btnRef.title = '트리거 순간의 스펙트럼을 기준 스펙트럼으로 추가';
+    btnRef.disabled = !event.spectrum;
+    btnRef.addEventListener('click', () => addEventSpectrumAsReference(event));
+
+    li.append(info, btnOpen, btnRef);
+    if (event.filePath) li.append('💾');
+    eventList.appendChild(li);
+  });
+}
+
+async function chooseCaptureFolder() {
+  if (!window.electronAPI) return;
+  try {
+    const dir = await window.electronAPI.showDirectoryDialog({ title: 'Auto capture folder' });
+    if (!dir) return;
+    autoCaptureState.folder = dir;
+    trigFolder.textContent = dir;
+    trigFolder.title = dir;
+  } catch (err) {
+    console.error('v4.1: Capture folder error:', err);
+    statusEl.textContent = `Error choosing folder: ${err.message}`;
+  }
+}
+
+function setAutoCaptureArmed(armed) {
+  const st = autoCaptureState;
+  if (armed && st.source === 'band') {
+    // 대역은 Arm 시점에 고정 (이후 대역 선택 해제/변경과 무관)
+    if (!selectedBandHz) {
+      statusEl.textContent = 'Select a band before arming the band trigger';
+      armed = false;
+    }
+    st.band = selectedBandHz ? { lo: selectedBandHz.lo, hi: selectedBandHz.hi } : null;
+  }
+  if (armed && !st.armed) st.rearmPending = false;
+  st.armed = armed;
+  btnTrigArm.classList.toggle('on', armed);
+  btnTrigArm.textContent = armed ? 'Disarm' : 'Arm';
+  if (!st.pending) setTrigStatus(armed ? 'Armed' : 'Idle', armed ? 'armed' : '');
+}
+
+function initAutoCaptureControls() {
+  const st = autoCaptureState;
+  trigSource.value = st.source;
+  trigThreshold.value = st.thresholdDb;
+  trigPre.value = st.ring.seconds;
+  trigPost.value = st.postSeconds;
+  btnTrigFolder.disabled = !window.electronAPI;
+
+  trigSource.addEventListener('change', () => {
+    st.source = trigSource.value;
+    if (st.armed) setAutoCaptureArmed(true); // 대역 소스로 바뀌면 현재 선택 대역을 다시 고정
+  });
+  trigThreshold.addEventListener('change', () => {
+    const v = parseFloat(trigThreshold.value);
+    if (Number.isFinite(v)) st.thresholdDb = Math.min(0, v);
+    trigThreshold.value = st.thresholdDb;
+  });
+  trigPre.addEventListener('change', () => {
+    const v = parseFloat(trigPre.value);
+    if (v >= 0) {
+      st.ring.seconds = Math.min(MAX_PREROLL_SECONDS, v);
+      resetSampleRing(st.ring);
+    }
+    trigPre.value = st.ring.seconds;
+  });
+  trigPost.addEventListener('change', () => {
+    const v = parseFloat(trigPost.value);
+    if (v > 0) st.postSeconds = Math.min(60, v);
+    trigPost.value = st.postSeconds;
+  });
+  btnTrigArm.addEventListener('click', () => setAutoCaptureArmed(!st.armed));
+  btnTrigFolder.addEventListener('click', chooseCaptureFolder);
+  btnTrigClear.addEventListener('click', () => {
+    st.events = [];
+    renderEventList();
+  });
+
+  renderEventList();
+}
+
+initAutoCaptureControls();
+
+// ===================================
+// v4.1: 레벨 / 라우드니스 미터 (ITU-R BS.1770-4, EBU R128 / Tech 3341·3342)
+// - 소스(currentSourceNode) 원시 샘플을 capture-processor(작은 블록)로 받아 계산
+// - 채널별: 샘플 피크, RMS(300 ms), 크레스트, 피크홀드, 클립 표시
+// - 라우드니스: K-가중 100 ms 하위 블록 → M(400 ms), S(3 s), I(게이트), LRA
+// - 트루 피크: 4배 오버샘플링 (48탭 폴리페이즈 보간)
+// - 파일 모드: fileBuffer 전체의 I / LRA / 트루 피크를 백그라운드로 계산
+// ===================================
+
+const METER_BLOCK_FRAMES = 1024;   // 48 kHz에서 약 21 ms마다 갱신
+const METER_RMS_WINDOW = 0.3;      // 초
+const METER_MIN_DB = -60;
+const METER_HOLD_SECONDS = 2;
+const METER_DECAY_DB_PER_SEC = 20;
+const METER_CLIP_LEVEL = 0.9999;   // 약 -0.001 dBFS
+const LOUDNESS_ABS_GATE = -70;     // LUFS
+const TRUE_PEAK_TAPS = 48;
+const TRUE_PEAK_FACTOR = 4;
+
+// K-가중 필터 계수 (BS.1770 48 kHz 값을 임의 샘플레이트로 재설계, libebur128와 같은 식)
+function getKWeightingCoefficients(sampleRate) {
+  // 1단: 머리 효과 고역 셸프
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  // 2단: RLB 고역 통과
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  return [shelf, highpass];
+}
+
+// 채널 가중치: L/R/C 1.0, LFE(5.1의 4번째) 제외, 서라운드 1.41
+function getLoudnessChannelWeight(ch, channelCount) {
+  if (channelCount < 4) return 1;
+  if (ch === 3) return 0;
+  return ch >= 4 ? 1.41 : 1;
+}
+
+let truePeakPhases = null;
+
+// 4배 보간 필터 (Blackman 창 sinc, 위상별 12탭, 위상마다 DC 이득 1)
+// 반환: 위상 p의 k번째 탭이 [p * 탭 수 + k]인 평평한 배열
+function getTruePeakPhases() {
+  if (truePeakPhases) return truePeakPhases;
+  const center = (TRUE_PEAK_TAPS - 1) / 2;
+  const h = new Float64Array(TRUE_PEAK_TAPS);
+  for (let n = 0; n < TRUE_PEAK_TAPS; n++) {
+    const x = (n - center) / TRUE_PEAK_FACTOR;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const w = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (TRUE_PEAK_TAPS - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (TRUE_PEAK_TAPS - 1));
+    h[n] = sinc * w;
+  }
+  const perPhase = TRUE_PEAK_TAPS / TRUE_PEAK_FACTOR;
+  truePeakPhases = new Float64Array(TRUE_PEAK_TAPS);
+  for (let p = 0; p < TRUE_PEAK_FACTOR; p++) {
+    let sum = 0;
+    for (let k = 0; k < perPhase; k++) sum += h[p + k * TRUE_PEAK_FACTOR];
+    for (let k = 0; k < perPhase; k++) truePeakPhases[p * perPhase + k] = h[p + k * TRUE_PEAK_FACTOR] / sum;
+  }
+  return truePeakPhases;
+}
+
+function powerToLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+function lufsToPower(lufs) {
+  return Math.pow(10, (lufs + 0.691) / 10);
+}
+
+function linearToDb(v) {
+  return v > 0 ? 20 * Math.log10(v) : -Infinity;
+}
+
+// 라우드니스 측정기 (실시간 블록 / 오프라인 버퍼 공통)
+function createLoudnessMeter(sampleRate) {
+  const coeffs = getKWeightingCoefficients(sampleRate);
+  const phases = getTruePeakPhases();
+  const tapCount = TRUE_PEAK_TAPS / TRUE_PEAK_FACTOR;
+  // 보간값 상한 = 입력 최대 절댓값 × 위상별 Σ|h|의 최댓값 (넘을 수 없는 구간은 건너뜀)
+  let tpGainBound = 0;
+  for (let off = 0; off < TRUE_PEAK_TAPS; off += tapCount) {
+    let sum = 0;
+    for (let k = 0; k < tapCount; k++) sum += Math.abs(phases[off + k]);
+    tpGainBound = Math.max(tpGainBound, sum);
+  }
+  const hop = Math.round(sampleRate / 10); // 100 ms 하위 블록
+  const recent = new Float64Array(30);     // 최근 3 s 하위 블록 파워
+  let recentCount = 0;
+  let recentPos = 0;
+  let channelCount = 0;
+  let filterState = [];
+  let tpHistory = [];
+  let subSum = 0;
+  let subFrames = 0;
+  let momentaryBlocks = [];  // 400 ms 블록 파워 (I 게이트용, 100 ms 간격 = 75% 겹침)
+  let shortTermBlocks = [];  // 3 s 블록 파워 (LRA용)
+  let truePeak = 0;
+  let samplePeak = 0;
+
+  function reset() {
+    recent.fill(0);
+    recentCount = 0;
+    recentPos = 0;
+    channelCount = 0;
+    subSum = 0;
+    subFrames = 0;
+    momentaryBlocks = [];
+    shortTermBlocks = [];
+    truePeak = 0;
+    samplePeak = 0;
+  }
+
+  function setChannelCount(count) {
+    channelCount = count;
+    filterState = Array.from({ length: count }, () => new Float64Array(8)); // 2단 × (x1 x2 y1 y2)
+    tpHistory = Array.from({ length: count }, () => new Float32Array(tapCount - 1));
+  }
+
+  function meanOfRecent(n) {
+    let sum = 0;
+    for (let i = 1; i <= n; i++) sum += recent[(recentPos - i + 30) % 30];
+    return sum / n;
+  }
+
+  function finishSubBlock() {
+    recent[recentPos] = subSum / hop;
+    recentPos = (recentPos + 1) % 30;
+    recentCount = Math.min(30, recentCount + 1);
+    subSum = 0;
+    subFrames = 0;
+    if (recentCount >= 4) momentaryBlocks.push(meanOfRecent(4));
+    if (recentCount >= 30) shortTermBlocks.push(meanOfRecent(30));
+  }
+
+  // 트루 피크: 블록 앞에 이전 블록 끝 (탭 수 - 1) 샘플을 붙여 위상별 보간
+  function updateTruePeak(ch, x) {
+    const hist = tpHistory[ch];
+    const ext = new Float64Array(hist.length + x.length);
+    ext.set(hist);
+    ext.set(x, hist.length);
+    let peak = truePeak;
+    const chunk = 64;
+    for (let start = 0; start < x.length; start += chunk) {
+      const stop = Math.min(x.length, start + chunk);
+      let localMax = 0;
+      for (let j = start; j < stop + hist.length; j++) {
+        const a = ext[j] < 0 ? -ext[j] : ext[j];
+        if (a > localMax) localMax = a;
+      }
+      if (localMax * tpGainBound <= peak) continue;
+      for (let i = start; i < stop; i++) {
+        const end = i + hist.length;
+        for (let off = 0; off < TRUE_PEAK_TAPS; off += tapCount) {
+          let y = 0;
+          for (let k = 0; k < tapCount; k++) y += phases[off + k] * ext[end - k];
+          if (y > peak) peak = y;
+          else if (-y > peak) peak = -y;
+        }
+      }
+    }
+    for (let k = 0; k < hist.length; k++) hist[k] = ext[ext.length - hist.length + k];
+    truePeak = peak;
+  }
+
+  // channels: 채널별 Float32Array (같은 길이)
+  function process(channels) {
+    if (channels.length !== channelCount) setChannelCount(channels.length);
+    const frames = channels[0].length;
+    const weighted = new Float64Array(frames);
+    const [s1, s2] = coeffs;
+
+    for (let ch = 0; ch < channelCount; ch++) {
+      const x = channels[ch];
+      const weight = getLoudnessChannelWeight(ch, channelCount);
+      const st = filterState[ch];
+      let [x1, x2, y1, y2, u1, u2, z1, z2] = st;
+      for (let i = 0; i < frames; i++) {
+        const v = x[i];
+        const a = v < 0 ? -v : v;
+        if (a > samplePeak) samplePeak = a;
+        // 1단 셸프 → 2단 고역 통과 (Direct Form I)
+        const y = s1.b0 * v + s1.b1 * x1 + s1.b2 * x2 - s1.a1 * y1 - s1.a2 * y2;
+        x2 = x1; x1 = v; y2 = y1; y1 = y;
+        const z = s2.b0 * y + s2.b1 * u1 + s2.b2 * u2 - s2.a1 * z1 - s2.a2 * z2;
+        u2 = u1; u1 = y; z2 = z1; z1 = z;
+        if (weight) weighted[i] += weight * z * z;
+      }
+      st[0] = x1; st[1] = x2; st[2] = y1; st[3] = y2; st[4] = u1; st[5] = u2; st[6] = z1; st[7] = z2;
+      updateTruePeak(ch, x);
+    }
+
+    for (let i = 0; i < frames; i++) {
+      subSum += weighted[i];
+      if (++subFrames === hop) finishSubBlock();
+    }
+  }
+
+  // 절대 게이트(-70 LUFS) 후 평균 - offset LU 상대 게이트를 넘는 블록만
+  function gatedBlocks(blocks, relativeOffset) {
+    const absPower = lufsToPower(LOUDNESS_ABS_GATE);
+    const passed = blocks.filter(p => p > absPower);
+    if (passed.length === 0) return [];
+    const mean = passed.reduce((a, b) => a + b, 0) / passed.length;
+    const relPower = lufsToPower(powerToLufs(mean) - relativeOffset);
+    return passed.filter(p => p > relPower);
+  }
+
+  function integrated() {
+    const gated = gatedBlocks(momentaryBlocks, 10);
+    if (gated.length === 0) return -Infinity;
+    return powerToLufs(gated.reduce((a, b) => a + b, 0) / gated.length);
+  }
+
+  // LRA: 게이트(-20 LU)를 통과한 단기 라우드니스의 10~95 백분위 차
+  function loudnessRange() {
+    const values = gatedBlocks(shortTermBlocks, 20).map(powerToLufs).sort((a, b) => a - b);
+    if (values.length < 2) return 0;
+    const percentile = q => {
+      const pos = (values.length - 1) * q;
+      const lo = Math.floor(pos);
+      const hi = Math.min(values.length - 1, lo + 1);
+      return values[lo] + (values[hi] - values[lo]) * (pos - lo);
+    };
+    return percentile(0.95) - percentile(0.10);
+  }
+
+  reset();
+  return {
+    process,
+    reset,
+    momentary: () => (recentCount >= 4 ? powerToLufs(meanOfRecent(4)) : -Infinity),
+    shortTerm: () => (recentCount >= 30 ? powerToLufs(meanOfRecent(30)) : -Infinity),
+    integrated,
+    loudnessRange,
+    truePeakDb: () => linearToDb(Math.max(truePeak, samplePeak)),
+    samplePeakDb: () => linearToDb(samplePeak)
+  };
+}
+
+const meterState = {
+  node: null,
+  attaching: false,
+  loudness: null,
+  channels: [],        // { window: [{ sumSq, peak, frames }], windowFrames, holdDb, holdTime, clip }
+  lastBlockTime: 0,
+  fileToken: 0,
+  fileResult: null     // { integrated, lra, truePeak, samplePeak, name }
+};
+
+const meterCanvas = document.getElementById('meterCanvas');
+const meterCtx = meterCanvas.getContext('2d');
+const meterReadout = document.getElementById('meterReadout');
+const meterFileInfo = document.getElementById('meterFileInfo');
+const meterValueEls = {};
+
+async function attachMeterNode() {
+  if (meterState.attaching) return;
+  meterState.attaching = true;
+  try {
+    await loadCaptureModule();
+    meterState.node = new AudioWorkletNode(audioCtx, 'capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { blockFrames: METER_BLOCK_FRAMES }
+    });
+    meterState.node.port.onmessage = (e) => handleMeterBlock(e.data.channels);
+    connectMeterNode();
+  } catch (err) {
+    recorderState.modulePromise = null;
+    console.error('v4.1: Meter worklet load error:', err);
+  } finally {
+    meterState.attaching = false;
+  }
+}
+
+// connectAudioPipeline()이 소스 연결을 모두 끊으므로 매번 다시 연결 (실시간/파일 공통)
+function connectMeterNode() {
+  if (!currentSourceNode) return;
+  if (!meterState.node) {
+    attachMeterNode();
+    return;
+  }
+  currentSourceNode.connect(meterState.node);
+}
+
+// 새 입력/파일: 적분값, 피크홀드, 클립 표시 초기화
+function resetMeters() {
+  if (meterState.loudness) meterState.loudness.reset();
+  meterState.channels = [];
+}
+
+function handleMeterBlock(channels) {
+  if (!meterState.loudness) meterState.loudness = createLoudnessMeter(audioCtx.sampleRate);
+  meterState.loudness.process(channels);
+
+  const now = performance.now();
+  const maxFrames = Math.round(METER_RMS_WINDOW * audioCtx.sampleRate);
+  if (meterState.channels.length !== channels.length) {
+    meterState.channels = channels.map(() => ({ window: [], windowFrames: 0, holdDb: -Infinity, holdTime: 0, clip: false }));
+  }
+  channels.forEach((x, ch) => {
+    const st = meterState.channels[ch];
+    let sumSq = 0;
+    let peak = 0;
+    for (let i = 0; i < x.length; i++) {
+      const v = x[i];
+      sumSq += v * v;
+      const a = v < 0 ? -v : v;
+      if (a > peak) peak = a;
+    }
+    st.window.push({ sumSq, peak, frames: x.length });
+    st.windowFrames += x.length;
+    while (st.window.length > 1 && st.windowFrames - st.window[0].frames >= maxFrames) {
+      st.windowFrames -= st.window.shift().frames;
+    }
+    const peakDb = linearToDb(peak);
+    if (peakDb >= st.holdDb) {
+      st.holdDb = peakDb;
+      st.holdTime = now;
+    }
+    if (peak >= METER_CLIP_LEVEL) st.clip = true;
+  });
+  meterState.lastBlockTime = now;
+}
+
+// 채널별 현재 값 (블록이 끊기면 -∞)
+function getChannelMeter(st, now) {
+  if (now - meterState.lastBlockTime > 500) return { peakDb: -Infinity, rmsDb: -Infinity };
+  let sumSq = 0;
+  let peak = 0;
+  st.window.forEach(b => {
+    sumSq += b.sumSq;
+    if (b.peak > peak) peak = b.peak;
+  });
+  return {
+    peakDb: linearToDb(peak),
+    rmsDb: st.windowFrames ? 10 * Math.log10(Math.max(sumSq / st.windowFrames, 1e-20)) : -Infinity
+  };
+}
+
+function getHoldDb(st, now) {
+  const age = (now - st.holdTime) / 1000;
+  if (age <= METER_HOLD_SECONDS) return st.holdDb;
+  return st.holdDb - (age - METER_HOLD_SECONDS) * METER_DECAY_DB_PER_SEC;
+}
+
+function formatMeterDb(v, digits = 1) {
+  return Number.isFinite(v) ? v.toFixed(digits) : '−∞';
+}
+
+function drawMeters() {
+  const { width, height } = fitCanvasToDisplay(meterCanvas, meterCtx);
+  if (width < 2 || height < 2) return; // 패널이 접혀 있음
+  const ctx = meterCtx;
+  const now = performance.now();
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+
+  const top = 14;          // 클립 표시 영역
+  const bottom = height - 14;
+  const scaleW = 26;
+  const dbToMeterY = db => {
+    const norm = Math.max(0, Math.min(1, (db - METER_MIN_DB) / -METER_MIN_DB));
+    return bottom - norm * (bottom - top);
+  };
+
+  // 눈금
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let db = 0; db >= METER_MIN_DB; db -= 6) {
+    const y = Math.round(dbToMeterY(db)) + 0.5;
+    ctx.fillStyle = '#888';
+    ctx.fillText(String(db), scaleW - 4, y);
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(scaleW, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  const channels = meterState.channels;
+  const count = Math.max(1, channels.length);
+  const gap = 4;
+  const barW = Math.max(4, (width - scaleW - gap * (count + 1)) / count);
+  const values = [];
+  channels.forEach((st, ch) => {
+    const x = scaleW + gap + ch * (barW + gap);
+    const { peakDb, rmsDb } = getChannelMeter(st, now);
+    values.push({ peakDb, rmsDb });
+
+    // RMS 막대 (-18 dBFS 위 노랑, -6 위 빨강), 피크는 얇은 막대
+    const grad = ctx.createLinearGradient(0, bottom, 0, top);
+    grad.addColorStop(0, '#43a047');
+    grad.addColorStop(42 / 60, '#43a047');
+    grad.addColorStop(42 / 60, '#fdd835');
+    grad.addColorStop(54 / 60, '#fdd835');
+    grad.addColorStop(54 / 60, '#e53935');
+    grad.addColorStop(1, '#e53935');
+    ctx.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx.fillRect(x, top, barW, bottom - top);
+    ctx.globalAlpha = 0.45;
+    ctx.fillStyle = grad;
+    const yPeak = dbToMeterY(peakDb);
+    ctx.fillRect(x, yPeak, barW, bottom - yPeak);
+    ctx.globalAlpha = 1;
+    const yRms = dbToMeterY(rmsDb);
+    ctx.fillRect(x + barW * 0.2, yRms, barW * 0.6, bottom - yRms);
+
+    // 피크홀드
+    const holdDb = getHoldDb(st, now);
+    if (holdDb > METER_MIN_DB) {
+      const yHold = Math.round(dbToMeterY(holdDb)) + 0.5;
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, yHold);
+      ctx.lineTo(x + barW, yHold);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+
+    // 클립 표시 (클릭하면 해제)
+    ctx.fillStyle = st.clip ? '#e53935' : '#3a1c1c';
+    ctx.fillRect(x, 2, barW, top - 5);
+    ctx.fillStyle = CHANNEL_COLORS[ch % CHANNEL_COLORS.length];
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(String(ch + 1), x + barW / 2, bottom + 2);
+  });
+
+  updateMeterReadout(values, now);
+}
+
+function updateMeterReadout(values, now) {
+  const loud = meterState.loudness;
+  const live = now - meterState.lastBlockTime <= 500;
+  const peakDb = Math.max(-Infinity, ...values.map(v => v.peakDb));
+  // 채널 평균 파워 기준 RMS
+  const powers = values.map(v => Math.pow(10, v.rmsDb / 10)).filter(Number.isFinite);
+  const rmsDb = powers.length ? 10 * Math.log10(Math.max(powers.reduce((a, b) => a + b, 0) / powers.length, 1e-20)) : -Infinity;
+  const set = (key, text) => {
+    if (meterValueEls[key].textContent !== text) meterValueEls[key].textContent = text;
+  };
+  set('peak', formatMeterDb(peakDb));
+  set('rms', formatMeterDb(rmsDb));
+  set('crest', Number.isFinite(peakDb) && Number.isFinite(rmsDb) ? (peakDb - rmsDb).toFixed(1) : '—');
+  set('momentary', loud && live ? formatMeterDb(loud.momentary()) : '−∞');
+  set('shortTerm', loud && live ? formatMeterDb(loud.shortTerm()) : '−∞');
+  set('integrated', loud ? formatMeterDb(loud.integrated()) : '−∞');
+  set('lra', loud ? loud.loudnessRange().toFixed(1) : '0.0');
+  set('truePeak', loud ? formatMeterDb(loud.truePeakDb()) : '−∞');
+}
+
+// --- 파일 모드: fileBuffer 전체 오프라인 측정 (블록마다 양보) ---
+
+async function measureFileLoudness(buffer, name) {
+  const token = ++meterState.fileToken;
+  meterState.fileResult = null;
+  const meter = createLoudnessMeter(buffer.sampleRate);
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  const block = 65536;
+  for (let start = 0; start < buffer.length; start += block) {
+    const end = Math.min(buffer.length, start + block);
+    meter.process(channels.map(c => c.subarray(start, end)));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (token !== meterState.fileToken) return; // 다른 파일이 로드됨
+    meterFileInfo.textContent = `File: 측정 중... ${Math.round((end / buffer.length) * 100)}%`;
+  }
+  meterState.fileResult = {
+    name,
+    integrated: meter.integrated(),
+    lra: meter.loudnessRange(),
+    truePeak: meter.truePeakDb(),
+    samplePeak: meter.samplePeakDb()
+  };
+  const r = meterState.fileResult;
+  meterFileInfo.textContent = `File: I ${formatMeterDb(r.integrated)} LUFS · LRA ${r.lra.toFixed(1)} LU · TP ${formatMeterDb(r.truePeak)} dBTP · Peak ${formatMeterDb(r.samplePeak)} dBFS`;
+  console.log(`v4.1: File loudness measured (${name}):`, r);
+}
+
+function initMeterControls() {
+  const items = [
+    ['peak', 'Peak', 'dBFS'],
+    ['rms', 'RMS', 'dBFS'],
+    ['crest', 'Crest', 'dB'],
+    ['momentary', 'M', 'LUFS'],
+    ['shortTerm', 'S', 'LUFS'],
+    ['integrated', 'I', 'LUFS'],
+    ['lra', 'LRA', 'LU'],
+    ['truePeak', 'TP max', 'dBTP']
+  ];
+  items.forEach(([key, label, unit]) => {
+    const name = document.createElement('span');
+    name.className = 'meter-label';
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.className = 'meter-value';
+    value.textContent = '−∞';
+    const unitEl = document.createElement('span');
+    unitEl.className = 'meter-unit';
+    unitEl.textContent = unit;
+    meterReadout.append(name, value, unitEl);
+    meterValueEls[key] = value;
+  });
+
+  document.getElementById('btnMeterReset').addEventListener('click', () => {
+    resetMeters();
+    statusEl.textContent = 'Meters reset';
+  });
+  // 클립 표시/피크홀드 해제
+  meterCanvas.addEventListener('click', () => {
+    meterState.channels.forEach(st => {
+      st.clip = false;
+      st.holdDb = -Infinity;
+    });
+  });
+}
+
+initMeterControls();
+
+// ===================================
+// v4.1: 왜곡 / 잡음 분석 (THD, THD+N, SNR, SINAD, ENOB)
+// - 현재 프레임(Blackman-Harris)에서 기본파를 찾고 N차 고조파까지 메인 로브 전력 합산
+// - 잡음: 선택 대역폭 안에서 DC/기본파/고조파 로브를 뺀 빈의 평균 밀도 × 대역 빈 수
+// - A 가중은 잔여 성분(고조파 + 잡음)에만 적용, 기본파는 가중하지 않음
+// - 레벨은 풀스케일 사인 = 0 dBFS 기준 (AES17)
+// ===================================
+
+const DISTORTION_LOBE_BINS = 5;       // Blackman-Harris 메인 로브 반폭(4빈) + 여유
+const DISTORTION_UPDATE_MS = 250;
+const DISTORTION_BANDWIDTHS = {
+  '20-20000': { label: '20 Hz – 20 kHz', lo: 20, hi: 20000 },
+  '22-22000': { label: '22 Hz – 22 kHz', lo: 22, hi: 22000 },
+  '400-22000': { label: '400 Hz – 22 kHz', lo: 400, hi: 22000 },
+  full: { label: 'Full (DC – Nyquist)', lo: 0, hi: Infinity }
+};
+
+const distortionState = {
+  running: false,
+  source: 'mix',          // 'mix' | 'ch0'~'ch7'
+  fftSize: 32768,
+  harmonics: 10,
+  bandwidth: '20-20000',
+  weighting: 'none',      // 'none' | 'A'
+  lastUpdate: 0,
+  result: null,
+  buf: null,
+  frame: null,
+  power: null,
+  logging: false,
+  logInterval: 1,         // 초
+  lastLogTime: 0,
+  log: []
+};
+
+const distCanvas = document.getElementById('distCanvas');
+const distCtx = distCanvas.getContext('2d');
+const distSource = document.getElementById('distSource');
+const distReadout = document.getElementById('distReadout');
+const distLogCount = document.getElementById('distLogCount');
+const distValueEls = {};
+
+// IEC 61672 A 가중 (전력 배율, 1 kHz에서 1)
+function aWeightingPower(f) {
+  if (f <= 0) return 0;
+  const f2 = f * f;
+  const ra = (12194 * 12194 * f2 * f2) /
+    ((f2 + 20.6 * 20.6) * Math.sqrt((f2 + 107.7 * 107.7) * (f2 + 737.9 * 737.9)) * (f2 + 12194 * 12194));
+  const a = ra * Math.pow(10, 2.0 / 20);
+  return a * a;
+}
+
+const ENBW_CACHE = {};
+
+// 등가 잡음 대역폭 (빈 단위): N Σw² / (Σw)²
+function getWindowEnbw(type, size) {
+  const key = `${type}|${size}`;
+  if (ENBW_CACHE[key]) return ENBW_CACHE[key];
+  const { w, sum } = getWindow(type, size);
+  let sumSq = 0;
+  for (let i = 0; i < size; i++) sumSq += w[i] * w[i];
+  ENBW_CACHE[key] = size * sumSq / (sum * sum);
+  return ENBW_CACHE[key];
+}
+
+// power: computePowerSpectrum 결과 (풀스케일 사인 피크 빈 = 1.0)
+function analyzeDistortion(power, sampleRate, options) {
+  const n = power.length;
+  const binHz = sampleRate / 2 / n;
+  const enbw = getWindowEnbw('blackman-harris', n * 2);
+  const bw = DISTORTION_BANDWIDTHS[options.bandwidth] || DISTORTION_BANDWIDTHS['20-20000'];
+  const loBin = Math.max(DISTORTION_LOBE_BINS + 1, Math.ceil(bw.lo / binHz));
+  const hiBin = Math.min(n - 1, Math.floor(bw.hi / binHz));
+  if (hiBin - loBin < 4 * DISTORTION_LOBE_BINS) return null;
+
+  // 기본파: 대역 안 최대 빈 + 포물선 보간
+  let peak = loBin;
+  for (let k = loBin; k <= hiBin; k++) if (power[k] > power[peak]) peak = k;
+  if (power[peak] <= 1e-14) return null;
+  const a = powerToDb(power[peak - 1]);
+  const b = powerToDb(power[peak]);
+  const c = powerToDb(power[Math.min(n - 1, peak + 1)]);
+  const denom = a - 2 * b + c;
+  const delta = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+  const f0Bin = peak + delta;
+  if (f0Bin < 2 * DISTORTION_LOBE_BINS + 2) {
+    return { error: 'Fundamental too low for FFT size' };
+  }
+
+  const weight = new Float64Array(n);
+  for (let k = 0; k < n; k++) weight[k] = options.weighting === 'A' ? aWeightingPower(k * binHz) : 1;
+  const excluded = new Uint8Array(n);
+  const lobeSum = (center, weighted) => {
+    let sum = 0;
+    let count = 0;
+    for (let k = Math.max(0, center - DISTORTION_LOBE_BINS); k <= Math.min(n - 1, center + DISTORTION_LOBE_BINS); k++) {
+      sum += power[k] * (weighted ? weight[k] : 1);
+      excluded[k] = 1;
+      count++;
+    }
+    return { sum, count };
+  };
+
+  const fundamental = lobeSum(peak, false);
+  const harmonicLobes = [];
+  for (let h = 2; h <= options.harmonics; h++) {
+    const expected = Math.round(h * f0Bin);
+    if (expected + DISTORTION_LOBE_BINS > hiBin) break;
+    // 주파수 오차를 감안해 ±2빈 안의 최대 빈을 중심으로
+    let center = expected;
+    for (let k = expected - 2; k <= expected + 2; k++) if (power[k] > power[center]) center = k;
+    harmonicLobes.push({ h, center, ...lobeSum(center, true) });
+  }
+
+  // 잡음 밀도: 대역 안에서 로브에 속하지 않는 빈의 (가중) 평균
+  let noiseSum = 0;
+  let noiseCount = 0;
+  for (let k = loBin; k <= hiBin; k++) {
+    if (excluded[k]) continue;
+    noiseSum += power[k] * weight[k];
+    noiseCount++;
+  }
+  const density = noiseCount > 0 ? noiseSum / noiseCount : 0;
+  const bandBins = hiBin - loBin + 1;
+
+  const p1 = fundamental.sum / enbw;
+  const noise = density * bandBins / enbw;
+  const harmonics = harmonicLobes.map(l => {
+    const p = Math.max(0, l.sum - density * l.count) / enbw;
+    return { n: l.h, freq: l.center * binHz, power: p, dbc: powerToDb(p / p1) };
+  });
+  const distortion = harmonics.reduce((acc, hm) => acc + hm.power, 0);
+  const thd = Math.sqrt(distortion / p1);
+  const thdN = Math.sqrt((distortion + noise) / p1);
+  const sinadDb = 10 * Math.log10((p1 + distortion + noise) / Math.max(distortion + noise, 1e-30));
+  const fundamentalDb = powerToDb(p1);
+
+  return {
+    f0: f0Bin * binHz,
+    fundamentalDb,
+    harmonics,
+    thd,
+    thdN,
+    snrDb: 10 * Math.log10(p1 / Math.max(noise, 1e-30)),
+    sinadDb,
+    // 풀스케일 기준으로 환산 (입력이 풀스케일보다 작은 만큼 보정)
+    enob: (sinadDb - 1.76 - fundamentalDb) / 6.02,
+    noiseDb: powerToDb(noise),
+    noiseDensityDbc: powerToDb(density / enbw / p1),
+    binHz
+  };
+}
+
+function updateDistortionAnalysis(t) {
+  if (!distortionState.running || !audioCtx || !visualAnalyser) return;
+  if (t - distortionState.lastUpdate < DISTORTION_UPDATE_MS) return;
+  distortionState.lastUpdate = t;
+
+  const st = distortionState;
+  const analyserNode = st.source === 'mix' ? visualAnalyser : channelAnalysers[parseInt(st.source.slice(2), 10)];
+  if (!analyserNode) return;
+  if (!st.buf || st.buf.length !== analyserNode.fftSize) st.buf = new Float32Array(analyserNode.fftSize);
+  analyserNode.getFloatTimeDomainData(st.buf);
+
+  const size = Math.min(st.fftSize, st.buf.length);
+  if (!st.frame || st.frame.length !== size) {
+    st.frame = new Float32Array(size);
+    st.power = new Float32Array(size / 2);
+  }
+  st.frame.set(st.buf.subarray(st.buf.length - size));
+  computePowerSpectrum(st.frame, st.power, 'blackman-harris');
+  st.result = analyzeDistortion(st.power, audioCtx.sampleRate, st);
+  updateDistortionReadout();
+  logDistortionResult();
+}
+
+function formatPercentDb(ratio) {
+  if (!Number.isFinite(ratio)) return '—';
+  const pct = ratio * 100;
+  const digits = pct < 0.001 ? 5 : (pct < 0.1 ? 4 : 3);
+  return `${pct.toFixed(digits)} % (${(20 * Math.log10(Math.max(ratio, 1e-12))).toFixed(1)} dB)`;
+}
+
+function updateDistortionReadout() {
+  const r = distortionState.result;
+  const ok = r && !r.error;
+  const set = (key, text) => {
+    if (distValueEls[key].textContent !== text) distValueEls[key].textContent = text;
+  };
+  set('f0', ok ? `${r.f0.toFixed(r.f0 < 100 ? 2 : 1)} Hz` : (r && r.error ? r.error : '—'));
+  set('level', ok ? `${r.fundamentalDb.toFixed(2)} dBFS` : '—');
+  set('thd', ok ? formatPercentDb(r.thd) : '—');
+  set('thdN', ok ? formatPercentDb(r.thdN) : '—');
+  set('snr', ok ? `${r.snrDb.toFixed(1)} dB` : '—');
+  set('sinad', ok ? `${r.sinadDb.toFixed(1)} dB` : '—');
+  set('enob', ok ? `${r.enob.toFixed(2)} bits` : '—');
+  set('noise', ok ? `${r.noiseDb.toFixed(1)} dBFS${distortionState.weighting === 'A' ? '(A)' : ''}` : '—');
+}
+
+// 고조파 막대 (dBc) + 빈당 잡음 밀도 선
+function drawDistortion() {
+  const { width, height } = fitCanvasToDisplay(distCanvas, distCtx);
+  if (width < 2 || height < 2) return; // 패널이 접혀 있음
+  const ctx = distCtx;
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+
+  const minDbc = -160;
+  const left = 34;
+  const top = 8;
+  const bottom = height - 16;
+  const dbcToY = db => top + Math.max(0, Math.min(1, db / minDbc)) * (bottom - top);
+
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let db = 0; db >= minDbc; db -= 20) {
+    const y = Math.round(dbcToY(db)) + 0.5;
+    ctx.fillStyle = '#888';
+    ctx.fillText(String(db), left - 4, y);
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  const r = distortionState.result;
+  if (!r || r.error) return;
+  const count = Math.max(1, distortionState.harmonics - 1);
+  const slot = (width - left) / count;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  r.harmonics.forEach((hm, i) => {
+    const x = left + i * slot + slot * 0.2;
+    const y = dbcToY(hm.dbc);
+    ctx.fillStyle = '#64b5f6';
+    ctx.fillRect(x, y, slot * 0.6, bottom - y);
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(`H${hm.n}`, x + slot * 0.3, bottom + 2);
+  });
+
+  const yNoise = Math.round(dbcToY(r.noiseDensityDbc)) + 0.5;
+  ctx.strokeStyle = '#ffab40';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(left, yNoise);
+  ctx.lineTo(width, yNoise);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#ffab40';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText('noise / bin', width - 4, yNoise - 2);
+}
+
+// --- 기록 ---
+
+function logDistortionResult() {
+  const st = distortionState;
+  const r = st.result;
+  if (!st.logging || !r || r.error) return;
+  const now = Date.now();
+  if (now - st.lastLogTime < st.logInterval * 1000) return;
+  st.lastLogTime = now;
+  st.log.push({
+    time: new Date(now).toISOString(),
+    f0: r.f0,
+    fundamentalDb: r.fundamentalDb,
+    thdPct: r.thd * 100,
+    thdNPct: r.thdN * 100,
+    snrDb: r.snrDb,
+    sinadDb: r.sinadDb,
+    enob: r.enob,
+    noiseDb: r.noiseDb,
+    harmonicsDbc: r.harmonics.map(hm => hm.dbc)
+  });
+  distLogCount.textContent = `${st.log.length} rows`;
+}
+
+function distortionLogToCsv() {
+  const st = distortionState;
+  const maxHarmonics = st.log.reduce((m, e) => Math.max(m, e.harmonicsDbc.length), 0);
+  const lines = [
+    `# source: ${st.source}`,
+    `# fft_size: ${st.fftSize}`,
+    `# bandwidth: ${DISTORTION_BANDWIDTHS[st.bandwidth].label}`,
+    `# weighting: ${st.weighting}`
+  ];
+  const cols = ['time', 'f0_hz', 'fundamental_dbfs', 'thd_pct', 'thd_n_pct', 'snr_db', 'sinad_db', 'enob_bits', 'noise_dbfs'];
+  for (let h = 2; h < maxHarmonics + 2; h++) cols.push(`h${h}_dbc`);
+  lines.push(cols.join(','));
+  st.log.forEach(e => {
+    const row = [e.time, e.f0.toFixed(3), e.fundamentalDb.toFixed(3), e.thdPct.toPrecision(5), e.thdNPct.toPrecision(5),
+      e.snrDb.toFixed(2), e.sinadDb.toFixed(2), e.enob.toFixed(3), e.noiseDb.toFixed(2)];
+    for (let i = 0; i < maxHarmonics; i++) row.push(i < e.harmonicsDbc.length ? e.harmonicsDbc[i].toFixed(2) : '');
+    lines.push(row.join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function exportDistortionLog() {
+  if (distortionState.log.length === 0) {
+    statusEl.textContent = 'Distortion log is empty';
+    return;
+  }
+  saveFileViaDialog({
+    title: 'Export distortion log',
+    defaultPath: `distortion-${getExportTimestamp()}.csv`,
+    filters: [{ name: 'CSV', extensions: ['csv'] }]
+  }, () => distortionLogToCsv(), 'distortion log');
+}
+
+function updateDistortionSourceOptions() {
+  const count = getSourceChannelCount();
+  const wanted = ['mix'].concat(Array.from({ length: count }, (_, ch) => `ch${ch}`));
+  const current = Array.from(distSource.options).map(o => o.value);
+  if (wanted.join() === current.join()) return;
+  distSource.innerHTML = '';
+  wanted.forEach(value => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = value === 'mix' ? 'Mix' : `CH${parseInt(value.slice(2), 10) + 1}`;
+    distSource.appendChild(opt);
+  });
+  if (!wanted.includes(distortionState.source)) distortionState.source = 'mix';
+  distSource.value = distortionState.source;
+}
+
+function initDistortionControls() {
+  const items = [
+    ['f0', 'Fundamental'],
+    ['level', 'Level'],
+    ['thd', 'THD'],
+    ['thdN', 'THD+N'],
+    ['snr', 'SNR'],
+    ['sinad', 'SINAD'],
+    ['enob', 'ENOB'],
+    ['noise', 'Noise']
+  ];
+  items.forEach(([key, label]) => {
+    const name = document.createElement('span');
+    name.className = 'meter-label';
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.className = 'meter-value';
+    value.textContent = '—';
+    distReadout.append(name, value);
+    distValueEls[key] = value;
+  });
+
+  const bwSelect = document.getElementById('distBandwidth');
+  Object.entries(DISTORTION_BANDWIDTHS).forEach(([value, bw]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = bw.label;
+    bwSelect.appendChild(opt);
+  });
+  bwSelect.value = distortionState.bandwidth;
+  bwSelect.addEventListener('change', () => { distortionState.bandwidth = bwSelect.value; });
+
+  const fftSelect = document.getElementById('distFftSize');
+  fftSelect.value = String(distortionState.fftSize);
+  fftSelect.addEventListener('change', () => { distortionState.fftSize = parseInt(fftSelect.value, 10); });
+
+  const weighting = document.getElementById('distWeighting');
+  weighting.addEventListener('change', () => { distortionState.weighting = weighting.value; });
+
+  const harmonics = document.getElementById('distHarmonics');
+  harmonics.value = distortionState.harmonics;
+  harmonics.addEventListener('change', () => {
+    const v = parseInt(harmonics.value, 10);
+    if (v >= 2) distortionState.harmonics = Math.min(50, v);
+    harmonics.value = distortionState.harmonics;
+  });
+
+  updateDistortionSourceOptions();
+  distSource.addEventListener('focus', updateDistortionSourceOptions);
+  distSource.addEventListener('change', () => { distortionState.source = distSource.value; });
+
+  const btnRun = document.getElementById('btnDistRun');
+  btnRun.addEventListener('click', () => {
+    distortionState.running = !distortionState.running;
+    btnRun.classList.toggle('on', distortionState.running);
+    if (!distortionState.running) {
+      distortionState.result = null;
+      updateDistortionReadout();
+    }
+  });
+
+  const btnLog = document.getElementById('btnDistLog');
+  btnLog.addEventListener('click', () => {
+    distortionState.logging = !distortionState.logging;
+    btnLog.classList.toggle('on', distortionState.logging);
+    distortionState.lastLogTime = 0;
+  });
+  const interval = document.getElementById('distLogInterval');
+  interval.value = distortionState.logInterval;
+  interval.addEventListener('change', () => {
+    const v = parseFloat(interval.value);
+    if (v >= 0.25) distortionState.logInterval = v;
+    interval.value = distortionState.logInterval;
+  });
+  document.getElementById('btnDistExport').addEventListener('click', exportDistortionLog);
+  document.getElementById('btnDistClearLog').addEventListener('click', () => {
+    distortionState.log = [];
+    distLogCount.textContent = '0 rows';
+  });
+  distLogCount.textContent = '0 rows';
+}
+
+initDistortionControls();
+
+// ===================================
+// v4.1: 신호 발생기 (사인, 로그 스윕, 백색/핑크 잡음, 멀티톤, 구형파, 임펄스)
+// - audioCtx 공유, 출력: 발생기 → 레벨 gain → 채널 마스크(ChannelMerger) → destination
+// - 레벨: 모든 종류 피크 dBFS (0 dBFS에서도 클립 없음), 잡음/멀티톤은 상태 표시에 RMS dBFS 함께 표시
+//   (풀스케일 사인 RMS = 0 dBFS 기준, 크레스트 팩터만큼 낮음)
+// - 잡음/멀티톤은 주기 신호로 합성 (IFFT) 해 반복 재생 경계에서 끊김이 없음
+// - "→ Analysis": 마스크 적용 후 신호를 분석 경로(visualAnalyser, 채널 분리, 미터)에도 연결
+// ===================================
+
+const GENERATOR_NOISE_SIZE = 262144;     // 48 kHz에서 약 5.5 s 주기
+const GENERATOR_MULTITONE_SIZE = 65536;  // 48 kHz에서 빈 간격 약 0.73 Hz
+const GENERATOR_FADE_SECONDS = 0.01;     // 스윕 양끝 페이드
+const GENERATOR_TYPES = {
+  sine: { label: 'Sine', fields: ['freq'] },
+  sweep: { label: 'Log sweep', fields: ['freq', 'freqEnd', 'duration'] },
+  white: { label: 'White noise', fields: [] },
+  pink: { label: 'Pink noise', fields: [] },
+  multitone: { label: 'Multitone', fields: ['tones'] },
+  square: { label: 'Square', fields: ['freq'] },
+  impulse: { label: 'Impulse', fields: ['duration'] }
+};
+
+const generatorState = {
+  running: false,
+  type: 'sine',
+  freq: 1000,
+  freqEnd: 20000,
+  duration: 5,            // 스윕 길이 / 임펄스 간격 (초)
+  tones: '',              // 멀티톤 주파수 목록 (비우면 1/3 옥타브 20 Hz ~ 20 kHz)
+  levelDb: -12,
+  crestDb: null,          // 잡음/멀티톤 버퍼의 피크 대비 RMS (사인 기준 dB, 상태 표시용)
+  channelMask: [true, true],
+  toAnalysis: false,
+  source: null,           // OscillatorNode | AudioBufferSourceNode
+  level: null,            // GainNode
+  merger: null,           // ChannelMergerNode
+  bufferCache: {}         // 잡음 버퍼 (샘플레이트별)
+};
+
+const btnGenStart = document.getElementById('btnGenStart');
+const genChannels = document.getElementById('genChannels');
+
+// 로그 사인 스윕 (Farina): x(t) = sin(2π f1 T / ln(f2/f1) · (e^(t ln(f2/f1) / T) − 1))
+function createLogSweep(f1, f2, duration, sampleRate) {
+  const length = Math.max(1, Math.round(duration * sampleRate));
+  const x = new Float32Array(length);
+  const rate = Math.log(f2 / f1);
+  const k = 2 * Math.PI * f1 * duration / rate;
+  const fade = Math.min(length / 4, Math.round(GENERATOR_FADE_SECONDS * sampleRate));
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    let v = Math.sin(k * (Math.exp(t * rate / duration) - 1));
+    if (i < fade) v *= 0.5 - 0.5 * Math.cos(Math.PI * i / fade);
+    else if (i >= length - fade) v *= 0.5 - 0.5 * Math.cos(Math.PI * (length - 1 - i) / fade);
+    x[i] = v;
+  }
+  return x;
+}
+
+// 주기 신호 합성: setBin(k)이 돌려준 { mag, phase }로 양의 주파수 빈을 채우고 역 FFT
+// 결과는 피크 = 1로 정규화 (크레스트 팩터가 커도 0 dBFS에서 클립 없음)
+function synthesizePeriodic(size, setBin) {
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  for (let k = 1; k < size / 2; k++) {
+    const bin = setBin(k);
+    if (!bin || !bin.mag) continue;
+    re[k] = bin.mag * Math.cos(bin.phase);
+    im[k] = bin.mag * Math.sin(bin.phase);
+    re[size - k] = re[k];
+    im[size - k] = -im[k];
+  }
+  // 역변환 = conj(FFT(conj(X))) / N, 실수 신호라 실수부만 사용
+  for (let k = 0; k < size; k++) im[k] = -im[k];
+  fftInPlace(re, im);
+  let peak = 0;
+  for (let i = 0; i < size; i++) peak = Math.max(peak, Math.abs(re[i]));
+  const scale = peak > 0 ? 1 / peak : 0;
+  for (let i = 0; i < size; i++) re[i] *= scale;
+  return re;
+}
+
+// 피크 1 신호의 RMS를 풀스케일 사인 기준 dB로 (사인 0, 잡음 약 −9 ~ −12)
+function getSignalCrestDb(x) {
+  let sumSq = 0;
+  for (let i = 0; i < x.length; i++) sumSq += x[i] * x[i];
+  return powerToDb(2 * sumSq / x.length);
+}
+
+function createNoiseSignal(color, sampleRate) {
+  const key = `${color}|${sampleRate}`;
+  if (generatorState.bufferCache[key]) return generatorState.bufferCache[key];
+  const size = GENERATOR_NOISE_SIZE;
+  const minBin = Math.ceil(5 * size / sampleRate); // 5 Hz 아래는 비움
+  const x = synthesizePeriodic(size, k => ({
+    mag: k < minBin ? 0 : (color === 'pink' ? 1 / Math.sqrt(k) : 1),
+    phase: Math.random() * 2 * Math.PI
+  }));
+  generatorState.bufferCache[key] = x;
+  return x;
+}
+
+// 멀티톤 주파수 목록 (비어 있으면 1/3 옥타브 중심 주파수)
+function parseMultitoneFreqs(text, nyquist) {
+  let freqs = String(text || '').split(/[\s,;]+/).map(parseFloat).filter(f => f > 0 && f < nyquist);
+  if (freqs.length === 0) {
+    freqs = [];
+    for (let i = -17; i <= 13; i++) {
+      const f = 1000 * Math.pow(2, i / 3);
+      if (f >= 19 && f <= Math.min(20500, nyquist * 0.95)) freqs.push(f);
+    }
+  }
+  return freqs;
+}
+
+// 빈 주파수에 맞춘 톤 + Schroeder 위상 (크레스트 팩터 감소)
+function createMultitoneSignal(freqs, sampleRate) {
+  const size = GENERATOR_MULTITONE_SIZE;
+  const bins = Array.from(new Set(freqs.map(f => Math.max(1, Math.round(f * size / sampleRate)))))
+    .filter(k => k < size / 2)
+    .sort((a, b) => a - b);
+  const phases = new Map(bins.map((k, m) => [k, Math.PI * m * m / bins.length]));
+  return synthesizePeriodic(size, k => (phases.has(k) ? { mag: 1, phase: phases.get(k) } : null));
+}
+
+function createImpulseSignal(interval, sampleRate) {
+  const x = new Float32Array(Math.max(1, Math.round(interval * sampleRate)));
+  x[0] = 1;
+  return x;
+}
+
+function createGeneratorSource() {
+  const st = generatorState;
+  const sr = audioCtx.sampleRate;
+  const nyquist = sr / 2;
+  if (st.type === 'sine' || st.type === 'square') {
+    const osc = audioCtx.createOscillator();
+    osc.type = st.type;
+    osc.frequency.value = Math.min(st.freq, nyquist);
+    return osc;
+  }
+
+  let data;
+  st.crestDb = null;
+  if (st.type === 'sweep') {
+    const f1 = Math.max(1, Math.min(st.freq, st.freqEnd));
+    const f2 = Math.min(nyquist, Math.max(st.freq, st.freqEnd));
+    data = createLogSweep(f1, f2, st.duration, sr);
+    if (st.freq > st.freqEnd) data.reverse(); // 내려가는 스윕
+  } else if (st.type === 'white' || st.type === 'pink') {
+    data = createNoiseSignal(st.type, sr);
+    st.crestDb = getSignalCrestDb(data);
+  } else if (st.type === 'multitone') {
+    data = createMultitoneSignal(parseMultitoneFreqs(st.tones, nyquist), sr);
+    st.crestDb = getSignalCrestDb(data);
+  } else {
+    data = createImpulseSignal(st.duration, sr);
+  }
+  const buffer = audioCtx.createBuffer(1, data.length, sr);
+  buffer.copyToChannel(data, 0);
+  const src = audioCtx.createBufferSource();
+  src.buffer = buffer;
+  src.loop = true;
+  return src;
+}
+
+function getGeneratorChannelCount() {
+  const max = audioCtx ? audioCtx.destination.maxChannelCount : 2;
+  return Math.max(1, Math.min(MAX_CHANNELS, max || 2));
+}
+
+// 모노 입력을 마스크된 출력 채널에만 보냄 (발생기 / 측정 자극 공통), destination에 연결된 merger 반환
+function routeToChannelMask(input, mask) {
+  const count = getGeneratorChannelCount();
+  if (count > 2 && audioCtx.destination.channelCount !== count) {
+    audioCtx.destination.channelCount = count;
+  }
+  const merger = audioCtx.createChannelMerger(count);
+  mask.forEach((on, ch) => {
+    if (on && ch < count) input.connect(merger, 0, ch);
+  });
+  merger.connect(audioCtx.destination);
+  return merger;
+}
+
+function connectGeneratorOutput() {
+  const st = generatorState;
+  if (st.merger) {
+    try { st.merger.disconnect(); } catch (e) {}
+  }
+  try { st.level.disconnect(); } catch (e) {}
+  st.merger = routeToChannelMask(st.level, st.channelMask);
+  if (st.toAnalysis) connectGeneratorAnalysis();
+}
+
+// 분석 경로 연결 (connectAudioPipeline은 소스 쪽만 끊으므로 유지됨)
+function connectGeneratorAnalysis() {
+  const merger = generatorState.merger;
+  if (!merger) return;
+  merger.connect(visualAnalyser);
+  if (channelSplitter) merger.connect(channelSplitter);
+  if (meterState.node) merger.connect(meterState.node);
+}
+
+async function startGenerator() {
+  try {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)({
+        latencyHint: 'interactive',
+        sampleRate: 48000
+      });
+    }
+    if (audioCtx.state === 'suspended') await audioCtx.resume();
+    initializeAudioNodes();
+    stopGenerator();
+
+    const st = generatorState;
+    st.level = audioCtx.createGain();
+    st.level.gain.value = Math.pow(10, st.levelDb / 20);
+    st.source = createGeneratorSource();
+    st.source.connect(st.level);
+    connectGeneratorOutput();
+    st.source.start();
+    st.running = true;
+    btnGenStart.classList.add('on');
+    btnGenStart.textContent = '■ Gen';
+    showGeneratorStatus();
+
+    // 입력이 없어도 분석 화면이 돌도록
+    if (!lastFrameTime) {
+      lastFrameTime = performance.now();
+      requestAnimationFrame(drawLoop);
+    }
+  } catch (err) {
+    console.error('v4.1: Generator start error:', err);
+    statusEl.textContent = `Generator error: ${err.message}`;
+    stopGenerator();
+  }
+}
+
+function stopGenerator() {
+  const st = generatorState;
+  if (st.source) {
+    try { st.source.stop(); } catch (e) {}
+    try { st.source.disconnect(); } catch (e) {}
+  }
+  if (st.level) {
+    try { st.level.disconnect(); } catch (e) {}
+  }
+  if (st.merger) {
+    try { st.merger.disconnect(); } catch (e) {}
+  }
+  st.source = null;
+  st.level = null;
+  st.merger = null;
+  st.running = false;
+  btnGenStart.classList.remove('on');
+  btnGenStart.textContent = '▶ Gen';
+}
+
+function showGeneratorStatus() {
+  const st = generatorState;
+  const rms = st.crestDb === null ? '' : ` (RMS ${(st.levelDb + st.crestDb).toFixed(1)} dBFS)`;
+  statusEl.textContent = `Generator: ${GENERATOR_TYPES[st.type].label} @ ${st.levelDb} dBFS peak${rms}`;
+}
+
+// 레벨/주파수는 바로 반영, 그 밖의 설정은 발생기를 다시 시작
+function applyGeneratorChange(restart) {
+  const st = generatorState;
+  if (!st.running) return;
+  if (restart) {
+    startGenerator();
+    return;
+  }
+  const t = audioCtx.currentTime;
+  st.level.gain.setTargetAtTime(Math.pow(10, st.levelDb / 20), t, 0.01);
+  showGeneratorStatus();
+  if (st.source.frequency) st.source.frequency.setTargetAtTime(Math.min(st.freq, audioCtx.sampleRate / 2), t, 0.005);
+}
+
+function updateGeneratorFields() {
+  const fields = GENERATOR_TYPES[generatorState.type].fields;
+  document.querySelectorAll('[data-gen-field]').forEach(el => {
+    el.style.display = fields.includes(el.dataset.genField) ? '' : 'none';
+  });
+  const durationLabel = document.getElementById('genDurationLabel');
+  if (durationLabel) durationLabel.firstChild.textContent = generatorState.type === 'impulse' ? 'Every ' : 'Length ';
+}
+
+function updateGeneratorChannelUI() {
+  const count = getGeneratorChannelCount();
+  const mask = generatorState.channelMask;
+  while (mask.length < count) mask.push(false);
+  if (genChannels.childElementCount === count) return;
+  genChannels.innerHTML = '';
+  for (let ch = 0; ch < count; ch++) {
+    const btn = document.createElement('button');
+    btn.className = 'toggle' + (mask[ch] ? ' on' : '');
+    btn.textContent = String(ch + 1);
+    btn.title = `출력 채널 ${ch + 1}`;
+    btn.addEventListener('click', () => {
+      mask[ch] = !mask[ch];
+      btn.classList.toggle('on', mask[ch]);
+      if (generatorState.running) connectGeneratorOutput();
+    });
+    genChannels.appendChild(btn);
+  }
+}
+
+function initGeneratorControls() {
+  const typeSelect = document.getElementById('genType');
+  Object.entries(GENERATOR_TYPES).forEach(([value, info]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = info.label;
+    typeSelect.appendChild(opt);
+  });
+  typeSelect.value = generatorState.type;
+  typeSelect.addEventListener('change', () => {
+    generatorState.type = typeSelect.value;
+    updateGeneratorFields();
+    applyGeneratorChange(true);
+  });
+
+  // 숫자 입력: [id, 키, 최소, 최대, 재시작 여부]
+  [
+    ['genFreq', 'freq', 1, 96000, false],
+    ['genFreqEnd', 'freqEnd', 1, 96000, true],
+    ['genDuration', 'duration', 0.05, 60, true],
+    ['genLevel', 'levelDb', -120, 0, false]
+  ].forEach(([id, key, min, max, restart]) => {
+    const input = document.getElementById(id);
+    input.value = generatorState[key];
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      if (Number.isFinite(v)) generatorState[key] = Math.max(min, Math.min(max, v));
+      input.value = generatorState[key];
+      // 스윕은 시작 주파수가 바뀌어도 버퍼를 다시 만들어야 함
+      applyGeneratorChange(restart || (key === 'freq' && generatorState.type === 'sweep'));
+    });
+  });
+
+  const tones = document.getElementById('genTones');
+  tones.addEventListener('change', () => {
+    generatorState.tones = tones.value;
+    applyGeneratorChange(true);
+  });
+
+  const btnAnalysis = document.getElementById('btnGenAnalysis');
+  btnAnalysis.addEventListener('click', () => {
+    generatorState.toAnalysis = !generatorState.toAnalysis;
+    btnAnalysis.classList.toggle('on', generatorState.toAnalysis);
+    if (generatorState.running) connectGeneratorOutput();
+  });
+
+  btnGenStart.addEventListener('click', () => {
+    if (generatorState.running) {
+      stopGenerator();
+      statusEl.textContent = 'Generator stopped';
+    } else {
+      startGenerator();
+    }
+  });
+
+  updateGeneratorFields();
+  updateGeneratorChannelUI();
+  genChannels.addEventListener('mouseenter', updateGeneratorChannelUI);
+}
+
+initGeneratorControls();
+
+// ===================================
+// v4.1: 주파수 / 임펄스 응답 측정 (로그 스윕, MLS, 핑크 잡음)
+// - 자극을 발생기 레벨/출력 채널 마스크로 재생하면서 실시간 입력 한 채널을 캡처 (capture-processor의
+//   컨텍스트 프레임 번호로 재생 시작과 정렬)
+// - 스윕: 스펙트럼 나눗셈 (고조파 왜곡은 음의 시간으로 분리), MLS: 고속 아다마르 변환,
+//   핑크: 주기 평균 ÷ 자극 스펙트럼 → 임펄스 응답 → 게이팅 → 크기 / 위상 / 군지연
+// - 위상/군지연은 IR 피크를 t = 0으로 둔 기준, 전체 지연은 별도 표시
+// - 주파수 축은 스펙트럼과 공유, 1/N 옥타브 평활, 결과를 트레이스로 보관·저장·불러오기
+// ===================================
+
+const MEASURE_MLS_TAPS = {
+  12: [12, 6, 4, 1],
+  13: [13, 4, 3, 1],
+  14: [14, 5, 3, 1],
+  15: [15, 14],
+  16: [16, 15, 13, 4],
+  17: [17, 14],
+  18: [18, 11]
+};
+const MEASURE_STIMULI = {
+  sweep: 'Log sweep',
+  mls: 'MLS',
+  pink: 'Pink noise'
+};
+const MEASURE_VIEWS = {
+  magnitude: 'Magnitude',
+  phase: 'Phase',
+  groupDelay: 'Group delay',
+  coherence: 'Coherence',
+  impulse: 'Impulse'
+};
+const MEASURE_SMOOTHING = [0, 48, 24, 12, 6, 3, 1]; // 1/N 옥타브 (0 = 없음)
+const MEASURE_POINTS = 480;             // 표시/저장용 로그 간격 점 수
+const MEASURE_MIN_HZ = 5;
+const MEASURE_START_DELAY = 0.3;        // 재생 예약 여유 (초)
+const MEASURE_TAIL_SECONDS = 1;         // 스윕 뒤 잔향/지연 녹음 구간
+const MEASURE_PRE_MS = 10;              // IR 피크 앞 구간 (대역 제한 IR의 앞 울림 포함)
+const MEASURE_REGULARIZATION = 1e-6;    // 스윕 대역 안 스펙트럼 나눗셈 정규화 (|X|² 최대값 대비)
+const MEASURE_FORMAT = 'audioscope-measurement';
+const MEASURE_CURRENT_COLOR = '#4fc3f7';
+const MAX_MEASURE_TRACES = 8;
+
+const measureState = {
+  stimulus: 'sweep',
+  length: 3,              // 스윕 길이 / 주기 신호 한 주기 (초, 2의 거듭제곱 샘플로 맞춤)
+  f1: 20,
+  f2: 20000,
+  averages: 4,            // 주기 신호 평균 횟수 (앞의 한 주기는 정상 상태용으로 버림)
+  inputChannel: 0,
+  windowMs: 500,          // IR 게이트 길이
+  smoothing: 12,
+  view: 'magnitude',
+  capture: null,          // { startFrame, data, filled, stim, timer }
+  source: null,
+  level: null,
+  merger: null,
+  current: null,          // 마지막 측정 결과
+  traces: [],             // 보관한 결과 / 불러온 트레이스
+  nextId: 1
+};
+
+const btnMeasRun = document.getElementById('btnMeasRun');
+const measInput = document.getElementById('measInput');
+const measInfo = document.getElementById('measInfo');
+const measTraceList = document.getElementById('measTraceList');
+const measCanvas = document.getElementById('measCanvas');
+const measCtx = measCanvas.getContext('2d');
+
+function nextPow2(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
+// 최대 길이 수열 (LFSR), 0/1 비트 배열 - 재생 신호는 1 − 2·bit
+function createMlsBits(order) {
+  const taps = MEASURE_MLS_TAPS[order];
+  const length = (1 << order) - 1;
+  const bits = new Uint8Array(length);
+  let reg = (1 << order) - 1;
+  for (let i = 0; i < length; i++) {
+    bits[i] = reg & 1;
+    let fb = 0;
+    taps.forEach(t => { fb ^= (reg >> (order - t)) & 1; });
+    reg = (reg >> 1) | (fb << (order - 1));
+  }
+  return bits;
+}
+
+// MLS 순환 상호상관용 치환표 (Borish & Angell, 고속 아다마르 변환)
+function createMlsPermutations(bits, order) {
+  const length = bits.length;
+  const tagS = new Uint32Array(length);
+  const tagL = new Uint32Array(length);
+  const index = new Uint32Array(order);
+  for (let i = 0; i < length; i++) {
+    let col = 0;
+    for (let j = 0; j < order; j++) col += bits[(length + i - j) % length] << (order - 1 - j);
+    tagS[i] = col;
+    for (let j = 0; j < order; j++) {
+      if (col === (1 << j)) index[j] = i;
+    }
+  }
+  for (let i = 0; i < length; i++) {
+    let tag = 0;
+    for (let j = 0; j < order; j++) tag += bits[(length + index[j] - i) % length] << j;
+    tagL[i] = tag;
+  }
+  return { tagS, tagL };
+}
+
+function fastHadamard(x) {
+  const n = x.length;
+  for (let half = 1; half < n; half *= 2) {
+    for (let i = 0; i < n; i += half * 2) {
+      for (let j = i; j < i + half; j++) {
+        const a = x[j];
+        const b = x[j + half];
+        x[j] = a + b;
+        x[j + half] = a - b;
+      }
+    }
+  }
+}
+
+// 한 주기 응답 → 순환 임펄스 응답
+function deconvolveMls(period, bits, order, perms) {
+  const length = bits.length;
+  const work = new Float64Array(length + 1);
+  let dc = 0;
+  for (let i = 0; i < length; i++) dc += period[i];
+  work[0] = -dc;
+  for (let i = 0; i < length; i++) work[perms.tagS[i]] = period[i];
+  fastHadamard(work);
+  const ir = new Float32Array(length);
+  for (let i = 0; i < length; i++) ir[i] = work[perms.tagL[i]] / (length + 1);
+  return ir;
+}
+
+// 스윕 응답 ÷ 스윕 (스펙트럼 나눗셈, 스윕 대역 밖은 억제) → 선형 임펄스 응답
+// 고조파 왜곡 성분은 음의 시간(버퍼 끝쪽)으로 밀려나 분리됨
+function deconvolveSweep(recorded, sweep, f1, f2, sampleRate) {
+  const size = nextPow2(recorded.length + sweep.length);
+  const xr = new Float32Array(size);
+  const xi = new Float32Array(size);
+  const yr = new Float32Array(size);
+  const yi = new Float32Array(size);
+  xr.set(sweep);
+  yr.set(recorded);
+  fftInPlace(xr, xi);
+  fftInPlace(yr, yi);
+  let maxPower = 0;
+  for (let k = 0; k <= size / 2; k++) maxPower = Math.max(maxPower, xr[k] * xr[k] + xi[k] * xi[k]);
+  const kLo = f1 * size / sampleRate;
+  const kHi = f2 * size / sampleRate;
+  const logReg = Math.log10(MEASURE_REGULARIZATION);
+  for (let k = 0; k <= size / 2; k++) {
+    const power = xr[k] * xr[k] + xi[k] * xi[k];
+    // 대역 밖은 반 옥타브에 걸쳐 정규화를 키움 (경계가 급하면 IR이 길게 울림)
+    const outside = k < kLo ? Math.log2(kLo / Math.max(k, 1e-9)) : (k > kHi ? Math.log2(k / kHi) : 0);
+    const eps = Math.pow(10, logReg * Math.max(0, 1 - 2 * outside)) * maxPower;
+    const g = 1 / (power + eps);
+    // Y·conj(X) / (|X|² + ε)
+    const re = (yr[k] * xr[k] + yi[k] * xi[k]) * g;
+    const im = (yi[k] * xr[k] - yr[k] * xi[k]) * g;
+    yr[k] = re;
+    yi[k] = im;
+    if (k > 0 && k < size / 2) {
+      yr[size - k] = re;
+      yi[size - k] = -im;
+    }
+  }
+  // 역변환 = conj(FFT(conj(Y))) / N
+  for (let k = 0; k < size; k++) yi[k] = -yi[k];
+  fftInPlace(yr, yi);
+  for (let i = 0; i < size; i++) yr[i] /= size;
+  return yr;
+}
+
+// 주기 신호 한 주기 응답 ÷ 자극 스펙트럼 (길이는 2의 거듭제곱) → 순환 임펄스 응답
+function deconvolvePeriodic(period, stimulus) {
+  const size = stimulus.length;
+  const xr = Float32Array.from(stimulus);
+  const xi = new Float32Array(size);
+  const yr = Float32Array.from(period);
+  const yi = new Float32Array(size);
+  fftInPlace(xr, xi);
+  fftInPlace(yr, yi);
+  let maxPower = 0;
+  for (let k = 0; k < size; k++) maxPower = Math.max(maxPower, xr[k] * xr[k] + xi[k] * xi[k]);
+  for (let k = 0; k < size; k++) {
+    const power = xr[k] * xr[k] + xi[k] * xi[k];
+    // 자극에 없는 빈(DC, 5 Hz 이하)은 0 (반올림 오차로 나누지 않도록 최대값 대비 −60 dB 미만)
+    const g = power > maxPower * 1e-6 ? 1 / power : 0;
+    const re = (yr[k] * xr[k] + yi[k] * xi[k]) * g;
+    const im = (yi[k] * xr[k] - yr[k] * xi[k]) * g;
+    yr[k] = re;
+    yi[k] = -im;
+  }
+  fftInPlace(yr, yi);
+  for (let i = 0; i < size; i++) yr[i] /= size;
+  return yr;
+}
+
+// 임펄스 응답에서 주파수 응답 계산
+// - 피크 preSamples 앞부터 windowSamples 길이만 사용 (왼쪽/오른쪽 반 Hann 테이퍼, 반사음 게이팅)
+// - 위상은 피크를 t = 0으로 옮긴 기준 (전체 지연 제거)
+function computeMeasuredSpectrum(ir, peak, preSamples, windowSamples, circular) {
+  const size = nextPow2(preSamples + windowSamples);
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  const total = preSamples + windowSamples;
+  const fadeOut = Math.max(1, Math.round(windowSamples * 0.2));
+  for (let i = 0; i < total; i++) {
+    let idx = peak - preSamples + i;
+    if (circular) idx = ((idx % ir.length) + ir.length) % ir.length;
+    else if (idx < 0 || idx >= ir.length) continue;
+    let w = 1;
+    if (i < preSamples) w = 0.5 - 0.5 * Math.cos(Math.PI * i / preSamples);
+    else if (i >= total - fadeOut) w = 0.5 - 0.5 * Math.cos(Math.PI * (total - 1 - i) / fadeOut);
+    re[i] = ir[idx] * w;
+  }
+  fftInPlace(re, im);
+  // e^{+jωτ}: τ = preSamples
+  for (let k = 0; k <= size / 2; k++) {
+    const a = 2 * Math.PI * k * preSamples / size;
+    const c = Math.cos(a), s = Math.sin(a);
+    const r = re[k] * c - im[k] * s;
+    im[k] = re[k] * s + im[k] * c;
+    re[k] = r;
+  }
+  return { re: re.subarray(0, size / 2 + 1), im: im.subarray(0, size / 2 + 1), size };
+}
+
+// 표시용 로그 간격 주파수에서 1/N 옥타브 평활 (파워 평균 → 크기, 복소 평균 → 위상)
+// fraction: 0 = 평활 없음, 그 밖에는 N
+// spectrum.coherence(빈별, dual-FFT)가 있으면 같은 대역으로 평균해 coherence도 반환
+function evaluateMeasuredResponse(spectrum, sampleRate, fraction) {
+  const { re, im, size, coherence } = spectrum;
+  const bins = re.length;
+  if (!spectrum.prefix) {
+    const pre = new Float64Array(bins + 1);
+    const pim = new Float64Array(bins + 1);
+    const ppow = new Float64Array(bins + 1);
+    const pcoh = coherence ? new Float64Array(bins + 1) : null;
+    for (let k = 0; k < bins; k++) {
+      pre[k + 1] = pre[k] + re[k];
+      pim[k + 1] = pim[k] + im[k];
+      ppow[k + 1] = ppow[k] + re[k] * re[k] + im[k] * im[k];
+      if (pcoh) pcoh[k + 1] = pcoh[k] + coherence[k];
+    }
+    spectrum.prefix = { pre, pim, ppow, pcoh };
+  }
+  const { pre, pim, ppow, pcoh } = spectrum.prefix;
+  const binHz = sampleRate / size;
+  const fMin = Math.max(MEASURE_MIN_HZ, binHz);
+  const fMax = sampleRate / 2;
+  const n = MEASURE_POINTS;
+  const hz = new Float32Array(n);
+  const magDb = new Float32Array(n);
+  const phaseDeg = new Float32Array(n);
+  const gdMs = new Float32Array(n);
+  const coh = pcoh ? new Float32Array(n) : null;
+  const cre = new Float64Array(n);
+  const cim = new Float64Array(n);
+  const half = fraction > 0 ? Math.pow(2, 1 / (2 * fraction)) : 1;
+  for (let i = 0; i < n; i++) {
+    const f = fMin * Math.pow(fMax / fMin, i / (n - 1));
+    const b = f / binHz;
+    let power, r, m;
+    let lo = Math.round(b / half);
+    let hi = Math.round(b * half);
+    if (fraction > 0 && hi > lo) {
+      lo = Math.max(0, lo);
+      hi = Math.min(bins - 1, hi);
+      const count = hi - lo + 1;
+      power = (ppow[hi + 1] - ppow[lo]) / count;
+      r = (pre[hi + 1] - pre[lo]) / count;
+      m = (pim[hi + 1] - pim[lo]) / count;
+      if (coh) coh[i] = (pcoh[hi + 1] - pcoh[lo]) / count;
+    } else {
+      // 빈 사이 선형 보간
+      const k = Math.min(bins - 2, Math.floor(b));
+      const t = b - k;
+      r = re[k] + (re[k + 1] - re[k]) * t;
+      m = im[k] + (im[k + 1] - im[k]) * t;
+      power = r * r + m * m;
+      if (coh) coh[i] = coherence[k] + (coherence[k + 1] - coherence[k]) * t;
+    }
+    hz[i] = f;
+    magDb[i] = 10 * Math.log10(Math.max(power, 1e-20));
+    phaseDeg[i] = Math.atan2(m, r) * 180 / Math.PI;
+    cre[i] = r;
+    cim[i] = m;
+  }
+  // 군지연 = −dφ/dω (이웃 점의 위상차, 접힘 없이 복소곱으로)
+  for (let i = 0; i < n; i++) {
+    const a = Math.max(0, i - 1);
+    const b = Math.min(n - 1, i + 1);
+    const dPhi = Math.atan2(cim[b] * cre[a] - cre[b] * cim[a], cre[b] * cre[a] + cim[b] * cim[a]);
+    gdMs[i] = -dPhi / (2 * Math.PI * (hz[b] - hz[a])) * 1000;
+  }
+  return coh ? { hz, magDb, phaseDeg, gdMs, coherence: coh } : { hz, magDb, phaseDeg, gdMs };
+}
+
+// --- 측정 실행 ---
+
+// 재생할 자극과 녹음 길이
+function createMeasureStimulus(sampleRate) {
+  const st = measureState;
+  if (st.stimulus === 'sweep') {
+    const f1 = Math.max(1, Math.min(st.f1, st.f2));
+    const f2 = Math.min(sampleRate / 2, Math.max(st.f1, st.f2));
+    const sweep = createLogSweep(f1, f2, st.length, sampleRate);
+    return {
+      kind: 'sweep', f1, f2, sweep,
+      play: sweep,
+      recordFrames: sweep.length + Math.round(MEASURE_TAIL_SECONDS * sampleRate)
+    };
+  }
+
+  const order = Math.max(12, Math.min(18, Math.round(Math.log2(st.length * sampleRate))));
+  let period, bits = null;
+  if (st.stimulus === 'mls') {
+    bits = createMlsBits(order);
+    period = Float32Array.from(bits, b => 1 - 2 * b);
+  } else {
+    const size = 1 << order;
+    const minBin = Math.ceil(MEASURE_MIN_HZ * size / sampleRate);
+    period = synthesizePeriodic(size, k => ({
+      mag: k < minBin ? 0 : 1 / Math.sqrt(k),
+      phase: Math.random() * 2 * Math.PI
+    }));
+    // 레벨은 피크 기준
+    let peak = 0;
+    for (let i = 0; i < size; i++) peak = Math.max(peak, Math.abs(period[i]));
+    for (let i = 0; i < size; i++) period[i] /= peak;
+  }
+  const periods = st.averages + 1;
+  const play = new Float32Array(period.length * periods);
+  for (let p = 0; p < periods; p++) play.set(period, p * period.length);
+  return { kind: st.stimulus, order, bits, period, periods, play, recordFrames: play.length };
+}
+
+function startMeasurement() {
+  if (!audioCtx || inputMode !== 'realtime' || !isRealtimeActive || !recorderState.node) {
+    statusEl.textContent = 'Measurement needs realtime input (start the input first)';
+    return;
+  }
+  stopGenerator();
+  if (transferState.running) stopTransfer();
+  const st = measureState;
+  const sr = audioCtx.sampleRate;
+  const stim = createMeasureStimulus(sr);
+  const buffer = audioCtx.createBuffer(1, stim.play.length, sr);
+  buffer.copyToChannel(stim.play, 0);
+
+  st.source = audioCtx.createBufferSource();
+  st.source.buffer = buffer;
+  st.level = audioCtx.createGain();
+  st.level.gain.value = Math.pow(10, generatorState.levelDb / 20);
+  st.source.connect(st.level);
+  st.merger = routeToChannelMask(st.level, generatorState.channelMask);
+
+  const startTime = audioCtx.currentTime + MEASURE_START_DELAY;
+  st.source.start(startTime);
+  const seconds = stim.recordFrames / sr + MEASURE_START_DELAY;
+  st.capture = {
+    startFrame: Math.round(startTime * sr),
+    data: new Float32Array(stim.recordFrames),
+    filled: 0,
+    stim,
+    // 입력이 끊기면 캡처가 끝나지 않으므로 제한 시간
+    timer: setTimeout(() => {
+      stopMeasurement();
+      statusEl.textContent = 'Measurement failed: no input received';
+    }, (seconds + 3) * 1000)
+  };
+  btnMeasRun.classList.add('on');
+  btnMeasRun.textContent = '■ Cancel';
+  measInfo.textContent = 'Measuring…';
+  statusEl.textContent = `Measuring (${MEASURE_STIMULI[st.stimulus]}, ${seconds.toFixed(1)} s)`;
+}
+
+function stopMeasurement() {
+  const st = measureState;
+  if (st.capture) clearTimeout(st.capture.timer);
+  st.capture = null;
+  if (st.source) {
+    try { st.source.stop(); } catch (e) {}
+    try { st.source.disconnect(); } catch (e) {}
+  }
+  if (st.level) {
+    try { st.level.disconnect(); } catch (e) {}
+  }
+  if (st.merger) {
+    try { st.merger.disconnect(); } catch (e) {}
+  }
+  st.source = null;
+  st.level = null;
+  st.merger = null;
+  btnMeasRun.classList.remove('on');
+  btnMeasRun.textContent = '▶ Measure';
+}
+
+// capture-processor 블록 중 재생 구간과 겹치는 부분만 모음
+function processMeasureCapture(channels, endFrame) {
+  const cap = measureState.capture;
+  if (!cap || !Number.isFinite(endFrame)) return;
+  const samples = channels[Math.min(measureState.inputChannel, channels.length - 1)];
+  const blockStart = endFrame - samples.length;
+  const from = Math.max(blockStart, cap.startFrame);
+  const to = Math.min(endFrame, cap.startFrame + cap.data.length);
+  if (to <= from) return;
+  cap.data.set(samples.subarray(from - blockStart, to - blockStart), from - cap.startFrame);
+  cap.filled = to - cap.startFrame;
+  measInfo.textContent = `Measuring… ${Math.round(cap.filled / cap.data.length * 100)}%`;
+  if (cap.filled >= cap.data.length) finishMeasurement();
+}
+
+function finishMeasurement() {
+  const { data, stim } = measureState.capture;
+  stopMeasurement();
+  try {
+    const result = analyzeMeasurement(data, stim, audioCtx.sampleRate);
+    measureState.current = result;
+    const clipped = result.inputPeakDb > -0.1 ? ' — input clipped!' : '';
+    measInfo.textContent = `Delay ${result.delayMs.toFixed(2)} ms · in ${result.inputPeakDb.toFixed(1)} dBFS${clipped}`;
+    statusEl.textContent = `Measurement done (${MEASURE_STIMULI[stim.kind]})${clipped}`;
+  } catch (err) {
+    console.error('v4.1: Measurement analysis error:', err);
+    statusEl.textContent = `Measurement error: ${err.message}`;
+    measInfo.textContent = '';
+  }
+}
+
+// 녹음 → 임펄스 응답 → 게이트 → 스펙트럼
+function analyzeMeasurement(recorded, stim, sampleRate) {
+  let ir, circular;
+  if (stim.kind === 'sweep') {
+    ir = deconvolveSweep(recorded, stim.sweep, stim.f1, stim.f2, sampleRate);
+    circular = false;
+  } else {
+    const length = stim.period.length;
+    const avg = new Float32Array(length);
+    for (let p = 1; p < stim.periods; p++) {
+      for (let i = 0; i < length; i++) avg[i] += recorded[p * length + i];
+    }
+    for (let i = 0; i < length; i++) avg[i] /= stim.periods - 1;
+    ir = stim.kind === 'mls'
+      ? deconvolveMls(avg, stim.bits, stim.order, createMlsPermutations(stim.bits, stim.order))
+      : deconvolvePeriodic(avg, stim.period);
+    circular = true;
+  }
+
+  // 선형 IR은 앞쪽 절반에서만 피크 탐색 (뒤쪽은 고조파 왜곡 IR)
+  const searchEnd = circular ? ir.length : ir.length / 2;
+  let peak = 0;
+  for (let i = 1; i < searchEnd; i++) {
+    if (Math.abs(ir[i]) > Math.abs(ir[peak])) peak = i;
+  }
+  const pre = Math.round(MEASURE_PRE_MS * sampleRate / 1000);
+  const available = circular ? ir.length - pre : searchEnd - peak;
+  const gate = Math.max(16, Math.min(available, Math.round(measureState.windowMs * sampleRate / 1000)));
+
+  const segment = new Float32Array(pre + gate);
+  for (let i = 0; i < segment.length; i++) {
+    let idx = peak - pre + i;
+    if (circular) idx = ((idx % ir.length) + ir.length) % ir.length;
+    if (idx >= 0 && idx < ir.length) segment[i] = ir[idx];
+  }
+
+  let inputPeak = 0;
+  for (let i = 0; i < recorded.length; i++) inputPeak = Math.max(inputPeak, Math.abs(recorded[i]));
+
+  return {
+    name: `${MEASURE_STIMULI[stim.kind]} ${new Date().toLocaleTimeString()}`,
+    spectrum: computeMeasuredSpectrum(ir, peak, pre, gate, circular),
+    sampleRate,
+    ir: segment,
+    irPre: pre,
+    delayMs: peak / sampleRate * 1000,
+    inputPeakDb: linearToDb(inputPeak),
+    meta: {
+      stimulus: stim.kind,
+      sampleRate,
+      levelDbfs: generatorState.levelDb,
+      inputChannel: measureState.inputChannel + 1,
+      windowMs: Math.round(gate / sampleRate * 1000),
+      delayMs: Math.round(peak / sampleRate * 1e5) / 100,
+      createdAt: new Date().toISOString()
+    },
+    responses: {}
+  };
+}
+
+// 평활별 표시용 응답 (불러온 트레이스는 저장된 점 그대로)
+function getMeasuredResponse(result) {
+  if (!result.spectrum) return result.fixed;
+  const key = measureState.smoothing;
+  if (!result.responses[key]) {
+    result.responses[key] = evaluateMeasuredResponse(result.spectrum, result.sampleRate, key);
+  }
+  return result.responses[key];
+}
+
+// --- 표시 ---
+
+function getVisibleMeasureTraces() {
+  const list = measureState.traces.filter(t => t.visible);
+  if (measureState.current) list.push(measureState.current);
+  return list;
+}
+
+function getMeasureTraceColor(trace) {
+  return trace === measureState.current ? MEASURE_CURRENT_COLOR : trace.color;
+}
+
+// 가로 눈금선 + 왼쪽 라벨
+function drawMeasureGridY(ctx, plot, min, max, step, unit) {
+  const toY = v => plot.bottom - (v - min) / (max - min) * (plot.bottom - plot.top);
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let v = Math.ceil(min / step) * step; v <= max + 1e-9; v += step) {
+    const y = Math.round(toY(v)) + 0.5;
+    ctx.fillStyle = '#888';
+    ctx.fillText(`${+v.toFixed(3)}`, plot.left - 4, y);
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.right, y);
+    ctx.stroke();
+  }
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#aaa';
+  ctx.fillText(unit, 2, plot.top);
+  return toY;
+}
+
+// 보이는 주파수 범위 안 값들로 세로 범위 결정
+function getMeasureResponseRange(view, values) {
+  if (view === 'phase') return { min: -180, max: 180, step: 90 };
+  if (view === 'coherence') return { min: 0, max: 1, step: 0.25 };
+  if (view === 'magnitude') {
+    const top = values.length ? Math.ceil(Math.max(...values) / 10) * 10 + 10 : 10;
+    return { min: top - 70, max: top, step: 10 };
+  }
+  // 군지연: 골/널 주변의 튀는 값은 제외 (2 ~ 98 백분위)
+  let lo = -1, hi = 5;
+  if (values.length) {
+    const sorted = Float32Array.from(values).sort();
+    lo = Math.min(0, sorted[Math.floor(sorted.length * 0.02)]);
+    hi = Math.max(lo + 1, sorted[Math.floor(sorted.length * 0.98)]);
+  }
+  const step = niceStep((hi - lo) / 5);
+  return { min: Math.floor(lo / step) * step, max: Math.ceil(hi / step) * step, step };
+}
+
+function drawMeasureResponse(ctx, plot, traces) {
+  const { minFreq, maxFreq } = FREQUENCY_CONFIG;
+  const view = measureState.view;
+  const key = { magnitude: 'magDb', phase: 'phaseDeg', groupDelay: 'gdMs', coherence: 'coherence' }[view];
+  const curves = traces.map(t => ({ trace: t, r: getMeasuredResponse(t) })).filter(c => c.r[key]);
+  // 코히어런스가 낮은 점은 가림 (dual-FFT 트레이스)
+  const blank = view === 'coherence' ? 0 : transferState.blankBelow;
+  const values = [];
+  curves.forEach(({ r }) => {
+    for (let i = 0; i < r.hz.length; i++) {
+      if (r.hz[i] >= minFreq && r.hz[i] <= maxFreq && Number.isFinite(r[key][i])) values.push(r[key][i]);
+    }
+  });
+  const range = getMeasureResponseRange(view, values);
+  const toY = drawMeasureGridY(ctx, plot, range.min, range.max, range.step,
+    { magnitude: 'dB', phase: '°', groupDelay: 'ms', coherence: 'γ²' }[view]);
+
+  const plotWidth = plot.right - plot.left;
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  getGridFrequencyValues().forEach(f => {
+    const x = Math.round(plot.left + hzToCanvasX(f, plotWidth)) + 0.5;
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top);
+    ctx.lineTo(x, plot.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#888';
+    ctx.fillText(formatHzLabel(f), x, plot.bottom + 3);
+  });
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(plot.left, plot.top, plotWidth, plot.bottom - plot.top);
+  ctx.clip();
+  curves.forEach(({ trace, r }) => {
+    ctx.strokeStyle = getMeasureTraceColor(trace);
+    ctx.lineWidth = trace === measureState.current ? 1.5 : 1.2;
+    ctx.beginPath();
+    let prev = null;
+    for (let i = 0; i < r.hz.length; i++) {
+      const f = r.hz[i];
+      const v = r[key][i];
+      if (f < minFreq || f > maxFreq || !Number.isFinite(v) || (blank > 0 && r.coherence && r.coherence[i] < blank)) {
+        prev = null;
+        continue;
+      }
+      const x = plot.left + hzToCanvasX(f, plotWidth);
+      const y = toY(v);
+      // 위상 접힘(±180°)은 잇지 않음
+      if (prev === null || (view === 'phase' && Math.abs(v - prev) > 180)) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+      prev = v;
+    }
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+// 임펄스 응답 (트레이스별 피크로 정규화, t = 0은 피크)
+function drawMeasureImpulse(ctx, plot, traces) {
+  const withIr = traces.filter(t => t.ir);
+  const toY = drawMeasureGridY(ctx, plot, -1, 1, 0.5, 'norm');
+  const preMs = MEASURE_PRE_MS;
+  const spanMs = withIr.reduce((m, t) => Math.max(m, t.ir.length / t.sampleRate * 1000 - preMs), 10);
+  const plotWidth = plot.right - plot.left;
+  const toX = ms => plot.left + (ms + preMs) / (spanMs + preMs) * plotWidth;
+
+  const step = niceStep(spanMs / 8);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let ms = 0; ms <= spanMs; ms += step) {
+    const x = Math.round(toX(ms)) + 0.5;
+    ctx.strokeStyle = ms === 0 ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(x, plot.top);
+    ctx.lineTo(x, plot.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#888';
+    ctx.fillText(`${+ms.toFixed(3)} ms`, x, plot.bottom + 3);
+  }
+
+  withIr.forEach(trace => {
+    const { ir, irPre, sampleRate } = trace;
+    let peak = 0;
+    for (let i = 0; i < ir.length; i++) peak = Math.max(peak, Math.abs(ir[i]));
+    if (peak === 0) return;
+    // 픽셀 열마다 최소/최대
+    ctx.strokeStyle = getMeasureTraceColor(trace);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    const cols = Math.max(1, Math.floor(plotWidth));
+    for (let c = 0; c < cols; c++) {
+      const ms0 = -preMs + c / cols * (spanMs + preMs);
+      const ms1 = -preMs + (c + 1) / cols * (spanMs + preMs);
+      const i0 = Math.max(0, Math.floor(irPre + ms0 * sampleRate / 1000));
+      const i1 = Math.min(ir.length, Math.max(i0 + 1, Math.floor(irPre + ms1 * sampleRate / 1000)));
+      if (i0 >= ir.length) break;
+      let lo = Infinity, hi = -Infinity;
+      for (let i = i0; i < i1; i++) {
+        lo = Math.min(lo, ir[i]);
+        hi = Math.max(hi, ir[i]);
+      }
+      const x = plot.left + c + 0.5;
+      ctx.moveTo(x, toY(hi / peak));
+      ctx.lineTo(x, toY(lo / peak) + 0.5);
+    }
+    ctx.stroke();
+  });
+}
+
+function drawMeasurement() {
+  const { width, height } = fitCanvasToDisplay(measCanvas, measCtx);
+  if (width < 2 || height < 2) return; // 패널이 접혀 있음
+  const ctx = measCtx;
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+  const plot = { left: 44, top: 8, right: width - 8, bottom: height - 18 };
+  const traces = getVisibleMeasureTraces();
+  if (measureState.view === 'impulse') drawMeasureImpulse(ctx, plot, traces);
+  else drawMeasureResponse(ctx, plot, traces);
+}
+
+// --- 트레이스 보관 / 저장 / 불러오기 ---
+
+function addMeasureTrace(trace) {
+  if (measureState.traces.length >= MAX_MEASURE_TRACES) {
+    statusEl.textContent = `Measurement trace limit reached (${MAX_MEASURE_TRACES})`;
+    return null;
+  }
+  const used = measureState.traces.map(t => t.color);
+  trace.id = measureState.nextId++;
+  trace.color = REFERENCE_COLORS.find(c => !used.includes(c)) || REFERENCE_COLORS[0];
+  trace.visible = true;
+  measureState.traces.push(trace);
+  updateMeasureTraceUI();
+  return trace;
+}
+
+function keepMeasurement() {
+  const current = measureState.current;
+  if (!current) {
+    statusEl.textContent = 'No measurement to keep';
+    return;
+  }
+  const nameInput = document.getElementById('measTraceName');
+  if (nameInput.value.trim()) current.name = nameInput.value.trim();
+  if (addMeasureTrace(current)) {
+    measureState.current = null;
+    nameInput.value = '';
+  }
+}
+
+function measureTraceToJson(trace) {
+  const r = getMeasuredResponse(trace);
+  const round = (arr, k) => Array.from(arr, v => Math.round(v * k) / k);
+  return JSON.stringify({
+    format: MEASURE_FORMAT,
+    version: 1,
+    name: trace.name,
+    ...trace.meta,
+    smoothing: trace.spectrum ? measureState.smoothing : trace.meta.smoothing,
+    frequencies: round(r.hz, 1000),
+    magnitude: round(r.magDb, 100),
+    phase: round(r.phaseDeg, 100),
+    groupDelay: round(r.gdMs, 10000),
+    ...(r.coherence ? { coherence: round(r.coherence, 1000) } : {})
+  }, null, 2);
+}
+
+function measureTraceToCsv(trace) {
+  const r = getMeasuredResponse(trace);
+  const lines = [`# name: ${trace.name}`];
+  Object.keys(trace.meta).forEach(key => {
+    if (trace.meta[key] !== null && trace.meta[key] !== undefined) lines.push(`# ${key}: ${trace.meta[key]}`);
+  });
+  if (trace.spectrum) lines.push(`# smoothing: ${measureState.smoothing}`);
+  lines.push('frequency_hz,magnitude_db,phase_deg,group_delay_ms' + (r.coherence ? ',coherence' : ''));
+  for (let i = 0; i < r.hz.length; i++) {
+    const coh = r.coherence ? `,${r.coherence[i].toFixed(3)}` : '';
+    lines.push(`${r.hz[i].toFixed(3)},${r.magDb[i].toFixed(2)},${r.phaseDeg[i].toFixed(2)},${r.gdMs[i].toFixed(4)}${coh}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function saveMeasureTrace(trace) {
+  return saveFileViaDialog({
+    title: 'Save measurement',
+    defaultPath: `${trace.name.replace(/[\\/:*?"<>|]/g, '-')}.json`,
+    filters: [
+      { name: 'JSON', extensions: ['json'] },
+      { name: 'CSV', extensions: ['csv'] }
+    ]
+  }, filePath => (/\.csv$/i.test(filePath) ? measureTraceToCsv(trace) : measureTraceToJson(trace)), 'measurement');
+}
+
+function saveMeasureImpulse() {
+  const current = measureState.current || measureState.traces.filter(t => t.ir).pop();
+  if (!current) {
+    statusEl.textContent = 'No impulse response to save';
+    return null;
+  }
+  return saveFileViaDialog({
+    title: 'Save impulse response',
+    defaultPath: `ir-${getExportTimestamp()}.wav`,
+    filters: [{ name: 'WAV (32-bit float)', extensions: ['wav'] }]
+  }, () => encodeWav([current.ir], current.sampleRate, 32), 'impulse response');
+}
+
+// 저장된 점(주파수, 크기, 위상, 군지연 [, 코히어런스]) → 고정 응답 트레이스
+function createFixedMeasureTrace(name, meta, rows) {
+  const valid = rows.filter(r => Number.isFinite(r[0]) && Number.isFinite(r[1]) && r[0] > 0);
+  valid.sort((a, b) => a[0] - b[0]);
+  if (valid.length < 2) throw new Error('measurement needs at least 2 points');
+  const column = (i) => Float32Array.from(valid, r => (Number.isFinite(r[i]) ? r[i] : NaN));
+  const fixed = { hz: column(0), magDb: column(1), phaseDeg: column(2), gdMs: column(3) };
+  if (valid.some(r => Number.isFinite(r[4]))) fixed.coherence = column(4);
+  return { name, meta, spectrum: null, ir: null, fixed };
+}
+
+function parseMeasureJson(text, fallbackName) {
+  const obj = JSON.parse(text);
+  if (!Array.isArray(obj.frequencies) || !Array.isArray(obj.magnitude)) {
+    throw new Error('missing frequencies/magnitude');
+  }
+  const { name, frequencies, magnitude, phase, groupDelay, coherence, format, version, ...meta } = obj;
+  const rows = frequencies.map((f, i) => [
+    Number(f),
+    Number(magnitude[i]),
+    phase ? Number(phase[i]) : NaN,
+    groupDelay ? Number(groupDelay[i]) : NaN,
+    coherence ? Number(coherence[i]) : NaN
+  ]);
+  return createFixedMeasureTrace(name || fallbackName, meta, rows);
+}
+
+// 주석(#) 줄은 메타데이터, 열: 주파수, 크기 [, 위상, 군지연, 코히어런스]
+function parseMeasureCsv(text, fallbackName) {
+  let name = fallbackName;
+  const meta = {};
+  const rows = [];
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    if (trimmed.startsWith('#')) {
+      const m = trimmed.match(/^#\s*([\w-]+)\s*:\s*(.*)$/);
+      if (m) {
+        if (m[1] === 'name') name = m[2];
+        else meta[m[1]] = m[2];
+      }
+      return;
+    }
+    const cols = trimmed.split(/[,;\t]/).map(c => parseFloat(c));
+    if (cols.length >= 2 && Number.isFinite(cols[0]) && Number.isFinite(cols[1])) rows.push(cols);
+  });
+  return createFixedMeasureTrace(name, meta, rows);
+}
+
+async function loadMeasureTraces() {
+  if (!window.electronAPI) return;
+  try {
+    const paths = await window.electronAPI.showOpenDialog({
+      title: 'Load measurements',
+      filters: [{ name: 'Measurement', extensions: ['json', 'csv', 'txt'] }],
+      multiple: true
+    });
+    let loaded = 0;
+    for (const filePath of paths) {
+      const baseName = filePath.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+      try {
+        const text = await window.electronAPI.readFile(filePath, 'utf8');
+        const trace = /\.json$/i.test(filePath)
+          ? parseMeasureJson(text, baseName)
+          : parseMeasureCsv(text, baseName);
+        if (!addMeasureTrace(trace)) break;
+        loaded++;
+      } catch (err) {
+        console.error('Measurement load error:', filePath, err);
+        statusEl.textContent = `Error loading ${baseName}: ${err.message}`;
+      }
+    }
+    if (loaded > 0) statusEl.textContent = `Loaded ${loaded} measurement(s)`;
+  } catch (err) {
+    console.error('Measurement load error:', err);
+    statusEl.textContent = `Error loading measurements: ${err.message}`;
+  }
+}
+
+function updateMeasureTraceUI() {
+  measTraceList.innerHTML = '';
+  measureState.traces.forEach(trace => {
+    const item = document.createElement('span');
+    item.className = 'ref-item';
+
+    const toggle = document.createElement('span');
+    toggle.className = 'channel-toggle' + (trace.visible ? '' : ' off');
+    toggle.title = '클릭: 표시/숨김';
+    toggle.innerHTML = `<span class="legend-box" style="background:${trace.color}"></span>`;
+    toggle.appendChild(document.createTextNode(trace.name));
+    toggle.addEventListener('click', () => {
+      trace.visible = !trace.visible;
+      toggle.classList.toggle('off', !trace.visible);
+    });
+
+    const btnSave = document.createElement('button');
+    btnSave.textContent = '💾';
+    btnSave.title = 'JSON/CSV로 저장 (현재 평활 적용)';
+    btnSave.disabled = !window.electronAPI;
+    btnSave.addEventListener('click', () => saveMeasureTrace(trace));
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '×';
+    btnRemove.title = '삭제';
+    btnRemove.addEventListener('click', () => {
+      measureState.traces = measureState.traces.filter(t => t !== trace);
+      updateMeasureTraceUI();
+    });
+
+    item.append(toggle, btnSave, btnRemove);
+    measTraceList.appendChild(item);
+  });
+}
+
+function updateMeasureInputOptions() {
+  const count = getSourceChannelCount();
+  if (measInput.options.length === count) return;
+  measInput.innerHTML = '';
+  for (let ch = 0; ch < count; ch++) {
+    const opt = document.createElement('option');
+    opt.value = String(ch);
+    opt.textContent = `CH${ch + 1}`;
+    measInput.appendChild(opt);
+  }
+  measureState.inputChannel = Math.min(measureState.inputChannel, count - 1);
+  measInput.value = String(measureState.inputChannel);
+}
+
+function updateMeasureFields() {
+  const sweep = measureState.stimulus === 'sweep';
+  document.querySelectorAll('[data-meas-field]').forEach(el => {
+    el.style.display = (el.dataset.measField === 'sweep') === sweep ? '' : 'none';
+  });
+}
+
+function initMeasureControls() {
+  const fillSelect = (select, entries, value) => {
+    entries.forEach(([v, label]) => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = String(value);
+  };
+
+  const stimulus = document.getElementById('measStimulus');
+  fillSelect(stimulus, Object.entries(MEASURE_STIMULI), measureState.stimulus);
+  stimulus.addEventListener('change', () => {
+    measureState.stimulus = stimulus.value;
+    updateMeasureFields();
+  });
+
+  const view = document.getElementById('measView');
+  fillSelect(view, Object.entries(MEASURE_VIEWS), measureState.view);
+  view.addEventListener('change', () => { measureState.view = view.value; });
+
+  const smoothing = document.getElementById('measSmoothing');
+  fillSelect(smoothing, MEASURE_SMOOTHING.map(n => [String(n), n ? `1/${n} oct` : 'None']), measureState.smoothing);
+  smoothing.addEventListener('change', () => { measureState.smoothing = parseInt(smoothing.value, 10); });
+
+  // 숫자 입력: [id, 키, 최소, 최대]
+  [
+    ['measLength', 'length', 0.1, 30],
+    ['measF1', 'f1', 1, 96000],
+    ['measF2', 'f2', 1, 96000],
+    ['measAverages', 'averages', 1, 64],
+    ['measWindow', 'windowMs', 1, 5000]
+  ].forEach(([id, key, min, max]) => {
+    const input = document.getElementById(id);
+    input.value = measureState[key];
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      if (Number.isFinite(v)) measureState[key] = Math.max(min, Math.min(max, v));
+      if (key === 'averages') measureState.averages = Math.round(measureState.averages);
+      input.value = measureState[key];
+    });
+  });
+
+  updateMeasureInputOptions();
+  measInput.addEventListener('focus', updateMeasureInputOptions);
+  measInput.addEventListener('change', () => { measureState.inputChannel = parseInt(measInput.value, 10) || 0; });
+
+  btnMeasRun.addEventListener('click', () => {
+    if (measureState.capture) {
+      stopMeasurement();
+      measInfo.textContent = '';
+      statusEl.textContent = 'Measurement cancelled';
+    } else {
+      startMeasurement();
+    }
+  });
+  document.getElementById('btnMeasKeep').addEventListener('click', keepMeasurement);
+  const btnSaveIr = document.getElementById('btnMeasSaveIr');
+  btnSaveIr.disabled = !window.electronAPI;
+  btnSaveIr.addEventListener('click', saveMeasureImpulse);
+  const btnLoad = document.getElementById('btnMeasLoad');
+  btnLoad.disabled = !window.electronAPI;
+  btnLoad.addEventListener('click', loadMeasureTraces);
+
+  updateMeasureFields();
+}
+
+initMeasureControls();
+
+// ===================================
+// v4.1: 2채널 전달함수 (dual-FFT: 기준 채널 → 측정 채널, 코히어런스)
+// - 실시간 입력의 두 채널을 capture-processor 블록에서 받아 자체 링버퍼에 보관
+// - 반씩 겹친 Hann 프레임마다 Gxx, Gyy, Gxy를 평균: H = Gxy / Gxx, γ² = |Gxy|² / (Gxx·Gyy)
+//   (측정 신호 종류와 무관 - 음악/음성 등 프로그램 소스로도 동작)
+// - 지연: GCC-PHAT 상호상관 피크로 찾아 기준 채널을 그만큼 늦춰 보상
+// - 결과는 측정 패널의 현재 트레이스로 표시 (평활, 보관, 저장 공통)
+// ===================================
+
+const TRANSFER_RING_SIZE = 262144;      // 채널당 (48 kHz에서 약 5.5 s)
+const TRANSFER_DELAY_WINDOW = 65536;    // 지연 탐색 구간, 탐색 범위는 ±절반
+const TRANSFER_AUTO_DELAY_INTERVAL = 2; // 자동 지연 재탐색 간격 (초)
+const TRANSFER_MIN_CONFIDENCE = 6;      // 상관 피크 / RMS 가 이보다 낮으면 지연을 바꾸지 않음
+
+const transferState = {
+  running: false,
+  refChannel: 0,
+  measChannel: 1,
+  fftSize: 16384,
+  averages: 16,           // 지수 평균 프레임 수
+  delay: 0,               // 보상 지연 (샘플, +: 측정 채널이 늦음)
+  autoDelay: false,
+  blankBelow: 0,          // 이 코히어런스 미만인 점은 크기/위상에서 가림
+  rings: null,            // [기준, 측정] Float32Array
+  pos: 0,
+  written: 0,
+  pending: 0,             // 마지막 프레임 이후 새 샘플 수
+  count: 0,
+  gxx: null,
+  gyy: null,
+  gxyRe: null,
+  gxyIm: null,
+  lastDelaySearch: 0
+};
+
+const btnTfRun = document.getElementById('btnTfRun');
+const tfRef = document.getElementById('tfRef');
+const tfMeas = document.getElementById('tfMeas');
+const tfDelay = document.getElementById('tfDelay');
+const tfInfo = document.getElementById('tfInfo');
+
+function resetTransferAverages() {
+  const bins = transferState.fftSize / 2 + 1;
+  transferState.gxx = new Float64Array(bins);
+  transferState.gyy = new Float64Array(bins);
+  transferState.gxyRe = new Float64Array(bins);
+  transferState.gxyIm = new Float64Array(bins);
+  transferState.count = 0;
+}
+
+// 가장 최근 샘플에서 endOffset만큼 앞에서 끝나는 length 샘플
+function readTransferRing(ring, endOffset, length, out) {
+  const size = ring.length;
+  let idx = (transferState.pos - endOffset - length) % size;
+  if (idx < 0) idx += size;
+  for (let i = 0; i < length; i++) {
+    out[i] = ring[idx];
+    if (++idx === size) idx = 0;
+  }
+  return out;
+}
+
+function processTransferCapture(channels) {
+  const st = transferState;
+  if (!st.running) return;
+  const ref = channels[st.refChannel];
+  const meas = channels[st.measChannel];
+  if (!ref || !meas) {
+    tfInfo.textContent = `Input has ${channels.length} channel(s)`;
+    return;
+  }
+  if (!st.rings) {
+    st.rings = [new Float32Array(TRANSFER_RING_SIZE), new Float32Array(TRANSFER_RING_SIZE)];
+    st.pos = 0;
+    st.written = 0;
+  }
+  const [refRing, measRing] = st.rings;
+  for (let i = 0; i < ref.length; i++) {
+    refRing[st.pos] = ref[i];
+    measRing[st.pos] = meas[i];
+    if (++st.pos === TRANSFER_RING_SIZE) st.pos = 0;
+  }
+  st.written += ref.length;
+  st.pending += ref.length;
+
+  const hop = st.fftSize / 2;
+  let updated = false;
+  while (st.pending >= hop) {
+    st.pending -= hop;
+    updated = accumulateTransferFrame(st.pending) || updated;
+  }
+  if (updated) updateTransferResult();
+
+  const now = performance.now();
+  if (st.autoDelay && now - st.lastDelaySearch > TRANSFER_AUTO_DELAY_INTERVAL * 1000) {
+    st.lastDelaySearch = now;
+    findTransferDelay(true);
+  }
+}
+
+// 프레임 하나(최신에서 offset 앞에서 끝남)를 교차 스펙트럼 평균에 더함
+function accumulateTransferFrame(offset) {
+  const st = transferState;
+  const n = st.fftSize;
+  const refOffset = offset + Math.max(0, st.delay);
+  const measOffset = offset + Math.max(0, -st.delay);
+  if (st.written < n + Math.max(refOffset, measOffset)) return false;
+
+  const { w } = getWindow('hann', n);
+  const xr = readTransferRing(st.rings[0], refOffset, n, new Float32Array(n));
+  const yr = readTransferRing(st.rings[1], measOffset, n, new Float32Array(n));
+  const xi = new Float32Array(n);
+  const yi = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    xr[i] *= w[i];
+    yr[i] *= w[i];
+  }
+  fftInPlace(xr, xi);
+  fftInPlace(yr, yi);
+
+  // 처음 몇 프레임은 단순 평균, 그 뒤로는 지수 평균
+  st.count++;
+  const a = 1 / Math.min(st.count, st.averages);
+  const b = 1 - a;
+  for (let k = 0; k <= n / 2; k++) {
+    st.gxx[k] = b * st.gxx[k] + a * (xr[k] * xr[k] + xi[k] * xi[k]);
+    st.gyy[k] = b * st.gyy[k] + a * (yr[k] * yr[k] + yi[k] * yi[k]);
+    // conj(X)·Y
+    st.gxyRe[k] = b * st.gxyRe[k] + a * (xr[k] * yr[k] + xi[k] * yi[k]);
+    st.gxyIm[k] = b * st.gxyIm[k] + a * (xr[k] * yi[k] - xi[k] * yr[k]);
+  }
+  return true;
+}
+
+function updateTransferResult() {
+  const st = transferState;
+  const bins = st.fftSize / 2 + 1;
+  const re = new Float32Array(bins);
+  const im = new Float32Array(bins);
+  const coherence = new Float32Array(bins);
+  for (let k = 0; k < bins; k++) {
+    const gxx = st.gxx[k];
+    const gyy = st.gyy[k];
+    if (gxx <= 0) continue;
+    re[k] = st.gxyRe[k] / gxx;
+    im[k] = st.gxyIm[k] / gxx;
+    const cross = st.gxyRe[k] * st.gxyRe[k] + st.gxyIm[k] * st.gxyIm[k];
+    coherence[k] = gyy > 0 ? Math.min(1, cross / (gxx * gyy)) : 0;
+  }
+  const sr = audioCtx.sampleRate;
+  const delayMs = st.delay / sr * 1000;
+  measureState.current = {
+    name: `Dual-FFT CH${st.refChannel + 1}→CH${st.measChannel + 1}`,
+    spectrum: { re, im, size: st.fftSize, coherence },
+    sampleRate: sr,
+    ir: null,
+    meta: {
+      mode: 'dual-fft',
+      referenceChannel: st.refChannel + 1,
+      measurementChannel: st.measChannel + 1,
+      fftSize: st.fftSize,
+      averages: st.averages,
+      delayMs: Math.round(delayMs * 100) / 100,
+      sampleRate: sr,
+      createdAt: new Date().toISOString()
+    },
+    responses: {}
+  };
+  tfInfo.textContent = `${st.count} frames`;
+}
+
+// GCC-PHAT: 위상만 남긴 교차 스펙트럼의 역변환 피크 = 지연 (프로그램 소스에서도 피크가 날카로움)
+function estimateChannelDelay(x, y) {
+  const n = x.length;
+  const size = n * 2;
+  const xr = new Float32Array(size);
+  const xi = new Float32Array(size);
+  const yr = new Float32Array(size);
+  const yi = new Float32Array(size);
+  xr.set(x);
+  yr.set(y);
+  fftInPlace(xr, xi);
+  fftInPlace(yr, yi);
+  for (let k = 0; k < size; k++) {
+    // conj(X)·Y / |conj(X)·Y|, 역변환을 위해 켤레로 저장
+    const re = xr[k] * yr[k] + xi[k] * yi[k];
+    const im = xr[k] * yi[k] - xi[k] * yr[k];
+    const mag = Math.hypot(re, im);
+    xr[k] = mag > 1e-20 ? re / mag : 0;
+    xi[k] = mag > 1e-20 ? -im / mag : 0;
+  }
+  fftInPlace(xr, xi);
+  let best = 0, bestValue = -1, sumSq = 0;
+  const half = n / 2;
+  for (let lag = -half; lag <= half; lag++) {
+    const v = Math.abs(xr[lag < 0 ? size + lag : lag]);
+    sumSq += v * v;
+    if (v > bestValue) {
+      bestValue = v;
+      best = lag;
+    }
+  }
+  const rms = Math.sqrt(sumSq / (n + 1));
+  return { delay: best, confidence: rms > 0 ? bestValue / rms : 0 };
+}
+
+function findTransferDelay(quiet) {
+  const st = transferState;
+  const sr = audioCtx ? audioCtx.sampleRate : 48000;
+  const n = TRANSFER_DELAY_WINDOW;
+  if (!st.rings || st.written < n) {
+    if (!quiet) statusEl.textContent = 'Delay finder needs more input';
+    return;
+  }
+  const x = readTransferRing(st.rings[0], 0, n, new Float32Array(n));
+  const y = readTransferRing(st.rings[1], 0, n, new Float32Array(n));
+  const { delay, confidence } = estimateChannelDelay(x, y);
+  const ms = delay / sr * 1000;
+  if (confidence < TRANSFER_MIN_CONFIDENCE) {
+    if (!quiet) statusEl.textContent = `Delay unclear (${ms.toFixed(2)} ms, confidence ${confidence.toFixed(1)})`;
+    return;
+  }
+  if (delay !== st.delay) setTransferDelay(delay);
+  if (!quiet) {
+    statusEl.textContent = `Delay ${ms.toFixed(2)} ms (${(ms * 0.343).toFixed(2)} m), confidence ${confidence.toFixed(1)}`;
+  }
+}
+
+function setTransferDelay(samples) {
+  const st = transferState;
+  const sr = audioCtx ? audioCtx.sampleRate : 48000;
+  const max = TRANSFER_RING_SIZE - 2 * st.fftSize;
+  st.delay = Math.max(-max, Math.min(max, Math.round(samples)));
+  tfDelay.value = (st.delay / sr * 1000).toFixed(2);
+  resetTransferAverages();
+}
+
+function startTransfer() {
+  if (!audioCtx || inputMode !== 'realtime' || !isRealtimeActive || !recorderState.node) {
+    statusEl.textContent = 'Dual-FFT needs realtime input (start the input first)';
+    return;
+  }
+  if (transferState.refChannel === transferState.measChannel) {
+    statusEl.textContent = 'Choose two different channels';
+    return;
+  }
+  if (measureState.capture) stopMeasurement();
+  const st = transferState;
+  st.rings = null;
+  st.pending = 0;
+  st.lastDelaySearch = performance.now();
+  resetTransferAverages();
+  st.running = true;
+  btnTfRun.classList.add('on');
+  statusEl.textContent = `Dual-FFT: CH${st.refChannel + 1} (ref) → CH${st.measChannel + 1}`;
+}
+
+function stopTransfer() {
+  transferState.running = false;
+  transferState.rings = null;
+  btnTfRun.classList.remove('on');
+  tfInfo.textContent = '';
+}
+
+function updateTransferChannelOptions() {
+  const count = getSourceChannelCount();
+  [[tfRef, 'refChannel'], [tfMeas, 'measChannel']].forEach(([select, key]) => {
+    if (select.options.length !== count) {
+      select.innerHTML = '';
+      for (let ch = 0; ch < count; ch++) {
+        const opt = document.createElement('option');
+        opt.value = String(ch);
+        opt.textContent = `CH${ch + 1}`;
+        select.appendChild(opt);
+      }
+    }
+    select.value = String(Math.min(transferState[key], count - 1));
+  });
+}
+
+function initTransferControls() {
+  updateTransferChannelOptions();
+  [[tfRef, 'refChannel'], [tfMeas, 'measChannel']].forEach(([select, key]) => {
+    select.addEventListener('focus', updateTransferChannelOptions);
+    select.addEventListener('change', () => {
+      transferState[key] = parseInt(select.value, 10) || 0;
+      if (transferState.running) {
+        stopTransfer();
+        startTransfer();
+      }
+    });
+  });
+
+  const fftSize = document.getElementById('tfFftSize');
+  fftSize.value = String(transferState.fftSize);
+  fftSize.addEventListener('change', () => {
+    transferState.fftSize = parseInt(fftSize.value, 10);
+    transferState.pending = 0;
+    resetTransferAverages();
+  });
+
+  const averages = document.getElementById('tfAverages');
+  averages.value = transferState.averages;
+  averages.addEventListener('change', () => {
+    const v = parseInt(averages.value, 10);
+    if (v >= 1) transferState.averages = Math.min(256, v);
+    averages.value = transferState.averages;
+  });
+
+  const blank = document.getElementById('tfBlank');
+  blank.value = String(transferState.blankBelow);
+  blank.addEventListener('change', () => { transferState.blankBelow = parseFloat(blank.value); });
+
+  tfDelay.value = '0.00';
+  tfDelay.addEventListener('change', () => {
+    const ms = parseFloat(tfDelay.value);
+    const sr = audioCtx ? audioCtx.sampleRate : 48000;
+    setTransferDelay(Number.isFinite(ms) ? ms * sr / 1000 : 0);
+  });
+
+  document.getElementById('btnTfFindDelay').addEventListener('click', () => findTransferDelay(false));
+  const btnAuto = document.getElementById('btnTfAutoDelay');
+  btnAuto.addEventListener('click', () => {
+    transferState.autoDelay = !transferState.autoDelay;
+    btnAuto.classList.toggle('on', transferState.autoDelay);
+  });
+
+  btnTfRun.addEventListener('click', () => {
+    if (transferState.running) {
+      stopTransfer();
+      statusEl.textContent = 'Dual-FFT stopped';
+    } else {
+      startTransfer();
+    }
+  });
+}
+
+initTransferControls();
+
+// ===================================
+// v4.1: 파일 전체 파형 개요 (확대/스크롤, 이름 붙은 마커, A–B 반복 구간)
+// - 블록(256 샘플)별 최소/최대 요약을 미리 만들어 두고, 확대가 블록보다 세밀하면 원본 샘플을 직접 읽음
+// - 클릭: 해당 시점으로 이동, 드래그: A–B 구간 지정 (켜져 있으면 전역 반복 대신 구간 반복)
+// - 휠: 확대/축소 (Shift+휠: 스크롤), 아래쪽 띠: 전체 중 보이는 범위 (클릭/드래그로 이동)
+// - 단축키: [ / ] 이전/다음 마커, M 마커 추가, L 구간 반복 켜기/끄기
+// ===================================
+
+const OVERVIEW_BLOCK_SIZE = 256;
+const OVERVIEW_RULER_HEIGHT = 14;
+const OVERVIEW_NAV_HEIGHT = 8;
+const OVERVIEW_GRAB_PX = 5;
+const OVERVIEW_MIN_VIEW_SECONDS = 0.01;
+const OVERVIEW_LOOP_COLOR = '#ffd54f';
+const OVERVIEW_MARKER_COLOR = '#ef9a9a';
+
+const overviewState = {
+  summary: null,          // { min, max } 블록별 (채널 전체)
+  viewStart: 0,           // 보이는 구간 시작 (초)
+  viewDuration: 0,        // 보이는 구간 길이 (초)
+  markers: [],            // { id, name, time }
+  nextMarkerId: 1,
+  loop: { start: 0, end: 0, enabled: false },
+  playhead: 0,            // 재생 위치 (초, 트랜스포트 'position' 이벤트)
+  drag: null,             // { kind: 'select' | 'loopStart' | 'loopEnd' | 'marker' | 'nav', ... }
+  envelope: null,         // 열별 { min, max } 캐시
+  envelopeKey: ''
+};
+
+const overviewRow = document.getElementById('overviewRow');
+const overviewCanvas = document.getElementById('overviewCanvas');
+const overviewCtx = overviewCanvas.getContext('2d');
+const ovMarkerList = document.getElementById('ovMarkerList');
+const ovLoopInfo = document.getElementById('ovLoopInfo');
+const btnOvLoop = document.getElementById('btnOvLoop');
+
+function buildOverviewSummary(buffer) {
+  const blocks = Math.ceil(buffer.length / OVERVIEW_BLOCK_SIZE);
+  const min = new Float32Array(blocks).fill(Infinity);
+  const max = new Float32Array(blocks).fill(-Infinity);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let b = 0; b < blocks; b++) {
+      const end = Math.min(data.length, (b + 1) * OVERVIEW_BLOCK_SIZE);
+      let lo = min[b], hi = max[b];
+      for (let i = b * OVERVIEW_BLOCK_SIZE; i < end; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+  }
+  return { min, max };
+}
+
+// 새 파일: 전체 보기, 마커/구간 초기화
+function resetOverview(buffer) {
+  const st = overviewState;
+  st.summary = buildOverviewSummary(buffer);
+  st.viewStart = 0;
+  st.viewDuration = buffer.duration;
+  st.markers = [];
+  st.loop = { start: 0, end: 0, enabled: false };
+  st.envelopeKey = '';
+  btnOvLoop.classList.remove('on');
+  updateOverviewMarkerUI();
+  updateOverviewLoopInfo();
+}
+
+function setOverviewView(start, duration) {
+  const st = overviewState;
+  if (!fileBuffer) return;
+  const total = fileBuffer.duration;
+  st.viewDuration = Math.max(Math.min(OVERVIEW_MIN_VIEW_SECONDS, total), Math.min(total, duration));
+  st.viewStart = Math.max(0, Math.min(total - st.viewDuration, start));
+}
+
+// anchor(초)가 화면에서 같은 자리에 머물도록 확대/축소
+function zoomOverview(factor, anchor) {
+  const st = overviewState;
+  const t = Number.isFinite(anchor) ? anchor : st.viewStart + st.viewDuration / 2;
+  const ratio = (t - st.viewStart) / st.viewDuration;
+  const duration = st.viewDuration / factor;
+  setOverviewView(t - ratio * duration, duration);
+}
+
+function timeToOverviewX(t, width) {
+  const st = overviewState;
+  return (t - st.viewStart) / st.viewDuration * width;
+}
+
+function overviewXToTime(x, width) {
+  const st = overviewState;
+  return st.viewStart + (x / width) * st.viewDuration;
+}
+
+// 열별 최소/최대 (보기가 바뀔 때만 다시 계산)
+function getOverviewEnvelope(width) {
+  const st = overviewState;
+  const cols = Math.max(1, Math.floor(width));
+  const key = `${cols}|${st.viewStart}|${st.viewDuration}`;
+  if (st.envelope && st.envelopeKey === key) return st.envelope;
+
+  const sr = fileBuffer.sampleRate;
+  const min = new Float32Array(cols);
+  const max = new Float32Array(cols);
+  const samplesPerCol = st.viewDuration * sr / cols;
+  const channels = Array.from({ length: fileBuffer.numberOfChannels }, (_, ch) => fileBuffer.getChannelData(ch));
+  for (let c = 0; c < cols; c++) {
+    const s0 = Math.floor((st.viewStart + c / cols * st.viewDuration) * sr);
+    const s1 = Math.max(s0 + 1, Math.floor((st.viewStart + (c + 1) / cols * st.viewDuration) * sr));
+    let lo = Infinity, hi = -Infinity;
+    if (samplesPerCol >= OVERVIEW_BLOCK_SIZE) {
+      const b1 = Math.min(st.summary.min.length, Math.ceil(s1 / OVERVIEW_BLOCK_SIZE));
+      for (let b = Math.floor(s0 / OVERVIEW_BLOCK_SIZE); b < b1; b++) {
+        if (st.summary.min[b] < lo) lo = st.summary.min[b];
+        if (st.summary.max[b] > hi) hi = st.summary.max[b];
+      }
+    } else {
+      channels.forEach(data => {
+        const end = Math.min(data.length, s1);
+        for (let i = s0; i < end; i++) {
+          if (data[i] < lo) lo = data[i];
+          if (data[i] > hi) hi = data[i];
+        }
+      });
+    }
+    min[c] = lo === Infinity ? 0 : lo;
+    max[c] = hi === -Infinity ? 0 : hi;
+  }
+  st.envelope = { min, max };
+  st.envelopeKey = key;
+  return st.envelope;
+}
+
+// 보기 길이에 맞는 눈금 간격 (초)
+function getOverviewTickStep(viewDuration, width) {
+  const raw = viewDuration / Math.max(1, width / 80);
+  const steps = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800, 3600];
+  return steps.find(s => s >= raw) || 3600;
+}
+
+function formatOverviewTime(t, step) {
+  const minutes = Math.floor(t / 60);
+  const seconds = t - minutes * 60;
+  const decimals = step < 0.01 ? 3 : (step < 0.1 ? 2 : (step < 1 ? 1 : 0));
+  return `${minutes}:${seconds.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0')}`;
+}
+
+function drawOverview() {
+  if (inputMode !== 'file' || !fileBuffer || !overviewState.summary) return;
+  const { width, height } = fitCanvasToDisplay(overviewCanvas, overviewCtx);
+  if (width < 2 || height < 2) return; // 패널이 접혀 있음
+  const ctx = overviewCtx;
+  const st = overviewState;
+  const top = OVERVIEW_RULER_HEIGHT;
+  const navTop = height - OVERVIEW_NAV_HEIGHT;
+  const mid = (top + navTop - 2) / 2;
+  const half = (navTop - 2 - top) / 2;
+
+  ctx.fillStyle = '#0e0f14';
+  ctx.fillRect(0, 0, width, height);
+
+  // 시간 눈금
+  const step = getOverviewTickStep(st.viewDuration, width);
+  ctx.font = '10px system-ui, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  for (let t = Math.ceil(st.viewStart / step) * step; t <= st.viewStart + st.viewDuration; t += step) {
+    const x = Math.round(timeToOverviewX(t, width)) + 0.5;
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, navTop - 2);
+    ctx.stroke();
+    ctx.fillStyle = '#888';
+    ctx.fillText(formatOverviewTime(t, step), x + 2, 2);
+  }
+
+  // A–B 구간
+  const loop = st.loop;
+  if (loop.end > loop.start) {
+    const x0 = timeToOverviewX(loop.start, width);
+    const x1 = timeToOverviewX(loop.end, width);
+    ctx.fillStyle = loop.enabled ? 'rgba(255,213,79,0.18)' : 'rgba(255,213,79,0.07)';
+    ctx.fillRect(x0, top, x1 - x0, navTop - 2 - top);
+    ctx.strokeStyle = loop.enabled ? OVERVIEW_LOOP_COLOR : 'rgba(255,213,79,0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    [x0, x1].forEach(x => {
+      ctx.moveTo(Math.round(x) + 0.5, top);
+      ctx.lineTo(Math.round(x) + 0.5, navTop - 2);
+    });
+    ctx.stroke();
+  }
+
+  // 파형 (열별 최소/최대)
+  const env = getOverviewEnvelope(width);
+  ctx.fillStyle = '#64b5f6';
+  for (let c = 0; c < env.min.length; c++) {
+    const y0 = mid - Math.min(1, env.max[c]) * half;
+    const y1 = mid - Math.max(-1, env.min[c]) * half;
+    ctx.fillRect(c, y0, 1, Math.max(1, y1 - y0));
+  }
+
+  // 마커
+  ctx.textBaseline = 'top';
+  st.markers.forEach(m => {
+    const x = Math.round(timeToOverviewX(m.time, width)) + 0.5;
+    if (x < 0 || x > width) return;
+    ctx.strokeStyle = OVERVIEW_MARKER_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, navTop - 2);
+    ctx.stroke();
+    ctx.fillStyle = OVERVIEW_MARKER_COLOR;
+    ctx.fillText(m.name, x + 3, top + 2);
+  });
+
+  // 재생 위치
+  const pos = st.playhead;
+  const px = Math.round(timeToOverviewX(pos, width)) + 0.5;
+  if (px >= 0 && px <= width) {
+    ctx.strokeStyle = '#fff';
+    ctx.beginPath();
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, navTop - 2);
+    ctx.stroke();
+  }
+
+  // 전체 중 보이는 범위
+  const total = fileBuffer.duration;
+  ctx.fillStyle = 'rgba(255,255,255,0.08)';
+  ctx.fillRect(0, navTop, width, OVERVIEW_NAV_HEIGHT);
+  ctx.fillStyle = 'rgba(100,181,246,0.6)';
+  ctx.fillRect(st.viewStart / total * width, navTop, Math.max(2, st.viewDuration / total * width), OVERVIEW_NAV_HEIGHT);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(pos / total * width - 0.5, navTop, 1, OVERVIEW_NAV_HEIGHT);
+}
+
+// 재생 위치 갱신 - 화면 밖으로 나가면 다음 쪽으로 넘김
+function followOverviewPlayhead(t) {
+  const st = overviewState;
+  st.playhead = t;
+  if (!fileBuffer || st.drag || st.viewDuration >= fileBuffer.duration) return;
+  if (transport.isPlaying() && (t < st.viewStart || t > st.viewStart + st.viewDuration)) {
+    setOverviewView(t, st.viewDuration);
+  }
+}
+
+function hitTestOverview(x, y, width, height) {
+  const st = overviewState;
+  if (y >= height - OVERVIEW_NAV_HEIGHT) return { kind: 'nav' };
+  const near = t => Math.abs(timeToOverviewX(t, width) - x) <= OVERVIEW_GRAB_PX;
+  if (st.loop.end > st.loop.start) {
+    if (near(st.loop.start)) return { kind: 'loopStart' };
+    if (near(st.loop.end)) return { kind: 'loopEnd' };
+  }
+  const marker = st.markers.find(m => near(m.time));
+  if (marker) return { kind: 'marker', marker };
+  return { kind: 'select' };
+}
+
+// --- 마커 ---
+
+function addOverviewMarker(time, name) {
+  const st = overviewState;
+  const marker = { id: st.nextMarkerId++, name: name || `M${st.nextMarkerId - 1}`, time };
+  st.markers.push(marker);
+  st.markers.sort((a, b) => a.time - b.time);
+  updateOverviewMarkerUI();
+  return marker;
+}
+
+function removeOverviewMarker(id) {
+  overviewState.markers = overviewState.markers.filter(m => m.id !== id);
+  updateOverviewMarkerUI();
+}
+
+// dir: +1 다음, −1 이전 (현재 위치 기준, 바로 위에 있는 마커는 건너뜀)
+function jumpToOverviewMarker(dir) {
+  const pos = transport.getTime();
+  const eps = 0.05;
+  const list = overviewState.markers;
+  const target = dir > 0
+    ? list.find(m => m.time > pos + eps)
+    : list.slice().reverse().find(m => m.time < pos - eps);
+  if (target) seekToTime(target.time);
+  else if (dir < 0) seekToTime(0);
+}
+
+function updateOverviewMarkerUI() {
+  ovMarkerList.innerHTML = '';
+  overviewState.markers.forEach(m => {
+    const item = document.createElement('span');
+    item.className = 'ref-item';
+
+    const btnGo = document.createElement('button');
+    btnGo.textContent = formatOverviewTime(m.time, 0.01);
+    btnGo.title = '이 마커로 이동';
+    btnGo.addEventListener('click', () => seekToTime(m.time));
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = m.name;
+    nameInput.addEventListener('change', () => {
+      m.name = nameInput.value.trim() || m.name;
+      nameInput.value = m.name;
+    });
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '×';
+    btnRemove.title = '삭제';
+    btnRemove.addEventListener('click', () => removeOverviewMarker(m.id));
+
+    item.append(btnGo, nameInput, btnRemove);
+    ovMarkerList.appendChild(item);
+  });
+}
+
+// --- A–B 구간 반복 ---
+
+// 재생 소스에 적용할 반복 범위 (A–B가 켜져 있으면 전역 반복보다 우선)
+function getFileLoopRange() {
+  const loop = overviewState.loop;
+  if (loop.enabled && loop.end - loop.start >= OVERVIEW_MIN_VIEW_SECONDS) {
+    return { start: loop.start, end: loop.end };
+  }
+  if (isRepeating && fileDuration > 0) return { start: 0, end: fileDuration };
+  return null;
+}
+
+function setOverviewLoop(start, end, enabled) {
+  const st = overviewState;
+  const total = fileBuffer ? fileBuffer.duration : 0;
+  st.loop.start = Math.max(0, Math.min(start, end));
+  st.loop.end = Math.min(total, Math.max(start, end));
+  st.loop.enabled = enabled && st.loop.end - st.loop.start >= OVERVIEW_MIN_VIEW_SECONDS;
+  btnOvLoop.classList.toggle('on', st.loop.enabled);
+  updateOverviewLoopInfo();
+  transport.setLoop(getFileLoopRange());
+}
+
+function updateOverviewLoopInfo() {
+  const loop = overviewState.loop;
+  ovLoopInfo.textContent = loop.end > loop.start
+    ? `${formatOverviewTime(loop.start, 0.01)} – ${formatOverviewTime(loop.end, 0.01)}`
+    : '';
+}
+
+function seekToTime(t) {
+  if (!fileDuration) return;
+  seekToPosition(Math.max(0, Math.min(100, t / fileDuration * 100)));
+}
+
+// --- 마우스 / 키보드 ---
+
+function getOverviewPointer(e) {
+  const rect = overviewCanvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top, width: rect.width, height: rect.height };
+}
+
+function moveOverviewNav(x, width) {
+  const st = overviewState;
+  const t = x / width * fileBuffer.duration;
+  setOverviewView(t - st.viewDuration / 2, st.viewDuration);
+}
+
+function initOverviewControls() {
+  transport.on('position', followOverviewPlayhead);
+
+  overviewCanvas.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || !fileBuffer || !overviewState.summary) return;
+    e.preventDefault();
+    const p = getOverviewPointer(e);
+    const hit = hitTestOverview(p.x, p.y, p.width, p.height);
+    const t = overviewXToTime(p.x, p.width);
+    if (hit.kind === 'nav') {
+      moveOverviewNav(p.x, p.width);
+    }
+    overviewState.drag = { ...hit, startX: p.x, anchor: t, moved: false };
+  });
+
+  window.addEventListener('mousemove', (e) => {
+    const drag = overviewState.drag;
+    if (!drag) return;
+    const p = getOverviewPointer(e);
+    if (Math.abs(p.x - drag.startX) > 3) drag.moved = true;
+    const t = Math.max(0, Math.min(fileBuffer.duration, overviewXToTime(p.x, p.width)));
+    const loop = overviewState.loop;
+    if (drag.kind === 'nav') {
+      moveOverviewNav(p.x, p.width);
+    } else if (drag.kind === 'marker') {
+      drag.marker.time = t;
+    } else if (drag.kind === 'loopStart' || drag.kind === 'loopEnd') {
+      if (drag.kind === 'loopStart') loop.start = Math.min(t, loop.end);
+      else loop.end = Math.max(t, loop.start);
+      updateOverviewLoopInfo();
+    } else if (drag.moved) {
+      loop.start = Math.min(drag.anchor, t);
+      loop.end = Math.max(drag.anchor, t);
+      updateOverviewLoopInfo();
+    }
+  });
+
+  window.addEventListener('mouseup', () => {
+    const drag = overviewState.drag;
+    if (!drag) return;
+    overviewState.drag = null;
+    const loop = overviewState.loop;
+    if (drag.kind === 'marker') {
+      if (drag.moved) {
+        overviewState.markers.sort((a, b) => a.time - b.time);
+        updateOverviewMarkerUI();
+      } else {
+        seekToTime(drag.marker.time);
+      }
+    } else if (drag.kind === 'loopStart' || drag.kind === 'loopEnd') {
+      setOverviewLoop(loop.start, loop.end, loop.enabled);
+    } else if (drag.kind === 'select') {
+      // 드래그: 새 A–B 구간 (바로 켬), 클릭: 그 위치로 이동
+      if (drag.moved) setOverviewLoop(loop.start, loop.end, true);
+      else seekToTime(drag.anchor);
+    }
+  });
+
+  overviewCanvas.addEventListener('wheel', (e) => {
+    if (!fileBuffer || !overviewState.summary) return;
+    e.preventDefault();
+    const p = getOverviewPointer(e);
+    const st = overviewState;
+    if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      const delta = (e.shiftKey ? e.deltaY : e.deltaX) / p.width * st.viewDuration;
+      setOverviewView(st.viewStart + delta, st.viewDuration);
+    } else {
+      zoomOverview(e.deltaY < 0 ? 1.25 : 0.8, overviewXToTime(p.x, p.width));
+    }
+  }, { passive: false });
+
+  overviewCanvas.addEventListener('mousemove', (e) => {
+    if (overviewState.drag || !fileBuffer) return;
+    const p = getOverviewPointer(e);
+    const hit = hitTestOverview(p.x, p.y, p.width, p.height);
+    overviewCanvas.style.cursor = hit.kind === 'select' ? 'text'
+      : (hit.kind === 'nav' ? 'pointer' : 'ew-resize');
+  });
+
+  document.getElementById('btnOvFit').addEventListener('click', () => {
+    if (fileBuffer) setOverviewView(0, fileBuffer.duration);
+  });
+  document.getElementById('btnOvZoomIn').addEventListener('click', () => {
+    if (fileBuffer) zoomOverview(2, isPlaying ? transport.getTime() : undefined);
+  });
+  document.getElementById('btnOvZoomOut').addEventListener('click', () => {
+    if (fileBuffer) zoomOverview(0.5);
+  });
+
+  const markerName = document.getElementById('ovMarkerName');
+  document.getElementById('btnOvAddMarker').addEventListener('click', () => {
+    if (!fileBuffer) return;
+    addOverviewMarker(transport.getTime(), markerName.value.trim());
+    markerName.value = '';
+  });
+
+  btnOvLoop.addEventListener('click', () => {
+    const loop = overviewState.loop;
+    if (loop.end - loop.start < OVERVIEW_MIN_VIEW_SECONDS) {
+      statusEl.textContent = 'Drag on the overview to set an A–B region';
+      return;
+    }
+    setOverviewLoop(loop.start, loop.end, !loop.enabled);
+  });
+  document.getElementById('btnOvLoopClear').addEventListener('click', () => setOverviewLoop(0, 0, false));
+
+  window.addEventListener('keydown', (e) => {
+    if (inputMode !== 'file' || !fileBuffer || e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = document.activeElement && document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+    if (e.key === '[' || e.key === ']') {
+      e.preventDefault();
+      jumpToOverviewMarker(e.key === ']' ? 1 : -1);
+    } else if (e.key === 'm' || e.key === 'M') {
+      e.preventDefault();
+      addOverviewMarker(transport.getTime());
+    } else if (e.key === 'l' || e.key === 'L') {
+      e.preventDefault();
+      btnOvLoop.click();
+    }
+  });
+}
+
+initOverviewControls();
+
+// ===================================
+// v4.1: 재생 속도 / 음높이 (음원재생 모드)
+// - varispeed: 소스 playbackRate만 바꿈 (음높이가 속도를 따라감)
+// - time stretch: WSOLA로 길이를 바꾼 버퍼를 만들어 재생 (음높이 유지, stretch-worker.js에서 계산)
+// - 음높이 이동: 늘인 버퍼를 반음 배율로 빠르게/느리게 재생 → 속도는 그대로, 음높이만 이동
+//   소스 속도 p, 목표 속도 r이면 버퍼를 p / r 배로 늘임
+// - Hz 보정: 스펙트럼의 빈 주파수를 p로 나눠 원본 녹음 기준 주파수로 표시
+// - 늘인 버퍼를 만들 수 없으면 (너무 긴 파일, 메모리 부족) 음높이 이동 없는 varispeed로 되돌림
+// ===================================
+
+const PLAYBACK_MIN_RATE = 0.25;
+const PLAYBACK_MAX_RATE = 4;
+const PLAYBACK_MAX_SEMITONES = 12;
+const STRETCH_MAX_SAMPLES = 2 ** 26;    // 늘인 버퍼 최대 크기 (채널 × 프레임, 256 MB)
+
+const playbackState = {
+  rate: 1,              // 원본 대비 재생 속도
+  mode: 'varispeed',    // 'varispeed' | 'stretch'
+  semitones: 0,
+  compensate: true,     // 스펙트럼 주파수축 보정
+  appliedRate: 1,       // 트랜스포트에 적용된 소스 속도 (= 음높이 배율)
+  stretched: null,      // { source, factor, buffer } 마지막으로 만든 늘인 버퍼
+  job: null,            // 계산 중인 stretch-worker { worker, finish }
+  token: 0              // 진행 중인 계산 (설정/파일이 바뀌면 버림)
+};
+
+const pbInfo = document.getElementById('pbInfo');
+
+// 버퍼 길이를 factor배로 (WSOLA, stretch-worker.js) - 다른 계산이 시작되면 이전 작업자는 끝내고 null
+function timeStretchBuffer(buffer, factor) {
+  cancelTimeStretch();
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('stretch-worker.js');
+    const job = {
+      worker,
+      finish(result, err) {
+        worker.terminate();
+        if (playbackState.job === job) playbackState.job = null;
+        if (err) reject(err);
+        else resolve(result);
+      }
+    };
+    playbackState.job = job;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        pbInfo.textContent = `Stretching... ${Math.round(msg.progress * 100)}%`;
+      } else if (msg.type === 'error') {
+        job.finish(null, new Error(msg.message));
+      } else {
+        const result = audioCtx.createBuffer(msg.channels.length, msg.channels[0].length, buffer.sampleRate);
+        msg.channels.forEach((data, ch) => result.copyToChannel(data, ch));
+        job.finish(result);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      job.finish(null, new Error(e.message || 'Stretch worker failed'));
+    };
+
+    // AudioBuffer 채널 데이터는 넘길 수 없으므로 복사본의 소유권을 이전
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch).slice());
+    worker.postMessage({ channels, sampleRate: buffer.sampleRate, factor }, channels.map(c => c.buffer));
+  });
+}
+
+function cancelTimeStretch() {
+  if (playbackState.job) playbackState.job.finish(null);
+}
+
+// 컨트롤을 playbackState에 맞춤
+function updatePlaybackControls() {
+  document.getElementById('pbMode').value = playbackState.mode;
+  document.getElementById('pbRate').value = playbackState.rate;
+  document.getElementById('pbPitch').value = playbackState.semitones;
+}
+
+// 늘인 버퍼 없이 재생할 수 있는 설정(varispeed, 음높이 이동 없음)으로 되돌림 - 속도는 유지
+function fallBackToVarispeed(message) {
+  playbackState.mode = 'varispeed';
+  playbackState.semitones = 0;
+  updatePlaybackControls();
+  statusEl.textContent = message;
+  applyPlaybackSettings();
+}
+
+// 현재 설정을 트랜스포트에 적용 (늘인 버퍼가 필요하면 계산이 끝날 때까지 이전 설정으로 계속 재생)
+async function applyPlaybackSettings() {
+  if (!fileBuffer || !audioCtx) return;
+  const st = playbackState;
+  const token = ++st.token;
+  cancelTimeStretch(); // 이전 설정의 계산은 버림
+  const pitch = Math.pow(2, st.semitones / 12);
+  const sourceRate = st.mode === 'varispeed' ? st.rate * pitch : pitch;
+  const factor = sourceRate / st.rate;
+
+  let buffer = fileBuffer;
+  if (Math.abs(factor - 1) > 1e-6) {
+    const cached = st.stretched;
+    if (cached && cached.source === fileBuffer && cached.factor === factor) {
+      buffer = cached.buffer;
+    } else {
+      if (fileBuffer.length * fileBuffer.numberOfChannels * factor > STRETCH_MAX_SAMPLES) {
+        fallBackToVarispeed('File too long for time stretch at this setting - using varispeed');
+        return;
+      }
+      pbInfo.textContent = 'Stretching...';
+      const source = fileBuffer;
+      try {
+        buffer = await timeStretchBuffer(source, factor);
+      } catch (err) {
+        console.error('v4.1: Time stretch error:', err);
+        if (token === st.token && source === fileBuffer) fallBackToVarispeed(`Time stretch error: ${err.message} - using varispeed`);
+        return;
+      }
+      if (!buffer || token !== st.token || source !== fileBuffer) return;
+      st.stretched = { source, factor, buffer };
+    }
+  }
+
+  transport.setPlayback(buffer, buffer === fileBuffer ? 1 : factor, sourceRate);
+  st.appliedRate = sourceRate;
+  updatePlaybackInfo();
+  console.log(`v4.1: Playback ${st.rate}× (${st.mode}), pitch ${st.semitones} st, buffer ×${factor.toFixed(3)}`);
+}
+
+// 새 파일: 이전 파일의 늘인 버퍼는 버리고 현재 설정을 다시 적용
+function resetPlaybackSettings() {
+  playbackState.stretched = null;
+  playbackState.appliedRate = 1;
+  updatePlaybackInfo();
+  applyPlaybackSettings();
+}
+
+function updatePlaybackInfo() {
+  const st = playbackState;
+  const pitchSemis = 12 * Math.log2(st.appliedRate);
+  pbInfo.textContent = Math.abs(pitchSemis) > 0.01
+    ? `pitch ${pitchSemis > 0 ? '+' : ''}${pitchSemis.toFixed(1)} st`
+    : '';
+}
+
+// 스펙트럼 빈 주파수 배율 (재생 음높이 보정, 음원재생 모드에서만)
+function getSpectrumFrequencyScale() {
+  if (inputMode !== 'file' || !playbackState.compensate) return 1;
+  return 1 / playbackState.appliedRate;
+}
+
+// 스펙트럼 데이터의 나이퀴스트 (빈 간격 계산용, 보정 포함)
+function getSpectrumNyquist() {
+  return getNyquist() * getSpectrumFrequencyScale();
+}
+
+function initPlaybackControls() {
+  const modeSelect = document.getElementById('pbMode');
+  modeSelect.value = playbackState.mode;
+  modeSelect.addEventListener('change', () => {
+    playbackState.mode = modeSelect.value;
+    applyPlaybackSettings();
+  });
+
+  // 숫자 입력: [id, 키, 최소, 최대]
+  [
+    ['pbRate', 'rate', PLAYBACK_MIN_RATE, PLAYBACK_MAX_RATE],
+    ['pbPitch', 'semitones', -PLAYBACK_MAX_SEMITONES, PLAYBACK_MAX_SEMITONES]
+  ].forEach(([id, key, min, max]) => {
+    const input = document.getElementById(id);
+    input.value = playbackState[key];
+    input.addEventListener('change', () => {
+      const v = parseFloat(input.value);
+      if (Number.isFinite(v)) playbackState[key] = Math.max(min, Math.min(max, v));
+      input.value = playbackState[key];
+      applyPlaybackSettings();
+    });
+  });
+
+  document.getElementById('btnPbReset').addEventListener('click', () => {
+    playbackState.rate = 1;
+    playbackState.semitones = 0;
+    updatePlaybackControls();
+    applyPlaybackSettings();
+  });
+
+  const btnCompensate = document.getElementById('btnPbCompensate');
+  btnCompensate.classList.toggle('on', playbackState.compensate);
+  btnCompensate.addEventListener('click', () => {
+    playbackState.compensate = !playbackState.compensate;
+    btnCompensate.classList.toggle('on', playbackState.compensate);
+  });
+}
+
+initPlaybackControls();
+
+// ===================================
+// v4.1: 재생 목록 (음원재생 모드)
+// - 파일 선택/창에 끌어다 놓기 (폴더 포함)로 여러 파일 추가
+// - 디코딩은 한 번에 하나씩 백그라운드로 (UI를 막지 않음), 헤더에서 형식/표본율/비트 수 읽기
+// - 디코딩된 버퍼는 열린 파일과 다음 파일만 보관 (나머지는 다시 열 때 다시 디코딩)
+// - 파일별 재생 위치 기억, 이전/다음, 끝나면 다음 파일 자동 재생
+// ===================================
+
+const PLAYLIST_AUDIO_EXTENSIONS = ['wav', 'wave', 'flac', 'mp3', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'mp4', 'webm', 'aif', 'aiff', 'caf'];
+const MPEG_SYNC_SEARCH_BYTES = 65536; // ID3 태그 뒤 첫 프레임 헤더를 찾는 범위
+
+const playlistState = {
+  entries: [],          // { id, file, name, format, sampleRate, bitDepth, channels, duration, status, buffer, position, error }
+  nextId: 1,
+  currentId: null,      // 열려 있는 항목
+  openId: null,         // 디코딩이 끝나면 열 항목
+  openPlay: false,      // 열면서 바로 재생할지
+  autoAdvance: true,
+  decoding: false
+};
+
+const playlistList = document.getElementById('playlistList');
+const plInfo = document.getElementById('plInfo');
+
+function getFileExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot >= 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+function isAudioFile(file) {
+  return (file.type && file.type.startsWith('audio/')) || PLAYLIST_AUDIO_EXTENSIONS.includes(getFileExtension(file.name));
+}
+
+function readFourCC(view, off) {
+  return String.fromCharCode(view.getUint8(off), view.getUint8(off + 1), view.getUint8(off + 2), view.getUint8(off + 3));
+}
+
+// FLAC STREAMINFO (블록 본문 시작 si): 10바이트 뒤에 표본율 20비트, 채널 3비트, 비트 수 - 1 5비트
+function readFlacStreamInfo(view, si, format) {
+  const b = off => view.getUint8(si + off);
+  return {
+    format,
+    sampleRate: (b(10) << 12) | (b(11) << 4) | (b(12) >> 4),
+    bitDepth: (((b(12) & 1) << 4) | (b(13) >> 4)) + 1
+  };
+}
+
+function readWavInfo(view) {
+  const size = view.byteLength;
+  if (size < 12 || readFourCC(view, 0) !== 'RIFF' || readFourCC(view, 8) !== 'WAVE') return null;
+  let off = 12;
+  while (off + 8 <= size) {
+    const chunkSize = view.getUint32(off + 4, true);
+    if (readFourCC(view, off) === 'fmt ' && off + 24 <= size) {
+      let code = view.getUint16(off + 8, true);
+      // WAVE_FORMAT_EXTENSIBLE: 하위 형식 GUID의 앞 2바이트가 실제 형식
+      if (code === 0xfffe && chunkSize >= 40 && off + 34 <= size) code = view.getUint16(off + 32, true);
+      return { format: code === 3 ? 'WAV float' : 'WAV', sampleRate: view.getUint32(off + 12, true), bitDepth: view.getUint16(off + 22, true) };
+    }
+    off += 8 + chunkSize + (chunkSize & 1);
+  }
+  return null;
+}
+
+// "fLaC" + 블록 헤더(4) + STREAMINFO
+function readFlacInfo(view) {
+  if (view.byteLength < 22 || readFourCC(view, 0) !== 'fLaC') return null;
+  return readFlacStreamInfo(view, 8, 'FLAC');
+}
+
+// AIFF / AIFF-C: COMM 청크의 표본율은 80비트 확장 정밀도 실수 (빅 엔디언)
+function readAiffInfo(view) {
+  const size = view.byteLength;
+  if (size < 12 || readFourCC(view, 0) !== 'FORM') return null;
+  const kind = readFourCC(view, 8);
+  if (kind !== 'AIFF' && kind !== 'AIFC') return null;
+  let off = 12;
+  while (off + 8 <= size) {
+    const chunkSize = view.getUint32(off + 4);
+    if (readFourCC(view, off) === 'COMM' && off + 26 <= size) {
+      const exp = view.getUint16(off + 16) & 0x7fff;
+      const mantissa = view.getUint32(off + 18) * 2 ** 32 + view.getUint32(off + 22);
+      return {
+        format: kind === 'AIFC' ? 'AIFF-C' : 'AIFF',
+        sampleRate: Math.round(mantissa * 2 ** (exp - 16383 - 63)),
+        bitDepth: view.getUint16(off + 14)
+      };
+    }
+    off += 8 + chunkSize + (chunkSize & 1);
+  }
+  return null;
+}
+
+// CAF: "caff" + 버전/플래그, 청크 = 형식(4) + 크기(8), desc 청크 첫 값이 float64 표본율
+function readCafInfo(view) {
+  const size = view.byteLength;
+  if (size < 8 || readFourCC(view, 0) !== 'caff') return null;
+  let off = 8;
+  while (off + 12 <= size) {
+    const chunkSize = Number(view.getBigInt64(off + 4));
+    if (readFourCC(view, off) === 'desc' && off + 44 <= size) {
+      const codec = readFourCC(view, off + 20);
+      return {
+        format: codec === 'lpcm' ? 'CAF' : `CAF ${codec.trim()}`,
+        sampleRate: Math.round(view.getFloat64(off + 12)),
+        bitDepth: codec === 'lpcm' ? view.getUint32(off + 40) : null
+      };
+    }
+    if (chunkSize < 0) break; // 크기 −1 = 파일 끝까지 (data 청크)
+    off += 12 + chunkSize;
+  }
+  return null;
+}
+
+// Ogg: 첫 페이지의 첫 패킷이 식별 헤더 (Vorbis / Opus / FLAC 매핑)
+function readOggInfo(view) {
+  const size = view.byteLength;
+  if (size < 28 || readFourCC(view, 0) !== 'OggS') return null;
+  const p = 27 + view.getUint8(26); // 세그먼트 표 다음이 패킷 시작
+  if (p + 20 > size) return null;
+  const text = (off, n) => String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + off, n));
+  if (view.getUint8(p) === 1 && text(p + 1, 6) === 'vorbis') {
+    return { format: 'Ogg Vorbis', sampleRate: view.getUint32(p + 12, true), bitDepth: null };
+  }
+  if (text(p, 8) === 'OpusHead') {
+    // Opus는 항상 48 kHz로 부호화 (헤더의 입력 표본율은 원본 참고값)
+    return { format: 'Opus', sampleRate: 48000, bitDepth: null };
+  }
+  if (view.getUint8(p) === 0x7f && text(p + 1, 4) === 'FLAC' && p + 31 <= size) {
+    // 0x7F "FLAC" 버전(2) 헤더 수(2) "fLaC" 블록 헤더(4) STREAMINFO
+    return readFlacStreamInfo(view, p + 17, 'Ogg FLAC');
+  }
+  return null;
+}
+
+// MP4 / M4A: moov → trak(hdlr 'soun') → mdia → minf → stbl → stsd 첫 표본 항목의 표본율 (16.16 고정소수)
+// 65535 Hz를 넘으면 항목 값이 0이므로 mdhd 시간 단위(오디오 트랙은 보통 표본율)를 사용
+function readMp4Info(view) {
+  const size = view.byteLength;
+  if (size < 16 || readFourCC(view, 4) !== 'ftyp') return null;
+  const boxes = (start, end) => {
+    const list = [];
+    let off = start;
+    while (off + 8 <= end) {
+      let boxSize = view.getUint32(off);
+      let header = 8;
+      if (boxSize === 1 && off + 16 <= end) {
+        boxSize = Number(view.getBigUint64(off + 8));
+        header = 16;
+      } else if (boxSize === 0) {
+        boxSize = end - off;
+      }
+      if (boxSize < header) break;
+      list.push({ type: readFourCC(view, off + 4), start: off + header, end: Math.min(end, off + boxSize) });
+      off += boxSize;
+    }
+    return list;
+  };
+  const child = (box, type) => (box ? boxes(box.start, box.end).find(b => b.type === type) || null : null);
+
+  const moov = boxes(0, size).find(b => b.type === 'moov');
+  if (!moov) return null;
+  for (const trak of boxes(moov.start, moov.end).filter(b => b.type === 'trak')) {
+    const mdia = child(trak, 'mdia');
+    const hdlr = child(mdia, 'hdlr');
+    if (!hdlr || readFourCC(view, hdlr.start + 8) !== 'soun') continue;
+    const mdhd = child(mdia, 'mdhd');
+    const timescale = mdhd ? view.getUint32(mdhd.start + (view.getUint8(mdhd.start) === 1 ? 20 : 12)) : 0;
+    const stsd = child(child(child(mdia, 'minf'), 'stbl'), 'stsd');
+    const entry = stsd ? stsd.start + 8 : -1;
+    if (entry < 0 || entry + 36 > stsd.end) return { format: 'MP4', sampleRate: timescale || null, bitDepth: null };
+    const codec = readFourCC(view, entry + 4);
+    const lossless = codec === 'alac' || codec === 'fLaC';
+    return {
+      format: { mp4a: 'AAC', alac: 'ALAC', fLaC: 'FLAC', Opus: 'Opus', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3' }[codec] || codec.trim(),
+      sampleRate: (view.getUint32(entry + 32) >>> 16) || timescale || null,
+      bitDepth: lossless ? view.getUint16(entry + 26) : null
+    };
+  }
+  return null;
+}
+
+// WebM (EBML): Segment → Tracks → TrackEntry → Audio → SamplingFrequency (float)
+// 트랙 정보는 Cluster보다 앞에 있으므로 Cluster를 만나면 중단
+function readWebmInfo(view) {
+  const size = view.byteLength;
+  if (size < 4 || view.getUint32(0) !== 0x1a45dfa3) return null;
+  const MASTER_IDS = [0x18538067, 0x1654ae6b, 0xae, 0xe1]; // Segment, Tracks, TrackEntry, Audio
+  const CLUSTER_ID = 0x1f43b675;
+  // 가변 길이 정수: ID는 표시 비트 포함, 크기는 표시 비트 제외 (모든 비트 1 = 크기 모름)
+  const readVint = (off, keepMarker) => {
+    const first = view.getUint8(off);
+    let len = 1;
+    let mask = 0x80;
+    while (len <= 8 && !(first & mask)) { len++; mask >>= 1; }
+    if (len > 8 || off + len > size) return null;
+    let value = keepMarker ? first : first & (mask - 1);
+    let allOnes = (first & (mask - 1)) === mask - 1;
+    for (let i = 1; i < len; i++) {
+      const b = view.getUint8(off + i);
+      value = value * 256 + b;
+      if (b !== 0xff) allOnes = false;
+    }
+    return { value, len, unknown: !keepMarker && allOnes };
+  };
+  const found = { codec: '', sampleRate: null, bitDepth: null };
+  const walk = (start, end) => {
+    let off = start;
+    while (off < end) {
+      const id = readVint(off, true);
+      const len = id && readVint(off + id.len, false);
+      if (!len) return false;
+      const dataStart = off + id.len + len.len;
+      const dataEnd = len.unknown ? end : Math.min(end, dataStart + len.value);
+      const n = dataEnd - dataStart;
+      if (id.value === CLUSTER_ID) return false;
+      if (MASTER_IDS.includes(id.value)) {
+        if (walk(dataStart, dataEnd)) return true;
+        if (id.value === 0xe1 && found.sampleRate) return true;
+      } else if (id.value === 0x86 && n > 0) {
+        found.codec = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + dataStart, n));
+      } else if (id.value === 0xb5 && (n === 4 || n === 8)) {
+        found.sampleRate = Math.round(n === 4 ? view.getFloat32(dataStart) : view.getFloat64(dataStart));
+      } else if (id.value === 0x6264 && n === 1) {
+        found.bitDepth = view.getUint8(dataStart);
+      }
+      off = dataEnd;
+    }
+    return false;
+  };
+  walk(0, size);
+  if (!found.sampleRate) return null;
+  const codec = { A_OPUS: 'Opus', A_VORBIS: 'Vorbis', A_FLAC: 'FLAC' }[found.codec];
+  return { format: codec ? `WebM ${codec}` : 'WebM', sampleRate: found.sampleRate, bitDepth: found.bitDepth };
+}
+
+// MP3 / MP2 / ADTS AAC: ID3v2 태그를 건너뛰고 첫 프레임 헤더에서 표본율
+function readMpegAudioInfo(view) {
+  const size = view.byteLength;
+  let off = 0;
+  while (off + 10 <= size && readFourCC(view, off).slice(0, 3) === 'ID3') {
+    // 크기는 7비트씩 4바이트 (syncsafe), 꼬리말 플래그면 10바이트 더
+    const tagSize = ((view.getUint8(off + 6) & 0x7f) << 21) | ((view.getUint8(off + 7) & 0x7f) << 14) |
+      ((view.getUint8(off + 8) & 0x7f) << 7) | (view.getUint8(off + 9) & 0x7f);
+    off += 10 + tagSize + (view.getUint8(off + 5) & 0x10 ? 10 : 0);
+  }
+  const MPEG_RATES = [44100, 48000, 32000];
+  const ADTS_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+  const limit = Math.min(size - 4, off + MPEG_SYNC_SEARCH_BYTES);
+  for (let i = off; i <= limit; i++) {
+    if (view.getUint8(i) !== 0xff || (view.getUint8(i + 1) & 0xe0) !== 0xe0) continue;
+    const b1 = view.getUint8(i + 1);
+    const b2 = view.getUint8(i + 2);
+    const version = (b1 >> 3) & 3;   // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = (b1 >> 1) & 3;     // 1: Layer III, 2: Layer II, 3: Layer I, 0: ADTS
+    if (layer === 0) {
+      const index = (b2 >> 2) & 0xf;
+      if ((b1 & 0xf6) === 0xf0 && index < ADTS_RATES.length) return { format: 'AAC', sampleRate: ADTS_RATES[index], bitDepth: null };
+      continue;
+    }
+    const rateIndex = (b2 >> 2) & 3;
+    const bitrateIndex = b2 >> 4;
+    if (version === 1 || rateIndex === 3 || bitrateIndex === 0 || bitrateIndex === 15) continue;
+    return {
+      format: ['MP3', 'MP2', 'MP1'][layer - 1],
+      sampleRate: MPEG_RATES[rateIndex] / (version === 3 ? 1 : (version === 2 ? 2 : 4)),
+      bitDepth: null
+    };
+  }
+  return null;
+}
+
+// 컨테이너/프레임 헤더에서 형식 정보 (디코딩하면 컨텍스트 표본율로 바뀌므로 원본 값은 헤더에서) - 모르면 null
+// 프레임 동기 검색은 오탐 가능성이 있어 마지막에
+function readAudioFileInfo(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const readers = [readWavInfo, readFlacInfo, readAiffInfo, readCafInfo, readOggInfo, readMp4Info, readWebmInfo, readMpegAudioInfo];
+  try {
+    for (const read of readers) {
+      const info = read(view);
+      if (info) return info;
+    }
+  } catch (err) {
+    // 잘린/손상된 헤더: 형식 정보 없이 디코딩은 계속
+    console.warn('v4.1: Audio header parse error:', err);
+  }
+  return null;
+}
+
+// 끌어다 놓은 항목 → 파일 목록 (폴더는 하위까지, 폴더 안은 이름순)
+// DataTransfer는 drop 이벤트가 끝나면 비워지므로 항목은 동기적으로 먼저 꺼내 둠
+function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry());
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Promise.resolve(Array.from(dataTransfer.files));
+  }
+
+  const readAll = reader => new Promise((resolve, reject) => {
+    const all = [];
+    const next = () => reader.readEntries(batch => {
+      if (batch.length === 0) resolve(all);
+      else { all.push(...batch); next(); }
+    }, reject);
+    next();
+  });
+  const walk = async (entry, out) => {
+    if (entry.isFile) {
+      out.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const children = await readAll(entry.createReader());
+      children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+      for (const child of children) await walk(child, out);
+    }
+  };
+  return (async () => {
+    const files = [];
+    for (const entry of entries) await walk(entry, files);
+    return files;
+  })();
+}
+
+// open: 추가한 첫 파일을 바로 엶 (파일 선택), 아니면 열린 항목이 없을 때만
+function addPlaylistFiles(files, open) {
+  const st = playlistState;
+  const added = files.filter(isAudioFile).map(file => ({
+    id: st.nextId++,
+    file,
+    name: file.name,
+    format: getFileExtension(file.name).toUpperCase(),
+    sampleRate: null,
+    bitDepth: null,
+    channels: null,
+    duration: null,
+    status: 'pending',    // 'pending' | 'decoding' | 'ready' | 'error'
+    buffer: null,
+    position: 0,
+    error: null
+  }));
+  if (added.length === 0) {
+    statusEl.textContent = 'No audio files to add';
+    return;
+  }
+  st.entries.push(...added);
+  statusEl.textContent = `Playlist: added ${added.length} file${added.length > 1 ? 's' : ''}`;
+  if (open || !getCurrentPlaylistEntry()) {
+    openPlaylistEntry(added[0], false);
+  } else {
+    updatePlaylistUI();
+    runPlaylistDecoder();
+  }
+}
+
+// 열린 파일에 해당하는 항목 (녹음 등 다른 버퍼를 열면 없음)
+function getCurrentPlaylistEntry() {
+  const st = playlistState;
+  return st.entries.find(e => e.id === st.currentId && e.buffer && e.buffer === fileBuffer) || null;
+}
+
+// 이전/다음 항목 (디코딩에 실패한 항목은 건너뜀)
+function getAdjacentPlaylistEntry(entry, dir) {
+  const entries = playlistState.entries;
+  const index = entries.indexOf(entry);
+  if (index < 0) return null;
+  for (let i = index + dir; i >= 0 && i < entries.length; i += dir) {
+    if (entries[i].status !== 'error') return entries[i];
+  }
+  return null;
+}
+
+// 버퍼를 보관할 항목: 열 예정, 열린 파일, 그 다음 파일 (자동 재생 대비)
+function shouldKeepPlaylistBuffer(entry) {
+  const st = playlistState;
+  const current = getCurrentPlaylistEntry();
+  return entry.id === st.openId || entry === current || (current && entry === getAdjacentPlaylistEntry(current, 1));
+}
+
+function releasePlaylistBuffers() {
+  playlistState.entries.forEach(entry => {
+    if (entry.buffer && !shouldKeepPlaylistBuffer(entry)) entry.buffer = null;
+  });
+}
+
+// 다음 디코딩 대상: 열 항목 → 아직 정보가 없는 항목 → 다음 파일 미리 읽기
+function getNextPlaylistDecode() {
+  const st = playlistState;
+  const needsBuffer = entry => entry && !entry.buffer && entry.status !== 'error';
+  const wanted = st.entries.find(e => e.id === st.openId);
+  if (needsBuffer(wanted)) return wanted;
+  const pending = st.entries.find(e => e.status === 'pending');
+  if (pending) return pending;
+  const current = getCurrentPlaylistEntry();
+  const next = current && st.autoAdvance ? getAdjacentPlaylistEntry(current, 1) : null;
+  return needsBuffer(next) ? next : null;
+}
+
+async function runPlaylistDecoder() {
+  const st = playlistState;
+  if (st.decoding) return;
+  st.decoding = true;
+  try {
+    let entry;
+    while ((entry = getNextPlaylistDecode())) {
+      await decodePlaylistEntry(entry);
+    }
+  } finally {
+    st.decoding = false;
+  }
+}
+
+async function decodePlaylistEntry(entry) {
+  const st = playlistState;
+  entry.status = 'decoding';
+  updatePlaylistUI();
+  try {
+    const arrayBuffer = await entry.file.arrayBuffer();
+    const info = readAudioFileInfo(arrayBuffer);
+    if (info) Object.assign(entry, info);
+
+    // 오디오 컨텍스트 초기화 (필요시)
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)({
+        latencyHint: 'interactive',
+        sampleRate: 48000
+      });
+    }
+    const buffer = await audioCtx.decodeAudioData(arrayBuffer);
+    entry.duration = buffer.duration;
+    entry.channels = buffer.numberOfChannels;
+    entry.status = 'ready';
+    if (!st.entries.includes(entry)) return; // 디코딩 중에 목록에서 지움
+    if (shouldKeepPlaylistBuffer(entry)) entry.buffer = buffer;
+  } catch (err) {
+    entry.status = 'error';
+    entry.error = err.message;
+    console.error('v4.1: Playlist decode error:', err);
+    if (entry.id === st.openId) {
+      st.openId = null;
+      statusEl.textContent = `Error loading file: ${err.message}`;
+    }
+  }
+  updatePlaylistUI();
+  if (entry.id === st.openId && entry.buffer) showPlaylistEntry(entry);
+}
+
+// 항목 열기 (디코딩 전이면 끝난 뒤에 열림)
+function openPlaylistEntry(entry, play) {
+  const st = playlistState;
+  st.openId = entry.id;
+  st.openPlay = play;
+  if (entry.buffer) {
+    showPlaylistEntry(entry);
+    return;
+  }
+  statusEl.textContent = `Loading ${entry.name}...`;
+  updatePlaylistUI();
+  runPlaylistDecoder();
+}
+
+function showPlaylistEntry(entry) {
+  const st = playlistState;
+  const play = st.openPlay;
+  st.openId = null;
+  openBufferInFileMode(entry.buffer, entry.name);
+  st.currentId = entry.id;
+  if (entry.position > 0 && entry.position < entry.duration) transport.seek(entry.position);
+  statusEl.textContent = `File loaded: ${entry.name} (${formatTime(fileDuration)})`;
+  if (play) playFile();
+  releasePlaylistBuffers();
+  updatePlaylistUI();
+  runPlaylistDecoder(); // 다음 파일 미리 읽기
+}
+
+function stepPlaylist(dir) {
+  const st = playlistState;
+  const current = st.entries.find(e => e.id === (st.openId !== null ? st.openId : st.currentId));
+  const target = current ? getAdjacentPlaylistEntry(current, dir) : st.entries.find(e => e.status !== 'error');
+  if (target) openPlaylistEntry(target, transport.isPlaying());
+}
+
+function removePlaylistEntry(entry) {
+  const st = playlistState;
+  st.entries = st.entries.filter(e => e !== entry);
+  if (st.openId === entry.id) st.openId = null;
+  if (st.currentId === entry.id) st.currentId = null;
+  entry.buffer = null;
+  releasePlaylistBuffers();
+  updatePlaylistUI();
+}
+
+function formatPlaylistInfo(entry) {
+  if (entry.status === 'error') return `⚠ ${entry.error}`;
+  const parts = [];
+  parts.push(entry.duration !== null ? formatTime(entry.duration) : '--:--');
+  if (entry.sampleRate) parts.push(`${(entry.sampleRate / 1000).toFixed(entry.sampleRate % 1000 ? 1 : 0)} kHz`);
+  else if (entry.status === 'ready') parts.push('rate unknown'); // 헤더에서 읽지 못함 (디코딩 결과는 컨텍스트 표본율)
+  if (entry.channels) parts.push(`${entry.channels} ch`);
+  parts.push(entry.bitDepth ? `${entry.format} ${entry.bitDepth}-bit` : entry.format);
+  if (entry.status === 'decoding') parts.push('decoding...');
+  else if (entry.position > 0 && entry.duration && entry.position < entry.duration) parts.push(`@ ${formatTime(entry.position)}`);
+  return parts.join(' · ');
+}
+
+function updatePlaylistUI() {
+  const st = playlistState;
+  const current = getCurrentPlaylistEntry();
+  playlistList.innerHTML = '';
+  st.entries.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.className = 'playlist-item' +
+      (entry === current ? ' active' : '') +
+      (entry.id === st.openId ? ' opening' : '') +
+      (entry.status === 'error' ? ' error' : '');
+    item.title = '클릭: 열기, 더블클릭: 열고 재생';
+
+    const name = document.createElement('span');
+    name.className = 'playlist-name';
+    name.textContent = `${index + 1}. ${entry.name}`;
+    const meta = document.createElement('span');
+    meta.className = 'playlist-meta';
+    meta.textContent = formatPlaylistInfo(entry);
+
+    const btnRemove = document.createElement('button');
+    btnRemove.textContent = '×';
+    btnRemove.title = '목록에서 삭제';
+    btnRemove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removePlaylistEntry(entry);
+    });
+
+    item.addEventListener('click', () => {
+      if (entry !== current && entry.status !== 'error') openPlaylistEntry(entry, transport.isPlaying());
+    });
+    item.addEventListener('dblclick', () => {
+      if (entry.status === 'error') return;
+      if (entry === current) playFile();
+      else openPlaylistEntry(entry, true);
+    });
+
+    item.append(name, meta, btnRemove);
+    playlistList.appendChild(item);
+  });
+
+  const index = current ? st.entries.indexOf(current) : -1;
+  plInfo.textContent = st.entries.length ? `${index + 1 || '-'} / ${st.entries.length}` : '';
+  document.getElementById('btnPlPrev').disabled = index <= 0;
+  document.getElementById('btnPlNext').disabled = index < 0 || index >= st.entries.length - 1;
+}
+
+function initPlaylistControls() {
+  document.getElementById('btnPlPrev').addEventListener('click', () => stepPlaylist(-1));
+  document.getElementById('btnPlNext').addEventListener('click', () => stepPlaylist(1));
+  document.getElementById('btnPlAdd').addEventListener('click', () => fileInput.click());
+  document.getElementById('btnPlClear').addEventListener('click', () => {
+    const st = playlistState;
+    st.entries = [];
+    st.currentId = null;
+    st.openId = null;
+    updatePlaylistUI();
+  });
+
+  const btnAuto = document.getElementById('btnPlAuto');
+  btnAuto.classList.toggle('on', playlistState.autoAdvance);
+  btnAuto.addEventListener('click', () => {
+    playlistState.autoAdvance = !playlistState.autoAdvance;
+    btnAuto.classList.toggle('on', playlistState.autoAdvance);
+    runPlaylistDecoder();
+  });
+
+  // 열린 항목의 재생 위치 기억
+  transport.on('position', t => {
+    const current = getCurrentPlaylistEntry();
+    if (current) current.position = t;
+  });
+
+  // 끝나면 다음 파일을 처음부터 재생
+  transport.on('ended', () => {
+    const current = getCurrentPlaylistEntry();
+    if (!current || !playlistState.autoAdvance) return;
+    const next = getAdjacentPlaylistEntry(current, 1);
+    if (!next) return;
+    current.position = 0;
+    next.position = 0;
+    openPlaylistEntry(next, true);
+  });
+
+  // 창 전체에 파일/폴더 끌어다 놓기 (기본 동작은 파일로 이동하므로 막음)
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('drop-active');
+  });
+  window.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drop-active');
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drop-active');
+    collectDroppedFiles(e.dataTransfer)
+      .then(files => addPlaylistFiles(files, false))
+      .catch(err => {
+        statusEl.textContent = `Drop error: ${err.message}`;
+        console.error('v4.1: Drop error:', err);
+      });
+  });
+
+  updatePlaylistUI();
+}
+
+initPlaylistControls();
+
+// ===================================
+// v4.1: A/B 비교 (음원재생 모드)
+// - A = 열린 파일, B = 재생 목록의 다른 파일 또는 라이브 입력 (선택한 입력 장치)
+// - 파일 B는 트랜스포트의 B 레인에서 A와 같은 시각/위치로 함께 재생 (오프셋으로 처리 지연 보정, Align: GCC-PHAT)
+// - 듣는 쪽만 레인 gain을 열어 즉시 전환 (B 키, 짧은 페이드), 두 레인 모두 스펙트럼에 표시
+// - 라우드니스 맞춤: 두 레인의 통합 라우드니스(BS.1770, 재생한 구간)를 비교해 큰 쪽을 줄임
+// - 재생 속도 1×, 음높이 0 st에서만 켤 수 있고 켜져 있는 동안 속도/음높이 컨트롤은 잠금
+// ===================================
+
+const COMPARE_TRACES = {
+  abA: { slot: 'A', color: '#66bb6a' },
+  abB: { slot: 'B', color: '#ffa726' }
+};
+const COMPARE_SWITCH_SECONDS = 0.01;
+const COMPARE_MATCH_INTERVAL = 500;   // 라우드니스 맞춤 갱신 간격 (ms)
+const COMPARE_ALIGN_WINDOW = 65536;   // Align 분석 길이 (샘플, 2의 거듭제곱 - 찾는 범위는 ±절반)
+
+const compareState = {
+  enabled: false,
+  source: '',           // '' | 'live' | 재생 목록 항목 id
+  buffer: null,         // 파일 B
+  name: '',
+  active: 'A',          // 듣는 쪽
+  match: false,
+  offsetMs: 0,          // B 위치 = A 위치 + offset
+  gains: { A: 1, B: 1 }, // 라우드니스 맞춤 배율
+  loudness: { A: -Infinity, B: -Infinity },
+  analysers: null,      // { A, B } 레인 tap 분석기
+  bufs: {},             // 트레이스 키 → 원시 샘플 (스펙트럼 프레임용)
+  meters: null,         // { A, B } 라우드니스 미터
+  meterPos: null,       // 미터에 넣은 마지막 샘플 위치
+  meterBuf: null,
+  lastMatch: 0,
+  live: null,           // { stream, node }
+  token: 0
+};
+
+const btnAbCompare = document.getElementById('btnAbCompare');
+const btnAbSwitch = document.getElementById('btnAbSwitch');
+const abSourceSelect = document.getElementById('abSource');
+const abOffset = document.getElementById('abOffset');
+const abInfo = document.getElementById('abInfo');
+
+function getCompareTraceKeys() {
+  return compareState.enabled && compareState.analysers ? Object.keys(COMPARE_TRACES) : [];
+}
+
+// 스펙트럼 갱신 시각에 맞춰 두 레인의 원시 샘플을 읽음
+function readCompareSamples(now) {
+  Object.entries(COMPARE_TRACES).forEach(([key, info]) => {
+    compareState.bufs[key] = readSampleHistory(key, compareState.analysers[info.slot], now);
+  });
+}
+
+function attachCompareAnalysers() {
+  const st = compareState;
+  if (st.analysers && st.analysers.A.context === audioCtx) return;
+  st.analysers = {};
+  ['A', 'B'].forEach(slot => {
+    const a = audioCtx.createAnalyser();
+    a.fftSize = TIME_ANALYSER_SIZE;
+    a.smoothingTimeConstant = 0;
+    transport.getLane(slot).tap.connect(a);
+    st.analysers[slot] = a;
+  });
+  Object.keys(COMPARE_TRACES).forEach(key => resetEngineBuffers(getChannelEngine(key)));
+}
+
+function detachCompareAnalysers() {
+  const st = compareState;
+  if (!st.analysers) return;
+  ['A', 'B'].forEach(slot => {
+    try {
+      transport.getLane(slot).tap.disconnect(st.analysers[slot]);
+    } catch (e) {}
+  });
+  st.analysers = null;
+}
+
+// 레인 gain: 듣는 쪽만 열고 (맞춤 배율 적용), 비교가 꺼져 있으면 A만
+function applyCompareGains() {
+  if (!audioCtx) return;
+  const st = compareState;
+  const now = audioCtx.currentTime;
+  ['A', 'B'].forEach(slot => {
+    const on = st.enabled ? st.active === slot : slot === 'A';
+    const target = on ? (st.enabled && st.match ? st.gains[slot] : 1) : 0;
+    const param = transport.getLane(slot).gain.gain;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(target, now + COMPARE_SWITCH_SECONDS);
+  });
+}
+
+function resetCompareMeters() {
+  const st = compareState;
+  const sr = audioCtx ? audioCtx.sampleRate : 48000;
+  st.meters = { A: createLoudnessMeter(sr), B: createLoudnessMeter(sr) };
+  st.meterPos = null;
+  st.gains = { A: 1, B: 1 };
+  st.loudness = { A: -Infinity, B: -Infinity };
+  if (st.enabled) applyCompareGains();
+}
+
+function stopCompareLive() {
+  const live = compareState.live;
+  if (!live) return;
+  live.node.disconnect();
+  live.stream.getTracks().forEach(t => t.stop());
+  compareState.live = null;
+}
+
+// B 선택: '' (없음) | 'live' | 재생 목록 항목 id
+async function setCompareSource(value) {
+  const st = compareState;
+  const token = ++st.token;
+  stopCompareLive();
+  st.source = value;
+  st.buffer = null;
+  st.name = '';
+  transport.setCompare(null);
+  try {
+    if (value === 'live') {
+      const stream = await openInputStream();
+      if (token !== st.token || !st.enabled) {
+        stream.getTracks().forEach(t => t.stop());
+        return;
+      }
+      const node = audioCtx.createMediaStreamSource(stream);
+      node.connect(transport.getLane('B').tap);
+      st.live = { stream, node };
+      st.name = 'Live input';
+    } else if (value) {
+      const entry = playlistState.entries.find(e => String(e.id) === value);
+      if (!entry) return;
+      statusEl.textContent = `Loading B: ${entry.name}...`;
+      const buffer = entry.buffer || await audioCtx.decodeAudioData(await entry.file.arrayBuffer());
+      if (token !== st.token) return;
+      st.buffer = buffer;
+      st.name = entry.name;
+      transport.setCompare(buffer, st.offsetMs / 1000);
+    }
+    resetCompareMeters();
+    if (st.name) statusEl.textContent = `A/B: ${fileName.textContent} vs ${st.name}`;
+  } catch (err) {
+    if (token !== st.token) return;
+    st.source = '';
+    abSourceSelect.value = '';
+    statusEl.textContent = `A/B source error: ${err.message}`;
+    console.error('v4.1: Compare source error:', err);
+  }
+  updateCompareUI();
+}
+
+function setCompareEnabled(on) {
+  const st = compareState;
+  if (on && (!fileBuffer || !audioCtx)) {
+    statusEl.textContent = 'Open a file first (A = current file)';
+    return;
+  }
+  // B는 늘이지 않은 원본으로 재생하므로 A도 원래 속도/음높이여야 같은 조건으로 비교됨
+  if (on && (playbackState.rate !== 1 || playbackState.semitones !== 0)) {
+    statusEl.textContent = 'A/B compare needs 1× speed and 0 st pitch (press 1× first)';
+    return;
+  }
+  st.enabled = on;
+  st.active = 'A';
+  if (on) {
+    attachCompareAnalysers();
+    setCompareSource(abSourceSelect.value);
+  } else {
+    st.token++;
+    stopCompareLive();
+    st.buffer = null;
+    transport.setCompare(null);
+    detachCompareAnalysers();
+  }
+  applyCompareGains();
+  updateCompareUI();
+}
+
+function toggleCompareSide() {
+  const st = compareState;
+  if (!st.enabled) return;
+  st.active = st.active === 'A' ? 'B' : 'A';
+  applyCompareGains();
+  updateCompareUI();
+}
+
+function setCompareOffset(ms) {
+  const st = compareState;
+  st.offsetMs = ms;
+  abOffset.value = Math.round(ms * 100) / 100;
+  if (st.buffer) transport.setCompare(st.buffer, ms / 1000);
+}
+
+// 버퍼 한 구간의 모노 합 (범위 밖은 0)
+function readMonoSlice(buffer, start, n) {
+  const out = new Float32Array(n);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < n; i++) {
+      const idx = start + i;
+      if (idx >= 0 && idx < data.length) out[i] += data[idx];
+    }
+  }
+  return out;
+}
+
+// 지금 위치 주변에서 A와 B의 지연을 찾아 오프셋에 더함
+function alignCompare() {
+  const st = compareState;
+  if (!st.enabled || !st.buffer) {
+    statusEl.textContent = 'Align needs a file as B';
+    return;
+  }
+  const sr = fileBuffer.sampleRate;
+  const n = COMPARE_ALIGN_WINDOW;
+  const start = Math.max(0, Math.min(fileBuffer.length - n, Math.round(transport.getTime() * sr) - n / 2));
+  const x = readMonoSlice(fileBuffer, start, n);
+  const y = readMonoSlice(st.buffer, start + Math.round(st.offsetMs / 1000 * sr), n);
+  const { delay, confidence } = estimateChannelDelay(x, y);
+  if (confidence < TRANSFER_MIN_CONFIDENCE) {
+    statusEl.textContent = `Align: no clear correlation peak (${confidence.toFixed(1)})`;
+    return;
+  }
+  setCompareOffset(st.offsetMs + delay / sr * 1000);
+  statusEl.textContent = `Align: B offset ${st.offsetMs.toFixed(2)} ms (peak ${confidence.toFixed(1)})`;
+}
+
+// drawLoop에서 호출: 두 레인 라우드니스를 재고 주기적으로 맞춤 배율 갱신
+function updateCompareLoudness() {
+  const st = compareState;
+  if (!st.enabled || !st.match || !st.analysers || !st.meters) return;
+  const bufLen = st.analysers.A.fftSize;
+  const now = Math.round(audioCtx.currentTime * audioCtx.sampleRate);
+  if (st.meterPos === null || now - st.meterPos > bufLen || now < st.meterPos) st.meterPos = now - Math.min(bufLen, 4096);
+  const count = now - st.meterPos;
+  if (count <= 0) return;
+  st.meterPos = now;
+  if (!st.meterBuf || st.meterBuf.length !== bufLen) st.meterBuf = new Float32Array(bufLen);
+  ['A', 'B'].forEach(slot => {
+    st.analysers[slot].getFloatTimeDomainData(st.meterBuf);
+    st.meters[slot].process([st.meterBuf.slice(bufLen - count)]);
+  });
+
+  const t = performance.now();
+  if (t - st.lastMatch < COMPARE_MATCH_INTERVAL) return;
+  st.lastMatch = t;
+  const la = st.meters.A.integrated();
+  const lb = st.meters.B.integrated();
+  st.loudness = { A: la, B: lb };
+  if (Number.isFinite(la) && Number.isFinite(lb)) {
+    // 키우지 않고 큰 쪽만 줄임 (클리핑 방지)
+    const quiet = Math.min(la, lb);
+    st.gains = { A: dbToGain(quiet - la), B: dbToGain(quiet - lb) };
+    applyCompareGains();
+  }
+  updateCompareInfo();
+}
+
+// 두 레인 스펙트럼 (듣는 쪽은 굵게, 라우드니스 맞춤 중이면 맞춘 레벨로)
+function drawCompareTraces(ctx, plotArea) {
+  const st = compareState;
+  getCompareTraceKeys().forEach(key => {
+    const engine = channelEngines[key];
+    if (!engine || !engine.outDb) return;
+    const slot = COMPARE_TRACES[key].slot;
+    let data = engine.outDb;
+    if (st.match && st.gains[slot] !== 1) {
+      const offset = 20 * Math.log10(st.gains[slot]);
+      data = data.map(v => v + offset);
+    }
+    drawSmoothCurve(ctx, buildSpectrumPoints(data, plotArea), COMPARE_TRACES[key].color, st.active === slot ? 2 : 1);
+  });
+}
+
+// B 후보: 재생 목록의 파일 (+ 라이브 입력)
+function updateCompareSourceOptions() {
+  const value = abSourceSelect.value;
+  abSourceSelect.innerHTML = '';
+  const add = (v, label) => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = label;
+    abSourceSelect.appendChild(opt);
+  };
+  add('', 'B: (none)');
+  playlistState.entries.forEach((entry, index) => {
+    if (entry.status !== 'error') add(String(entry.id), `B: ${index + 1}. ${entry.name}`);
+  });
+  add('live', 'B: Live input');
+  abSourceSelect.value = Array.from(abSourceSelect.options).some(o => o.value === value) ? value : '';
+}
+
+function updateCompareInfo() {
+  const st = compareState;
+  if (!st.enabled) {
+    abInfo.textContent = '';
+    return;
+  }
+  const parts = [`▶ ${st.active}`];
+  if (st.match) {
+    const fmt = v => (Number.isFinite(v) ? v.toFixed(1) : '--');
+    parts.push(`A ${fmt(st.loudness.A)} / B ${fmt(st.loudness.B)} LUFS`);
+  }
+  abInfo.textContent = parts.join(' · ');
+}
+
+function updateCompareUI() {
+  const st = compareState;
+  btnAbCompare.classList.toggle('on', st.enabled);
+  btnAbSwitch.disabled = !st.enabled;
+  btnAbSwitch.innerHTML = Object.values(COMPARE_TRACES)
+    .map(info => `<span class="legend-box" style="background:${info.color}"></span>${st.active === info.slot && st.enabled ? `<b>${info.slot}</b>` : info.slot}`)
+    .join(' ');
+  document.getElementById('btnAbAlign').disabled = !st.enabled || !st.buffer;
+  ['pbRate', 'pbPitch', 'btnPbReset'].forEach(id => { document.getElementById(id).disabled = st.enabled; });
+  updateCompareInfo();
+}
+
+function initCompareControls() {
+  btnAbCompare.addEventListener('click', () => setCompareEnabled(!compareState.enabled));
+  btnAbSwitch.addEventListener('click', toggleCompareSide);
+  document.getElementById('btnAbAlign').addEventListener('click', alignCompare);
+
+  abSourceSelect.addEventListener('focus', updateCompareSourceOptions);
+  abSourceSelect.addEventListener('change', () => {
+    if (compareState.enabled) setCompareSource(abSourceSelect.value);
+  });
+
+  abOffset.value = compareState.offsetMs;
+  abOffset.addEventListener('change', () => {
+    const v = parseFloat(abOffset.value);
+    setCompareOffset(Number.isFinite(v) ? Math.max(-10000, Math.min(10000, v)) : compareState.offsetMs);
+  });
+
+  const btnMatch = document.getElementById('btnAbMatch');
+  btnMatch.addEventListener('click', () => {
+    compareState.match = !compareState.match;
+    btnMatch.classList.toggle('on', compareState.match);
+    resetCompareMeters();
+    updateCompareInfo();
+  });
+
+  // B: 듣는 쪽 전환 (입력란 포커스 중에는 무시)
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'b' && e.key !== 'B') return;
+    if (inputMode !== 'file' || !compareState.enabled || e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = document.activeElement && document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+    e.preventDefault();
+    toggleCompareSide();
+  });
+
+  updateCompareSourceOptions();
+  updateCompareUI();
+}
+
+initCompareControls();
+
+// ===================================
+// v4.1: 커서 표시 / 마커 / 피크 탐색
+// - 커서: canvasXToHz + 가장 가까운 빈의 레벨
+// - 마커: Ctrl+클릭 위치 근처의 로컬 피크에 스냅 (포물선 보간), 최대 4개
+// - Δ: M1 → M2의 Δf, ΔdB
+// - 피크 탐색: 상위 N개 피크, 기본음/배음 판별 및 음이름 표시
+// ===================================
+
+const MAX_MARKERS = 4;
+const MARKER_SNAP_PX = 8;        // 마커 스냅 탐색 범위 (픽셀)
+const PEAK_MIN_PROMINENCE = 6;   // 피크로 인정할 최소 돌출 (dB)
+const HARMONIC_TOLERANCE = 0.05; // 배음 판정 허용 오차 (주파수비 |ratio - n|)
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const markerState = {
+  markers: [],       // [{ hz }]
+  showDelta: true,
+  findPeaks: false,
+  peakCount: 5,
+  cursor: null       // { x, y } (캔버스 CSS 픽셀)
+};
+
+const btnFindPeaks = document.getElementById('btnFindPeaks');
+const peakCountInput = document.getElementById('peakCountInput');
+const btnMarkerDelta = document.getElementById('btnMarkerDelta');
+const btnClearMarkers = document.getElementById('btnClearMarkers');
+
+// 주파수 → 음이름 (A4 = 440 Hz), 예: { name: 'A4', cents: 3 }
+function frequencyToNote(hz) {
+  if (!(hz > 0)) return null;
+  const midi = 69 + 12 * Math.log2(hz / 440);
+  const n = Math.round(midi);
+  return {
+    name: `${NOTE_NAMES[((n % 12) + 12) % 12]}${Math.floor(n / 12) - 1}`,
+    cents: Math.round((midi - n) * 100)
+  };
+}
+
+function formatNote(hz) {
+  const note = frequencyToNote(hz);
+  if (!note) return '';
+  const sign = note.cents >= 0 ? '+' : '';
+  return `${note.name} ${sign}${note.cents}¢`;
+}
+
+function formatHz(hz) {
+  if (hz >= 1000) return `${(hz / 1000).toFixed(hz >= 10000 ? 2 : 3)} kHz`;
+  return `${hz.toFixed(1)} Hz`;
+}
+
+// 빈 k 주변 포물선 보간 → { hz, db }
+function interpolatePeak(data, k, binHz) {
+  if (k <= 0 || k >= data.length - 1) return { hz: k * binHz, db: data[k] };
+  const a = data[k - 1], b = data[k], c = data[k + 1];
+  const denom = a - 2 * b + c;
+  const p = denom === 0 ? 0 : Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom));
+  return { hz: (k + p) * binHz, db: b - 0.25 * (a - c) * p };
+}
+
+// [k0, k1] 범위에서 가장 큰 빈
+function findMaxBin(data, k0, k1) {
+  let best = Math.max(0, k0);
+  for (let k = best + 1; k <= Math.min(data.length - 1, k1); k++) {
+    if (data[k] > data[best]) best = k;
+  }
+  return best;
+}
+
+// 마커 주파수의 현재 레벨 (표시 중인 다운믹스 트레이스 기준)
+function getMarkerReading(marker, data, binHz) {
+  const k = Math.round(marker.hz / binHz);
+  if (k < 0 || k >= data.length) return null;
+  // 빈 간격 안에서 가장 높은 이웃을 따라감 (FFT 크기가 바뀌어도 같은 피크 유지)
+  const peak = findMaxBin(data, k - 1, k + 1);
+  return interpolatePeak(data, peak, binHz);
+}
+
+function addMarkerAt(mouseX, plotWidth) {
+  const data = latestSpectrumDb;
+  if (!data) return;
+  const binHz = getSpectrumNyquist() / data.length;
+  const hzLo = canvasXToHz(Math.max(0, mouseX - MARKER_SNAP_PX), plotWidth);
+  const hzHi = canvasXToHz(Math.min(plotWidth, mouseX + MARKER_SNAP_PX), plotWidth);
+  const k = findMaxBin(data, Math.floor(hzLo / binHz), Math.ceil(hzHi / binHz));
+  const peak = interpolatePeak(data, k, binHz);
+
+  if (markerState.markers.length >= MAX_MARKERS) markerState.markers.shift();
+  markerState.markers.push({ hz: peak.hz });
+  statusEl.textContent = `Marker M${markerState.markers.length}: ${formatHz(peak.hz)} ${formatAmplitude(peak.db)} (${formatNote(peak.hz)})`;
+}
+
+function clearMarkers() {
+  markerState.markers = [];
+  statusEl.textContent = 'Markers cleared';
+}
+
+// 표시 범위 안의 로컬 피크 중 상위 N개 → [{ hz, db, k }] (주파수 오름차순)
+function findTopPeaks(data, binHz, count) {
+  const candidates = [];
+  const kMin = Math.max(2, Math.ceil(FREQUENCY_CONFIG.minFreq / binHz));
+  const kMax = Math.min(data.length - 3, Math.floor(FREQUENCY_CONFIG.maxFreq / binHz));
+  const span = 8; // 돌출 판정 이웃 범위 (빈)
+  for (let k = kMin; k <= kMax; k++) {
+    const v = data[k];
+    if (v <= data[k - 1] || v < data[k + 1]) continue;
+    let leftMin = v, rightMin = v;
+    for (let j = 1; j <= span; j++) {
+      if (k - j >= 0) leftMin = Math.min(leftMin, data[k - j]);
+      if (k + j < data.length) rightMin = Math.min(rightMin, data[k + j]);
+    }
+    if (v - Math.max(leftMin, rightMin) < PEAK_MIN_PROMINENCE) continue;
+    const p = interpolatePeak(data, k, binHz);
+    candidates.push({ hz: p.hz, db: p.db, k });
+  }
+  candidates.sort((a, b) => b.db - a.db);
+  return candidates.slice(0, count).sort((a, b) => a.hz - b.hz);
+}
+
+// 기본음 판별: 다른 피크들을 정수배로 가장 많이(강하게) 설명하는 후보
+// 반환: peaks에 harmonic(1 = 기본음, 2.. = 배음, 0 = 무관) 표시
+function labelHarmonics(peaks, binHz) {
+  let best = null;
+  let bestScore = 0;
+  peaks.forEach(cand => {
+    let score = 0;
+    peaks.forEach(p => {
+      const ratio = p.hz / cand.hz;
+      const h = Math.round(ratio);
+      const tol = Math.max(HARMONIC_TOLERANCE, 1.5 * binHz / cand.hz);
+      if (h >= 1 && Math.abs(ratio - h) <= tol) score += 1 + (p.db - SPECTRUM_DB_FLOOR) / 1000;
+    });
+    if (score > bestScore + 1e-9) {
+      bestScore = score;
+      best = cand;
+    }
+  });
+  peaks.forEach(p => {
+    p.harmonic = 0;
+    if (!best) return;
+    const ratio = p.hz / best.hz;
+    const h = Math.round(ratio);
+    const tol = Math.max(HARMONIC_TOLERANCE, 1.5 * binHz / best.hz);
+    if (h >= 1 && Math.abs(ratio - h) <= tol) p.harmonic = h;
+  });
+  return best;
+}
+
+function drawOverlayLabel(ctx, text, x, y, color, plotArea) {
+  ctx.font = '11px system-ui, sans-serif';
+  const w = ctx.measureText(text).width + 8;
+  const lx = Math.min(Math.max(plotArea.plotX, x - w / 2), plotArea.plotX + plotArea.plotWidth - w);
+  const ly = Math.max(plotArea.plotY, y - 22);
+  ctx.fillStyle = 'rgba(14,15,20,0.85)';
+  ctx.fillRect(lx, ly, w, 16);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(lx + 0.5, ly + 0.5, w - 1, 15);
+  ctx.fillStyle = color;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, lx + 4, ly + 8);
+}
+
+function drawMarkerGlyph(ctx, x, y, color) {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(x, y - 5);
+  ctx.lineTo(x + 5, y);
+  ctx.lineTo(x, y + 5);
+  ctx.lineTo(x - 5, y);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawSpectrumOverlays(ctx, plotArea, data, interactive) {
+  if (!data || data.length === 0) return;
+  const binHz = getSpectrumNyquist() / data.length;
+  const toX = hz => plotArea.plotX + hzToCanvasX(hz, plotArea.plotWidth);
+  const toY = db => plotArea.plotY + dbToY(db, plotArea.plotHeight);
+
+  // 피크 탐색 + 배음 표시
+  if (markerState.findPeaks) {
+    const peaks = findTopPeaks(data, binHz, markerState.peakCount);
+    labelHarmonics(peaks, binHz);
+    peaks.forEach(p => {
+      const x = toX(p.hz);
+      const y = toY(p.db);
+      const color = p.harmonic === 1 ? '#fff176' : (p.harmonic > 1 ? '#aed581' : '#b0bec5');
+      drawMarkerGlyph(ctx, x, y, color);
+      const tag = p.harmonic === 1 ? 'F0 ' : (p.harmonic > 1 ? `H${p.harmonic} ` : '');
+      const note = p.harmonic <= 1 ? ` ${formatNote(p.hz)}` : '';
+      drawOverlayLabel(ctx, `${tag}${formatHz(p.hz)}${note}`, x, y, color, plotArea);
+    });
+  }
+
+  // 사용자 마커
+  const readings = markerState.markers.map(m => getMarkerReading(m, data, binHz));
+  readings.forEach((r, i) => {
+    if (!r) return;
+    const x = toX(r.hz);
+    const y = toY(r.db);
+    drawMarkerGlyph(ctx, x, y, '#ffffff');
+    drawOverlayLabel(ctx, `M${i + 1} ${formatHz(r.hz)} ${formatAmplitude(r.db)}`, x, y, '#ffffff', plotArea);
+  });
+
+  // Δ 마커 (M1 → M2)
+  if (markerState.showDelta && readings.length >= 2 && readings[0] && readings[1]) {
+    const df = readings[1].hz - readings[0].hz;
+    const ddb = readings[1].db - readings[0].db;
+    const text = `ΔM2−M1  Δf ${df >= 0 ? '+' : ''}${df.toFixed(1)} Hz   ΔdB ${ddb >= 0 ? '+' : ''}${ddb.toFixed(2)}`;
+    ctx.font = '12px system-ui, sans-serif';
+    const w = ctx.measureText(text).width + 12;
+    const x = plotArea.plotX + plotArea.plotWidth - w - 4;
+    ctx.fillStyle = 'rgba(14,15,20,0.85)';
+    ctx.fillRect(x, plotArea.plotY + 4, w, 20);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + 6, plotArea.plotY + 14);
+  }
+
+  // 커서 크로스헤어
+  const cur = markerState.cursor;
+  if (interactive && cur && !dragging && !panningAxis) {
+    const px = cur.x - plotArea.plotX;
+    if (px >= 0 && px <= plotArea.plotWidth) {
+      const hz = canvasXToHz(px, plotArea.plotWidth);
+      const k = Math.max(0, Math.min(data.length - 1, Math.round(hz / binHz)));
+      const db = data[k];
+      const y = toY(db);
+      ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(Math.round(cur.x) + 0.5, plotArea.plotY);
+      ctx.lineTo(Math.round(cur.x) + 0.5, plotArea.plotY + plotArea.plotHeight);
+      ctx.moveTo(plotArea.plotX, Math.round(y) + 0.5);
+      ctx.lineTo(plotArea.plotX + plotArea.plotWidth, Math.round(y) + 0.5);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      const text = `${formatHz(hz)} (bin ${k}: ${formatHz(k * binHz)})  ${formatAmplitude(db)}  ${formatNote(hz)}`;
+      drawOverlayLabel(ctx, text, cur.x, Math.max(plotArea.plotY + 24, y), '#cfd2d6', plotArea);
+    }
+  }
+}
+
+function initMarkerControls() {
+  peakCountInput.value = markerState.peakCount;
+  btnMarkerDelta.classList.toggle('on', markerState.showDelta);
+
+  btnFindPeaks.addEventListener('click', () => {
+    markerState.findPeaks = !markerState.findPeaks;
+    btnFindPeaks.classList.toggle('on', markerState.findPeaks);
+  });
+  peakCountInput.addEventListener('change', () => {
+    const v = parseInt(peakCountInput.value, 10);
+    if (v >= 1) markerState.peakCount = Math.min(32, v);
+    peakCountInput.value = markerState.peakCount;
+  });
+  btnMarkerDelta.addEventListener('click', () => {
+    markerState.showDelta = !markerState.showDelta;
+    btnMarkerDelta.classList.toggle('on', markerState.showDelta);
+  });
+  btnClearMarkers.addEventListener('click', clearMarkers);
+
+  specCanvas.addEventListener('mousemove', (e) => {
+    const rect = specCanvas.getBoundingClientRect();
+    markerState.cursor = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  });
+  specCanvas.addEventListener('mouseleave', () => {
+    markerState.cursor = null;
+  });
+}
+
+initMarkerControls();
+
+// 이벤트: 출력 토글, 선택 해제
+btnOutput.addEventListener('click', () => {
+  outputEnabled = !outputEnabled;
+  btnOutput.classList.toggle('on', outputEnabled);
+  btnOutput.textContent = outputEnabled ? 'Output: ON' : 'Output: OFF';
+  
+  // v4.0: 현재 활성 오디오 소스에 즉시 적용
+  updateCurrentVolume();
+  console.log(`Output toggled: ${outputEnabled}, gain: ${gainOut ? gainOut.gain.value : 'N/A'}, volumeLevel: ${volumeLevel}`);
+});
+
+btnClear.addEventListener('click', () => {
+  clearBand();
+});
+
+// v4.1: 주파수 축 이동 상태 (Shift+드래그 또는 휠 버튼 드래그)
+let panningAxis = false;
+let panLastX = 0;
+
+// 스펙트럼 마우스 이벤트
+specCanvas.addEventListener('mousedown', (e) => {
+  const rect = specCanvas.getBoundingClientRect();
+  const mouseX = e.clientX - rect.left;
+  
+  // drawSpecGridAndAxes와 동일한 패딩 사용 (좌측 라벨 영역 제거)
+  const padding = { top: 10, right: 10, bottom: 40, left: 0 };
+  const plotX = padding.left;
+  const plotWidth = rect.width - padding.left - padding.right;
+  
+  // 마우스가 플롯 영역 내에 있는지 확인
+  if (mouseX >= plotX && mouseX <= plotX + plotWidth) {
+    if (e.button === 0 && (e.ctrlKey || e.metaKey)) { // v4.1: Ctrl+클릭 - 마커 추가
+      addMarkerAt(mouseX - plotX, plotWidth);
+    } else if (e.button === 1 || (e.button === 0 && e.shiftKey)) { // 축 이동
+      e.preventDefault();
+      panningAxis = true;
+      panLastX = mouseX;
+    } else if (e.button === 0 && eqState.editing) { // v4.1: EQ 편집 - 노드 이동, 빈 곳이면 노드 추가
+      startEqDrag(mouseX - plotX, e.clientY - rect.top - 10, plotWidth, rect.height - 50);
+    } else if (e.button === 0) { // 좌클릭 - 대역 이동/크기 조절, 빈 곳이면 새 대역 드래그
+      const hit = hitTestBand(mouseX - plotX, plotWidth);
+      if (hit) {
+        startBandDrag(hit, mouseX);
+      } else {
+        dragging = true;
+        dragStartX = mouseX;
+        dragEndX = mouseX;
+      }
+    } else if (e.button === 2) { // 우클릭 - Max Peak 리셋
+      e.preventDefault();
+      resetMaxPeaks();
+    }
+  }
+});
+
+window.addEventListener('mousemove', (e) => {
+  if (panningAxis) {
+    const rect = specCanvas.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const plotWidth = rect.width - 10; // drawSpecGridAndAxes와 동일 (left 0, right 10)
+    panFrequencyAxis(mouseX - panLastX, plotWidth);
+    panLastX = mouseX;
+    return;
+  }
+  if (bandState.drag) {
+    const rect = specCanvas.getBoundingClientRect();
+    updateBandDrag(e.clientX - rect.left, rect.width - 10);
+    return;
+  }
+  if (eqState.drag) {
+    const rect = specCanvas.getBoundingClientRect();
+    updateEqDrag(e.clientX - rect.left, e.clientY - rect.top - 10, rect.width - 10, rect.height - 50);
+    return;
+  }
+  if (!dragging) return;
+  const rect = specCanvas.getBoundingClientRect();
+  const mouseX = e.clientX - rect.left;
+  
+  // drawSpecGridAndAxes와 동일한 패딩 사용 (좌측 라벨 영역 제거)
+  const padding = { top: 10, right: 10, bottom: 40, left: 0 };
+  const plotX = padding.left;
+  const plotWidth = rect.width - padding.left - padding.right;
+  
+  dragEndX = Math.max(plotX, Math.min(plotX + plotWidth, mouseX));
+});
+
+window.addEventListener('mouseup', (e) => {
+  if (panningAxis) {
+    panningAxis = false;
+    return;
+  }
+  if (bandState.drag) {
+    endBandDrag();
+    return;
+  }
+  if (eqState.drag) {
+    eqState.drag = null;
+    return;
+  }
+  if (!dragging) return;
+  dragging = false;
+
+  if (dragStartX !== null && dragEndX !== null) {
+    const rect = specCanvas.getBoundingClientRect();
+    // v4.0.1: 통일된 패딩 사용 (drawSpecGridAndAxes와 동일)
+    const padding = { top: 10, right: 10, bottom: 40, left: 0 };
+    const plotX = padding.left;
+    const plotWidth = rect.width - padding.left - padding.right;
+    
+    // 초록색 영역과 동일한 방식으로 좌표 계산
+    const x1 = Math.min(dragStartX, dragEndX);
+    const x2 = Math.max(dragStartX, dragEndX);
+    
+    if (x1 >= plotX && x2 <= plotX + plotWidth && x2 - x1 >= 5) { // 최소 5픽셀 드래그
+      // v4.0.1: 정확한 주파수 계산 (통일된 변환 함수 사용)
+      const plotX1 = x1 - plotX;
+      const plotX2 = x2 - plotX;
+      const lo = canvasXToHz(plotX1, plotWidth);
+      const hi = canvasXToHz(plotX2, plotWidth);
+      addBand(lo, hi); // v4.1: 기존 대역은 유지하고 새 대역 추가
+    } else {
+      // 드래그가 아닌 단순 클릭 - 선택만 해제 (대역은 유지)
+      selectBand(null);
+    }
+  }
+  dragStartX = dragEndX = null;
+});
+
+// 우클릭 컨텍스트 메뉴 방지
+specCanvas.addEventListener('contextmenu', (e) => {
+  e.preventDefault();
+});
+
+// v4.1: 휠 확대/축소 (커서 위치 기준, Ctrl+휠: 세로 확대, Alt+휠: 세로 이동)
+specCanvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  const rect = specCanvas.getBoundingClientRect();
+  // v4.1: EQ 편집 중 노드 위의 휠은 Q 조절
+  if (eqState.editing && adjustEqNodeQ(e.clientX - rect.left, e.clientY - rect.top - 10, rect.width - 10, rect.height - 50, e.deltaY)) return;
+  if (e.ctrlKey || e.altKey) {
+    const plotHeight = rect.height - 50; // drawSpecGridAndAxes와 동일 (top 10, bottom 40)
+    const mouseY = Math.max(0, Math.min(plotHeight, e.clientY - rect.top - 10));
+    if (e.ctrlKey) {
+      zoomAmplitudeAxis(mouseY, plotHeight, e.deltaY > 0 ? 1.25 : 0.8);
+    } else {
+      const shift = e.deltaY > 0 ? -5 : 5;
+      setAmplitudeRange(AMPLITUDE_CONFIG.minDb + shift, AMPLITUDE_CONFIG.maxDb + shift);
+    }
+    return;
+  }
+  const plotWidth = rect.width - 10;
+  const mouseX = Math.max(0, Math.min(plotWidth, e.clientX - rect.left));
+  zoomFrequencyAxis(mouseX, plotWidth, e.deltaY > 0 ? 1.25 : 0.8);
+}, { passive: false });
+
+// Max Peak 리셋 함수
+function resetMaxPeaks() {
+  // v4.1: 평균/최소 홀드도 함께 새로 시작
+  resetHoldTraces();
+  statusEl.textContent = 'Max peaks reset - new recording started';
+}
+
+// Clear Band 함수 (v4.1: 모든 대역 삭제)
+function clearBand() {
+  bandState.bands = [];
+  selectBand(null);
+  dragStartX = dragEndX = null;
+  connectGraph(); // 전체 통과로 복귀
+  statusEl.textContent = 'All bands cleared';
+}
+
+// 볼륨 게이지 그리기 함수
+function drawVolumeGauge(volumePercent) {
+  const canvas = volumeGauge;
+  const ctx = gaugeCtx;
   const width = canvas.width;
   const height = canvas.height;
   
@@ -1034,121 +10529,77 @@ volumeGauge.addEventListener('contextmenu', (e) => {
 // v4.0: 파일 재생 기능
 // ===================================
 
-// v4.0: 파일 업로드 처리 (로딩 모달 포함)
-fileInput.addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+// v4.0: 파일 업로드 처리
+// v4.1: 선택한 파일은 재생 목록에 추가 (백그라운드 디코딩), 첫 파일을 바로 엶
+fileInput.addEventListener('change', (e) => {
+  addPlaylistFiles(Array.from(e.target.files), true);
+  fileInput.value = ''; // 같은 파일을 다시 골라도 change 발생
+});
+
+// v4.1: 디코딩된 버퍼를 음원재생 모드로 열기 (파일 선택, 녹음 결과 공통)
+function openBufferInFileMode(buffer, name) {
+  fileBuffer = buffer;
+  fileDuration = fileBuffer.duration;
   
-  try {
-    // 로딩 모달 표시
-    showLoadingModal();
-    statusEl.textContent = 'Loading audio file...';
-    
-    // 현재 입력 중지
-    stopCurrentInput();
-    
-    // 파일을 ArrayBuffer로 읽기
-    const arrayBuffer = await file.arrayBuffer();
-    
-    // 오디오 컨텍스트 초기화 (필요시)
-    if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)({ 
-        latencyHint: 'interactive',
-        sampleRate: 48000
-      });
-    }
-    
-    // 오디오 버퍼로 디코딩
-    fileBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-    fileDuration = fileBuffer.duration;
-    
-    // 공통 오디오 노드 초기화
-    initializeAudioNodes();
-    
-    // 파일명 표시
-    fileName.textContent = file.name;
-    
-    // 파일 모드로 전환
-    switchToFileMode();
-    
-    // 타임라인 초기화
-    totalTime.textContent = formatTime(fileDuration);
-    currentTime.textContent = '00:00';
-    drawTimelineGauge(0); // 게이지 초기화
-    
-    // v4.0: 파일 로드 완료 후 재생 버튼 활성화
-    btnPlay.disabled = false;
-    btnPause.disabled = true;
-    btnStop.disabled = true;
-    
-    // 시각화 시작
-    if (!lastFrameTime) {
-      lastFrameTime = performance.now();
-      requestAnimationFrame(drawLoop);
-    }
-    
-    // 로딩 모달 숨김
-    hideLoadingModal();
-    statusEl.textContent = `File loaded: ${file.name} (${formatTime(fileDuration)})`;
-    
-  } catch (err) {
-    // 로딩 모달 숨김 (에러 시에도)
-    hideLoadingModal();
-    statusEl.textContent = `Error loading file: ${err.message}`;
-    console.error('File loading error:', err);
+  // 공통 오디오 노드 초기화
+  initializeAudioNodes();
+
+  // v4.1: 파일 전체 스펙트로그램 (백그라운드 계산)
+  buildFileSpectrogram(fileBuffer).catch(err => {
+    console.error('v4.1: File spectrogram error:', err);
+  });
+
+  // v4.1: 재생 트랜스포트 (처음 위치, 정지) + 파형 개요 (전체 보기, 마커/구간 초기화)
+  transport.load(fileBuffer);
+  resetOverview(fileBuffer);
+  transport.setLoop(getFileLoopRange());
+  resetPlaybackSettings(); // v4.1: 재생 속도/음높이 설정 유지 (늘인 버퍼는 새로 계산)
+  resetCompareMeters();    // v4.1: A/B 비교는 B를 유지한 채 새 A로
+
+  // v4.1: 파일 전체 라우드니스 (백그라운드 계산), 실시간 미터는 새로 시작
+  resetMeters();
+  measureFileLoudness(fileBuffer, name).catch(err => {
+    console.error('v4.1: File loudness error:', err);
+  });
+  
+  // 파일명 표시
+  fileName.textContent = name;
+  
+  // 파일 모드로 전환
+  switchToFileMode();
+  
+  // 타임라인 초기화
+  totalTime.textContent = formatTime(fileDuration);
+  currentTime.textContent = '00:00';
+  drawTimelineGauge(0); // 게이지 초기화
+  
+  // v4.0: 파일 로드 완료 후 재생 버튼 활성화
+  btnPlay.disabled = false;
+  btnPause.disabled = true;
+  btnStop.disabled = true;
+  
+  // 시각화 시작
+  if (!lastFrameTime) {
+    lastFrameTime = performance.now();
+    requestAnimationFrame(drawLoop);
   }
-});
+}
 
 // v4.0: setupFileMode는 switchToFileInput으로 대체됨
 
 // v4.0: 파일 재생 (통합 구조)
+// v4.1: 버퍼 소스 관리와 재생 위치는 트랜스포트가 담당, 파이프라인에는 트랜스포트 출력을 연결
 function playFile() {
   if (!fileBuffer || !audioCtx) return;
   
   try {
-    // 기존 파일 소스 정리
-    if (fileSourceNode) {
-      try {
-        fileSourceNode.disconnect();
-        // start()가 호출된 경우에만 stop() 호출
-        if (fileSourceNode.context && fileSourceNode.context.state !== 'closed') {
-          fileSourceNode.stop();
-        }
-      } catch (e) {
-        console.warn('v4.0: Error stopping previous fileSourceNode:', e);
-      }
-      fileSourceNode = null;
-    }
-    
-    // 새 버퍼 소스 노드 생성
-    fileSourceNode = audioCtx.createBufferSource();
-    fileSourceNode.buffer = fileBuffer;
-    fileSourceNode.loop = isRepeating;
-    
     // 통합 파이프라인에 연결
+    fileSourceNode = transport.getOutput();
     currentSourceNode = fileSourceNode;
     connectAudioPipeline();
     
-    // 재생 시작 (게이지에서 현재 진행률 계산)
-    const currentProgress = getCurrentTimelineProgress();
-    const startTime = (currentProgress / 100) * fileDuration;
-    fileSourceNode.start(0, startTime);
-    
-    // 재생 상태 업데이트
-    isPlaying = true;
-    btnPlay.disabled = true;
-    btnPause.disabled = false;
-    btnStop.disabled = false;
-    
-    // 시간 업데이트 시작
-    startTimeUpdate();
-    
-    // 재생 완료 시 처리
-    fileSourceNode.onended = () => {
-      if (!isRepeating) {
-        pauseFile(); // stopFile 대신 pauseFile 사용
-      }
-    };
+    // 재생 시작 (멈췄던 위치부터, 버튼 상태는 'state' 이벤트에서 갱신)
+    transport.play();
     
     statusEl.textContent = 'Playing file...';
     console.log('v4.0: File playback started (unified pipeline)');
@@ -1161,48 +10612,17 @@ function playFile() {
 
 // 파일 일시정지
 function pauseFile() {
-  if (fileSourceNode && isPlaying) {
-    try {
-      fileSourceNode.disconnect();
-      fileSourceNode.stop();
-    } catch (e) {
-      console.warn('v4.0: Error stopping fileSourceNode in pauseFile:', e);
-    }
-    fileSourceNode = null;
-    
-    isPlaying = false;
-    btnPlay.disabled = false;
-    btnPause.disabled = true;
-    
-    stopTimeUpdate();
-    statusEl.textContent = 'Paused';
-    console.log('v4.0: File playback paused');
-  }
+  if (!transport.isPlaying()) return;
+  transport.pause();
+  statusEl.textContent = 'Paused';
+  console.log('v4.0: File playback paused');
 }
 
 // v4.0: 파일 정지 (타임바를 00:00으로 되돌림)
 function stopFile() {
-  if (fileSourceNode) {
-    try {
-      fileSourceNode.disconnect();
-      fileSourceNode.stop();
-    } catch (e) {
-      console.warn('v4.0: Error stopping fileSourceNode in stopFile:', e);
-    }
-    fileSourceNode = null;
-  }
-  
-  isPlaying = false;
-  btnPlay.disabled = false;
-  btnPause.disabled = true;
+  transport.stop();
   btnStop.disabled = true;
   
-  // 타임라인 처음으로 (요구사항)
-  drawTimelineGauge(0);
-  currentTime.textContent = '00:00';
-  
-  stopTimeUpdate();
-  
   statusEl.textContent = 'File stopped - Ready to play';
   console.log('v4.0: File playbook stopped, timeline reset to 00:00');
 }
@@ -1217,38 +10637,6 @@ function exitFileMode() {
 
 // v4.0: connectFileGraph는 통합 파이프라인으로 대체됨
 
-// 시간 업데이트
-let timeUpdateInterval = null;
-let playStartTime = 0;
-let pausedTime = 0;
-
-function startTimeUpdate() {
-  playStartTime = audioCtx.currentTime;
-  pausedTime = (timelineSlider.value / 100) * fileDuration;
-  
-  timeUpdateInterval = setInterval(() => {
-    if (isPlaying && audioCtx) {
-      const elapsed = audioCtx.currentTime - playStartTime + pausedTime;
-      const progress = Math.min(elapsed / fileDuration, 1) * 100;
-      
-      drawTimelineGauge(progress);
-      currentTime.textContent = formatTime(elapsed);
-      
-      // 재생 완료 확인
-      if (elapsed >= fileDuration && !isRepeating) {
-        stopFile();
-      }
-    }
-  }, 100);
-}
-
-function stopTimeUpdate() {
-  if (timeUpdateInterval) {
-    clearInterval(timeUpdateInterval);
-    timeUpdateInterval = null;
-  }
-}
-
 // v4.0: 타임라인 캔버스가 제거되어 drawTimeline 함수도 제거됨
 
 // 시간 포맷팅
@@ -1264,9 +10652,7 @@ function toggleRepeat() {
   btnRepeat.classList.toggle('on', isRepeating);
   btnRepeat.textContent = isRepeating ? '🔁 반복' : '🔁 반복';
   
-  if (fileSourceNode) {
-    fileSourceNode.loop = isRepeating;
-  }
+  transport.setLoop(getFileLoopRange());
   
   console.log('v4.0: Repeat mode:', isRepeating);
 }
@@ -1291,13 +10677,7 @@ timelineGauge.addEventListener('click', (e) => {
     // 0-100% 범위로 제한
     const clampedProgress = Math.max(0, Math.min(100, progress));
     
-    const seekTime = (clampedProgress / 100) * fileDuration;
-    currentTime.textContent = formatTime(seekTime);
-    
-    // 게이지 업데이트
-    drawTimelineGauge(clampedProgress);
-    
-    // 재생 위치 이동
+    // 재생 위치 이동 (게이지/시간 표시는 'position' 이벤트에서 갱신)
     seekToPosition(clampedProgress);
     
     console.log(`v4.0: Timeline gauge clicked at ${clampedProgress.toFixed(1)}%`);
@@ -1308,22 +10688,9 @@ timelineGauge.addEventListener('click', (e) => {
 function seekToPosition(progressPercent) {
   if (inputMode !== 'file' || !fileBuffer) return;
   
-  const wasPlaying = isPlaying;
-  
-  // 재생 중이면 일시정지
-  if (isPlaying) {
-    pauseFile();
-  }
-  
-  // 타임라인 업데이트
+  // v4.1: 재생 중이면 멈추지 않고 교차 페이드로 새 위치에서 계속
   const seekTime = (progressPercent / 100) * fileDuration;
-  currentTime.textContent = formatTime(seekTime);
-  drawTimelineGauge(progressPercent);
-  
-  // 재생 중이었으면 새 위치에서 재시작
-  if (wasPlaying) {
-    setTimeout(() => playFile(), 100);
-  }
+  transport.seek(seekTime);
   
   console.log(`v4.0: Seeked to ${seekTime.toFixed(2)}s (${progressPercent.toFixed(1)}%)`);
 }
@@ -1333,7 +10700,7 @@ console.log('v4.0: File playback system initialized');
 // 기능 설명 주석:
 // - 스펙트럼 배경, 그리드(주/보조), X/Y축 눈금/라벨을 그립니다.
 // - X축은 20/50/100/200/500/1k/2k/5k/10k/20k Hz의 "1-2-5" 시퀀스로 표시
-// - Y축은 dBFS -120 ~ 0 사이, 주눈금 10 dB, 보조 5 dB
+// - Y축은 AMPLITUDE_CONFIG 범위/단위 (기본 dBFS -120 ~ 0, 주눈금 10 dB, 보조 5 dB)
 
 function drawSpecGridAndAxes(ctx, width, height) {
   // 고정 패딩 설정 (픽셀 단위) - 좌측 라벨 영역 제거
@@ -1352,24 +10719,25 @@ function drawSpecGridAndAxes(ctx, width, height) {
   const major = 'rgba(220,220,220,0.30)';
   const label = '#cfd2d6';
 
-  // Y축(dBFS) 그리드/라벨
-  const minDb = -120, maxDb = 0;
-  for (let db = minDb; db <= maxDb; db += 5) {
-    const y = plotY + dbToY(db, plotHeight);
-    ctx.strokeStyle = (db % 10 === 0) ? major : minor;
+  // Y축 그리드/라벨 (v4.1: 범위/단위는 AMPLITUDE_CONFIG)
+  const ampTicks = getAmplitudeGridValues();
+  for (let i = 0; i < ampTicks.length; i++) {
+    const tick = ampTicks[i];
+    const y = plotY + (tick.db === -Infinity ? plotHeight : dbToY(tick.db, plotHeight));
+    ctx.strokeStyle = tick.major ? major : minor;
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(plotX, Math.round(y) + 0.5);
     ctx.lineTo(plotX + plotWidth, Math.round(y) + 0.5);
     ctx.stroke();
 
-    // 10 dB마다 라벨 (그래프 안쪽으로)
-    if (db % 10 === 0) {
+    // 주눈금마다 라벨 (그래프 안쪽으로)
+    if (tick.major) {
       ctx.fillStyle = label;
       ctx.font = '11px system-ui, sans-serif';
       ctx.textBaseline = 'middle';
       ctx.textAlign = 'left';
-      ctx.fillText(`${db}`, plotX + 5, y);
+      ctx.fillText(tick.label, plotX + 5, y);
     }
   }
 
@@ -1393,7 +10761,7 @@ function drawSpecGridAndAxes(ctx, width, height) {
     ctx.font = '11px system-ui, sans-serif';
     ctx.textBaseline = 'top';
     ctx.textAlign = 'center';
-    const txt = (f >= 1000) ? `${Math.round(f/1000)}k` : `${f}`;
+    const txt = formatHzLabel(f);
     
     // 라벨 위치 계산 (겹침 방지)
     let labelX = x;
@@ -1428,7 +10796,7 @@ function drawSpecGridAndAxes(ctx, width, height) {
   ctx.save();
   ctx.translate(15, plotY + plotHeight / 2);
   ctx.rotate(-Math.PI / 2);
-  ctx.fillText('Amplitude (dBFS)', 0, 0);
+  ctx.fillText(`Amplitude (${getAmplitudeUnitLabel()})`, 0, 0);
   ctx.restore();
 
   // 플롯 영역 반환 (다른 함수에서 사용)
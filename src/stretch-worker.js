@@ -0,0 +1,85 @@
+// ===================================
+// stretch-worker.js
+// - Web Worker: WSOLA 시간 늘이기 (재생 속도 / 음높이, 긴 파일도 메인 스레드를 막지 않음)
+// - 입력: { channels, sampleRate, factor } (채널 배열 소유권 이전)
+// - 출력: { type: 'progress', progress } 여러 번, 끝나면 { type: 'done', channels } 또는 { type: 'error', message }
+// - CSP(default-src 'self')에서 blob: 스크립트를 쓸 수 없어 별도 파일로 둠
+// ===================================
+const STRETCH_FRAME_SECONDS = 0.046;    // WSOLA 프레임 길이 (합성 간격은 절반)
+const STRETCH_SEARCH_STEP = 4;          // 정렬 탐색: 거친 단계 간격 / 상관 계산 샘플 간격
+const STRETCH_PROGRESS_FRAMES = 256;    // 진행률 보고 간격 (프레임)
+
+// 길이를 factor배로 (프레임마다 직전 프레임의 자연스러운 연속과 가장 닮은 위치를 찾아 겹쳐 더함)
+function timeStretch(channels, sampleRate, factor) {
+  const frame = Math.round(sampleRate * STRETCH_FRAME_SECONDS / 2) * 2;
+  const hop = frame / 2;
+  const tolerance = Math.round(frame / 4);
+  const inLen = channels[0].length;
+  const outLen = Math.round(inLen * factor);
+  const out = channels.map(() => new Float32Array(outLen + frame));
+
+  // 정렬은 모노 합으로 한 번만 찾아 모든 채널에 같은 위치 사용
+  const mono = new Float32Array(inLen);
+  channels.forEach(data => {
+    for (let i = 0; i < inLen; i++) mono[i] += data[i];
+  });
+  // 주기 Hann (절반 간격 겹침 합 = 1)
+  const win = new Float32Array(frame);
+  for (let i = 0; i < frame; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frame);
+
+  const correlate = (a, b, step) => {
+    let sum = 0;
+    for (let i = 0; i < frame; i += step) sum += mono[a + i] * mono[b + i];
+    return sum;
+  };
+
+  const maxPos = Math.max(0, inLen - frame);
+  const frames = Math.ceil(outLen / hop);
+  let prev = 0;
+  for (let k = 0; k < frames; k++) {
+    let pos = Math.min(maxPos, Math.round(k * hop / factor));
+    const natural = prev + hop;
+    if (k > 0 && natural <= maxPos) {
+      const lo = Math.max(0, pos - tolerance);
+      const hi = Math.min(maxPos, pos + tolerance);
+      let best = -Infinity;
+      for (let c = lo; c <= hi; c += STRETCH_SEARCH_STEP) {
+        const v = correlate(natural, c, STRETCH_SEARCH_STEP);
+        if (v > best) { best = v; pos = c; }
+      }
+      // 거친 단계 최대 주변을 모든 샘플로 다시 비교
+      const coarse = pos;
+      best = -Infinity;
+      for (let c = Math.max(lo, coarse - STRETCH_SEARCH_STEP + 1); c <= Math.min(hi, coarse + STRETCH_SEARCH_STEP - 1); c++) {
+        const v = correlate(natural, c, 1);
+        if (v > best) { best = v; pos = c; }
+      }
+    }
+    const at = k * hop;
+    const count = Math.min(frame, inLen - pos);
+    for (let ch = 0; ch < channels.length; ch++) {
+      const src = channels[ch];
+      const dst = out[ch];
+      for (let i = 0; i < count; i++) {
+        // 첫 프레임 앞쪽은 창을 씌우지 않음 (시작 부분 페이드 인 방지)
+        dst[at + i] += src[pos + i] * (k === 0 && i < hop ? 1 : win[i]);
+      }
+    }
+    prev = pos;
+
+    if (k % STRETCH_PROGRESS_FRAMES === STRETCH_PROGRESS_FRAMES - 1) {
+      self.postMessage({ type: 'progress', progress: k / frames });
+    }
+  }
+  return out.map(data => data.slice(0, outLen));
+}
+
+self.onmessage = (e) => {
+  const { channels, sampleRate, factor } = e.data;
+  try {
+    const out = timeStretch(channels, sampleRate, factor);
+    self.postMessage({ type: 'done', channels: out }, out.map(c => c.buffer));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};